@@ -0,0 +1,28 @@
+import { loadConfig, lintAssistants } from './vapi-agent.js';
+import { formatLintReport } from './src/features/assistantLinter.js';
+
+/**
+ * Lint every live assistant from the command line
+ * Exits with a non-zero code when any assistant has errors.
+ */
+async function main() {
+  try {
+    // Report every invalid or missing setting up front
+    loadConfig();
+
+    const report = await lintAssistants();
+    console.log(formatLintReport(report));
+
+    if (report.summary.failing > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Lint failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the function if this file is executed directly
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  main();
+}
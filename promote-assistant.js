@@ -0,0 +1,50 @@
+import { loadConfig, planPromotion, promoteAssistant } from './vapi-agent.js';
+import { formatPromotionPlan } from './src/features/assistantPromotion.js';
+
+const USAGE = 'Usage: node promote-assistant.js <assistantId> [--to=<environment>] [--vars=<file>] [--apply]';
+
+/**
+ * Read a --name=value option
+ * @private
+ */
+function getOption(args, name) {
+  const arg = args.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+}
+
+/**
+ * Show, and with --apply perform, an assistant promotion from the command line
+ * @param {Array<string>} args - Command line arguments
+ */
+async function main(args) {
+  const [assistantId] = args.filter(arg => !arg.startsWith('--'));
+  if (!assistantId) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const options = { to: getOption(args, 'to'), variables: getOption(args, 'vars') };
+
+  try {
+    // Report every invalid or missing setting up front
+    loadConfig();
+
+    const plan = await planPromotion(assistantId, options);
+    console.log(formatPromotionPlan(plan));
+
+    if (!args.includes('--apply') || plan.action === 'unchanged') {
+      return;
+    }
+
+    const { assistant, audit } = await promoteAssistant(assistantId, options);
+    console.log(`✅ Promoted to ${plan.to} as ${assistant.id} by ${audit.actor} at ${audit.at}`);
+  } catch (error) {
+    console.error('❌ Promotion failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the function if this file is executed directly
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  main(process.argv.slice(2));
+}
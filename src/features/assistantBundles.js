@@ -0,0 +1,229 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { READ_ONLY_ASSISTANT_FIELDS, isObject } from '../utils/agentConfig.js';
+import { VapiError, ERROR_CODES } from '../utils/errorHandler.js';
+
+/**
+ * Identifies a bundle file and the layout version it was written with
+ */
+const BUNDLE_FORMAT = 'vapi-assistant-bundle';
+const BUNDLE_VERSION = 1;
+
+/**
+ * Fields that only make sense in the workspace an assistant came from
+ */
+const WORKSPACE_FIELDS = [...READ_ONLY_ASSISTANT_FIELDS, 'isServerUrlSecretSet', 'credentialIds'];
+
+const CONFLICT_STRATEGIES = ['skip', 'overwrite', 'rename'];
+
+/**
+ * Portable assistant bundle
+ * @typedef {Object} AssistantBundle
+ * @property {string} format - Always 'vapi-assistant-bundle'
+ * @property {number} version - Bundle layout version
+ * @property {string} exportedAt - ISO timestamp
+ * @property {string} [source] - Free-form label for where the bundle came from
+ * @property {Array<{key: string, config: Object}>} assistants - Configs keyed by their original id
+ */
+
+/**
+ * Copy an assistant without its workspace-specific fields
+ * @param {Object} assistant - Assistant as returned by the API
+ * @returns {Object} Portable configuration
+ */
+function toPortableConfig(assistant) {
+  const config = JSON.parse(JSON.stringify(assistant));
+  WORKSPACE_FIELDS.forEach(field => delete config[field]);
+  return config;
+}
+
+/**
+ * Build a bundle from live assistants
+ * @param {Array<Object>} assistants - Assistants to export
+ * @param {Object} [options] - Options
+ * @param {string} [options.source] - Label stored in the bundle (e.g. the workspace name)
+ * @returns {AssistantBundle} Bundle
+ */
+function createBundle(assistants, options = {}) {
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    ...(options.source && { source: options.source }),
+    assistants: assistants.map(assistant => ({
+      key: assistant.id,
+      config: toPortableConfig(assistant)
+    }))
+  };
+}
+
+/**
+ * Check that a value is a bundle this version can read
+ * @param {Object} bundle - Parsed bundle
+ * @returns {AssistantBundle} The bundle
+ */
+function validateBundle(bundle) {
+  const errors = [];
+
+  if (!isObject(bundle) || bundle.format !== BUNDLE_FORMAT) {
+    errors.push(`format must be "${BUNDLE_FORMAT}"`);
+  } else {
+    if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+      errors.push('version must be a positive integer');
+    } else if (bundle.version > BUNDLE_VERSION) {
+      errors.push(`version ${bundle.version} is newer than the supported version ${BUNDLE_VERSION}`);
+    }
+
+    if (!Array.isArray(bundle.assistants)) {
+      errors.push('assistants must be an array');
+    } else {
+      const keys = new Set();
+      bundle.assistants.forEach((entry, index) => {
+        if (!isObject(entry) || typeof entry.key !== 'string' || !isObject(entry.config)) {
+          errors.push(`assistants[${index}] must have a string key and a config object`);
+        } else if (keys.has(entry.key)) {
+          errors.push(`assistants[${index}] repeats key "${entry.key}"`);
+        } else {
+          keys.add(entry.key);
+        }
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new VapiError(`Invalid assistant bundle:\n- ${errors.join('\n- ')}`, ERROR_CODES.INVALID_BUNDLE, { errors });
+  }
+  return bundle;
+}
+
+/**
+ * Write a bundle to a JSON file, creating its directory
+ * @param {string} filePath - Destination file
+ * @param {AssistantBundle} bundle - Bundle
+ * @returns {Promise<void>}
+ */
+async function writeBundle(filePath, bundle) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, `${JSON.stringify(bundle, null, 2)}\n`);
+}
+
+/**
+ * Read and validate a bundle file
+ * @param {string} filePath - Bundle file
+ * @returns {Promise<AssistantBundle>} Bundle
+ */
+async function readBundle(filePath) {
+  let bundle;
+  try {
+    bundle = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new VapiError(
+      `Failed to read bundle ${filePath}: ${error.message}`,
+      ERROR_CODES.INVALID_BUNDLE,
+      { file: filePath, originalError: error }
+    );
+  }
+  return validateBundle(bundle);
+}
+
+/**
+ * Replace every occurrence of a mapped id anywhere in a value
+ * @param {any} value - Config or part of one
+ * @param {Map<string, string>} idMap - Original id -> new id
+ * @returns {any} Copy with ids replaced
+ */
+function remapIds(value, idMap) {
+  if (typeof value === 'string') {
+    return idMap.has(value) ? idMap.get(value) : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => remapIds(item, idMap));
+  }
+  if (isObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, remapIds(item, idMap)]));
+  }
+  return value;
+}
+
+/**
+ * Whether a value mentions any of the given ids
+ * @param {any} value - Config or part of one
+ * @param {Set<string>} ids - Ids to look for
+ * @returns {boolean}
+ */
+function referencesAny(value, ids) {
+  if (typeof value === 'string') return ids.has(value);
+  if (Array.isArray(value)) return value.some(item => referencesAny(item, ids));
+  if (isObject(value)) return Object.values(value).some(item => referencesAny(item, ids));
+  return false;
+}
+
+/**
+ * Pick a name no existing assistant uses: "Name (2)", "Name (3)", ...
+ * @private
+ */
+function uniqueName(name, taken) {
+  let counter = 2;
+  while (taken.has(`${name} (${counter})`)) {
+    counter++;
+  }
+  return `${name} (${counter})`;
+}
+
+/**
+ * Decide what importing a bundle into a workspace does for each assistant
+ * Assistants conflict when the workspace already has one with the same name.
+ * @param {AssistantBundle} bundle - Bundle
+ * @param {Array<Object>} existing - Assistants already in the target workspace
+ * @param {Object} [options] - Options
+ * @param {string} [options.onConflict='skip'] - skip, overwrite or rename
+ * @returns {Array<{key: string, action: string, name: string, assistantId?: string, config: Object}>} One entry per bundled assistant
+ */
+function planBundleImport(bundle, existing, options = {}) {
+  const { onConflict = 'skip' } = options;
+  if (!CONFLICT_STRATEGIES.includes(onConflict)) {
+    throw new VapiError(
+      `Unknown conflict strategy "${onConflict}". Allowed values: ${CONFLICT_STRATEGIES.join(', ')}`,
+      ERROR_CODES.VALIDATION_ERROR,
+      { onConflict }
+    );
+  }
+
+  validateBundle(bundle);
+  const byName = new Map(existing.map(assistant => [assistant.name, assistant]));
+  const taken = new Set(byName.keys());
+
+  return bundle.assistants.map(({ key, config }) => {
+    const conflict = config.name !== undefined ? byName.get(config.name) : undefined;
+    const entry = { key, name: config.name, config };
+
+    if (!conflict) {
+      taken.add(config.name);
+      return { ...entry, action: 'create' };
+    }
+    if (onConflict === 'skip') {
+      return { ...entry, action: 'skip', assistantId: conflict.id };
+    }
+    if (onConflict === 'overwrite') {
+      return { ...entry, action: 'update', assistantId: conflict.id };
+    }
+
+    const name = uniqueName(config.name, taken);
+    taken.add(name);
+    return { ...entry, action: 'create', name, config: { ...config, name } };
+  });
+}
+
+export {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  CONFLICT_STRATEGIES,
+  toPortableConfig,
+  createBundle,
+  validateBundle,
+  writeBundle,
+  readBundle,
+  remapIds,
+  referencesAny,
+  planBundleImport
+};
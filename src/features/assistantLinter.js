@@ -0,0 +1,354 @@
+import { getAgentConfig, stripReadOnlyFields } from '../utils/agentConfig.js';
+import { validateAssistantConfig } from '../utils/assistantSchema.js';
+import { VapiError, ERROR_CODES } from '../utils/errorHandler.js';
+import { getDefaultLogger } from '../utils/logger.js';
+
+/**
+ * Severities from most to least serious; 'off' disables a rule
+ */
+const SEVERITIES = ['error', 'warning', 'info'];
+
+/**
+ * Metadata key holding the rule names an assistant opts out of
+ */
+const SUPPRESS_KEY = 'lintSuppress';
+
+const RULE_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Lint rule
+ * `check` receives the full assistant config (defaults merged in) and returns
+ * nothing, a message, or a list of { path, message } findings. Its second
+ * argument holds the config as given, before the defaults were merged.
+ * @typedef {Object} LintRule
+ * @property {string} name - Unique rule name (lowercase, dashes)
+ * @property {string} [description] - What the rule catches
+ * @property {string} [severity='warning'] - error, warning or info
+ * @property {Function} check - (config, { source }) => string|Array<{path: string, message: string, severity?: string}>|null
+ */
+
+/**
+ * Lint finding
+ * @typedef {Object} LintFinding
+ * @property {string} rule - Rule name
+ * @property {string} severity - error, warning or info
+ * @property {string} path - Config path the finding is about
+ * @property {string} message - What is wrong
+ */
+
+/**
+ * Built-in rules for configurations that validate but cannot work as intended
+ */
+const BUILT_IN_RULES = [
+  {
+    name: 'schema',
+    description: 'Configuration matches the assistant schema',
+    severity: 'error',
+    check: (config) => {
+      const { errors, warnings } = validateAssistantConfig(config);
+      return [
+        ...errors.map(({ path, message }) => ({ path, message })),
+        ...warnings.map(({ path, message }) => ({ path, message, severity: 'warning' }))
+      ];
+    }
+  },
+  {
+    name: 'handoff-without-transfer-number',
+    description: 'Human handoff needs a number to transfer to',
+    severity: 'error',
+    check: ({ humanHandoff }) => (
+      humanHandoff?.enabled && !humanHandoff.transferNumber
+        ? [{ path: 'humanHandoff.transferNumber', message: 'Human handoff is enabled but no transferNumber is set' }]
+        : null
+    )
+  },
+  {
+    name: 'transcription-without-recording',
+    description: 'Recording transcription only runs on recorded calls',
+    severity: 'warning',
+    check: ({ recordingTranscriptionEnabled, recordingEnabled }) => (
+      recordingTranscriptionEnabled && !recordingEnabled
+        ? [{ path: 'recordingTranscriptionEnabled', message: 'Recording transcription is enabled but recording is off' }]
+        : null
+    )
+  },
+  {
+    name: 'recording-webhook-without-recording',
+    description: 'The recording webhook never fires when recording is off',
+    severity: 'warning',
+    check: ({ recordingWebhookUrl, recordingEnabled }) => (
+      recordingWebhookUrl && !recordingEnabled
+        ? [{ path: 'recordingWebhookUrl', message: 'A recording webhook is set but recording is off' }]
+        : null
+    )
+  },
+  {
+    name: 'webhook-events-without-url',
+    description: 'Webhook events need a URL to be delivered to',
+    severity: 'error',
+    check: ({ webhookEvents, webhookUrl }, { source }) => (
+      Array.isArray(webhookEvents) && webhookEvents.length > 0 && !webhookUrl
+        ? [{
+          path: 'webhookUrl',
+          message: `${webhookEvents.length} webhook event(s) are subscribed but webhookUrl is empty`,
+          // Events inherited from the defaults are reported, but only as a warning
+          ...(source.webhookEvents === undefined && { severity: 'warning' })
+        }]
+        : null
+    )
+  },
+  {
+    name: 'silence-timeout-exceeds-duration',
+    description: 'The silence timeout can never trigger if it is longer than the call',
+    severity: 'error',
+    check: ({ silenceTimeoutMs, maxDurationSeconds }) => (
+      silenceTimeoutMs > maxDurationSeconds * 1000
+        ? [{
+          path: 'silenceTimeoutMs',
+          message: `silenceTimeoutMs (${silenceTimeoutMs}) is longer than maxDurationSeconds (${maxDurationSeconds}s)`
+        }]
+        : null
+    )
+  },
+  {
+    name: 'call-timeout-exceeds-duration',
+    description: 'The call timeout has no effect past the maximum call duration',
+    severity: 'info',
+    check: ({ callTimeout, maxDurationSeconds }) => (
+      callTimeout > maxDurationSeconds
+        ? [{ path: 'callTimeout', message: `callTimeout (${callTimeout}s) is longer than maxDurationSeconds (${maxDurationSeconds}s)` }]
+        : null
+    )
+  },
+  {
+    name: 'vad-silence-exceeds-silence-timeout',
+    description: 'VAD should detect end of speech before the call-level silence timeout',
+    severity: 'warning',
+    check: ({ vad, silenceTimeoutMs }) => (
+      vad?.enabled && vad.silenceTimeoutMs >= silenceTimeoutMs
+        ? [{ path: 'vad.silenceTimeoutMs', message: 'VAD silence timeout is not shorter than silenceTimeoutMs' }]
+        : null
+    )
+  },
+  {
+    name: 'empty-system-prompt',
+    description: 'The assistant needs instructions',
+    severity: 'error',
+    check: ({ model }) => {
+      const messages = Array.isArray(model?.messages) ? model.messages : [];
+      return messages.some(m => m?.role === 'system' && typeof m.content === 'string' && m.content.trim())
+        ? null
+        : [{ path: 'model.messages', message: 'There is no non-empty system prompt' }];
+    }
+  }
+];
+
+/**
+ * Turn whatever a rule returned into findings
+ * @private
+ */
+function normalizeFindings(rule, severity, result) {
+  if (!result) return [];
+
+  const entries = typeof result === 'string' ? [{ message: result }] : result;
+  return entries.map(entry => ({
+    rule: rule.name,
+    // A rule may report a milder finding, never a stronger one than it is configured for
+    severity: entry.severity && SEVERITIES.indexOf(entry.severity) > SEVERITIES.indexOf(severity)
+      ? entry.severity
+      : severity,
+    path: entry.path || '',
+    message: entry.message
+  }));
+}
+
+/**
+ * Count findings by severity
+ * @private
+ */
+function countFindings(findings) {
+  const counts = { error: 0, warning: 0, info: 0 };
+  findings.forEach(({ severity }) => counts[severity]++);
+  return counts;
+}
+
+/**
+ * Assistant Linter
+ * Runs named rules over assistant configurations to catch settings that
+ * validate individually but make no sense together.
+ */
+class AssistantLinter {
+  /**
+   * Create a new AssistantLinter
+   * @param {Object} [options] - Configuration options
+   * @param {Array<LintRule>} [options.rules] - Extra rules to register
+   * @param {boolean} [options.builtIns=true] - Register the built-in rules
+   * @param {Object<string, string>} [options.severities] - Severity overrides per rule ('error', 'warning', 'info' or 'off')
+   * @param {Object} [options.logger] - Logger (defaults to the shared SDK logger)
+   */
+  constructor(options = {}) {
+    const { rules = [], builtIns = true, severities = {} } = options;
+
+    this.rules = new Map();
+    this.severities = {};
+    this.logger = options.logger || getDefaultLogger().child({ subsystem: 'linter' });
+
+    for (const rule of [...(builtIns ? BUILT_IN_RULES : []), ...rules]) {
+      this.addRule(rule, { replace: true });
+    }
+    for (const [name, severity] of Object.entries(severities)) {
+      this.setSeverity(name, severity);
+    }
+  }
+
+  /**
+   * Register a rule
+   * @param {LintRule} rule - Rule
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.replace=false] - Replace an existing rule with the same name
+   * @returns {AssistantLinter} this
+   */
+  addRule(rule, options = {}) {
+    const { name, severity = 'warning', check } = rule || {};
+
+    if (typeof name !== 'string' || !RULE_NAME_PATTERN.test(name)) {
+      throw new VapiError('Lint rule names must be lowercase letters, digits and dashes', ERROR_CODES.INVALID_LINT_RULE, { rule: name });
+    }
+    if (this.rules.has(name) && !options.replace) {
+      throw new VapiError(`A lint rule named "${name}" is already registered`, ERROR_CODES.INVALID_LINT_RULE, { rule: name });
+    }
+    if (!SEVERITIES.includes(severity)) {
+      throw new VapiError(`Invalid severity "${severity}" for lint rule ${name}`, ERROR_CODES.INVALID_LINT_RULE, { rule: name, severity });
+    }
+    if (typeof check !== 'function') {
+      throw new VapiError(`Lint rule ${name} needs a check function`, ERROR_CODES.INVALID_LINT_RULE, { rule: name });
+    }
+
+    this.rules.set(name, { description: '', ...rule, severity });
+    return this;
+  }
+
+  /**
+   * Remove a rule
+   * @param {string} name - Rule name
+   * @returns {boolean} Whether the rule existed
+   */
+  removeRule(name) {
+    delete this.severities[name];
+    return this.rules.delete(name);
+  }
+
+  /**
+   * Override a rule's severity
+   * @param {string} name - Rule name
+   * @param {string} severity - error, warning, info or 'off'
+   * @returns {AssistantLinter} this
+   */
+  setSeverity(name, severity) {
+    if (!this.rules.has(name)) {
+      throw new VapiError(`Unknown lint rule: ${name}`, ERROR_CODES.INVALID_LINT_RULE, { rule: name });
+    }
+    if (severity !== 'off' && !SEVERITIES.includes(severity)) {
+      throw new VapiError(`Invalid severity "${severity}" for lint rule ${name}`, ERROR_CODES.INVALID_LINT_RULE, { rule: name, severity });
+    }
+    this.severities[name] = severity;
+    return this;
+  }
+
+  /**
+   * List registered rules with their effective severity
+   * @returns {Array<{name: string, description: string, severity: string}>} Rules
+   */
+  listRules() {
+    return Array.from(this.rules.values()).map(({ name, description, severity }) => ({
+      name,
+      description,
+      severity: this.severities[name] || severity
+    }));
+  }
+
+  /**
+   * Lint an assistant configuration
+   * The config is merged over the defaults first (as getAgentConfig does), so
+   * partial configs and assistants returned by the API can be linted alike.
+   * Rules listed in metadata.lintSuppress are skipped and reported as suppressed.
+   * @param {Object} config - Assistant configuration or live assistant
+   * @returns {{findings: Array<LintFinding>, suppressed: Array<string>, counts: Object}} Lint result
+   */
+  lint(config = {}) {
+    const source = stripReadOnlyFields(config);
+    const merged = getAgentConfig(source, { validate: false });
+    const requested = merged.metadata?.[SUPPRESS_KEY];
+    const suppressions = new Set(Array.isArray(requested) ? requested : []);
+    const findings = [];
+    const suppressed = [];
+
+    for (const rule of this.rules.values()) {
+      const severity = this.severities[rule.name] || rule.severity;
+      if (severity === 'off') continue;
+      if (suppressions.has(rule.name)) {
+        suppressed.push(rule.name);
+        continue;
+      }
+
+      try {
+        findings.push(...normalizeFindings(rule, severity, rule.check(merged, { source })));
+      } catch (error) {
+        // A broken rule should not hide the findings of the others
+        this.logger.error('Lint rule failed', { rule: rule.name, error });
+        findings.push({ rule: rule.name, severity: 'error', path: '', message: `Rule failed: ${error.message}` });
+      }
+    }
+
+    findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+    return { findings, suppressed, counts: countFindings(findings) };
+  }
+
+  /**
+   * Lint several assistants
+   * @param {Array<Object>} assistants - Live assistants or configurations
+   * @returns {{results: Array<Object>, summary: Object}} One result per assistant ({ assistantId, name, ...lint result }) and totals
+   */
+  lintAll(assistants) {
+    const results = assistants.map(assistant => ({
+      assistantId: assistant.id || null,
+      name: assistant.name,
+      ...this.lint(assistant)
+    }));
+
+    const summary = { assistants: results.length, failing: 0, error: 0, warning: 0, info: 0 };
+    for (const { counts } of results) {
+      if (counts.error > 0) summary.failing++;
+      SEVERITIES.forEach(severity => { summary[severity] += counts[severity]; });
+    }
+
+    return { results, summary };
+  }
+}
+
+/**
+ * Render a lint report as text
+ * @param {{results: Array<Object>, summary: Object}} report - Report from lintAll
+ * @returns {string}
+ */
+function formatLintReport({ results, summary }) {
+  const icons = { error: '❌', warning: '⚠️ ', info: 'ℹ️ ' };
+  const lines = [];
+
+  for (const result of results) {
+    if (result.findings.length === 0) continue;
+
+    lines.push(`${result.name || '(unnamed)'}${result.assistantId ? ` (${result.assistantId})` : ''}`);
+    for (const { rule, severity, path, message } of result.findings) {
+      lines.push(`  ${icons[severity]} ${path ? `${path}: ` : ''}${message} [${rule}]`);
+    }
+  }
+
+  lines.push(
+    `${summary.assistants} assistant(s) linted: ${summary.error} error(s), ` +
+    `${summary.warning} warning(s), ${summary.info} info; ${summary.failing} failing`
+  );
+  return lines.join('\n');
+}
+
+export { AssistantLinter, BUILT_IN_RULES, SEVERITIES, SUPPRESS_KEY, formatLintReport };
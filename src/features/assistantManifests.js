@@ -0,0 +1,329 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { DEFAULT_AGENT_CONFIG, getAgentConfig, deepMerge, isObject } from '../utils/agentConfig.js';
+import { diffConfig } from '../utils/diff.js';
+import { VapiError, ERROR_CODES } from '../utils/errorHandler.js';
+
+/**
+ * Metadata key that links a live assistant to its manifest
+ */
+const MANIFEST_ID_KEY = 'manifestId';
+
+const MANIFEST_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+const MANIFEST_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * Assistant manifest
+ * Any field besides `id` and `systemPrompt` is an assistant config override
+ * merged over DEFAULT_AGENT_CONFIG.
+ * @typedef {Object} AssistantManifest
+ * @property {string} id - Stable id, stored as metadata.manifestId on the assistant
+ * @property {string} [name] - Assistant display name
+ * @property {string} [systemPrompt] - Shorthand for the system message in model.messages
+ */
+
+/**
+ * Planned change for one assistant
+ * @typedef {Object} ManifestAction
+ * @property {string} action - create, update, delete, unchanged or orphaned
+ * @property {string} manifestId - Manifest id
+ * @property {string} name - Assistant name
+ * @property {string} [assistantId] - Live assistant id (absent for creates)
+ * @property {Array<{path: string, from: any, to: any}>} changes - Field-level differences
+ * @property {Object} [config] - Full assistant config (creates)
+ * @property {Object} [updates] - Top-level fields to send (updates)
+ */
+
+/**
+ * Result of planning a manifest sync
+ * @typedef {Object} ManifestPlan
+ * @property {Array<ManifestAction>} actions - One entry per manifest and managed assistant
+ * @property {Object<string, number>} summary - Number of actions of each kind
+ */
+
+/**
+ * List manifest files under a file or directory path
+ * @private
+ */
+async function listManifestFiles(target) {
+  const stats = await fs.stat(target);
+  if (!stats.isDirectory()) {
+    return [target];
+  }
+
+  const entries = await fs.readdir(target, { withFileTypes: true });
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+
+  const files = [];
+  for (const entry of entries) {
+    const entryPath = path.join(target, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listManifestFiles(entryPath));
+    } else if (MANIFEST_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Parse a manifest file
+ * A document may hold one manifest, an array of manifests or { assistants: [...] };
+ * YAML files may contain several documents.
+ * @private
+ */
+function parseManifestFile(content, filePath) {
+  const documents = path.extname(filePath).toLowerCase() === '.json'
+    ? [JSON.parse(content)]
+    : yaml.loadAll(content);
+
+  return documents.flatMap((document) => {
+    if (document === null || document === undefined) return [];
+    if (Array.isArray(document)) return document;
+    if (Array.isArray(document.assistants)) return document.assistants;
+    return [document];
+  });
+}
+
+/**
+ * Load manifests from JSON/YAML files
+ * @param {string|Array<string>} paths - Files or directories (searched recursively)
+ * @returns {Promise<Array<AssistantManifest>>} Manifests in file order
+ */
+async function loadManifests(paths) {
+  const manifests = [];
+
+  for (const target of [].concat(paths)) {
+    let files;
+    try {
+      files = await listManifestFiles(target);
+    } catch (error) {
+      throw new VapiError(
+        `Could not read manifest path ${target}: ${error.message}`,
+        ERROR_CODES.INVALID_MANIFEST,
+        { path: target }
+      );
+    }
+
+    for (const file of files) {
+      try {
+        manifests.push(...parseManifestFile(await fs.readFile(file, 'utf8'), file));
+      } catch (error) {
+        throw new VapiError(
+          `Failed to load manifest file ${file}: ${error.message}`,
+          ERROR_CODES.INVALID_MANIFEST,
+          { file }
+        );
+      }
+    }
+  }
+
+  return manifests;
+}
+
+/**
+ * Accept either manifest objects or paths to load them from
+ * @param {Array<AssistantManifest>|string|Array<string>} input - Manifests or paths
+ * @returns {Promise<Array<AssistantManifest>>} Manifests
+ */
+async function resolveManifests(input) {
+  const items = [].concat(input);
+  if (items.length > 0 && items.every(item => typeof item === 'string')) {
+    return loadManifests(items);
+  }
+  return items;
+}
+
+/**
+ * Build the full assistant config a manifest describes
+ * @param {AssistantManifest} manifest - Manifest
+ * @returns {Object} Validated assistant config tagged with the manifest id
+ */
+function buildManifestConfig(manifest) {
+  const { id, systemPrompt, ...overrides } = manifest;
+  const name = overrides.name || DEFAULT_AGENT_CONFIG.name;
+
+  // Same starting point as createAgent
+  const base = {
+    name,
+    firstMessage: `Hello! This is ${name}, how can I help you today?`,
+    ...(systemPrompt !== undefined && {
+      model: { messages: [{ role: 'system', content: systemPrompt }] }
+    })
+  };
+
+  return getAgentConfig(deepMerge(deepMerge(base, overrides), {
+    metadata: { [MANIFEST_ID_KEY]: id }
+  }));
+}
+
+/**
+ * Validate manifests and build their configs, reporting every problem at once
+ * @private
+ */
+function buildManifestConfigs(manifests) {
+  const errors = [];
+  const seen = new Set();
+  const built = [];
+
+  manifests.forEach((manifest, index) => {
+    const manifestId = manifest?.id;
+    const label = manifestId ? `"${manifestId}"` : `#${index + 1}`;
+
+    if (!isObject(manifest)) {
+      errors.push({ index, message: `Manifest ${label} must be an object` });
+      return;
+    }
+    if (typeof manifestId !== 'string' || !MANIFEST_ID_PATTERN.test(manifestId)) {
+      errors.push({ index, message: `Manifest ${label} needs an id made of letters, digits, '.', '_' or '-'` });
+      return;
+    }
+    if (seen.has(manifestId)) {
+      errors.push({ index, manifestId, message: `Manifest id "${manifestId}" is used more than once` });
+      return;
+    }
+    seen.add(manifestId);
+
+    try {
+      built.push({ manifestId, config: buildManifestConfig(manifest) });
+    } catch (error) {
+      errors.push({ index, manifestId, message: `Manifest ${label}: ${error.message}` });
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new VapiError(
+      `Invalid assistant manifests:\n- ${errors.map(e => e.message).join('\n- ')}`,
+      ERROR_CODES.INVALID_MANIFEST,
+      { errors }
+    );
+  }
+
+  return built;
+}
+
+/**
+ * Plan the changes that converge live assistants on a set of manifests
+ * Assistants are matched on metadata.manifestId; assistants without one are
+ * never touched.
+ * @param {Array<AssistantManifest>} manifests - Desired assistants
+ * @param {Array<Object>} liveAssistants - Every live assistant
+ * @param {Object} [options] - Plan options
+ * @param {boolean} [options.prune=false] - Delete managed assistants whose manifest is gone
+ * @returns {ManifestPlan} Plan
+ */
+function planManifestSync(manifests, liveAssistants, options = {}) {
+  const { prune = false } = options;
+  const desired = buildManifestConfigs(manifests);
+
+  const liveByManifestId = new Map();
+  for (const assistant of liveAssistants) {
+    const manifestId = assistant.metadata?.[MANIFEST_ID_KEY];
+    if (!manifestId) continue;
+
+    if (liveByManifestId.has(manifestId)) {
+      const other = liveByManifestId.get(manifestId);
+      throw new VapiError(
+        `Assistants ${other.id} and ${assistant.id} share manifest id "${manifestId}"`,
+        ERROR_CODES.INVALID_MANIFEST,
+        { manifestId, assistantIds: [other.id, assistant.id] }
+      );
+    }
+    liveByManifestId.set(manifestId, assistant);
+  }
+
+  const actions = [];
+
+  for (const { manifestId, config } of desired) {
+    const live = liveByManifestId.get(manifestId);
+
+    if (!live) {
+      actions.push({ action: 'create', manifestId, name: config.name, changes: [], config });
+      continue;
+    }
+
+    const changes = diffConfig(config, live);
+    if (changes.length === 0) {
+      actions.push({ action: 'unchanged', manifestId, name: config.name, assistantId: live.id, changes });
+      continue;
+    }
+
+    // Send whole top-level fields so nested objects are replaced consistently
+    const updates = {};
+    for (const { path: fieldPath } of changes) {
+      const key = fieldPath.split('.')[0];
+      updates[key] = config[key];
+    }
+    actions.push({ action: 'update', manifestId, name: config.name, assistantId: live.id, changes, updates });
+  }
+
+  const manifestIds = new Set(desired.map(d => d.manifestId));
+  for (const [manifestId, live] of liveByManifestId) {
+    if (!manifestIds.has(manifestId)) {
+      actions.push({
+        action: prune ? 'delete' : 'orphaned',
+        manifestId,
+        name: live.name,
+        assistantId: live.id,
+        changes: []
+      });
+    }
+  }
+
+  const summary = { create: 0, update: 0, delete: 0, unchanged: 0, orphaned: 0 };
+  for (const { action } of actions) {
+    summary[action]++;
+  }
+
+  return { actions, summary };
+}
+
+/**
+ * Render a value for plan output
+ * @private
+ */
+function formatValue(value) {
+  if (value === undefined) return '(unset)';
+  const text = JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * Render a plan as human-readable text
+ * @param {ManifestPlan} plan - Plan
+ * @returns {string} Plan description
+ */
+function formatPlan(plan) {
+  const symbols = { create: '+', update: '~', delete: '-', orphaned: '?' };
+  const lines = [];
+
+  for (const entry of plan.actions) {
+    if (entry.action === 'unchanged') continue;
+
+    const target = entry.assistantId ? ` [${entry.assistantId}]` : '';
+    const note = entry.action === 'orphaned' ? ' (no manifest; use prune to delete)' : '';
+    lines.push(`${symbols[entry.action]} ${entry.action} ${entry.manifestId} "${entry.name}"${target}${note}`);
+
+    for (const change of entry.changes) {
+      lines.push(`    ${change.path}: ${formatValue(change.from)} -> ${formatValue(change.to)}`);
+    }
+  }
+
+  const { create, update, unchanged, orphaned } = plan.summary;
+  lines.push(`Plan: ${create} to create, ${update} to update, ${plan.summary.delete} to delete, ` +
+    `${unchanged} unchanged, ${orphaned} orphaned.`);
+
+  return lines.join('\n');
+}
+
+export {
+  MANIFEST_ID_KEY,
+  loadManifests,
+  resolveManifests,
+  buildManifestConfig,
+  diffConfig,
+  planManifestSync,
+  formatPlan
+};
@@ -0,0 +1,266 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { toPortableConfig } from './assistantBundles.js';
+import { MANIFEST_ID_KEY } from './assistantManifests.js';
+import { isObject } from '../utils/agentConfig.js';
+import { diffConfig } from '../utils/diff.js';
+import { VapiError, ERROR_CODES } from '../utils/errorHandler.js';
+
+/**
+ * Environments in promotion order
+ */
+const ENVIRONMENTS = ['development', 'staging', 'production'];
+
+/**
+ * Per-environment values, keyed by environment then variable name, e.g.
+ * { development: { webhookUrl: 'https://dev.example.com/hook' }, production: { webhookUrl: '...' } }
+ * @typedef {Object<string, Object<string, string>>} EnvironmentVariables
+ */
+
+/**
+ * Promotion plan
+ * @typedef {Object} PromotionPlan
+ * @property {string} action - create, update or unchanged
+ * @property {string} promotionKey - Links an assistant to its copies in other environments
+ * @property {string} from - Source environment
+ * @property {string} to - Target environment
+ * @property {string} sourceId - Source assistant id
+ * @property {string} [targetId] - Existing target assistant id
+ * @property {Object} config - Configuration the target will have
+ * @property {Array<{path: string, from: any, to: any}>} changes - Differences from the current target
+ * @property {Array<{variable: string, path: string, from: string, to: string}>} substitutions - Replaced values
+ */
+
+/**
+ * Environment that follows another in the promotion order
+ * @param {string} environment - Current environment
+ * @returns {string|null} Next environment, or null after the last one
+ */
+function nextEnvironment(environment) {
+  const index = ENVIRONMENTS.indexOf(environment);
+  return index >= 0 && index < ENVIRONMENTS.length - 1 ? ENVIRONMENTS[index + 1] : null;
+}
+
+/**
+ * Key shared by an assistant and its promoted copies
+ * @param {Object} assistant - Assistant
+ * @returns {string}
+ */
+function getPromotionKey(assistant) {
+  return assistant.metadata?.promotionKey || assistant.metadata?.manifestId || assistant.id;
+}
+
+/**
+ * Check the shape of a variables object
+ * @param {EnvironmentVariables} variables - Variables
+ * @returns {EnvironmentVariables} The variables
+ */
+function validateEnvironmentVariables(variables) {
+  const errors = [];
+
+  if (!isObject(variables)) {
+    errors.push('variables must be an object keyed by environment');
+  } else {
+    Object.entries(variables).forEach(([environment, values]) => {
+      if (!ENVIRONMENTS.includes(environment)) {
+        errors.push(`unknown environment "${environment}" (expected one of ${ENVIRONMENTS.join(', ')})`);
+      } else if (!isObject(values)) {
+        errors.push(`${environment} must map variable names to values`);
+      } else {
+        Object.entries(values)
+          .filter(([, value]) => typeof value !== 'string')
+          .forEach(([name]) => errors.push(`${environment}.${name} must be a string`));
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new VapiError(
+      `Invalid environment variables:\n- ${errors.join('\n- ')}`,
+      ERROR_CODES.VALIDATION_ERROR,
+      { errors }
+    );
+  }
+  return variables;
+}
+
+/**
+ * Read a JSON or YAML variables file
+ * @param {string} filePath - Variables file
+ * @returns {Promise<EnvironmentVariables>} Variables
+ */
+async function loadEnvironmentVariables(filePath) {
+  let variables;
+  try {
+    const content = await fs.readFile(filePath, 'utf8');
+    variables = path.extname(filePath) === '.json' ? JSON.parse(content) : yaml.load(content);
+  } catch (error) {
+    throw new VapiError(
+      `Failed to read environment variables ${filePath}: ${error.message}`,
+      ERROR_CODES.INVALID_CONFIG,
+      { file: filePath, originalError: error }
+    );
+  }
+  return validateEnvironmentVariables(variables);
+}
+
+/**
+ * Swap one environment's values for another's throughout a config
+ * Any string equal to a source value is replaced. A source value that appears
+ * in the config but has no counterpart in the target environment is an error,
+ * so a development webhook URL never reaches production by accident.
+ * @param {Object} config - Assistant configuration
+ * @param {EnvironmentVariables} variables - Variables
+ * @param {string} from - Source environment
+ * @param {string} to - Target environment
+ * @returns {{config: Object, substitutions: Array<Object>}} Substituted copy and what was replaced
+ */
+function substituteEnvironmentValues(config, variables, from, to) {
+  const sourceValues = variables[from] || {};
+  const targetValues = variables[to] || {};
+  const byValue = new Map(Object.entries(sourceValues).map(([name, value]) => [value, name]));
+  const substitutions = [];
+  const missing = new Set();
+
+  const substitute = (value, fieldPath) => {
+    if (typeof value === 'string' && byValue.has(value)) {
+      const variable = byValue.get(value);
+      if (targetValues[variable] === undefined) {
+        missing.add(variable);
+        return value;
+      }
+      substitutions.push({ variable, path: fieldPath, from: value, to: targetValues[variable] });
+      return targetValues[variable];
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, index) => substitute(item, `${fieldPath}[${index}]`));
+    }
+    if (isObject(value)) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => (
+        [key, substitute(item, fieldPath ? `${fieldPath}.${key}` : key)]
+      )));
+    }
+    return value;
+  };
+
+  const substituted = substitute(config, '');
+
+  if (missing.size > 0) {
+    throw new VapiError(
+      `No ${to} value for variables used by the assistant: ${[...missing].join(', ')}`,
+      ERROR_CODES.VALIDATION_ERROR,
+      { missing: [...missing], from, to }
+    );
+  }
+  return { config: substituted, substitutions };
+}
+
+/**
+ * Work out what promoting an assistant to another environment would do
+ * The target is the assistant in that environment with the same promotion key.
+ * @param {Object} source - Assistant to promote
+ * @param {Array<Object>} assistants - Every assistant in the workspace
+ * @param {Object} [options] - Options
+ * @param {string} [options.to] - Target environment (defaults to the next one)
+ * @param {EnvironmentVariables} [options.variables={}] - Per-environment values
+ * @returns {PromotionPlan} Plan
+ */
+function planPromotion(source, assistants, options = {}) {
+  const from = source.metadata?.environment;
+  const to = options.to || nextEnvironment(from);
+
+  if (!ENVIRONMENTS.includes(from)) {
+    throw new VapiError(
+      `Assistant ${source.id} has no known environment (metadata.environment is "${from}")`,
+      ERROR_CODES.VALIDATION_ERROR,
+      { assistantId: source.id, environment: from }
+    );
+  }
+  if (!to || ENVIRONMENTS.indexOf(to) <= ENVIRONMENTS.indexOf(from)) {
+    throw new VapiError(
+      `Cannot promote assistant ${source.id} from ${from}${to ? ` to ${to}` : ''}`,
+      ERROR_CODES.VALIDATION_ERROR,
+      { assistantId: source.id, from, to }
+    );
+  }
+
+  const promotionKey = getPromotionKey(source);
+  const target = assistants.find(assistant => (
+    assistant.id !== source.id &&
+    assistant.metadata?.environment === to &&
+    getPromotionKey(assistant) === promotionKey
+  ));
+
+  const { config: substituted, substitutions } = substituteEnvironmentValues(
+    toPortableConfig(source),
+    validateEnvironmentVariables(options.variables || {}),
+    from,
+    to
+  );
+  // The copy is linked by promotionKey; keeping the manifest id would let manifest sync claim it too
+  const metadata = { ...substituted.metadata };
+  delete metadata[MANIFEST_ID_KEY];
+  const config = {
+    ...substituted,
+    metadata: { ...metadata, environment: to, promotionKey, promotedFrom: source.id }
+  };
+
+  const changes = diffConfig(config, target || {});
+  let action = 'create';
+  if (target) {
+    action = changes.length > 0 ? 'update' : 'unchanged';
+  }
+
+  return {
+    action,
+    promotionKey,
+    from,
+    to,
+    sourceId: source.id,
+    ...(target && { targetId: target.id }),
+    config,
+    changes,
+    substitutions
+  };
+}
+
+/**
+ * Render a value for plan output
+ * @private
+ */
+function formatValue(value) {
+  if (value === undefined) return '(unset)';
+  const text = JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * Render a promotion plan as human-readable text
+ * @param {PromotionPlan} plan - Plan
+ * @returns {string} Plan description
+ */
+function formatPromotionPlan(plan) {
+  const target = plan.targetId ? ` [${plan.targetId}]` : '';
+  const lines = [`${plan.action} ${plan.promotionKey}: ${plan.from} [${plan.sourceId}] -> ${plan.to}${target}`];
+
+  for (const { variable, path: fieldPath } of plan.substitutions) {
+    lines.push(`    ${fieldPath}: substituted ${variable}`);
+  }
+  for (const change of plan.changes) {
+    lines.push(`    ${change.path}: ${formatValue(change.from)} -> ${formatValue(change.to)}`);
+  }
+
+  return lines.join('\n');
+}
+
+export {
+  ENVIRONMENTS,
+  nextEnvironment,
+  getPromotionKey,
+  validateEnvironmentVariables,
+  loadEnvironmentVariables,
+  substituteEnvironmentValues,
+  planPromotion,
+  formatPromotionPlan
+};
@@ -0,0 +1,153 @@
+import { suggest } from '../utils/assistantSchema.js';
+import { VapiError, ERROR_CODES } from '../utils/errorHandler.js';
+
+/**
+ * Assistant query
+ * Every given criterion must match. Criteria that accept a list match any of
+ * its values, except `tags`, which requires every tag.
+ * @typedef {Object} AssistantQuery
+ * @property {string|RegExp} [name] - Exact name, glob pattern (`*`, `?`; case-insensitive) or RegExp
+ * @property {string|Array<string>} [tags] - metadata.tags must include all of these
+ * @property {string|Array<string>} [anyTags] - metadata.tags must include at least one of these
+ * @property {string|Array<string>} [environment] - metadata.environment
+ * @property {string|Array<string>} [teamId] - metadata.teamId
+ * @property {string|Array<string>} [model] - model.model
+ * @property {string|Array<string>} [modelProvider] - model.provider
+ * @property {string|Array<string>} [voiceProvider] - voice.provider
+ * @property {Date|string} [createdAfter] - Created at or after this time
+ * @property {Date|string} [createdBefore] - Created before this time
+ * @property {Object} [metadata] - Other metadata fields that must equal the given values
+ */
+
+const QUERY_KEYS = [
+  'name',
+  'tags',
+  'anyTags',
+  'environment',
+  'teamId',
+  'model',
+  'modelProvider',
+  'voiceProvider',
+  'createdAfter',
+  'createdBefore',
+  'metadata'
+];
+
+/**
+ * Values a list-valued criterion accepts
+ * @private
+ */
+const toList = value => (Array.isArray(value) ? value : [value]);
+
+/**
+ * Build a name matcher
+ * @private
+ */
+function compileName(name) {
+  if (name instanceof RegExp) {
+    return value => typeof value === 'string' && name.test(value);
+  }
+  if (/[*?]/.test(name)) {
+    const source = name
+      .split('')
+      .map(char => {
+        if (char === '*') return '.*';
+        if (char === '?') return '.';
+        return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+    const pattern = new RegExp(`^${source}$`, 'i');
+    return value => typeof value === 'string' && pattern.test(value);
+  }
+  return value => value === name;
+}
+
+/**
+ * Parse a date bound
+ * @private
+ */
+function toTime(value, key) {
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) {
+    throw new VapiError(`Invalid date for ${key}: ${value}`, ERROR_CODES.VALIDATION_ERROR, { key, value });
+  }
+  return time;
+}
+
+/**
+ * Compile a query into a predicate
+ * The query is checked once, so unknown criteria fail fast instead of matching everything.
+ * @param {AssistantQuery} [query] - Query
+ * @returns {Function} (assistant) => boolean
+ */
+function compileAssistantQuery(query = {}) {
+  const unknown = Object.keys(query).filter(key => !QUERY_KEYS.includes(key));
+  if (unknown.length > 0) {
+    const hints = unknown.map(key => {
+      const suggestion = suggest(key, QUERY_KEYS);
+      return suggestion ? `${key} (did you mean "${suggestion}"?)` : key;
+    });
+    throw new VapiError(
+      `Unknown assistant query field(s): ${hints.join(', ')}`,
+      ERROR_CODES.VALIDATION_ERROR,
+      { unknown, allowed: QUERY_KEYS }
+    );
+  }
+
+  const checks = [];
+  const oneOf = (key, read) => {
+    if (query[key] === undefined) return;
+    const allowed = toList(query[key]);
+    checks.push(assistant => allowed.includes(read(assistant)));
+  };
+
+  if (query.name !== undefined) {
+    const matchName = compileName(query.name);
+    checks.push(assistant => matchName(assistant.name));
+  }
+
+  if (query.tags !== undefined) {
+    const required = toList(query.tags);
+    checks.push(({ metadata }) => required.every(tag => (metadata?.tags || []).includes(tag)));
+  }
+
+  if (query.anyTags !== undefined) {
+    const wanted = toList(query.anyTags);
+    checks.push(({ metadata }) => wanted.some(tag => (metadata?.tags || []).includes(tag)));
+  }
+
+  oneOf('environment', assistant => assistant.metadata?.environment);
+  oneOf('teamId', assistant => assistant.metadata?.teamId);
+  oneOf('model', assistant => assistant.model?.model);
+  oneOf('modelProvider', assistant => assistant.model?.provider);
+  oneOf('voiceProvider', assistant => assistant.voice?.provider);
+
+  if (query.createdAfter !== undefined) {
+    const after = toTime(query.createdAfter, 'createdAfter');
+    checks.push(({ createdAt }) => Boolean(createdAt) && new Date(createdAt).getTime() >= after);
+  }
+
+  if (query.createdBefore !== undefined) {
+    const before = toTime(query.createdBefore, 'createdBefore');
+    checks.push(({ createdAt }) => Boolean(createdAt) && new Date(createdAt).getTime() < before);
+  }
+
+  if (query.metadata !== undefined) {
+    const expected = Object.entries(query.metadata);
+    checks.push(({ metadata }) => expected.every(([key, value]) => metadata?.[key] === value));
+  }
+
+  return assistant => checks.every(check => check(assistant));
+}
+
+/**
+ * Filter assistants with a query
+ * @param {Array<Object>} assistants - Assistants
+ * @param {AssistantQuery} [query] - Query
+ * @returns {Array<Object>} Matching assistants, in their original order
+ */
+function queryAssistants(assistants, query = {}) {
+  return assistants.filter(compileAssistantQuery(query));
+}
+
+export { QUERY_KEYS, compileAssistantQuery, queryAssistants };
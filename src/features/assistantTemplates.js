@@ -0,0 +1,334 @@
+import { isObject } from '../utils/agentConfig.js';
+import { VapiError, ERROR_CODES } from '../utils/errorHandler.js';
+
+// {{variableName}} with optional inner whitespace
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+const WHOLE_PLACEHOLDER_PATTERN = /^\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}$/;
+
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Checks for each supported variable type
+ */
+const VARIABLE_TYPES = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean'
+};
+
+/**
+ * Template variable declaration
+ * @typedef {Object} TemplateVariable
+ * @property {string} [type='string'] - string, number, integer or boolean
+ * @property {boolean} [required=false] - Must be provided (ignored when a default is set)
+ * @property {any} [default] - Value used when the variable is not provided
+ * @property {Array} [values] - Allowed values
+ * @property {string} [description] - What the variable is for
+ */
+
+/**
+ * Assistant template
+ * `config` holds assistant config overrides (plus the `systemPrompt` shorthand);
+ * any string in it may contain {{variable}} placeholders.
+ * @typedef {Object} AssistantTemplate
+ * @property {string} name - Unique template name (lowercase, dashes)
+ * @property {string} [description] - What the template is for
+ * @property {Object<string, TemplateVariable>} [variables] - Declared variables
+ * @property {Object} config - Assistant config with placeholders
+ */
+
+/**
+ * Built-in templates
+ */
+const BUILT_IN_TEMPLATES = [
+  {
+    name: 'appointment-reminder',
+    description: 'Calls customers to confirm, reschedule or cancel an upcoming appointment',
+    variables: {
+      companyName: { type: 'string', required: true, description: 'Business placing the call' },
+      businessHours: { type: 'string', default: 'Monday to Friday, 9am to 5pm' },
+      rescheduleNumber: { type: 'string', required: true, description: 'Number customers can call to reschedule' },
+      reminderHoursBefore: { type: 'integer', default: 24 }
+    },
+    config: {
+      name: '{{companyName}} Appointment Reminder',
+      firstMessage: 'Hi! This is a reminder call from {{companyName}} about your upcoming appointment.',
+      systemPrompt: 'You call customers of {{companyName}} about {{reminderHoursBefore}} hours before their ' +
+        'appointment. Confirm the date and time, and offer to reschedule or cancel. If they want to ' +
+        'reschedule outside this call, give them {{rescheduleNumber}}; the office is open {{businessHours}}. ' +
+        'Keep the call short and friendly.',
+      model: { temperature: 0.3 },
+      endCallFunctionEnabled: true,
+      maxDurationSeconds: 300
+    }
+  },
+  {
+    name: 'customer-support',
+    description: 'Answers inbound support questions and hands off to a human when needed',
+    variables: {
+      companyName: { type: 'string', required: true },
+      productName: { type: 'string', required: true },
+      businessHours: { type: 'string', default: 'Monday to Friday, 9am to 5pm' },
+      supportTone: { type: 'string', default: 'friendly', values: ['friendly', 'formal', 'concise'] }
+    },
+    config: {
+      name: '{{companyName}} Support',
+      firstMessage: 'Thanks for calling {{companyName}} support. How can I help you with {{productName}} today?',
+      systemPrompt: 'You are a {{supportTone}} support agent for {{productName}} by {{companyName}}. ' +
+        'Answer questions accurately and say so when you do not know. Human agents are available ' +
+        '{{businessHours}}; offer a handoff when the caller asks for one.',
+      model: { temperature: 0.5 }
+    }
+  },
+  {
+    name: 'lead-qualification',
+    description: 'Qualifies inbound or outbound sales leads with a short set of questions',
+    variables: {
+      companyName: { type: 'string', required: true },
+      productName: { type: 'string', required: true },
+      qualifyingQuestions: { type: 'string', required: true, description: 'Questions to ask, in order' }
+    },
+    config: {
+      name: '{{companyName}} Lead Qualification',
+      firstMessage: 'Hi! This is {{companyName}} following up on your interest in {{productName}}.',
+      systemPrompt: 'You qualify sales leads for {{productName}} by {{companyName}}. Ask these questions ' +
+        'one at a time and note the answers: {{qualifyingQuestions}}. Do not quote prices or make commitments.',
+      model: { temperature: 0.4 }
+    }
+  }
+];
+
+/**
+ * Collect the placeholder names used anywhere in a value
+ * @private
+ */
+function collectPlaceholders(value, found = new Set()) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(PLACEHOLDER_PATTERN)) {
+      found.add(match[1]);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectPlaceholders(item, found));
+  } else if (isObject(value)) {
+    Object.values(value).forEach(item => collectPlaceholders(item, found));
+  }
+  return found;
+}
+
+/**
+ * Replace placeholders in a value
+ * A string that is exactly one placeholder takes the variable's typed value.
+ * @private
+ */
+function substitute(value, variables) {
+  if (typeof value === 'string') {
+    const whole = value.match(WHOLE_PLACEHOLDER_PATTERN);
+    if (whole) {
+      return variables[whole[1]];
+    }
+    return value.replace(PLACEHOLDER_PATTERN, (match, name) => String(variables[name]));
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => substitute(item, variables));
+  }
+  if (isObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, substitute(item, variables)]));
+  }
+  return value;
+}
+
+/**
+ * Check one value against its declaration
+ * @private
+ */
+function checkVariable(name, definition, value) {
+  const type = definition.type || 'string';
+  if (!VARIABLE_TYPES[type](value)) {
+    return `${name} must be a ${type}, got ${JSON.stringify(value)}`;
+  }
+  if (definition.values && !definition.values.includes(value)) {
+    return `${name} must be one of: ${definition.values.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Template Registry
+ * Holds named assistant templates and renders them into assistant config
+ * overrides once every placeholder has a valid value.
+ */
+class TemplateRegistry {
+  /**
+   * Create a new TemplateRegistry
+   * @param {Object} [options] - Configuration options
+   * @param {Array<AssistantTemplate>} [options.templates] - Templates to register
+   * @param {boolean} [options.builtIns=true] - Register the built-in templates
+   */
+  constructor(options = {}) {
+    const { templates = [], builtIns = true } = options;
+    this.templates = new Map();
+
+    for (const template of [...(builtIns ? BUILT_IN_TEMPLATES : []), ...templates]) {
+      this.register(template, { replace: true });
+    }
+  }
+
+  /**
+   * Register a template
+   * @param {AssistantTemplate} template - Template
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.replace=false] - Replace an existing template with the same name
+   * @returns {AssistantTemplate} The registered template
+   */
+  register(template, options = {}) {
+    const errors = [];
+    const { name, variables = {}, config } = template || {};
+
+    if (typeof name !== 'string' || !TEMPLATE_NAME_PATTERN.test(name)) {
+      errors.push('name must be lowercase letters, digits and dashes');
+    } else if (this.templates.has(name) && !options.replace) {
+      errors.push(`a template named "${name}" is already registered`);
+    }
+
+    if (!isObject(config)) {
+      errors.push('config must be an object');
+    }
+
+    for (const [variable, definition] of Object.entries(variables)) {
+      const type = definition.type || 'string';
+      if (!VARIABLE_TYPES[type]) {
+        errors.push(`variable ${variable} has unknown type "${type}"`);
+      } else if (definition.default !== undefined) {
+        const problem = checkVariable(variable, definition, definition.default);
+        if (problem) errors.push(`default for ${problem}`);
+      }
+    }
+
+    for (const placeholder of collectPlaceholders(config)) {
+      if (!(placeholder in variables)) {
+        errors.push(`placeholder {{${placeholder}}} is not a declared variable`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new VapiError(
+        `Invalid template ${name || '(unnamed)'}:\n- ${errors.join('\n- ')}`,
+        ERROR_CODES.INVALID_TEMPLATE,
+        { template: name, errors }
+      );
+    }
+
+    const registered = { description: '', ...template, variables };
+    this.templates.set(name, registered);
+    return registered;
+  }
+
+  /**
+   * Get a template by name
+   * @param {string} name - Template name
+   * @returns {AssistantTemplate} The template
+   */
+  get(name) {
+    const template = this.templates.get(name);
+    if (!template) {
+      throw new VapiError(
+        `Template not found: ${name}`,
+        ERROR_CODES.TEMPLATE_NOT_FOUND,
+        { template: name, available: Array.from(this.templates.keys()) }
+      );
+    }
+    return template;
+  }
+
+  /**
+   * Check whether a template is registered
+   * @param {string} name - Template name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.templates.has(name);
+  }
+
+  /**
+   * List registered templates
+   * @returns {Array<{name: string, description: string, variables: Object}>} Templates
+   */
+  list() {
+    return Array.from(this.templates.values()).map(({ name, description, variables }) => ({
+      name,
+      description,
+      variables
+    }));
+  }
+
+  /**
+   * Render a template into assistant config overrides
+   * Every declared variable is validated and every placeholder must end up filled;
+   * all problems are reported together.
+   * @param {string} name - Template name
+   * @param {Object} [values] - Variable values
+   * @returns {Object} Assistant config overrides (may include systemPrompt)
+   */
+  render(name, values = {}) {
+    const template = this.get(name);
+    const errors = [];
+    const resolved = {};
+
+    for (const [variable, definition] of Object.entries(template.variables)) {
+      const value = values[variable] !== undefined ? values[variable] : definition.default;
+
+      if (value === undefined) {
+        if (definition.required) {
+          errors.push({ variable, message: `${variable} is required` });
+        }
+        continue;
+      }
+
+      const problem = checkVariable(variable, definition, value);
+      if (problem) {
+        errors.push({ variable, message: problem });
+        continue;
+      }
+      resolved[variable] = value;
+    }
+
+    for (const variable of Object.keys(values)) {
+      if (!(variable in template.variables)) {
+        errors.push({ variable, message: `${variable} is not a variable of this template` });
+      }
+    }
+
+    // Optional variables without a value are fine only if nothing uses them
+    for (const placeholder of collectPlaceholders(template.config)) {
+      if (!(placeholder in resolved) && !errors.some(e => e.variable === placeholder)) {
+        errors.push({ variable: placeholder, message: `{{${placeholder}}} has no value` });
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new VapiError(
+        `Cannot render template ${name}:\n- ${errors.map(e => e.message).join('\n- ')}`,
+        ERROR_CODES.INVALID_TEMPLATE,
+        { template: name, errors }
+      );
+    }
+
+    return substitute(template.config, resolved);
+  }
+}
+
+let defaultRegistry = null;
+
+/**
+ * Get the shared registry, preloaded with the built-in templates
+ * @returns {TemplateRegistry}
+ */
+function getTemplateRegistry() {
+  if (!defaultRegistry) {
+    defaultRegistry = new TemplateRegistry();
+  }
+  return defaultRegistry;
+}
+
+export { TemplateRegistry, BUILT_IN_TEMPLATES, getTemplateRegistry };
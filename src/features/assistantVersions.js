@@ -0,0 +1,121 @@
+import path from 'path';
+import { MemoryStore, FileStore } from './cacheStores.js';
+import { stripReadOnlyFields } from '../utils/agentConfig.js';
+import { VapiError, ERROR_CODES } from '../utils/errorHandler.js';
+import { getDefaultLogger } from '../utils/logger.js';
+
+/**
+ * Snapshot of an assistant's configuration before a change
+ * @typedef {Object} AssistantVersion
+ * @property {number} version - Version number, increasing per assistant
+ * @property {string} assistantId - Assistant id
+ * @property {string} createdAt - ISO timestamp of the snapshot
+ * @property {string} reason - What replaced this configuration ('update' or 'rollback')
+ * @property {Object} config - Assistant configuration without read-only fields
+ */
+
+/**
+ * Assistant Version Store
+ * Keeps a bounded history of assistant configurations in a local store so
+ * earlier versions can be listed and restored.
+ */
+class AssistantVersionStore {
+  /**
+   * Create a new AssistantVersionStore
+   * @param {Object} [options] - Configuration options
+   * @param {string} [options.store='file'] - Built-in store: 'file' or 'memory'
+   * @param {string} [options.directory] - Directory for the file store
+   * @param {Function} [options.createStore] - Custom store factory: (name, { maxSize }) => CacheStore
+   * @param {number} [options.maxVersions=50] - Versions kept per assistant; oldest are dropped first
+   * @param {Object} [options.logger] - Logger (defaults to the shared SDK logger)
+   */
+  constructor(options = {}) {
+    const { store = 'file', directory, createStore, maxVersions = 50 } = options;
+
+    if (typeof createStore === 'function') {
+      this.store = createStore('assistantVersions', { maxSize: Infinity });
+    } else if (store === 'file') {
+      const baseDir = directory || path.join(process.cwd(), '.vapi-versions');
+      this.store = new FileStore({ filePath: path.join(baseDir, 'assistants.json') });
+    } else if (store === 'memory') {
+      this.store = new MemoryStore();
+    } else {
+      throw new VapiError(`Unknown version store: ${store}`, ERROR_CODES.INVALID_CONFIG, { store });
+    }
+
+    this.maxVersions = maxVersions;
+    this.logger = options.logger || getDefaultLogger().child({ subsystem: 'versions' });
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Record a snapshot of an assistant
+   * @param {string} assistantId - Assistant id
+   * @param {Object} assistant - Assistant configuration to keep
+   * @param {Object} [options] - Options
+   * @param {string} [options.reason='update'] - What is about to replace this configuration
+   * @returns {Promise<AssistantVersion>} The stored version
+   */
+  record(assistantId, assistant, options = {}) {
+    // Serialize read-modify-write cycles so concurrent updates get distinct versions
+    const recording = this.writing.catch(() => {}).then(async () => {
+      const versions = await this.list(assistantId);
+      const snapshot = {
+        version: versions.length > 0 ? versions[versions.length - 1].version + 1 : 1,
+        assistantId,
+        createdAt: new Date().toISOString(),
+        reason: options.reason || 'update',
+        config: stripReadOnlyFields(assistant)
+      };
+
+      const kept = [...versions, snapshot].slice(-this.maxVersions);
+      await this.store.set(assistantId, { versions: kept });
+      this.logger.debug('Assistant version recorded', { assistantId, version: snapshot.version });
+      return snapshot;
+    });
+
+    this.writing = recording;
+    return recording;
+  }
+
+  /**
+   * List stored versions of an assistant, oldest first
+   * @param {string} assistantId - Assistant id
+   * @returns {Promise<Array<AssistantVersion>>} Versions
+   */
+  async list(assistantId) {
+    const entry = await this.store.get(assistantId);
+    return entry ? entry.versions : [];
+  }
+
+  /**
+   * Get a single stored version
+   * @param {string} assistantId - Assistant id
+   * @param {number} version - Version number
+   * @returns {Promise<AssistantVersion>} The version
+   */
+  async get(assistantId, version) {
+    const versions = await this.list(assistantId);
+    const match = versions.find(v => v.version === Number(version));
+
+    if (!match) {
+      throw new VapiError(
+        `Version ${version} of assistant ${assistantId} not found`,
+        ERROR_CODES.VERSION_NOT_FOUND,
+        { assistantId, version, available: versions.map(v => v.version) }
+      );
+    }
+    return match;
+  }
+
+  /**
+   * Remove the history of an assistant
+   * @param {string} assistantId - Assistant id
+   * @returns {Promise<boolean>} True if any history was removed
+   */
+  async clear(assistantId) {
+    return this.store.delete(assistantId);
+  }
+}
+
+export default AssistantVersionStore;
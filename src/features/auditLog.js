@@ -0,0 +1,127 @@
+import os from 'os';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { MemoryStore, FileStore } from './cacheStores.js';
+import { VapiError, ERROR_CODES } from '../utils/errorHandler.js';
+import { getDefaultLogger } from '../utils/logger.js';
+
+/**
+ * Audit log entry
+ * @typedef {Object} AuditEntry
+ * @property {string} id - Unique entry id
+ * @property {string} type - What happened, e.g. 'assistant.promoted'
+ * @property {string} actor - Who did it
+ * @property {string} at - ISO timestamp
+ * @property {Object} details - Event-specific details
+ */
+
+/**
+ * Name of the person or process making changes
+ * @returns {string}
+ */
+function getDefaultActor() {
+  try {
+    return os.userInfo().username || 'unknown';
+  } catch {
+    return 'unknown';
+  }
+}
+
+/**
+ * Audit Log
+ * Append-only record of who changed what and when, kept in a local store.
+ */
+class AuditLog {
+  /**
+   * Create a new AuditLog
+   * @param {Object} [options] - Configuration options
+   * @param {string} [options.name='audit'] - Log name; file logs are written to <directory>/<name>.json
+   * @param {string} [options.store='file'] - Built-in store: 'file' or 'memory'
+   * @param {string} [options.directory] - Directory for the file store
+   * @param {Function} [options.createStore] - Custom store factory: (name, { maxSize }) => CacheStore
+   * @param {number} [options.maxEntries=10000] - Entries kept; oldest are dropped first
+   * @param {string} [options.actor] - Actor recorded when append() is not given one (defaults to the OS user)
+   * @param {Object} [options.logger] - Logger (defaults to the shared SDK logger)
+   */
+  constructor(options = {}) {
+    const { name = 'audit', store = 'file', directory, createStore, maxEntries = 10000 } = options;
+
+    if (typeof createStore === 'function') {
+      this.store = createStore(name, { maxSize: Infinity });
+    } else if (store === 'file') {
+      const baseDir = directory || path.join(process.cwd(), '.vapi-audit');
+      this.store = new FileStore({ filePath: path.join(baseDir, `${name}.json`) });
+    } else if (store === 'memory') {
+      this.store = new MemoryStore();
+    } else {
+      throw new VapiError(`Unknown audit store: ${store}`, ERROR_CODES.INVALID_CONFIG, { store });
+    }
+
+    this.name = name;
+    this.maxEntries = maxEntries;
+    this.actor = options.actor || null;
+    this.logger = options.logger || getDefaultLogger().child({ subsystem: 'audit' });
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Record an event
+   * @param {string} type - What happened
+   * @param {Object} [details] - Event-specific details
+   * @param {Object} [options] - Options
+   * @param {string} [options.actor] - Who did it
+   * @returns {Promise<AuditEntry>} The stored entry
+   */
+  append(type, details = {}, options = {}) {
+    // Serialize read-modify-write cycles so concurrent appends are all kept
+    const appending = this.writing.catch(() => {}).then(async () => {
+      const entry = {
+        id: randomUUID(),
+        type,
+        actor: options.actor || this.actor || getDefaultActor(),
+        at: new Date().toISOString(),
+        details
+      };
+
+      const entries = await this._read();
+      await this.store.set('entries', { entries: [...entries, entry].slice(-this.maxEntries) });
+      this.logger.info('Audit entry recorded', { log: this.name, type, actor: entry.actor });
+      return entry;
+    });
+
+    this.writing = appending;
+    return appending;
+  }
+
+  /**
+   * List entries, oldest first
+   * @param {Object} [filter] - Filter
+   * @param {string} [filter.type] - Only entries of this type
+   * @param {string} [filter.actor] - Only entries by this actor
+   * @param {Date|string} [filter.since] - Only entries at or after this time
+   * @param {Function} [filter.match] - (entry) => boolean
+   * @returns {Promise<Array<AuditEntry>>} Entries
+   */
+  async list(filter = {}) {
+    await this.writing.catch(() => {});
+    const since = filter.since ? new Date(filter.since).getTime() : null;
+
+    return (await this._read()).filter(entry => (
+      (!filter.type || entry.type === filter.type) &&
+      (!filter.actor || entry.actor === filter.actor) &&
+      (since === null || new Date(entry.at).getTime() >= since) &&
+      (!filter.match || filter.match(entry))
+    ));
+  }
+
+  /**
+   * Read every stored entry
+   * @private
+   */
+  async _read() {
+    const stored = await this.store.get('entries');
+    return stored ? stored.entries : [];
+  }
+}
+
+export { AuditLog, getDefaultActor };
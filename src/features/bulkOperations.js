@@ -0,0 +1,196 @@
+import { compileAssistantQuery } from './assistantQuery.js';
+import { isObject } from '../utils/agentConfig.js';
+import { diffConfig } from '../utils/diff.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { retry } from '../utils/retry.js';
+import { VapiError, ERROR_CODES } from '../utils/errorHandler.js';
+import { getDefaultLogger } from '../utils/logger.js';
+
+/**
+ * Selects the assistants a bulk operation applies to: a query (see
+ * findAssistants), a list of assistant ids, or a predicate.
+ * @typedef {Object|Array<string>|Function} AssistantSelector
+ */
+
+/**
+ * Bulk operation options
+ * @typedef {Object} BulkOptions
+ * @property {number} [concurrency=5] - Assistants processed at once
+ * @property {number} [retries=2] - Extra attempts after a retryable failure
+ * @property {number} [retryDelay=1000] - Initial retry delay in milliseconds (doubles each attempt)
+ * @property {boolean} [dryRun=false] - Report what would change without changing anything
+ */
+
+/**
+ * Result for one assistant
+ * @typedef {Object} BulkResult
+ * @property {string} assistantId - Assistant id
+ * @property {string} [name] - Assistant name
+ * @property {string} status - planned (dry run), succeeded, unchanged or failed
+ * @property {number} attempts - API attempts made
+ * @property {Array<{path: string, from: any, to: any}>} [changes] - Field changes (updates only)
+ * @property {Error} [error] - Why the assistant failed
+ */
+
+// Client errors other than rate limiting will fail the same way again
+const NON_RETRYABLE_CODES = [
+  ERROR_CODES.VALIDATION_ERROR,
+  ERROR_CODES.NOT_FOUND,
+  ERROR_CODES.UNAUTHORIZED,
+  ERROR_CODES.INVALID_API_KEY
+];
+
+/**
+ * Whether a failed call is worth repeating
+ * @param {Error} error - Error from the API call
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  if (error instanceof VapiError) {
+    return !NON_RETRYABLE_CODES.includes(error.code);
+  }
+  const status = error.statusCode ?? error.status ?? error.response?.status;
+  return !status || status >= 500 || status === 429;
+}
+
+/**
+ * Pick the assistants a selector refers to
+ * @param {Array<Object>} assistants - Every assistant
+ * @param {AssistantSelector} selector - Selector
+ * @returns {{selected: Array<Object>, missing: Array<string>}} Matches, and requested ids that do not exist
+ */
+function resolveSelector(assistants, selector) {
+  if (Array.isArray(selector)) {
+    const byId = new Map(assistants.map(assistant => [assistant.id, assistant]));
+    return {
+      selected: selector.filter(id => byId.has(id)).map(id => byId.get(id)),
+      missing: selector.filter(id => !byId.has(id))
+    };
+  }
+  if (typeof selector === 'function') {
+    return { selected: assistants.filter(selector), missing: [] };
+  }
+  if (isObject(selector)) {
+    return { selected: assistants.filter(compileAssistantQuery(selector)), missing: [] };
+  }
+  throw new VapiError(
+    'A bulk selector must be a query object, an array of assistant ids or a function',
+    ERROR_CODES.VALIDATION_ERROR
+  );
+}
+
+/**
+ * Build the update that sets one (possibly nested) field
+ * The API replaces top-level objects, so the rest of the object is kept.
+ * @param {Object} assistant - Current assistant
+ * @param {string} path - Dot path, e.g. voice.voiceId
+ * @param {any|Function} value - New value, or (currentValue, assistant) => new value
+ * @returns {Object} Top-level update
+ */
+function buildFieldPatch(assistant, path, value) {
+  const keys = path.split('.');
+  const current = keys.reduce((node, key) => node?.[key], assistant);
+  const next = typeof value === 'function' ? value(current, assistant) : value;
+
+  const setIn = (node, [key, ...rest]) => {
+    const base = isObject(node) ? node : {};
+    return { ...base, [key]: rest.length === 0 ? next : setIn(base[key], rest) };
+  };
+
+  const [topKey] = keys;
+  return { [topKey]: setIn(assistant, keys)[topKey] };
+}
+
+/**
+ * Build the update that adds and removes metadata tags
+ * @param {Object} assistant - Current assistant
+ * @param {Object} tags - Tag changes
+ * @param {Array<string>} [tags.add] - Tags to add
+ * @param {Array<string>} [tags.remove] - Tags to remove
+ * @returns {Object} Metadata update
+ */
+function buildRetag(assistant, { add = [], remove = [] } = {}) {
+  const current = assistant.metadata?.tags || [];
+  const tags = [...new Set([...current.filter(tag => !remove.includes(tag)), ...add])];
+  return { metadata: { ...assistant.metadata, tags } };
+}
+
+/**
+ * Run one operation over many assistants
+ * Each assistant is planned first; unchanged ones are skipped, the rest are
+ * applied (unless dryRun) with bounded concurrency and retries.
+ * @param {Array<Object>} assistants - Selected assistants
+ * @param {Object} operation - Operation
+ * @param {string} operation.action - update or delete (for the report)
+ * @param {Function} [operation.plan] - (assistant) => updates, or null when nothing changes
+ * @param {Function} operation.apply - async (assistant, updates) => any
+ * @param {BulkOptions & {logger: Object, missing: Array<string>}} [options] - Options
+ * @returns {Promise<{action: string, dryRun: boolean, results: Array<BulkResult>, summary: Object, failedIds: Array<string>}>} Report
+ */
+async function runBulkOperation(assistants, operation, options = {}) {
+  const {
+    concurrency = 5,
+    retries = 2,
+    retryDelay = 1000,
+    dryRun = false,
+    missing = [],
+    logger = getDefaultLogger().child({ subsystem: 'bulk' })
+  } = options;
+  const { action, plan, apply } = operation;
+
+  const processed = await mapWithConcurrency(assistants, concurrency, async (assistant) => {
+    const result = { assistantId: assistant.id, name: assistant.name, attempts: 0 };
+
+    let updates = null;
+    try {
+      if (plan) {
+        updates = plan(assistant);
+        result.changes = updates ? diffConfig(updates, assistant) : [];
+        if (result.changes.length === 0) {
+          return { ...result, status: 'unchanged' };
+        }
+      }
+    } catch (error) {
+      return { ...result, status: 'failed', error };
+    }
+
+    if (dryRun) {
+      return { ...result, status: 'planned' };
+    }
+
+    try {
+      await retry(() => {
+        result.attempts++;
+        return apply(assistant, updates);
+      }, { maxRetries: retries + 1, initialDelay: retryDelay, shouldRetry: isRetryable, logger });
+      return { ...result, status: 'succeeded' };
+    } catch (error) {
+      logger.error('Bulk operation failed for assistant', { action, assistantId: assistant.id, error });
+      return { ...result, status: 'failed', error };
+    }
+  });
+
+  const results = [
+    ...processed,
+    ...missing.map(assistantId => ({
+      assistantId,
+      status: 'failed',
+      attempts: 0,
+      error: new VapiError(`Assistant not found: ${assistantId}`, ERROR_CODES.NOT_FOUND, { assistantId })
+    }))
+  ];
+
+  const summary = { total: results.length, planned: 0, succeeded: 0, unchanged: 0, failed: 0 };
+  results.forEach(({ status }) => summary[status]++);
+
+  return {
+    action,
+    dryRun,
+    results,
+    summary,
+    // Pass these back as the selector to retry just the failures
+    failedIds: results.filter(r => r.status === 'failed').map(r => r.assistantId)
+  };
+}
+
+export { isRetryable, resolveSelector, buildFieldPatch, buildRetag, runBulkOperation };
@@ -0,0 +1,386 @@
+import EventEmitter from 'events';
+import path from 'path';
+import { MemoryStore, FileStore } from './cacheStores.js';
+import { VapiError, ERROR_CODES } from '../utils/errorHandler.js';
+import { getDefaultLogger } from '../utils/logger.js';
+
+/**
+ * Default cache namespaces
+ * Entity namespaces hold single objects keyed by id; *Lists namespaces hold
+ * API list responses keyed by their query.
+ */
+const DEFAULT_NAMESPACES = {
+  assistants: { ttl: 5 * 60 * 1000, maxSize: 1000 }, // 5 minutes
+  assistantLists: { ttl: 5 * 60 * 1000, maxSize: 100 },
+  phoneNumbers: { ttl: 30 * 60 * 1000, maxSize: 1000 }, // 30 minutes
+  phoneNumberLists: { ttl: 30 * 60 * 1000, maxSize: 50 },
+  calls: { ttl: 24 * 60 * 60 * 1000, maxSize: 1000 }, // 24 hours
+  recordings: { ttl: 7 * 24 * 60 * 60 * 1000, maxSize: 1000 } // 7 days
+};
+
+/**
+ * Cache Manager
+ * Namespaced cache with per-namespace TTLs and size caps over a pluggable store.
+ * Concurrent fetches for the same key share one in-flight request, and
+ * namespaces can opt into stale-while-revalidate.
+ *
+ * Events:
+ * - refresh:failed ({ namespace, key, error }) when a background refresh fails
+ */
+class CacheManager extends EventEmitter {
+  /**
+   * Create a new CacheManager
+   * @param {Object} [options] - Configuration options
+   * @param {string} [options.store='memory'] - Built-in store: 'memory' or 'file'
+   * @param {string} [options.directory] - Directory for the file store
+   * @param {Function} [options.createStore] - Custom store factory: (namespace, { maxSize, onEvict }) => CacheStore
+   * @param {Object<string, {ttl: number, maxSize: number, staleWhileRevalidate: boolean|number}>} [options.namespaces] - Namespace overrides
+   * @param {Object} [options.logger] - Logger (defaults to the shared SDK logger)
+   */
+  constructor(options = {}) {
+    super();
+    this.storeFactory = this._resolveStoreFactory(options);
+    this.logger = options.logger || getDefaultLogger().child({ subsystem: 'cache' });
+    this.namespaces = new Map();
+    this.inFlight = new Map();
+
+    const namespaceOptions = { ...DEFAULT_NAMESPACES };
+    for (const [name, overrides] of Object.entries(options.namespaces || {})) {
+      namespaceOptions[name] = { ...namespaceOptions[name], ...overrides };
+    }
+
+    for (const [name, nsOptions] of Object.entries(namespaceOptions)) {
+      this.defineNamespace(name, nsOptions);
+    }
+  }
+
+  /**
+   * Add (or replace) a namespace
+   * @param {string} name - Namespace name
+   * @param {Object} options - Namespace options
+   * @param {number} options.ttl - Time to live in milliseconds
+   * @param {number} [options.maxSize=Infinity] - Maximum number of entries
+   * @param {boolean|number} [options.staleWhileRevalidate=false] - Serve expired values while
+   *   refreshing in the background; a number limits how long past expiry (ms) that is allowed
+   */
+  defineNamespace(name, { ttl, maxSize = Infinity, staleWhileRevalidate = false }) {
+    const stats = {
+      hits: 0,
+      misses: 0,
+      staleHits: 0,
+      coalesced: 0,
+      sets: 0,
+      deletes: 0,
+      evictions: 0,
+      expirations: 0,
+      refreshFailures: 0
+    };
+    const store = this.storeFactory(name, {
+      maxSize,
+      onEvict: () => { stats.evictions++; }
+    });
+
+    // generation is bumped on invalidation so in-flight fetches don't store outdated results
+    this.namespaces.set(name, { name, ttl, maxSize, staleWhileRevalidate, store, stats, generation: 0 });
+  }
+
+  /**
+   * Read a cached value
+   * @param {string} namespace - Namespace name
+   * @param {string} key - Entry key
+   * @returns {Promise<any>} Cached value or undefined on miss/expiry
+   */
+  async get(namespace, key) {
+    const entry = await this._getEntry(namespace, key);
+    return entry ? entry.value : undefined;
+  }
+
+  /**
+   * Read a cached value, fetching and storing it on miss
+   *
+   * Concurrent calls for the same key share a single fetch. With
+   * stale-while-revalidate, an expired value is returned immediately and
+   * refreshed in the background. If a foreground fetch fails and an expired
+   * value is still stored, that value is served.
+   * @param {string} namespace - Namespace name
+   * @param {string} key - Entry key
+   * @param {Function} fetchFn - Async function producing the value
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.forceRefresh=false] - Skip the cached value
+   * @param {number} [options.ttl] - TTL override for this entry
+   * @param {boolean|number} [options.staleWhileRevalidate] - Override the namespace setting
+   * @returns {Promise<any>} Value
+   */
+  async getOrFetch(namespace, key, fetchFn, options = {}) {
+    const { forceRefresh = false, ttl } = options;
+    const ns = this._ns(namespace);
+
+    if (!forceRefresh) {
+      const entry = await ns.store.get(key);
+
+      if (entry && entry.expiresAt > Date.now()) {
+        ns.stats.hits++;
+        return entry.value;
+      }
+
+      const staleWhileRevalidate = options.staleWhileRevalidate ?? ns.staleWhileRevalidate;
+      if (entry && this._canServeStale(entry, staleWhileRevalidate)) {
+        ns.stats.staleHits++;
+        this._fetch(ns, key, fetchFn, ttl).catch((error) => {
+          ns.stats.refreshFailures++;
+          this.logger.warn('Background cache refresh failed', { namespace, key, error });
+          this.emit('refresh:failed', { namespace, key, error });
+        });
+        return entry.value;
+      }
+
+      ns.stats.misses++;
+    }
+
+    try {
+      return await this._fetch(ns, key, fetchFn, ttl);
+    } catch (error) {
+      const stale = await ns.store.get(key);
+      this.logger.error('Failed to update cache', { namespace, key, error, servedStale: Boolean(stale) });
+      if (!stale) throw error; // Only throw if we don't have cached data
+      return stale.value;
+    }
+  }
+
+  /**
+   * Store a value
+   * @param {string} namespace - Namespace name
+   * @param {string} key - Entry key
+   * @param {any} value - Value to store
+   * @param {Object} [options] - Options
+   * @param {number} [options.ttl] - TTL override for this entry
+   * @returns {Promise<void>}
+   */
+  async set(namespace, key, value, options = {}) {
+    const ns = this._ns(namespace);
+    const now = Date.now();
+
+    await ns.store.set(key, {
+      value,
+      storedAt: now,
+      expiresAt: now + (options.ttl ?? ns.ttl)
+    });
+    ns.stats.sets++;
+  }
+
+  /**
+   * Remove a single entry
+   * @param {string} namespace - Namespace name
+   * @param {string} key - Entry key
+   * @returns {Promise<boolean>} True if an entry was removed
+   */
+  async delete(namespace, key) {
+    const ns = this._ns(namespace);
+    const deleted = await ns.store.delete(key);
+    if (deleted) {
+      ns.stats.deletes++;
+    }
+    return deleted;
+  }
+
+  /**
+   * Invalidate an entry, or a whole namespace when no key is given
+   * @param {string} namespace - Namespace name
+   * @param {string} [key] - Entry key
+   * @returns {Promise<boolean>} True if anything was removed
+   */
+  async invalidate(namespace, key) {
+    const ns = this._ns(namespace);
+    ns.generation++;
+    this._forgetInFlight(ns, key);
+
+    if (key !== undefined) {
+      return this.delete(namespace, key);
+    }
+
+    const size = await ns.store.size();
+    await ns.store.clear();
+    ns.stats.deletes += size;
+    return size > 0;
+  }
+
+  /**
+   * Remove expired entries from every namespace
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async prune() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const ns of this.namespaces.values()) {
+      for (const key of await ns.store.keys()) {
+        const entry = await ns.store.get(key);
+        // Entries still inside the stale-while-revalidate window are kept
+        if (entry && entry.expiresAt <= now && !this._canServeStale(entry, ns.staleWhileRevalidate)) {
+          await ns.store.delete(key);
+          ns.stats.expirations++;
+          removed++;
+        }
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Clear every namespace
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    for (const name of this.namespaces.keys()) {
+      await this.invalidate(name);
+    }
+  }
+
+  /**
+   * Get hit/miss statistics
+   * @param {string} [namespace] - Limit to one namespace
+   * @returns {Promise<Object>} Stats for the namespace, or keyed by namespace
+   */
+  async getStats(namespace) {
+    const describe = async (ns) => {
+      const lookups = ns.stats.hits + ns.stats.misses;
+      return {
+        ...ns.stats,
+        size: await ns.store.size(),
+        maxSize: ns.maxSize,
+        ttl: ns.ttl,
+        hitRate: lookups === 0 ? 0 : ns.stats.hits / lookups
+      };
+    };
+
+    if (namespace) {
+      return describe(this._ns(namespace));
+    }
+
+    const stats = {};
+    for (const ns of this.namespaces.values()) {
+      stats[ns.name] = await describe(ns);
+    }
+    return stats;
+  }
+
+  /**
+   * Read a live entry, counting hits and misses
+   * @private
+   */
+  async _getEntry(namespace, key) {
+    const ns = this._ns(namespace);
+    const entry = await ns.store.get(key);
+
+    if (!entry) {
+      ns.stats.misses++;
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      // Expired entries stay in the store until pruned so failed refreshes can fall back to them
+      ns.stats.misses++;
+      return null;
+    }
+
+    ns.stats.hits++;
+    return entry;
+  }
+
+  /**
+   * Fetch and store a value, sharing the request with concurrent callers
+   * @private
+   */
+  _fetch(ns, key, fetchFn, ttl) {
+    const flightKey = `${ns.name}\u0000${key}`;
+
+    if (this.inFlight.has(flightKey)) {
+      ns.stats.coalesced++;
+      return this.inFlight.get(flightKey);
+    }
+
+    const generation = ns.generation;
+    const request = Promise.resolve()
+      .then(fetchFn)
+      .then(async (value) => {
+        if (ns.generation === generation) {
+          await this.set(ns.name, key, value, { ttl });
+        }
+        return value;
+      })
+      .finally(() => {
+        if (this.inFlight.get(flightKey) === request) {
+          this.inFlight.delete(flightKey);
+        }
+      });
+
+    this.inFlight.set(flightKey, request);
+    return request;
+  }
+
+  /**
+   * Stop sharing in-flight fetches for a key (or a whole namespace)
+   * @private
+   */
+  _forgetInFlight(ns, key) {
+    const prefix = `${ns.name}\u0000`;
+    for (const flightKey of this.inFlight.keys()) {
+      if (key !== undefined ? flightKey === `${prefix}${key}` : flightKey.startsWith(prefix)) {
+        this.inFlight.delete(flightKey);
+      }
+    }
+  }
+
+  /**
+   * Whether an expired entry is still within the stale-while-revalidate window
+   * @private
+   */
+  _canServeStale(entry, staleWhileRevalidate) {
+    if (!staleWhileRevalidate) {
+      return false;
+    }
+    if (staleWhileRevalidate === true) {
+      return true;
+    }
+    return Date.now() - entry.expiresAt <= staleWhileRevalidate;
+  }
+
+  /**
+   * Look up a namespace
+   * @private
+   */
+  _ns(namespace) {
+    const ns = this.namespaces.get(namespace);
+    if (!ns) {
+      throw new VapiError(`Invalid cache namespace: ${namespace}`, ERROR_CODES.CACHE_ERROR, { namespace });
+    }
+    return ns;
+  }
+
+  /**
+   * Turn the store option into a factory
+   * @private
+   */
+  _resolveStoreFactory({ store = 'memory', directory, createStore }) {
+    if (typeof createStore === 'function') {
+      return createStore;
+    }
+
+    if (store === 'file') {
+      const baseDir = directory || path.join(process.cwd(), '.vapi-cache');
+      return (namespace, options) => new FileStore({
+        ...options,
+        filePath: path.join(baseDir, `${namespace}.json`)
+      });
+    }
+
+    if (store === 'memory') {
+      return (namespace, options) => new MemoryStore(options);
+    }
+
+    throw new VapiError(`Unknown cache store: ${store}`, ERROR_CODES.CACHE_ERROR, { store });
+  }
+}
+
+export { CacheManager, DEFAULT_NAMESPACES };
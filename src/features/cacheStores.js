@@ -0,0 +1,195 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { VapiError, ERROR_CODES } from '../utils/errorHandler.js';
+
+/**
+ * Cache store interface
+ *
+ * Stores hold opaque entries ({ value, expiresAt, storedAt }) and know nothing
+ * about TTLs; they only enforce their size cap by evicting the least recently
+ * used entry. Every method is async so stores can be backed by I/O.
+ * @typedef {Object} CacheStore
+ * @property {function(string): Promise<Object|undefined>} get - Read an entry and mark it as recently used
+ * @property {function(string, Object): Promise<void>} set - Write an entry, evicting LRU entries past maxSize
+ * @property {function(string): Promise<boolean>} delete - Remove an entry
+ * @property {function(): Promise<Array<string>>} keys - List keys, least recently used first
+ * @property {function(): Promise<void>} clear - Remove every entry
+ * @property {function(): Promise<number>} size - Number of entries
+ */
+
+/**
+ * In-memory LRU store
+ */
+class MemoryStore {
+  /**
+   * Create a new MemoryStore
+   * @param {Object} [options] - Store options
+   * @param {number} [options.maxSize=Infinity] - Maximum number of entries
+   * @param {Function} [options.onEvict] - Called with (key, entry) when an entry is evicted
+   */
+  constructor(options = {}) {
+    this.maxSize = options.maxSize || Infinity;
+    this.onEvict = options.onEvict || null;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    if (!this.entries.has(key)) {
+      return undefined;
+    }
+
+    // Re-insert to mark as most recently used
+    const entry = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this._evict();
+  }
+
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+
+  async keys() {
+    return Array.from(this.entries.keys());
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Drop least recently used entries until the store fits maxSize
+   * @private
+   */
+  _evict() {
+    while (this.entries.size > this.maxSize) {
+      const [oldestKey, oldestEntry] = this.entries.entries().next().value;
+      this.entries.delete(oldestKey);
+      if (this.onEvict) {
+        this.onEvict(oldestKey, oldestEntry);
+      }
+    }
+  }
+}
+
+/**
+ * File-backed LRU store
+ * Keeps entries in memory and persists them to one JSON file so cached data
+ * survives restarts. Writes are serialized and go through a temp file.
+ */
+class FileStore extends MemoryStore {
+  /**
+   * Create a new FileStore
+   * @param {Object} options - Store options
+   * @param {string} options.filePath - JSON file to persist entries to
+   * @param {number} [options.maxSize=Infinity] - Maximum number of entries
+   * @param {Function} [options.onEvict] - Called with (key, entry) when an entry is evicted
+   */
+  constructor(options = {}) {
+    super(options);
+
+    if (!options.filePath) {
+      throw new VapiError('FileStore requires a filePath', ERROR_CODES.VALIDATION_ERROR);
+    }
+
+    this.filePath = options.filePath;
+    this.loaded = null;
+    this.writing = Promise.resolve();
+  }
+
+  async get(key) {
+    await this._load();
+    return super.get(key);
+  }
+
+  async set(key, entry) {
+    await this._load();
+    await super.set(key, entry);
+    await this._persist();
+  }
+
+  async delete(key) {
+    await this._load();
+    const deleted = await super.delete(key);
+    if (deleted) {
+      await this._persist();
+    }
+    return deleted;
+  }
+
+  async keys() {
+    await this._load();
+    return super.keys();
+  }
+
+  async clear() {
+    await this._load();
+    await super.clear();
+    await this._persist();
+  }
+
+  async size() {
+    await this._load();
+    return super.size();
+  }
+
+  /**
+   * Load persisted entries once
+   * A failed load is retried on the next access instead of being cached.
+   * @private
+   */
+  _load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        try {
+          const content = await fs.readFile(this.filePath, 'utf8');
+          for (const [key, entry] of JSON.parse(content)) {
+            this.entries.set(key, entry);
+          }
+          this._evict();
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            throw new VapiError(
+              `Failed to load cache file: ${error.message}`,
+              ERROR_CODES.CACHE_ERROR,
+              { filePath: this.filePath }
+            );
+          }
+        }
+      })().catch((error) => {
+        this.loaded = null;
+        throw error;
+      });
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Write entries (in LRU order) to disk after any pending write
+   * @private
+   */
+  _persist() {
+    const snapshot = JSON.stringify(Array.from(this.entries.entries()));
+    this.writing = this.writing
+      .catch(() => {})
+      .then(async () => {
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(tmpPath, snapshot);
+        await fs.rename(tmpPath, this.filePath);
+      });
+    return this.writing;
+  }
+}
+
+export { MemoryStore, FileStore };
@@ -0,0 +1,294 @@
+import EventEmitter from 'events';
+import { VapiError, ERROR_CODES } from '../utils/errorHandler.js';
+import { getDefaultLogger } from '../utils/logger.js';
+
+/**
+ * Events emitted by CallAdmissionController
+ */
+const ADMISSION_EVENTS = ['call:queued', 'call:admitted', 'call:admission_rejected'];
+
+// Call statuses (from polling) that free a slot
+const ENDED_STATUSES = ['ended', 'completed', 'failed'];
+
+/**
+ * Whether a webhook event reports that a call has ended
+ * @param {string} eventType - Webhook event type
+ * @param {Object} data - Event data or server message
+ * @returns {boolean}
+ * @private
+ */
+function isCallEndedEvent(eventType, data) {
+  return eventType === 'end-of-call-report' ||
+    eventType === 'call.ended' ||
+    (eventType === 'status-update' && data?.status === 'ended');
+}
+
+/**
+ * Call Admission Controller
+ * Sits in front of outbound calls and keeps the number in flight under
+ * maxConcurrentCalls, overall and per assistant or per phone number.
+ * In-flight calls are the ones CallMonitor is tracking that have not ended,
+ * plus calls being created. A slot frees when the monitor's polling sees the
+ * call end, when an end-of-call webhook arrives (handleWebhookEvent), when
+ * callEnded is called, or when the monitor drops a call it can no longer
+ * poll. Calls over a limit wait in a FIFO queue or are rejected with
+ * CALL_LIMIT_REACHED.
+ *
+ * Limits are client-side: calls started by other processes are not counted.
+ */
+class CallAdmissionController extends EventEmitter {
+  /**
+   * Create a new CallAdmissionController
+   * @param {Object} options - Configuration options
+   * @param {CallMonitor} options.callMonitor - Monitor that tracks the calls in flight
+   * @param {number} [options.maxConcurrentCalls=0] - Calls in flight across the SDK; 0 for no limit
+   * @param {number} [options.maxCallsPerAssistant=0] - Calls in flight per assistant; 0 for no limit
+   * @param {number} [options.maxCallsPerNumber=0] - Calls in flight per phoneNumberId; 0 for no limit
+   * @param {string} [options.whenFull='queue'] - 'queue' to wait for a slot, 'reject' to fail at once
+   * @param {number} [options.maxQueueSize=100] - Calls that may wait at once
+   * @param {number} [options.queueTimeout=300000] - Milliseconds a call may wait; 0 waits indefinitely
+   * @param {Object} [options.logger] - Logger (defaults to the shared SDK logger)
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.callMonitor) {
+      throw new VapiError('CallAdmissionController requires a callMonitor', ERROR_CODES.INVALID_CONFIG);
+    }
+    if (options.whenFull && !['queue', 'reject'].includes(options.whenFull)) {
+      throw new VapiError(
+        `whenFull must be 'queue' or 'reject', got "${options.whenFull}"`,
+        ERROR_CODES.INVALID_CONFIG
+      );
+    }
+
+    this.callMonitor = options.callMonitor;
+    this.logger = options.logger || getDefaultLogger().child({ subsystem: 'admission' });
+    this.limits = {
+      global: options.maxConcurrentCalls || 0,
+      assistant: options.maxCallsPerAssistant || 0,
+      number: options.maxCallsPerNumber || 0
+    };
+    this.whenFull = options.whenFull || 'queue';
+    this.maxQueueSize = options.maxQueueSize ?? 100;
+    this.queueTimeout = options.queueTimeout ?? 5 * 60 * 1000;
+
+    // Slots held by calls that are being created and have no call id yet
+    this.reserved = new Set();
+    this.queue = [];
+
+    this.callMonitor.on('call:removed', () => this._drain());
+    this.callMonitor.on('call:status_changed', ({ to }) => {
+      if (ENDED_STATUSES.includes(to)) {
+        this._drain();
+      }
+    });
+  }
+
+  /**
+   * Start a call once a slot is free, and track it until it ends
+   * @param {Object} call - Who the call is for
+   * @param {string} [call.assistantId] - Assistant taking the call
+   * @param {string} [call.phoneNumberId] - Phone number placing the call
+   * @param {Object} [call.metadata] - Extra metadata stored with the monitored call
+   * @param {Function} create - async () => call object with an id; only called once admitted
+   * @param {Object} [options] - Options
+   * @param {string} [options.whenFull] - Overrides the controller's whenFull for this call
+   * @returns {Promise<Object>} The created call
+   * @throws {VapiError} CALL_LIMIT_REACHED when rejected or the wait times out
+   */
+  async admit(call, create, options = {}) {
+    const key = { assistantId: call.assistantId, phoneNumberId: call.phoneNumberId };
+    const slot = await this._acquire(key, options.whenFull || this.whenFull);
+
+    let created;
+    try {
+      created = await create();
+    } catch (error) {
+      this._release(slot);
+      throw error;
+    }
+
+    if (created?.id) {
+      await this.callMonitor.addCall(created.id, { ...call.metadata, ...key });
+    }
+    this._release(slot);
+    return created;
+  }
+
+  /**
+   * Free a call's slot now, e.g. after ending it
+   * @param {string} callId - Call ID
+   */
+  callEnded(callId) {
+    this.callMonitor.removeCall(callId);
+  }
+
+  /**
+   * Free the slot of a call whose end is reported by a webhook
+   * Handles end-of-call-report and status-update messages with status 'ended'.
+   * @param {string} eventType - Webhook event type
+   * @param {Object} data - Event data or server message
+   * @returns {boolean} Whether a call was released
+   */
+  handleWebhookEvent(eventType, data) {
+    const callId = data?.call?.id || data?.callId;
+    if (!callId || !isCallEndedEvent(eventType, data) || !this.callMonitor.getCall(callId)) {
+      return false;
+    }
+    this.callEnded(callId);
+    return true;
+  }
+
+  /**
+   * Calls in flight and waiting, with the configured limits
+   * @returns {{inFlight: number, queued: number, byAssistant: Object, byNumber: Object, limits: Object}}
+   */
+  getUsage() {
+    const byAssistant = {};
+    const byNumber = {};
+    const keys = this._inFlight();
+
+    for (const { assistantId, phoneNumberId } of keys) {
+      if (assistantId) byAssistant[assistantId] = (byAssistant[assistantId] || 0) + 1;
+      if (phoneNumberId) byNumber[phoneNumberId] = (byNumber[phoneNumberId] || 0) + 1;
+    }
+
+    return {
+      inFlight: keys.length,
+      queued: this.queue.length,
+      byAssistant,
+      byNumber,
+      limits: {
+        maxConcurrentCalls: this.limits.global,
+        maxCallsPerAssistant: this.limits.assistant,
+        maxCallsPerNumber: this.limits.number
+      }
+    };
+  }
+
+  /**
+   * Reject every call that is waiting for a slot
+   * @param {string} [reason='cancelled'] - Reason given in the error details
+   * @returns {number} Calls rejected
+   */
+  cancelQueued(reason = 'cancelled') {
+    const waiting = this.queue.splice(0);
+    waiting.forEach(waiter => this._reject(waiter, reason, null));
+    return waiting.length;
+  }
+
+  /**
+   * Keys of every call holding a slot
+   * @private
+   */
+  _inFlight() {
+    const monitored = this.callMonitor.getActiveCalls()
+      .filter(callData => !ENDED_STATUSES.includes(callData.status))
+      .map(callData => ({
+        assistantId: callData.metadata?.assistantId,
+        phoneNumberId: callData.metadata?.phoneNumberId
+      }));
+    return [...monitored, ...this.reserved];
+  }
+
+  /**
+   * The first limit a new call would exceed, or null
+   * @private
+   */
+  _exceededLimit(key) {
+    const inFlight = this._inFlight();
+
+    if (this.limits.global && inFlight.length >= this.limits.global) {
+      return 'maxConcurrentCalls';
+    }
+    if (this.limits.assistant && key.assistantId &&
+        inFlight.filter(other => other.assistantId === key.assistantId).length >= this.limits.assistant) {
+      return 'maxCallsPerAssistant';
+    }
+    if (this.limits.number && key.phoneNumberId &&
+        inFlight.filter(other => other.phoneNumberId === key.phoneNumberId).length >= this.limits.number) {
+      return 'maxCallsPerNumber';
+    }
+    return null;
+  }
+
+  /**
+   * Wait for a slot; calls that have waited longest go first
+   * @private
+   */
+  _acquire(key, whenFull) {
+    return new Promise((resolve, reject) => {
+      const waiter = { key, resolve, reject, queuedAt: Date.now(), timer: null };
+      this.queue.push(waiter);
+      this._drain();
+      if (!this.queue.includes(waiter)) {
+        return; // Admitted
+      }
+
+      const limit = this._exceededLimit(key);
+      if (whenFull === 'reject' || this.queue.length > this.maxQueueSize) {
+        this.queue.splice(this.queue.indexOf(waiter), 1);
+        this._reject(waiter, whenFull === 'reject' ? 'limit-reached' : 'queue-full', limit);
+        return;
+      }
+
+      if (this.queueTimeout) {
+        waiter.timer = setTimeout(() => {
+          this.queue.splice(this.queue.indexOf(waiter), 1);
+          this._reject(waiter, 'queue-timeout', this._exceededLimit(key));
+        }, this.queueTimeout);
+      }
+
+      this.logger.info('Call queued', { ...key, limit, position: this.queue.length });
+      this.emit('call:queued', { ...key, limit, position: this.queue.length });
+    });
+  }
+
+  /**
+   * Admit waiting calls that fit within every limit, in queue order
+   * @private
+   */
+  _drain() {
+    for (const waiter of [...this.queue]) {
+      if (this._exceededLimit(waiter.key)) {
+        continue;
+      }
+
+      this.queue.splice(this.queue.indexOf(waiter), 1);
+      clearTimeout(waiter.timer);
+      const slot = { ...waiter.key };
+      this.reserved.add(slot);
+      this.emit('call:admitted', { ...waiter.key, waited: Date.now() - waiter.queuedAt });
+      waiter.resolve(slot);
+    }
+  }
+
+  /**
+   * Give back a reserved slot
+   * @private
+   */
+  _release(slot) {
+    this.reserved.delete(slot);
+    this._drain();
+  }
+
+  /**
+   * Fail a call that could not get a slot
+   * @private
+   */
+  _reject(waiter, reason, limit) {
+    clearTimeout(waiter.timer);
+    const details = { ...waiter.key, reason, limit };
+    const message = {
+      'limit-reached': `Call limit reached (${limit})`,
+      'queue-full': `Call queue is full (${this.maxQueueSize} waiting)`,
+      'queue-timeout': `No call slot became free within ${this.queueTimeout}ms`
+    }[reason] || `Call was not started (${reason})`;
+
+    this.logger.warn('Call rejected', details);
+    this.emit('call:admission_rejected', details);
+    waiter.reject(new VapiError(message, ERROR_CODES.CALL_LIMIT_REACHED, details));
+  }
+}
+
+export { ADMISSION_EVENTS, CallAdmissionController };
@@ -2,19 +2,34 @@ import EventEmitter from 'events';
 import { v4 as uuidv4 } from 'uuid';
 import { retry } from '../utils/retry.js';
 import { VapiError, ERROR_CODES } from '../utils/errorHandler.js';
+import { getDefaultLogger } from '../utils/logger.js';
+
+// Statuses after which a call is no longer polled
+const ENDED_STATUSES = ['ended', 'completed', 'failed'];
 
 /**
  * Call Monitoring Service
  * Provides real-time monitoring and event handling for VAPI calls
  */
 class CallMonitor extends EventEmitter {
+  /**
+   * Create a new CallMonitor
+   * @param {Object} vapiClient - Initialized VAPI client
+   * @param {Object} options - Configuration options
+   * @param {number} [options.monitoringInterval=5000] - Polling interval in milliseconds
+   * @param {number} [options.maxPollFailures=3] - Polls in a row that may fail before a call is dropped
+   * @param {Object} [options.logger] - Logger (defaults to the shared SDK logger)
+   */
   constructor(vapiClient, options = {}) {
     super();
     this.vapi = vapiClient;
+    this.logger = options.logger || getDefaultLogger().child({ subsystem: 'callMonitor' });
     this.activeCalls = new Map();
     this.monitoringInterval = options.monitoringInterval || 5000; // 5 seconds
+    this.maxPollFailures = options.maxPollFailures || 3;
     this.monitoringEnabled = false;
     this.monitoringIntervalId = null;
+    this.polling = false;
   }
 
   /**
@@ -193,15 +208,17 @@ class CallMonitor extends EventEmitter {
    * @private
    */
   async _monitorCalls() {
-    if (!this.monitoringEnabled) {
+    // A round slowed down by retries must not overlap the next one
+    if (!this.monitoringEnabled || this.polling) {
       return;
     }
 
+    this.polling = true;
     try {
       // Process each active call
       for (const [callId, callData] of this.activeCalls.entries()) {
-        if (callData.status === 'completed') {
-          continue; // Skip completed calls
+        if (ENDED_STATUSES.includes(callData.status)) {
+          continue; // Skip ended calls
         }
 
         try {
@@ -210,6 +227,7 @@ class CallMonitor extends EventEmitter {
             () => this.vapi.calls.get(callId),
             {
               maxRetries: 3,
+              logger: this.logger,
               shouldRetry: (error) => {
                 // Don't retry for 404 (call not found)
                 return error.response?.status !== 404;
@@ -217,14 +235,17 @@ class CallMonitor extends EventEmitter {
             }
           );
 
+          callData.pollFailures = 0;
+
           // Update call status
+          const oldStatus = callData.status;
           if (call.status !== callData.status) {
-            const oldStatus = callData.status;
             callData.status = call.status;
             this.emit('call:status_changed', {
               callId,
               from: oldStatus,
               to: call.status,
+              call,
               timestamp: new Date()
             });
           }
@@ -234,18 +255,28 @@ class CallMonitor extends EventEmitter {
             await this._processCallEvents(callId, call.events);
           }
 
-          // If call is completed, remove it after a delay
-          if (call.status === 'completed' && callData.status !== 'completed') {
+          // If call has ended, remove it after a delay
+          if (ENDED_STATUSES.includes(call.status) && !ENDED_STATUSES.includes(oldStatus)) {
             setTimeout(() => this.removeCall(callId), 30000); // Keep for 30s after completion
           }
         } catch (error) {
-          console.error(`Error monitoring call ${callId}:`, error);
+          this.logger.error('Error monitoring call', { callId, error });
           this.emit('error', error);
+
+          // A call that no longer exists, or can't be read, would otherwise be tracked forever
+          callData.pollFailures = (callData.pollFailures || 0) + 1;
+          if (error.response?.status === 404 || callData.pollFailures >= this.maxPollFailures) {
+            this.logger.warn('Dropping call that cannot be polled', { callId, failures: callData.pollFailures });
+            this.emit('call:lost', { callId, error });
+            this.removeCall(callId);
+          }
         }
       }
     } catch (error) {
-      console.error('Error in call monitoring:', error);
+      this.logger.error('Error in call monitoring', { error });
       this.emit('error', error);
+    } finally {
+      this.polling = false;
     }
   }
 }
@@ -6,6 +6,7 @@ import { fileURLToPath } from 'url';
 import fetch from 'node-fetch';
 import { VapiError, ERROR_CODES } from '../utils/errorHandler.js';
 import { retry } from '../utils/retry.js';
+import { getDefaultLogger } from '../utils/logger.js';
 
 const pipeline = promisify(_pipeline);
 
@@ -25,15 +26,23 @@ class CallRecordingManager {
    * @param {string} [options.storagePath='./recordings'] - Base path to store recordings
    * @param {number} [options.retentionDays=30] - Number of days to keep recordings
    * @param {number} [options.maxRetries=3] - Max retries for download operations
+   * @param {Object} [options.logger] - Logger (defaults to the shared SDK logger)
    */
   constructor(vapiClient, options = {}) {
     this.vapi = vapiClient;
     this.storagePath = options.storagePath || path.join(process.cwd(), 'recordings');
     this.retentionDays = options.retentionDays || 30;
     this.maxRetries = options.maxRetries || 3;
-    
-    // Ensure storage directory exists
-    this._ensureStoragePath().catch(console.error);
+    this.logger = options.logger || getDefaultLogger().child({ subsystem: 'recordingManager' });
+  }
+
+  /**
+   * Prepare local storage
+   * Kept out of the constructor so creating a manager has no filesystem side effects
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await this._ensureStoragePath();
   }
 
   /**
@@ -142,6 +151,7 @@ class CallRecordingManager {
         },
         {
           maxRetries: this.maxRetries,
+          logger: this.logger,
           shouldRetry: (error) => {
             // Don't retry for 404 or other client errors
             return ![
@@ -159,7 +169,7 @@ class CallRecordingManager {
       try {
         await fs.unlink(localPath).catch(() => {});
       } catch (cleanupError) {
-        console.error('Error cleaning up failed download:', cleanupError);
+        this.logger.error('Error cleaning up failed download', { callId, error: cleanupError });
       }
       
       throw new VapiError(
@@ -216,7 +226,7 @@ class CallRecordingManager {
             deleted++;
           }
         } catch (error) {
-          console.error(`Error cleaning up file ${file}:`, error);
+          this.logger.error('Error cleaning up recording file', { file, error });
           errors++;
         }
       }
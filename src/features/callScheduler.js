@@ -0,0 +1,460 @@
+import EventEmitter from 'events';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { MemoryStore, FileStore } from './cacheStores.js';
+import { getLocalTime, zonedTimeToUtc, parseTimeOfDay } from '../utils/timeZones.js';
+import { normalizePhoneNumber } from '../utils/phone.js';
+import { VapiError, ERROR_CODES } from '../utils/errorHandler.js';
+import { getDefaultLogger } from '../utils/logger.js';
+
+/**
+ * Events the scheduler emits; the SDK re-emits them on vapiEvents
+ */
+const SCHEDULER_EVENTS = [
+  'call:scheduled',
+  'call:rescheduled',
+  'call:schedule_cancelled',
+  'call:fired',
+  'call:schedule_failed'
+];
+
+const FINISHED_STATUSES = ['fired', 'failed', 'cancelled'];
+
+// setTimeout overflows past ~24.8 days; longer waits re-arm on the way
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{1,2}:\d{2})(?::(\d{2}))?$/;
+const LOCAL_TIME = /^(?:(today|tomorrow)\s+)?(\d{1,2}:\d{2})$/i;
+
+/**
+ * Stored call job
+ * @typedef {Object} ScheduledCall
+ * @property {string} id - Job id
+ * @property {string} status - scheduled, firing, fired, failed or cancelled
+ * @property {string} runAt - ISO timestamp the call is due
+ * @property {string} timezone - Time zone local times were resolved in
+ * @property {Object} call - startCall options (assistantId, customerNumber, phoneNumberId, assistantOverrides, metadata)
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} [firedAt] - ISO timestamp the call was started
+ * @property {string} [callId] - Id of the started call
+ * @property {string} [error] - Why the job failed
+ */
+
+/**
+ * Resolve a schedule time to an instant
+ * Accepts a Date, epoch milliseconds, an ISO timestamp with an offset, a local
+ * "YYYY-MM-DDTHH:MM", "HH:MM" (the next time it is that time) or
+ * "today HH:MM" / "tomorrow HH:MM". Local times are read in `timeZone`.
+ * @param {Date|number|string} at - When
+ * @param {string} [timeZone='UTC'] - IANA time zone for local times
+ * @param {number} [now=Date.now()] - Reference instant for relative times
+ * @returns {number} Epoch milliseconds
+ */
+function resolveScheduleTime(at, timeZone = 'UTC', now = Date.now()) {
+  if (at instanceof Date || typeof at === 'number') {
+    const time = new Date(at).getTime();
+    if (Number.isNaN(time)) {
+      throw new VapiError(`Invalid schedule time: ${at}`, ERROR_CODES.VALIDATION_ERROR, { at });
+    }
+    return time;
+  }
+
+  const text = String(at ?? '').trim();
+
+  const localDateTime = LOCAL_DATE_TIME.exec(text);
+  if (localDateTime) {
+    const [, year, month, day, time, seconds = 0] = localDateTime;
+    return zonedTimeToUtc({
+      year: Number(year),
+      month: Number(month),
+      day: Number(day),
+      minutes: parseTimeOfDay(time) + Number(seconds) / 60
+    }, timeZone);
+  }
+
+  const localTime = LOCAL_TIME.exec(text);
+  if (localTime) {
+    const today = getLocalTime(now, timeZone);
+    const minutes = parseTimeOfDay(localTime[2]);
+    const day = localTime[1]?.toLowerCase();
+    const daysAhead = day ? Number(day === 'tomorrow') : Number(minutes <= today.minutes);
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + daysAhead));
+
+    return zonedTimeToUtc({
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      minutes
+    }, timeZone);
+  }
+
+  const parsed = Date.parse(text);
+  if (Number.isNaN(parsed)) {
+    throw new VapiError(`Invalid schedule time "${text}"`, ERROR_CODES.VALIDATION_ERROR, { at });
+  }
+  return parsed;
+}
+
+/**
+ * Call Scheduler
+ * Keeps future calls in a durable store and starts each one when it is due.
+ * Jobs survive restarts: start() picks up where the last process left off.
+ * One process should own a store at a time.
+ */
+class CallScheduler extends EventEmitter {
+  /**
+   * Create a new CallScheduler
+   * @param {Object} options - Configuration options
+   * @param {Function} options.startCall - async (callOptions) => call
+   * @param {string} [options.store='file'] - Built-in store: 'file' or 'memory'
+   * @param {string} [options.directory] - Directory for the file store
+   * @param {Function} [options.createStore] - Custom store factory: (name, { maxSize }) => CacheStore
+   * @param {string} [options.timezone='UTC'] - Time zone for local times without one
+   * @param {number} [options.maxLateness=3600000] - Jobs overdue by more than this many milliseconds fail instead of firing; 0 fires them however late
+   * @param {number} [options.retention=604800000] - Milliseconds to keep finished jobs
+   * @param {string} [options.defaultRegion='US'] - Region for customer numbers written without a country code
+   * @param {Object} [options.logger] - Logger (defaults to the shared SDK logger)
+   */
+  constructor(options = {}) {
+    super();
+    const { store = 'file', directory, createStore } = options;
+
+    if (typeof createStore === 'function') {
+      this.store = createStore('scheduledCalls', { maxSize: Infinity });
+    } else if (store === 'file') {
+      const baseDir = directory || path.join(process.cwd(), '.vapi-schedule');
+      this.store = new FileStore({ filePath: path.join(baseDir, 'jobs.json') });
+    } else if (store === 'memory') {
+      this.store = new MemoryStore();
+    } else {
+      throw new VapiError(`Unknown scheduler store: ${store}`, ERROR_CODES.INVALID_CONFIG, { store });
+    }
+
+    this.startCall = options.startCall;
+    this.timezone = options.timezone || 'UTC';
+    this.maxLateness = options.maxLateness ?? 60 * 60 * 1000;
+    this.retention = options.retention ?? 7 * 24 * 60 * 60 * 1000;
+    this.defaultRegion = options.defaultRegion || 'US';
+    this.logger = options.logger || getDefaultLogger().child({ subsystem: 'scheduler' });
+    this.running = false;
+    this.timer = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Start firing due jobs, including any that fell due while stopped
+   * Resolves once the timer is armed; overdue jobs fire in the background.
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    await this._recover();
+    await this._prune();
+    this.emit('scheduler:started');
+    await this._arm();
+  }
+
+  /**
+   * Stop firing jobs; they stay stored for the next start()
+   */
+  stop() {
+    if (!this.running) {
+      return;
+    }
+
+    this.running = false;
+    this._clearTimer();
+    this.emit('scheduler:stopped');
+  }
+
+  /**
+   * Store a call to start later
+   * @param {Object} call - startCall options; customerNumber is required and stored in E.164 format
+   * @param {Object} options - Options
+   * @param {Date|number|string} options.at - When to call (see resolveScheduleTime)
+   * @param {string} [options.timezone] - Time zone for local times (defaults to the scheduler's)
+   * @param {string} [options.id] - Job id (generated by default)
+   * @returns {Promise<ScheduledCall>} The stored job
+   */
+  async schedule(call = {}, options = {}) {
+    if (!call.customerNumber) {
+      throw new VapiError('A scheduled call needs a customerNumber', ERROR_CODES.VALIDATION_ERROR);
+    }
+
+    const timezone = options.timezone || this.timezone;
+    const now = new Date().toISOString();
+    const job = {
+      id: options.id || randomUUID(),
+      status: 'scheduled',
+      runAt: new Date(resolveScheduleTime(options.at, timezone)).toISOString(),
+      timezone,
+      call: {
+        ...JSON.parse(JSON.stringify(call)),
+        customerNumber: normalizePhoneNumber(call.customerNumber, { defaultRegion: this.defaultRegion })
+      },
+      createdAt: now
+    };
+
+    await this._update(job.id, (existing) => {
+      if (existing) {
+        throw new VapiError(`Scheduled call ${job.id} already exists`, ERROR_CODES.VALIDATION_ERROR, { jobId: job.id });
+      }
+      return job;
+    });
+
+    this.logger.info('Call scheduled', { jobId: job.id, runAt: job.runAt });
+    this.emit('call:scheduled', job);
+    await this._arm();
+    return job;
+  }
+
+  /**
+   * Move a job that has not fired yet to another time
+   * @param {string} jobId - Job id
+   * @param {Date|number|string} at - New time (see resolveScheduleTime)
+   * @param {Object} [options] - Options
+   * @param {string} [options.timezone] - Time zone for local times (defaults to the job's)
+   * @returns {Promise<ScheduledCall>} The updated job
+   */
+  async reschedule(jobId, at, options = {}) {
+    const job = await this._update(jobId, (current) => {
+      this._assertPending(jobId, current);
+      const timezone = options.timezone || current.timezone;
+      return {
+        ...current,
+        timezone,
+        runAt: new Date(resolveScheduleTime(at, timezone)).toISOString()
+      };
+    });
+
+    this.logger.info('Call rescheduled', { jobId, runAt: job.runAt });
+    this.emit('call:rescheduled', job);
+    await this._arm();
+    return job;
+  }
+
+  /**
+   * Cancel a job that has not fired yet
+   * @param {string} jobId - Job id
+   * @returns {Promise<ScheduledCall>} The cancelled job
+   */
+  async cancel(jobId) {
+    const job = await this._update(jobId, (current) => {
+      this._assertPending(jobId, current);
+      return { ...current, status: 'cancelled', cancelledAt: new Date().toISOString() };
+    });
+
+    this.logger.info('Scheduled call cancelled', { jobId });
+    this.emit('call:schedule_cancelled', job);
+    await this._arm();
+    return job;
+  }
+
+  /**
+   * Get a job
+   * @param {string} jobId - Job id
+   * @returns {Promise<ScheduledCall|undefined>} Job
+   */
+  async get(jobId) {
+    return this.store.get(jobId);
+  }
+
+  /**
+   * List jobs, soonest first
+   * @param {Object} [filter] - Filter
+   * @param {string} [filter.status] - Only jobs with this status
+   * @returns {Promise<Array<ScheduledCall>>} Jobs
+   */
+  async list(filter = {}) {
+    const jobs = [];
+    for (const key of await this.store.keys()) {
+      const job = await this.store.get(key);
+      if (job && (!filter.status || job.status === filter.status)) {
+        jobs.push(job);
+      }
+    }
+    return jobs.sort((a, b) => a.runAt.localeCompare(b.runAt));
+  }
+
+  /**
+   * Fire every due job, then wait for the next one
+   * @private
+   */
+  async _fireDue() {
+    this._clearTimer();
+    if (!this.running) {
+      return;
+    }
+
+    const now = Date.now();
+    const due = (await this.list({ status: 'scheduled' })).filter(job => Date.parse(job.runAt) <= now);
+    for (const job of due) {
+      await this._fire(job.id, now);
+    }
+    if (due.length > 0) {
+      await this._prune();
+    }
+    await this._arm();
+  }
+
+  /**
+   * Start the call for one due job
+   * @private
+   */
+  async _fire(jobId, now) {
+    // Claim the job first so a cancel or a second timer cannot fire it twice
+    const job = await this._update(jobId, current => (
+      current?.status === 'scheduled' && Date.parse(current.runAt) <= now
+        ? { ...current, status: 'firing' }
+        : undefined
+    ));
+    if (!job) {
+      return;
+    }
+
+    const lateness = now - Date.parse(job.runAt);
+    if (this.maxLateness && lateness > this.maxLateness) {
+      await this._fail(job, new VapiError(
+        `Scheduled call missed its time by ${Math.round(lateness / 1000)}s`,
+        ERROR_CODES.TIMEOUT,
+        { jobId, runAt: job.runAt }
+      ));
+      return;
+    }
+
+    try {
+      const call = await this.startCall({
+        ...job.call,
+        metadata: { ...job.call.metadata, scheduledCallId: job.id }
+      });
+      const fired = await this._update(jobId, current => ({
+        ...current,
+        status: 'fired',
+        callId: call.id,
+        firedAt: new Date().toISOString()
+      }));
+
+      this.logger.info('Scheduled call fired', { jobId, callId: call.id });
+      this.emit('call:fired', { job: fired, call });
+    } catch (error) {
+      await this._fail(job, error);
+    }
+  }
+
+  /**
+   * Mark a job failed and report it
+   * @private
+   */
+  async _fail(job, error) {
+    const failed = await this._update(job.id, current => ({
+      ...current,
+      status: 'failed',
+      error: error.message,
+      failedAt: new Date().toISOString()
+    }));
+
+    this.logger.error('Scheduled call failed', { jobId: job.id, error });
+    this.emit('call:schedule_failed', { job: failed, error });
+  }
+
+  /**
+   * Fail jobs a previous process was firing when it stopped
+   * Whether their call started is unknown, so they are not fired again.
+   * @private
+   */
+  async _recover() {
+    for (const job of await this.list({ status: 'firing' })) {
+      await this._fail(job, new VapiError(
+        'Scheduler stopped while starting this call; it may or may not have been placed',
+        ERROR_CODES.CALL_ERROR,
+        { jobId: job.id }
+      ));
+    }
+  }
+
+  /**
+   * Drop finished jobs older than the retention period
+   * @private
+   */
+  async _prune() {
+    const cutoff = Date.now() - this.retention;
+    for (const job of await this.list()) {
+      if (FINISHED_STATUSES.includes(job.status) && Date.parse(job.runAt) < cutoff) {
+        await this._update(job.id, () => null);
+      }
+    }
+  }
+
+  /**
+   * Wake up when the next job is due
+   * @private
+   */
+  async _arm() {
+    if (!this.running) {
+      return;
+    }
+
+    const [next] = await this.list({ status: 'scheduled' });
+    this._clearTimer();
+    if (!next || !this.running) {
+      return;
+    }
+
+    const delay = Math.min(Math.max(Date.parse(next.runAt) - Date.now(), 0), MAX_TIMER_DELAY);
+    this.timer = setTimeout(() => {
+      this._fireDue().catch(error => this.logger.error('Scheduler run failed', { error }));
+    }, delay);
+  }
+
+  /**
+   * Read-modify-write one job, serialized with every other write
+   * The change function returns the new job, null to delete it, or undefined to leave it.
+   * @private
+   */
+  _update(jobId, change) {
+    const update = this.writing.catch(() => {}).then(async () => {
+      const current = await this.store.get(jobId);
+      const next = change(current);
+
+      if (next === null) {
+        await this.store.delete(jobId);
+      } else if (next !== undefined) {
+        await this.store.set(jobId, next);
+      }
+      return next;
+    });
+
+    this.writing = update;
+    return update;
+  }
+
+  /**
+   * Throw unless a job exists and has not fired yet
+   * @private
+   */
+  _assertPending(jobId, job) {
+    if (!job) {
+      throw new VapiError(`Scheduled call not found: ${jobId}`, ERROR_CODES.NOT_FOUND, { jobId });
+    }
+    if (job.status !== 'scheduled') {
+      throw new VapiError(`Scheduled call ${jobId} is already ${job.status}`, ERROR_CODES.VALIDATION_ERROR, { jobId, status: job.status });
+    }
+  }
+
+  /**
+   * Cancel the pending wake-up
+   * @private
+   */
+  _clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+export { SCHEDULER_EVENTS, CallScheduler, resolveScheduleTime };
@@ -0,0 +1,525 @@
+import EventEmitter from 'events';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { parseCsv } from '../utils/csv.js';
+import { isValidTimeZone, parseCallingWindow, msUntilCallingWindow } from '../utils/timeZones.js';
+import { RateLimiter } from '../utils/rateLimiter.js';
+import { normalizePhoneNumber } from '../utils/phone.js';
+import { isObject } from '../utils/agentConfig.js';
+import { VapiError, ERROR_CODES } from '../utils/errorHandler.js';
+import { getDefaultLogger } from '../utils/logger.js';
+
+/**
+ * Events a campaign emits; the SDK re-emits them on vapiEvents
+ */
+const CAMPAIGN_EVENTS = [
+  'campaign:started',
+  'campaign:call_started',
+  'campaign:retry_scheduled',
+  'campaign:contact_finished',
+  'campaign:progress',
+  'campaign:paused',
+  'campaign:resumed',
+  'campaign:cancelled',
+  'campaign:completed'
+];
+
+// Columns recognised in contact lists; every other column becomes a variable
+const NUMBER_FIELDS = ['number', 'phoneNumber', 'phone'];
+const TIME_ZONE_FIELDS = ['timezone', 'timeZone'];
+
+/**
+ * Campaign contact
+ * @typedef {Object} CampaignContact
+ * @property {string} id - Contact id (defaults to the number)
+ * @property {string} number - Phone number in E.164 format
+ * @property {string} [timezone] - IANA time zone for the calling window
+ * @property {Object<string, string>} variables - Passed to the assistant as variableValues
+ */
+
+/**
+ * Check and normalize contact records
+ * @param {Array<Object>} records - Contacts: { id?, number|phoneNumber|phone, timezone?, variables?, ...more variables }
+ * @param {Object} [options] - Options
+ * @param {string} [options.defaultRegion='US'] - Region for numbers written without a country code
+ * @returns {Array<CampaignContact>} Contacts
+ */
+function normalizeContacts(records, options = {}) {
+  const errors = [];
+  const seen = new Set();
+
+  const contacts = records.map((record, index) => {
+    if (!isObject(record)) {
+      errors.push(`contacts[${index}] must be an object`);
+      return null;
+    }
+
+    const { id, variables = {}, ...fields } = record;
+    const numberField = NUMBER_FIELDS.find(field => fields[field] !== undefined && fields[field] !== '');
+    const timeZoneField = TIME_ZONE_FIELDS.find(field => fields[field]);
+    const timezone = timeZoneField ? fields[timeZoneField] : undefined;
+    let number = null;
+
+    try {
+      number = normalizePhoneNumber(fields[numberField], { defaultRegion: options.defaultRegion });
+      if (seen.has(number)) {
+        errors.push(`contacts[${index}] repeats number ${number}`);
+      }
+    } catch (error) {
+      errors.push(`contacts[${index}]: ${error.message}`);
+    }
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      errors.push(`contacts[${index}] has an unknown time zone "${timezone}"`);
+    }
+    seen.add(number);
+
+    const extra = Object.fromEntries(Object.entries(fields)
+      .filter(([key]) => !NUMBER_FIELDS.includes(key) && !TIME_ZONE_FIELDS.includes(key)));
+
+    return {
+      id: String(id || number),
+      number,
+      ...(timezone !== undefined && { timezone }),
+      variables: { ...extra, ...variables }
+    };
+  });
+
+  if (errors.length > 0) {
+    throw new VapiError(`Invalid contacts:\n- ${errors.join('\n- ')}`, ERROR_CODES.VALIDATION_ERROR, { errors });
+  }
+  return contacts;
+}
+
+/**
+ * Load contacts from an array, or a CSV or JSON file
+ * CSV files need a header row; JSON files hold an array or { contacts: [...] }.
+ * @param {Array<Object>|string} source - Contacts, or path to a .csv or .json file
+ * @param {Object} [options] - Options (defaultRegion)
+ * @returns {Promise<Array<CampaignContact>>} Contacts
+ */
+async function loadContacts(source, options = {}) {
+  if (Array.isArray(source)) {
+    return normalizeContacts(source, options);
+  }
+
+  let records;
+  try {
+    const content = await fs.readFile(source, 'utf8');
+    if (path.extname(source).toLowerCase() === '.csv') {
+      records = parseCsv(content);
+    } else {
+      const parsed = JSON.parse(content);
+      records = Array.isArray(parsed) ? parsed : parsed.contacts;
+    }
+  } catch (error) {
+    throw new VapiError(
+      `Failed to read contacts ${source}: ${error.message}`,
+      ERROR_CODES.INVALID_CONFIG,
+      { file: source, originalError: error }
+    );
+  }
+
+  if (!Array.isArray(records)) {
+    throw new VapiError(`Contacts file ${source} must hold an array of contacts`, ERROR_CODES.VALIDATION_ERROR, { file: source });
+  }
+  return normalizeContacts(records, options);
+}
+
+/**
+ * Reduce an ended call to a campaign outcome
+ * @param {Object} call - Call as returned once it has ended
+ * @returns {string} completed, voicemail, no-answer, busy or failed
+ */
+function classifyCallOutcome(call) {
+  const reason = String(call?.endedReason || '').toLowerCase();
+
+  if (/did-not-answer|no-answer/.test(reason)) return 'no-answer';
+  if (/busy/.test(reason)) return 'busy';
+  if (/voicemail/.test(reason)) return 'voicemail';
+  if (/error|failed/.test(reason) || call?.status === 'failed') return 'failed';
+  return 'completed';
+}
+
+/**
+ * Outbound Calling Campaign
+ * Dials a contact list with bounded concurrency and calls-per-minute pacing,
+ * only inside each contact's local calling window, and retries unanswered
+ * calls on a schedule.
+ */
+class Campaign extends EventEmitter {
+  /**
+   * Create a new Campaign
+   * @param {Object} options - Campaign options
+   * @param {Array<CampaignContact>} options.contacts - Normalized contacts (see loadContacts)
+   * @param {string} options.assistantId - Assistant that makes the calls
+   * @param {string} [options.phoneNumberId] - Number to call from
+   * @param {Function} options.startCall - async (callOptions) => call; must run callOptions.beforeDial right before dialing
+   * @param {Function} options.waitForOutcome - async (call) => ended call
+   * @param {string} [options.id] - Campaign id (generated by default)
+   * @param {string} [options.name] - Display name
+   * @param {Object} [options.assistantOverrides] - Overrides for every call; contact variables are merged into variableValues
+   * @param {Object} [options.metadata] - Metadata for every call
+   * @param {number} [options.concurrency=1] - Calls in progress at once
+   * @param {number} [options.callsPerMinute=10] - Calls started per minute
+   * @param {import('../utils/timeZones.js').CallingWindow} [options.callingWindow] - Local hours calls may start
+   * @param {string} [options.timezone='UTC'] - Time zone for contacts without one
+   * @param {Object} [options.retry] - Retry policy
+   * @param {Array<string>} [options.retry.on=['no-answer', 'busy']] - Outcomes worth retrying
+   * @param {Array<number>} [options.retry.schedule=[900000, 3600000]] - Delay before each retry, in milliseconds
+   * @param {Object} [options.logger] - Logger (defaults to the shared SDK logger)
+   */
+  constructor(options = {}) {
+    super();
+    const { contacts, assistantId, startCall, waitForOutcome, callingWindow, timezone = 'UTC', retry = {} } = options;
+
+    if (!Array.isArray(contacts) || contacts.length === 0) {
+      throw new VapiError('A campaign needs at least one contact', ERROR_CODES.VALIDATION_ERROR);
+    }
+    if (!assistantId) {
+      throw new VapiError('A campaign needs an assistantId', ERROR_CODES.VALIDATION_ERROR);
+    }
+    if (typeof startCall !== 'function' || typeof waitForOutcome !== 'function') {
+      throw new VapiError('A campaign needs startCall and waitForOutcome functions', ERROR_CODES.VALIDATION_ERROR);
+    }
+    if (callingWindow) {
+      parseCallingWindow(callingWindow);
+    }
+    if (!isValidTimeZone(timezone)) {
+      throw new VapiError(`Unknown time zone: ${timezone}`, ERROR_CODES.VALIDATION_ERROR, { timezone });
+    }
+
+    this.id = options.id || randomUUID();
+    this.name = options.name || this.id;
+    this.assistantId = assistantId;
+    this.phoneNumberId = options.phoneNumberId;
+    this.assistantOverrides = options.assistantOverrides || {};
+    this.metadata = options.metadata || {};
+    this.concurrency = options.concurrency || 1;
+    this.callingWindow = callingWindow || null;
+    this.timezone = timezone;
+    this.retryOn = retry.on || ['no-answer', 'busy'];
+    this.retrySchedule = retry.schedule || [15 * 60 * 1000, 60 * 60 * 1000];
+    this.rateLimiter = new RateLimiter({ maxRequests: options.callsPerMinute || 10, intervalMs: 60 * 1000 });
+    this.startCall = startCall;
+    this.waitForOutcome = waitForOutcome;
+    this.logger = options.logger || getDefaultLogger().child({ subsystem: 'campaigns' });
+
+    this.contacts = contacts.map(contact => ({
+      ...contact,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: 0,
+      outcomes: [],
+      callIds: []
+    }));
+    this.status = 'pending';
+    this.active = 0;
+    this.timer = null;
+    this.settled = false;
+    this.finished = new Promise(resolve => {
+      this._resolveFinished = resolve;
+    });
+  }
+
+  /**
+   * Start dialing
+   * Await `campaign.finished` for the final progress once every contact is done.
+   * @returns {Campaign} this
+   */
+  start() {
+    if (this.status !== 'pending') {
+      throw new VapiError(`Campaign ${this.id} has already been started`, ERROR_CODES.VALIDATION_ERROR, { campaignId: this.id });
+    }
+
+    this.status = 'running';
+    this.logger.info('Campaign started', { campaignId: this.id, contacts: this.contacts.length });
+    this.emit('campaign:started', this.getProgress());
+    this._pump();
+    return this;
+  }
+
+  /**
+   * Stop starting new calls; calls in progress carry on
+   * @returns {boolean} Whether the campaign was running
+   */
+  pause() {
+    if (this.status !== 'running') {
+      return false;
+    }
+
+    this.status = 'paused';
+    this._clearTimer();
+    this.emit('campaign:paused', this.getProgress());
+    return true;
+  }
+
+  /**
+   * Continue a paused campaign
+   * @returns {boolean} Whether the campaign was paused
+   */
+  resume() {
+    if (this.status !== 'paused') {
+      return false;
+    }
+
+    this.status = 'running';
+    this.emit('campaign:resumed', this.getProgress());
+    this._pump();
+    return true;
+  }
+
+  /**
+   * Give up on every contact not yet called; calls in progress carry on
+   * @returns {boolean} Whether the campaign was still going
+   */
+  cancel() {
+    if (['completed', 'cancelled'].includes(this.status)) {
+      return false;
+    }
+
+    this.status = 'cancelled';
+    this._clearTimer();
+    this.contacts
+      .filter(contact => contact.status === 'pending')
+      .forEach(contact => { contact.status = 'cancelled'; });
+    this.emit('campaign:cancelled', this.getProgress());
+    this._finishIfIdle();
+    return true;
+  }
+
+  /**
+   * Counts of contacts by status, attempts made and outcomes seen
+   * @returns {Object} Progress
+   */
+  getProgress() {
+    const progress = {
+      campaignId: this.id,
+      name: this.name,
+      status: this.status,
+      total: this.contacts.length,
+      pending: 0,
+      active: 0,
+      completed: 0,
+      failed: 0,
+      cancelled: 0,
+      attempts: 0,
+      outcomes: {}
+    };
+
+    for (const contact of this.contacts) {
+      progress[contact.status]++;
+      progress.attempts += contact.attempts;
+      contact.outcomes.forEach(outcome => {
+        progress.outcomes[outcome] = (progress.outcomes[outcome] || 0) + 1;
+      });
+    }
+    return progress;
+  }
+
+  /**
+   * Dial every contact that is due, then sleep until the next one is
+   * @private
+   */
+  _pump() {
+    if (this.status !== 'running') {
+      return;
+    }
+
+    this._clearTimer();
+    const now = Date.now();
+    let wakeAt = Infinity;
+
+    for (const contact of this.contacts) {
+      if (this.active >= this.concurrency) {
+        return; // A finishing call pumps again
+      }
+      if (contact.status !== 'pending') {
+        continue;
+      }
+
+      const dueAt = Math.max(contact.nextAttemptAt, now + this._msUntilWindow(contact, now));
+
+      if (dueAt > now) {
+        wakeAt = Math.min(wakeAt, dueAt);
+        continue;
+      }
+
+      this._dial(contact).catch(error => this.logger.error('Campaign dial failed', { campaignId: this.id, error }));
+    }
+
+    if (wakeAt < Infinity) {
+      this.timer = setTimeout(() => this._pump(), wakeAt - now);
+    } else {
+      this._finishIfIdle();
+    }
+  }
+
+  /**
+   * Call one contact and record the outcome
+   * @private
+   */
+  async _dial(contact) {
+    contact.status = 'active';
+    this.active++;
+
+    try {
+      await this.rateLimiter.acquire();
+      if (this.status !== 'running') {
+        // Paused or cancelled while waiting for a slot
+        contact.status = this.status === 'cancelled' ? 'cancelled' : 'pending';
+        return;
+      }
+      if (this._deferToWindow(contact)) {
+        return; // The calling window closed while waiting for the rate limiter
+      }
+
+      contact.attempts++;
+      let outcome;
+      try {
+        const call = await this.startCall({
+          assistantId: this.assistantId,
+          customerNumber: contact.number,
+          phoneNumberId: this.phoneNumberId,
+          assistantOverrides: {
+            ...this.assistantOverrides,
+            variableValues: { ...this.assistantOverrides.variableValues, ...contact.variables }
+          },
+          metadata: { ...this.metadata, campaignId: this.id, contactId: contact.id, attempt: contact.attempts },
+          // Runs again once a call slot is free, which can take minutes
+          beforeDial: () => this._assertInWindow(contact)
+        });
+        contact.callIds.push(call.id);
+        this.emit('campaign:call_started', { campaignId: this.id, contactId: contact.id, callId: call.id, attempt: contact.attempts });
+
+        outcome = classifyCallOutcome(await this.waitForOutcome(call));
+      } catch (error) {
+        if (error.code === ERROR_CODES.OUTSIDE_CALLING_WINDOW) {
+          contact.attempts--;
+          this._deferToWindow(contact);
+          return;
+        }
+        this.logger.warn('Campaign call failed', { campaignId: this.id, contactId: contact.id, error });
+        contact.error = error.message;
+        outcome = error.code === ERROR_CODES.NUMBER_SUPPRESSED ? 'suppressed' : 'failed';
+      }
+
+      contact.outcomes.push(outcome);
+      this._settle(contact, outcome);
+      this.emit('campaign:progress', this.getProgress());
+    } finally {
+      this.active--;
+      this._pump();
+      this._finishIfIdle();
+    }
+  }
+
+  /**
+   * Milliseconds until a contact's calling window opens; 0 while it is open
+   * @private
+   */
+  _msUntilWindow(contact, now = Date.now()) {
+    return this.callingWindow
+      ? msUntilCallingWindow(now, this.callingWindow, contact.timezone || this.timezone)
+      : 0;
+  }
+
+  /**
+   * Put a contact back to pending until its calling window opens again
+   * @returns {boolean} Whether the window was closed
+   * @private
+   */
+  _deferToWindow(contact) {
+    const wait = this._msUntilWindow(contact);
+    if (wait === 0) {
+      return false;
+    }
+
+    contact.status = 'pending';
+    contact.nextAttemptAt = Date.now() + wait;
+    this.logger.info('Calling window closed before dialing', {
+      campaignId: this.id,
+      contactId: contact.id,
+      retryAt: new Date(contact.nextAttemptAt).toISOString()
+    });
+    return true;
+  }
+
+  /**
+   * Throw OUTSIDE_CALLING_WINDOW unless the contact's calling window is open
+   * @private
+   */
+  _assertInWindow(contact) {
+    if (this._msUntilWindow(contact) > 0) {
+      throw new VapiError(
+        `Calling window for contact ${contact.id} is closed`,
+        ERROR_CODES.OUTSIDE_CALLING_WINDOW,
+        { campaignId: this.id, contactId: contact.id }
+      );
+    }
+  }
+
+  /**
+   * Schedule a retry or mark a contact done
+   * @private
+   */
+  _settle(contact, outcome) {
+    const delay = this.retrySchedule[contact.attempts - 1];
+
+    if (this.retryOn.includes(outcome) && delay !== undefined && this.status !== 'cancelled') {
+      contact.status = 'pending';
+      contact.nextAttemptAt = Date.now() + delay;
+      this.emit('campaign:retry_scheduled', {
+        campaignId: this.id,
+        contactId: contact.id,
+        outcome,
+        attempt: contact.attempts,
+        retryAt: new Date(contact.nextAttemptAt).toISOString()
+      });
+      return;
+    }
+
+    contact.status = ['completed', 'voicemail'].includes(outcome) ? 'completed' : 'failed';
+    this.emit('campaign:contact_finished', {
+      campaignId: this.id,
+      contactId: contact.id,
+      status: contact.status,
+      outcome,
+      attempts: contact.attempts
+    });
+  }
+
+  /**
+   * Resolve `finished` once nothing is left to do
+   * @private
+   */
+  _finishIfIdle() {
+    if (this.settled || this.active > 0) {
+      return;
+    }
+
+    if (this.status === 'running' && !this.contacts.some(contact => contact.status === 'pending')) {
+      this.status = 'completed';
+      this.logger.info('Campaign completed', { campaignId: this.id });
+      this.emit('campaign:completed', this.getProgress());
+    }
+
+    if (['completed', 'cancelled'].includes(this.status)) {
+      this.settled = true;
+      this._resolveFinished(this.getProgress());
+    }
+  }
+
+  /**
+   * Cancel the pending wake-up
+   * @private
+   */
+  _clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+export { CAMPAIGN_EVENTS, Campaign, normalizeContacts, loadContacts, classifyCallOutcome };
@@ -0,0 +1,258 @@
+import EventEmitter from 'events';
+import path from 'path';
+import { MemoryStore, FileStore } from './cacheStores.js';
+import { stripReadOnlyFields, deepMerge, isObject } from '../utils/agentConfig.js';
+import { diffConfig } from '../utils/diff.js';
+import { VapiError, ERROR_CODES } from '../utils/errorHandler.js';
+import { getDefaultLogger } from '../utils/logger.js';
+
+/**
+ * Configuration a watched assistant is expected to have
+ * @typedef {Object} DriftBaseline
+ * @property {string} source - 'desired' (given explicitly) or 'snapshot' (last configuration written by the SDK)
+ * @property {Object} config - Expected configuration
+ * @property {string} recordedAt - ISO timestamp
+ */
+
+/**
+ * Drift found on one assistant
+ * @typedef {Object} DriftReport
+ * @property {string} assistantId - Assistant id
+ * @property {string} [name] - Assistant name
+ * @property {string} source - Baseline source
+ * @property {Array<{path: string, from: any, to: any}>} changes - Fields whose live value (from) differs from the baseline (to)
+ * @property {boolean} reverted - Whether the assistant was restored to its baseline
+ * @property {Error} [error] - Why reverting failed
+ */
+
+/**
+ * Drift Detector
+ * Compares watched assistants against their baselines and reports fields
+ * that were changed outside the SDK, such as edits in the VAPI dashboard.
+ */
+class DriftDetector extends EventEmitter {
+  /**
+   * Create a new DriftDetector
+   * @param {Object} options - Configuration options
+   * @param {Function} options.fetchAssistants - async () => live assistants
+   * @param {Function} [options.revert] - async (assistantId, updates) => assistant; required for autoRevert
+   * @param {string} [options.store='file'] - Built-in store: 'file' or 'memory'
+   * @param {string} [options.directory] - Directory for the file store
+   * @param {Function} [options.createStore] - Custom store factory: (name, { maxSize }) => CacheStore
+   * @param {number} [options.interval=0] - Milliseconds between checks once started; 0 disables periodic checks
+   * @param {boolean} [options.autoRevert=false] - Restore drifted assistants to their baseline
+   * @param {Object} [options.logger] - Logger (defaults to the shared SDK logger)
+   */
+  constructor(options = {}) {
+    super();
+    const { store = 'file', directory, createStore } = options;
+
+    if (typeof createStore === 'function') {
+      this.store = createStore('driftBaselines', { maxSize: Infinity });
+    } else if (store === 'file') {
+      const baseDir = directory || path.join(process.cwd(), '.vapi-drift');
+      this.store = new FileStore({ filePath: path.join(baseDir, 'baselines.json') });
+    } else if (store === 'memory') {
+      this.store = new MemoryStore();
+    } else {
+      throw new VapiError(`Unknown drift store: ${store}`, ERROR_CODES.INVALID_CONFIG, { store });
+    }
+
+    this.fetchAssistants = options.fetchAssistants;
+    this.revert = options.revert;
+    this.interval = options.interval || 0;
+    this.autoRevert = options.autoRevert || false;
+    this.logger = options.logger || getDefaultLogger().child({ subsystem: 'drift' });
+    this.intervalId = null;
+    this.checking = null;
+  }
+
+  /**
+   * Start checking for drift every `interval` milliseconds
+   * Does nothing when the interval is 0.
+   */
+  start() {
+    if (this.intervalId || !this.interval) {
+      return;
+    }
+
+    this.intervalId = setInterval(() => {
+      this.check().catch(error => this.logger.error('Drift check failed', { error }));
+    }, this.interval);
+    this.emit('detector:started');
+  }
+
+  /**
+   * Stop periodic checks
+   */
+  stop() {
+    if (!this.intervalId) {
+      return;
+    }
+
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+    this.emit('detector:stopped');
+  }
+
+  /**
+   * Start watching an assistant
+   * Without a desired configuration the assistant's current configuration
+   * becomes the baseline, and later SDK updates move it forward.
+   * @param {Object} assistant - Live assistant
+   * @param {Object} [desired] - Configuration the assistant must keep
+   * @returns {Promise<DriftBaseline>} The stored baseline
+   */
+  async watch(assistant, desired) {
+    const baseline = {
+      source: desired ? 'desired' : 'snapshot',
+      config: desired ? JSON.parse(JSON.stringify(desired)) : stripReadOnlyFields(assistant),
+      recordedAt: new Date().toISOString()
+    };
+
+    await this.store.set(assistant.id, baseline);
+    this.logger.info('Watching assistant for drift', { assistantId: assistant.id, source: baseline.source });
+    return baseline;
+  }
+
+  /**
+   * Stop watching an assistant
+   * @param {string} assistantId - Assistant id
+   * @returns {Promise<boolean>} True if the assistant was watched
+   */
+  async unwatch(assistantId) {
+    return this.store.delete(assistantId);
+  }
+
+  /**
+   * Get the baseline of a watched assistant
+   * @param {string} assistantId - Assistant id
+   * @returns {Promise<DriftBaseline|undefined>} Baseline
+   */
+  async getBaseline(assistantId) {
+    return this.store.get(assistantId);
+  }
+
+  /**
+   * Move a snapshot baseline forward after the SDK itself changed the assistant
+   * Desired baselines are left alone; they only change through watch().
+   * @param {Object} assistant - Assistant as returned by the update
+   * @returns {Promise<void>}
+   */
+  async recordSnapshot(assistant) {
+    const baseline = await this.store.get(assistant.id);
+    if (baseline?.source === 'snapshot') {
+      await this.store.set(assistant.id, {
+        ...baseline,
+        config: stripReadOnlyFields(assistant),
+        recordedAt: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Compare every watched assistant against its baseline
+   * A call made while a check is running shares it when both use the same
+   * autoRevert setting; otherwise it runs its own check once that one ends.
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.autoRevert] - Override the configured autoRevert
+   * @returns {Promise<{checked: number, drifted: Array<DriftReport>, missing: Array<string>}>} Results
+   */
+  check(options = {}) {
+    const autoRevert = options.autoRevert ?? this.autoRevert;
+    if (this.checking?.autoRevert === autoRevert) {
+      return this.checking.result;
+    }
+
+    const previous = this.checking ? this.checking.result.catch(() => {}) : Promise.resolve();
+    const run = { autoRevert };
+    run.result = previous
+      .then(() => this._check({ autoRevert }))
+      .finally(() => {
+        if (this.checking === run) {
+          this.checking = null;
+        }
+      });
+    this.checking = run;
+    return run.result;
+  }
+
+  /**
+   * Run one drift check
+   * @private
+   */
+  async _check(options) {
+    const autoRevert = options.autoRevert ?? this.autoRevert;
+    const watched = await this.store.keys();
+    const live = new Map((await this.fetchAssistants()).map(assistant => [assistant.id, assistant]));
+    const drifted = [];
+    const missing = [];
+
+    for (const assistantId of watched) {
+      const assistant = live.get(assistantId);
+      if (!assistant) {
+        missing.push(assistantId);
+        continue;
+      }
+
+      const baseline = await this.store.get(assistantId);
+      // diffConfig reports (from: live, to: baseline), which reads as the revert
+      const changes = diffConfig(baseline.config, assistant);
+      if (changes.length === 0) {
+        continue;
+      }
+
+      const report = { assistantId, name: assistant.name, source: baseline.source, changes, reverted: false };
+      this.logger.warn('Assistant drifted from its baseline', {
+        assistantId,
+        source: baseline.source,
+        paths: changes.map(change => change.path)
+      });
+      this.emit('drifted', report);
+
+      if (autoRevert) {
+        await this._revert(report, baseline, assistant);
+      }
+      drifted.push(report);
+    }
+
+    if (missing.length > 0) {
+      this.logger.warn('Watched assistants no longer exist', { assistantIds: missing });
+    }
+
+    return { checked: watched.length - missing.length, drifted, missing };
+  }
+
+  /**
+   * Restore the drifted top-level fields of an assistant
+   * @private
+   */
+  async _revert(report, baseline, assistant) {
+    if (typeof this.revert !== 'function') {
+      report.error = new VapiError('Drift detector has no revert function', ERROR_CODES.INVALID_CONFIG);
+      return;
+    }
+
+    // The API replaces top-level fields, so resend each drifted field whole
+    const updates = {};
+    for (const { path: fieldPath } of report.changes) {
+      const [key] = fieldPath.split('.');
+      const expected = baseline.config[key];
+      updates[key] = isObject(expected) && isObject(assistant[key])
+        ? deepMerge(assistant[key], expected)
+        : expected ?? null;
+    }
+
+    try {
+      const reverted = await this.revert(report.assistantId, updates);
+      report.reverted = true;
+      this.logger.info('Reverted assistant drift', { assistantId: report.assistantId, fields: Object.keys(updates) });
+      this.emit('reverted', { ...report, assistant: reverted });
+    } catch (error) {
+      report.error = error;
+      this.logger.error('Failed to revert assistant drift', { assistantId: report.assistantId, error });
+    }
+  }
+}
+
+export default DriftDetector;
@@ -0,0 +1,487 @@
+import EventEmitter from 'events';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { MemoryStore, FileStore } from './cacheStores.js';
+import { parseCsv, toCsv } from '../utils/csv.js';
+import { normalizePhoneNumber } from '../utils/phone.js';
+import { VapiError, ERROR_CODES } from '../utils/errorHandler.js';
+import { getDefaultLogger } from '../utils/logger.js';
+
+/**
+ * Phrases that count as a request to stop calling when a customer says them
+ */
+const DEFAULT_OPT_OUT_PHRASES = [
+  'stop calling',
+  'do not call',
+  "don't call",
+  'remove me from your list',
+  'take me off your list',
+  'unsubscribe',
+  'opt out'
+];
+
+const NUMBER_FIELDS = ['number', 'phoneNumber', 'phone'];
+
+/**
+ * Suppression state of one number
+ * @typedef {Object} SuppressionRecord
+ * @property {string} number - Phone number in E.164 format
+ * @property {Object} [doNotCall] - Set while the number is on the do-not-call list
+ * @property {string} doNotCall.reason - Why, e.g. 'opt-out' or 'imported'
+ * @property {string} doNotCall.source - Where the entry came from
+ * @property {string} doNotCall.addedAt - ISO timestamp
+ * @property {Object} [consent] - Latest consent given for the number
+ * @property {string} consent.source - Where consent was given
+ * @property {string} consent.grantedAt - ISO timestamp
+ * @property {string|null} consent.expiresAt - ISO timestamp, or null if it does not expire
+ * @property {string} [consent.revokedAt] - ISO timestamp consent was withdrawn
+ */
+
+/**
+ * Find an opt-out request in what the customer said
+ * Reads final `transcript` messages from the user and user turns in a
+ * message list (e.g. an end-of-call report's artifact.messages).
+ * @param {Object} data - Webhook event data or server message
+ * @param {Array<string>} [phrases] - Opt-out phrases, matched case-insensitively
+ * @returns {string|null} The matched phrase
+ */
+function findOptOut(data, phrases = DEFAULT_OPT_OUT_PHRASES) {
+  const said = [];
+
+  if (data?.role === 'user' && typeof data.transcript === 'string' && data.transcriptType !== 'partial') {
+    said.push(data.transcript);
+  }
+  const messages = data?.artifact?.messages || data?.messages || [];
+  if (Array.isArray(messages)) {
+    messages
+      .filter(message => message?.role === 'user')
+      .forEach(message => said.push(message.message || message.content || ''));
+  }
+
+  const text = said.join('\n').toLowerCase().replace(/[‘’]/g, "'");
+  return phrases.find(phrase => text.includes(phrase.toLowerCase())) || null;
+}
+
+/**
+ * Suppression List
+ * Keeps the do-not-call list and consent records, and is consulted before
+ * every outbound call. Blocked dials, list changes and opt-outs are recorded
+ * in the audit log when one is given.
+ */
+class SuppressionList extends EventEmitter {
+  /**
+   * Create a new SuppressionList
+   * @param {Object} [options] - Configuration options
+   * @param {string} [options.store='file'] - Built-in store: 'file' or 'memory'
+   * @param {string} [options.directory] - Directory for the file store
+   * @param {Function} [options.createStore] - Custom store factory: (name, { maxSize }) => CacheStore
+   * @param {boolean} [options.requireConsent=false] - Block numbers without current consent
+   * @param {number} [options.consentTtl=0] - Default consent lifetime in milliseconds; 0 never expires
+   * @param {Array<string>} [options.optOutPhrases] - Phrases that put a caller on the do-not-call list
+   * @param {string} [options.defaultRegion='US'] - Region for numbers written without a country code
+   * @param {import('./auditLog.js').AuditLog} [options.auditLog] - Where to record changes and blocked dials
+   * @param {Object} [options.logger] - Logger (defaults to the shared SDK logger)
+   */
+  constructor(options = {}) {
+    super();
+    const { store = 'file', directory, createStore } = options;
+
+    if (typeof createStore === 'function') {
+      this.store = createStore('suppression', { maxSize: Infinity });
+    } else if (store === 'file') {
+      const baseDir = directory || path.join(process.cwd(), '.vapi-suppression');
+      this.store = new FileStore({ filePath: path.join(baseDir, 'suppression.json') });
+    } else if (store === 'memory') {
+      this.store = new MemoryStore();
+    } else {
+      throw new VapiError(`Unknown suppression store: ${store}`, ERROR_CODES.INVALID_CONFIG, { store });
+    }
+
+    this.requireConsent = options.requireConsent || false;
+    this.consentTtl = options.consentTtl || 0;
+    this.optOutPhrases = options.optOutPhrases || DEFAULT_OPT_OUT_PHRASES;
+    this.defaultRegion = options.defaultRegion || 'US';
+    this.auditLog = options.auditLog || null;
+    this.logger = options.logger || getDefaultLogger().child({ subsystem: 'suppression' });
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Put a number on the do-not-call list
+   * A number already on the list keeps its original entry.
+   * @param {string} number - Phone number
+   * @param {Object} [options] - Options
+   * @param {string} [options.reason='manual'] - Why
+   * @param {string} [options.source='api'] - Where the request came from
+   * @param {string} [options.actor] - Who made the change (for the audit log)
+   * @returns {Promise<SuppressionRecord>} The number's record
+   */
+  async addToDoNotCall(number, options = {}) {
+    const { record, added } = await this._addToDoNotCall(this._normalize(number), options);
+    if (added) {
+      await this._audit('dnc.added', { number: record.number, ...record.doNotCall }, options);
+    }
+    return record;
+  }
+
+  /**
+   * Take a number off the do-not-call list
+   * @param {string} number - Phone number
+   * @param {Object} [options] - Options
+   * @param {string} [options.actor] - Who made the change (for the audit log)
+   * @returns {Promise<boolean>} True if the number was on the list
+   */
+  async removeFromDoNotCall(number, options = {}) {
+    const normalized = this._normalize(number);
+    let removed = false;
+
+    await this._update(normalized, (record) => {
+      if (!record?.doNotCall) {
+        return undefined;
+      }
+      removed = true;
+      const rest = { ...record };
+      delete rest.doNotCall;
+      return rest.consent ? rest : null;
+    });
+
+    if (removed) {
+      await this._audit('dnc.removed', { number: normalized }, options);
+    }
+    return removed;
+  }
+
+  /**
+   * Add many numbers to the do-not-call list
+   * @param {Array<string|Object>|string} source - Numbers, { number, reason } objects, or a .csv or .json file
+   * @param {Object} [options] - Options
+   * @param {string} [options.reason='imported'] - Reason for entries without one
+   * @param {string} [options.source] - Where the list came from (defaults to the file name)
+   * @param {string} [options.actor] - Who imported it (for the audit log)
+   * @returns {Promise<{added: number, existing: number, invalid: Array<{entry: any, error: string}>}>} Summary
+   */
+  async importDoNotCall(source, options = {}) {
+    const entries = Array.isArray(source) ? source : await readNumberFile(source);
+    const origin = options.source || (Array.isArray(source) ? 'import' : path.basename(source));
+    const result = { added: 0, existing: 0, invalid: [] };
+
+    for (const entry of entries) {
+      const fields = typeof entry === 'object' && entry !== null ? entry : { number: entry };
+      const raw = fields[NUMBER_FIELDS.find(field => fields[field]) || 'number'];
+
+      try {
+        const { added } = await this._addToDoNotCall(this._normalize(raw), {
+          reason: fields.reason || options.reason || 'imported',
+          source: fields.source || origin
+        });
+        result[added ? 'added' : 'existing']++;
+      } catch (error) {
+        result.invalid.push({ entry, error: error.message });
+      }
+    }
+
+    this.logger.info('Do-not-call list imported', { source: origin, added: result.added, invalid: result.invalid.length });
+    await this._audit('dnc.imported', { source: origin, added: result.added, existing: result.existing, invalid: result.invalid.length }, options);
+    return result;
+  }
+
+  /**
+   * List the do-not-call entries, optionally writing them to a file
+   * @param {string} [file] - .csv or .json file to write
+   * @returns {Promise<Array<{number: string, reason: string, source: string, addedAt: string}>>} Entries, sorted by number
+   */
+  async exportDoNotCall(file) {
+    const entries = (await this.list())
+      .filter(record => record.doNotCall)
+      .map(record => ({ number: record.number, ...record.doNotCall }));
+
+    if (file) {
+      const content = path.extname(file).toLowerCase() === '.csv'
+        ? toCsv(entries, ['number', 'reason', 'source', 'addedAt'])
+        : `${JSON.stringify(entries, null, 2)}\n`;
+      await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+      await fs.writeFile(file, content);
+    }
+    return entries;
+  }
+
+  /**
+   * Record that a number's owner agreed to be called
+   * @param {string} number - Phone number
+   * @param {Object} [options] - Options
+   * @param {Date|string} [options.expiresAt] - When consent lapses (defaults to now + consentTtl)
+   * @param {string} [options.source='api'] - Where consent was given, e.g. a form or campaign
+   * @param {string} [options.actor] - Who recorded it (for the audit log)
+   * @returns {Promise<SuppressionRecord>} The number's record
+   */
+  async recordConsent(number, options = {}) {
+    const normalized = this._normalize(number);
+    const now = Date.now();
+    const expiresAt = options.expiresAt
+      ? new Date(options.expiresAt).toISOString()
+      : (this.consentTtl ? new Date(now + this.consentTtl).toISOString() : null);
+    const consent = { source: options.source || 'api', grantedAt: new Date(now).toISOString(), expiresAt };
+
+    const record = await this._update(normalized, current => ({ ...current, number: normalized, consent }));
+    await this._audit('consent.recorded', { number: normalized, ...consent }, options);
+    return record;
+  }
+
+  /**
+   * Record that a number's owner withdrew consent
+   * Numbers with withdrawn consent are never called, whatever requireConsent says.
+   * @param {string} number - Phone number
+   * @param {Object} [options] - Options
+   * @param {string} [options.source='api'] - Where consent was withdrawn
+   * @param {string} [options.actor] - Who recorded it (for the audit log)
+   * @returns {Promise<SuppressionRecord>} The number's record
+   */
+  async revokeConsent(number, options = {}) {
+    const normalized = this._normalize(number);
+    const revokedAt = new Date().toISOString();
+
+    const record = await this._update(normalized, current => ({
+      ...current,
+      number: normalized,
+      consent: { ...current?.consent, revokedAt, revokedBy: options.source || 'api' }
+    }));
+    await this._audit('consent.revoked', { number: normalized, source: options.source || 'api' }, options);
+    return record;
+  }
+
+  /**
+   * Get the record of a number
+   * @param {string} number - Phone number
+   * @returns {Promise<SuppressionRecord|undefined>} Record
+   */
+  async get(number) {
+    return this.store.get(this._normalize(number));
+  }
+
+  /**
+   * List every record, sorted by number
+   * @returns {Promise<Array<SuppressionRecord>>} Records
+   */
+  async list() {
+    const records = [];
+    for (const key of await this.store.keys()) {
+      const record = await this.store.get(key);
+      if (record) {
+        records.push(record);
+      }
+    }
+    return records.sort((a, b) => a.number.localeCompare(b.number));
+  }
+
+  /**
+   * Whether a number may be called now
+   * @param {string} number - Phone number
+   * @returns {Promise<{number: string, allowed: boolean, reason?: string}>} reason is do-not-call,
+   *   consent-revoked, consent-expired or no-consent
+   */
+  async check(number) {
+    const normalized = this._normalize(number);
+    const record = await this.store.get(normalized);
+    const reason = this._blockReason(record);
+    return reason ? { number: normalized, allowed: false, reason } : { number: normalized, allowed: true };
+  }
+
+  /**
+   * Throw unless a number may be called now; blocked dials are audited
+   * @param {string} number - Phone number
+   * @param {Object} [context] - Describes the dial attempt for the audit log (e.g. source, assistantId)
+   * @returns {Promise<string>} The normalized number
+   */
+  async assertDialable(number, context = {}) {
+    const { number: normalized, allowed, reason } = await this.check(number);
+    if (allowed) {
+      return normalized;
+    }
+
+    this.logger.warn('Call to suppressed number blocked', { number: normalized, reason });
+    await this._audit('call.suppressed', { number: normalized, reason, ...context });
+    this.emit('suppressed', { number: normalized, reason, ...context });
+
+    throw new VapiError(
+      `Number ${normalized} may not be called (${reason})`,
+      ERROR_CODES.NUMBER_SUPPRESSED,
+      { number: normalized, reason }
+    );
+  }
+
+  /**
+   * Put a caller on the do-not-call list when they ask to stop being called
+   * @param {string} eventType - Webhook event type
+   * @param {Object} data - Webhook event data or server message
+   * Opt-outs from numbers that cannot be parsed are audited as number.opt_out_unrecorded instead.
+   * @returns {Promise<SuppressionRecord|null>} The new record, or null if there was no new opt-out
+   */
+  async captureOptOut(eventType, data) {
+    const number = data?.call?.customer?.number || data?.customer?.number;
+    const phrase = number ? findOptOut(data, this.optOutPhrases) : null;
+    if (!phrase) {
+      return null;
+    }
+
+    let normalized;
+    try {
+      normalized = this._normalize(number);
+    } catch (error) {
+      // Nothing can be suppressed under a number we cannot parse, so keep the opt-out for a person to follow up
+      this.logger.error('Could not record opt-out for unparseable number', { number, eventType, error });
+      await this._audit('number.opt_out_unrecorded', {
+        number,
+        source: `webhook:${eventType}`,
+        callId: data.call?.id,
+        phrase,
+        error: error.message
+      }, { actor: 'webhook' });
+      return null;
+    }
+
+    const { record, added } = await this._addToDoNotCall(normalized, {
+      reason: 'opt-out',
+      source: `webhook:${eventType}`,
+      callId: data.call?.id,
+      phrase
+    });
+    if (!added) {
+      return null;
+    }
+
+    this.logger.info('Caller opted out', { number: normalized, eventType });
+    await this._audit('number.opted_out', { number: normalized, ...record.doNotCall }, { actor: 'webhook' });
+    this.emit('opted_out', { number: normalized, ...record.doNotCall });
+    return record;
+  }
+
+  /**
+   * Add a normalized number to the do-not-call list
+   * @private
+   * @returns {Promise<{record: SuppressionRecord, added: boolean}>}
+   */
+  async _addToDoNotCall(number, options) {
+    let added = false;
+    const { reason = 'manual', source = 'api', callId, phrase } = options;
+
+    await this._update(number, (current) => {
+      if (current?.doNotCall) {
+        return undefined;
+      }
+      added = true;
+      return {
+        ...current,
+        number,
+        doNotCall: {
+          reason,
+          source,
+          addedAt: new Date().toISOString(),
+          ...(callId && { callId }),
+          ...(phrase && { phrase })
+        }
+      };
+    });
+
+    return { record: await this.store.get(number), added };
+  }
+
+  /**
+   * Normalize a number to E.164, the key records are stored under
+   * @private
+   */
+  _normalize(number) {
+    return normalizePhoneNumber(number, { defaultRegion: this.defaultRegion });
+  }
+
+  /**
+   * Why a record blocks calls, if it does
+   * @private
+   */
+  _blockReason(record) {
+    if (record?.doNotCall) {
+      return 'do-not-call';
+    }
+    if (record?.consent?.revokedAt) {
+      return 'consent-revoked';
+    }
+    if (!this.requireConsent) {
+      return null;
+    }
+    if (!record?.consent) {
+      return 'no-consent';
+    }
+    if (record.consent.expiresAt && Date.parse(record.consent.expiresAt) <= Date.now()) {
+      return 'consent-expired';
+    }
+    return null;
+  }
+
+  /**
+   * Record an audit entry, if there is an audit log
+   * Failures are logged rather than thrown so the list stays usable.
+   * @private
+   */
+  async _audit(type, details, options = {}) {
+    if (!this.auditLog) {
+      return;
+    }
+
+    try {
+      await this.auditLog.append(type, details, { actor: options.actor });
+    } catch (error) {
+      this.logger.error('Failed to write suppression audit entry', { type, error });
+    }
+  }
+
+  /**
+   * Read-modify-write one record, serialized with every other write
+   * The change function returns the new record, null to delete it, or undefined to leave it.
+   * @private
+   */
+  _update(number, change) {
+    const update = this.writing.catch(() => {}).then(async () => {
+      const current = await this.store.get(number);
+      const next = change(current);
+
+      if (next === null) {
+        await this.store.delete(number);
+      } else if (next !== undefined) {
+        await this.store.set(number, next);
+      }
+      return next === undefined ? current : next;
+    });
+
+    this.writing = update;
+    return update;
+  }
+}
+
+/**
+ * Read numbers from a .csv (with a header row) or .json file
+ * @private
+ */
+async function readNumberFile(file) {
+  let entries;
+  try {
+    const content = await fs.readFile(file, 'utf8');
+    if (path.extname(file).toLowerCase() === '.csv') {
+      entries = parseCsv(content);
+    } else {
+      const parsed = JSON.parse(content);
+      entries = Array.isArray(parsed) ? parsed : parsed.numbers;
+    }
+  } catch (error) {
+    throw new VapiError(
+      `Failed to read do-not-call list ${file}: ${error.message}`,
+      ERROR_CODES.INVALID_CONFIG,
+      { file, originalError: error }
+    );
+  }
+
+  if (!Array.isArray(entries)) {
+    throw new VapiError(`Do-not-call file ${file} must hold an array of numbers`, ERROR_CODES.VALIDATION_ERROR, { file });
+  }
+  return entries;
+}
+
+export { DEFAULT_OPT_OUT_PHRASES, SuppressionList, findOptOut };
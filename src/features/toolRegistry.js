@@ -0,0 +1,182 @@
+import { isObject } from '../utils/agentConfig.js';
+import { validateJsonSchema } from '../utils/jsonSchema.js';
+import { VapiError, ERROR_CODES } from '../utils/errorHandler.js';
+import { getDefaultLogger } from '../utils/logger.js';
+
+// Function names accepted by the model providers VAPI supports
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Tool definition
+ * @typedef {Object} ToolDefinition
+ * @property {string} name - Function name the model calls
+ * @property {string} description - What the tool does, shown to the model
+ * @property {Object} [parameters] - JSON schema of the arguments (an object schema)
+ * @property {Function} handler - async (args, context) => result; context has { call, toolCallId, message }
+ */
+
+/**
+ * Tool Registry
+ * Defines tools once, attaches them to assistant configs as model functions
+ * and runs their handlers for incoming tool calls.
+ */
+class ToolRegistry {
+  /**
+   * Create a new ToolRegistry
+   * @param {Object} [options] - Configuration options
+   * @param {Array<ToolDefinition>} [options.tools] - Tools to register up front
+   * @param {Object} [options.logger] - Logger (defaults to the shared SDK logger)
+   */
+  constructor(options = {}) {
+    this.tools = new Map();
+    this.logger = options.logger || getDefaultLogger().child({ subsystem: 'tools' });
+
+    for (const tool of options.tools || []) {
+      this.register(tool);
+    }
+  }
+
+  /**
+   * Register a tool
+   * @param {ToolDefinition} tool - Tool
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.replace=false] - Replace an existing tool with the same name
+   * @returns {ToolRegistry} this
+   */
+  register(tool, options = {}) {
+    const { name, description, parameters = { type: 'object', properties: {} }, handler } = tool || {};
+
+    if (typeof name !== 'string' || !TOOL_NAME_PATTERN.test(name)) {
+      throw new VapiError('Tool names must be 1-64 letters, digits, underscores or dashes', ERROR_CODES.INVALID_TOOL, { tool: name });
+    }
+    if (this.tools.has(name) && !options.replace) {
+      throw new VapiError(`A tool named "${name}" is already registered`, ERROR_CODES.INVALID_TOOL, { tool: name });
+    }
+    if (typeof description !== 'string' || description.trim() === '') {
+      throw new VapiError(`Tool ${name} needs a description`, ERROR_CODES.INVALID_TOOL, { tool: name });
+    }
+    if (!isObject(parameters) || parameters.type !== 'object') {
+      throw new VapiError(`Tool ${name} parameters must be a JSON schema of type "object"`, ERROR_CODES.INVALID_TOOL, { tool: name });
+    }
+    if (typeof handler !== 'function') {
+      throw new VapiError(`Tool ${name} needs a handler function`, ERROR_CODES.INVALID_TOOL, { tool: name });
+    }
+
+    this.tools.set(name, { name, description, parameters, handler });
+    return this;
+  }
+
+  /**
+   * Remove a tool
+   * @param {string} name - Tool name
+   * @returns {boolean} Whether the tool existed
+   */
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  /**
+   * Whether a tool is registered
+   * @param {string} name - Tool name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * List registered tools
+   * @returns {Array<{name: string, description: string, parameters: Object}>} Tools, without handlers
+   */
+  list() {
+    return [...this.tools.values()].map(({ name, description, parameters }) => ({ name, description, parameters }));
+  }
+
+  /**
+   * Model function definitions for some or all tools
+   * @param {Array<string>} [names] - Tools to include (defaults to every tool)
+   * @returns {Array<Object>} Entries for model.functions
+   */
+  toFunctions(names) {
+    const selected = names || [...this.tools.keys()];
+    return selected.map(name => {
+      const tool = this._get(name);
+      return { name: tool.name, description: tool.description, parameters: tool.parameters };
+    });
+  }
+
+  /**
+   * Add tools to an assistant config's model functions
+   * Functions with the same name are replaced; other functions are kept.
+   * @param {Object} config - Assistant configuration
+   * @param {Array<string>} [names] - Tools to attach (defaults to every tool)
+   * @returns {Object} Copy of the config with the tools attached
+   */
+  attach(config, names) {
+    const functions = this.toFunctions(names);
+    if (functions.length === 0) {
+      return config;
+    }
+
+    const attached = new Set(functions.map(fn => fn.name));
+    const existing = (config.model?.functions || []).filter(fn => !attached.has(fn.name));
+
+    return { ...config, model: { ...config.model, functions: [...existing, ...functions] } };
+  }
+
+  /**
+   * Check arguments against a tool's parameter schema
+   * @param {string} name - Tool name
+   * @param {Object} args - Arguments from the model
+   * @returns {Array<{path: string, message: string}>} Problems; empty when valid
+   */
+  validateArguments(name, args) {
+    return validateJsonSchema(this._get(name).parameters, args);
+  }
+
+  /**
+   * Validate arguments and run a tool's handler
+   * @param {string} name - Tool name
+   * @param {Object|string} args - Arguments, or their JSON encoding
+   * @param {Object} [context] - Passed to the handler ({ call, toolCallId, message })
+   * @returns {Promise<any>} Handler result
+   */
+  async execute(name, args = {}, context = {}) {
+    const tool = this._get(name);
+
+    let parsed = args;
+    if (typeof args === 'string') {
+      try {
+        parsed = args.trim() === '' ? {} : JSON.parse(args);
+      } catch {
+        throw new VapiError(`Arguments for tool ${name} are not valid JSON`, ERROR_CODES.VALIDATION_ERROR, { tool: name });
+      }
+    }
+
+    const issues = this.validateArguments(name, parsed);
+    if (issues.length > 0) {
+      throw new VapiError(
+        `Invalid arguments for tool ${name}: ${issues.map(i => `${i.path} ${i.message}`).join('; ')}`,
+        ERROR_CODES.VALIDATION_ERROR,
+        { tool: name, errors: issues }
+      );
+    }
+
+    this.logger.debug('Running tool', { tool: name, toolCallId: context.toolCallId });
+    return tool.handler(parsed, context);
+  }
+
+  /**
+   * Look up a tool or fail
+   * @private
+   */
+  _get(name) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      throw new VapiError(`Unknown tool: ${name}`, ERROR_CODES.TOOL_NOT_FOUND, { tool: name, available: [...this.tools.keys()] });
+    }
+    return tool;
+  }
+}
+
+export { ToolRegistry, TOOL_NAME_PATTERN };
@@ -1,5 +1,11 @@
 import crypto from 'crypto';
 import { VapiError, ERROR_CODES } from '../utils/errorHandler.js';
+import { getDefaultLogger } from '../utils/logger.js';
+
+/**
+ * Server message types that ask for tool results in the response
+ */
+const TOOL_CALL_TYPES = ['tool-calls', 'function-call'];
 
 /**
  * Webhook Handler for VAPI call events
@@ -10,11 +16,20 @@ class WebhookHandler {
    * @param {Object} options - Configuration options
    * @param {string} [options.secret] - Webhook secret for signature verification
    * @param {Function} [options.onEvent] - Global event handler
+   * @param {ToolRegistry} [options.tools] - Tools that answer tool-calls and function-call messages
+   * @param {number} [options.requestTimeout=5000] - Milliseconds a request handler has to answer
+   * @param {string} [options.fallbackAssistantId] - Assistant used when an assistant-request handler fails or is too slow
+   * @param {Object} [options.logger] - Logger (defaults to the shared SDK logger)
    */
   constructor(options = {}) {
     this.secret = options.secret || process.env.VAPI_WEBHOOK_SECRET;
     this.eventHandlers = new Map();
     this.globalEventHandler = options.onEvent || null;
+    this.tools = options.tools || null;
+    this.requestHandlers = new Map();
+    this.requestTimeout = options.requestTimeout || 5000;
+    this.fallbackAssistantId = options.fallbackAssistantId || null;
+    this.logger = options.logger || getDefaultLogger().child({ subsystem: 'webhook' });
   }
 
   /**
@@ -23,7 +38,7 @@ class WebhookHandler {
    */
   _verifySignature(signature, payload, timestamp) {
     if (!this.secret) {
-      console.warn('Webhook secret not set, skipping signature verification');
+      this.logger.warn('Webhook secret not set, skipping signature verification');
       return true; // Skip verification if no secret is set
     }
 
@@ -58,6 +73,20 @@ class WebhookHandler {
         throw new VapiError('Invalid webhook signature', 'INVALID_SIGNATURE');
       }
 
+      // Tool calls are answered with the tools' results instead of an acknowledgement
+      if (TOOL_CALL_TYPES.includes(event?.message?.type)) {
+        const response = await this._handleToolCalls(event.message);
+        res.status(200).json(response);
+        return { type: event.message.type, data: event.message, response };
+      }
+
+      // Other server messages with a registered request handler are answered with its body
+      if (this.requestHandlers.has(event?.message?.type)) {
+        const response = await this._handleRequest(event.message);
+        res.status(200).json(response);
+        return { type: event.message.type, data: event.message, response };
+      }
+
       // Process the event
       const result = await this._processEvent(event);
       
@@ -65,7 +94,7 @@ class WebhookHandler {
       res.status(200).json({ received: true, event: result });
       return result;
     } catch (error) {
-      console.error('Webhook processing error:', error);
+      this.logger.error('Webhook processing error', { error });
       
       const statusCode = error.statusCode || 400;
       const message = error.message || 'Webhook processing failed';
@@ -84,21 +113,15 @@ class WebhookHandler {
    * @private
    */
   async _processEvent(event) {
-    if (!event || !event.type) {
+    // Accept { type, data } events as well as VAPI server messages ({ message: { type, ... } })
+    const eventType = event?.type || event?.message?.type;
+    if (!eventType) {
       throw new VapiError('Invalid event format', 'INVALID_EVENT');
     }
 
-    const eventType = event.type;
-    const eventData = event.data || {};
+    const eventData = event.type ? event.data || {} : event.message;
 
-    // Call global event handler if set
-    if (this.globalEventHandler) {
-      try {
-        await this.globalEventHandler(eventType, eventData);
-      } catch (error) {
-        console.error('Error in global event handler:', error);
-      }
-    }
+    await this._notifyGlobalHandler(eventType, eventData);
 
     // Call specific event handler if registered
     if (this.eventHandlers.has(eventType)) {
@@ -106,7 +129,7 @@ class WebhookHandler {
       try {
         await handler(eventData);
       } catch (error) {
-        console.error(`Error in ${eventType} handler:`, error);
+        this.logger.error('Error in webhook event handler', { eventType, error });
         throw new VapiError(
           `Error processing ${eventType} event`,
           'HANDLER_ERROR',
@@ -118,6 +141,135 @@ class WebhookHandler {
     return { type: eventType, data: eventData };
   }
 
+  /**
+   * Call the global event handler, if set, without letting it fail the webhook
+   * @private
+   */
+  async _notifyGlobalHandler(eventType, eventData) {
+    if (this.globalEventHandler) {
+      try {
+        await this.globalEventHandler(eventType, eventData);
+      } catch (error) {
+        this.logger.error('Error in global event handler', { eventType, error });
+      }
+    }
+  }
+
+  /**
+   * Run the tools a tool-calls or function-call message asks for
+   * Each call is validated against its tool's parameter schema; failures are
+   * reported back to VAPI per call rather than failing the whole webhook.
+   * @private
+   * @returns {Promise<Object>} { results: [{ toolCallId, name, result|error }] }, or { result|error } for function-call
+   */
+  async _handleToolCalls(message) {
+    await this._notifyGlobalHandler(message.type, message);
+
+    const calls = message.type === 'function-call'
+      ? [{ name: message.functionCall?.name, args: message.functionCall?.parameters }]
+      : (message.toolCallList || []).map(toolCall => ({
+        id: toolCall.id,
+        name: toolCall.function?.name,
+        args: toolCall.function?.arguments
+      }));
+
+    const results = await Promise.all(calls.map(async ({ id, name, args }) => {
+      try {
+        if (!this.tools) {
+          throw new VapiError('No tool registry is configured', ERROR_CODES.TOOL_NOT_FOUND, { tool: name });
+        }
+        const result = await this.tools.execute(name, args, { call: message.call, toolCallId: id, message });
+        return { toolCallId: id, name, result: typeof result === 'string' ? result : JSON.stringify(result ?? null) };
+      } catch (error) {
+        this.logger.error('Tool call failed', { tool: name, toolCallId: id, error });
+        return { toolCallId: id, name, error: error.message };
+      }
+    }));
+
+    if (message.type === 'function-call') {
+      const { result, error } = results[0];
+      return error === undefined ? { result } : { error };
+    }
+    return { results };
+  }
+
+  /**
+   * Answer a server message with a handler's result, or its fallback
+   * @private
+   * @returns {Promise<Object>} Response body
+   */
+  async _handleRequest(message) {
+    await this._notifyGlobalHandler(message.type, message);
+
+    const { handler, timeout, fallback } = this.requestHandlers.get(message.type);
+    let timer;
+
+    try {
+      const timedOut = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new VapiError(
+          `${message.type} handler did not answer within ${timeout}ms`,
+          ERROR_CODES.TIMEOUT,
+          { type: message.type, timeout }
+        )), timeout);
+      });
+
+      const body = await Promise.race([Promise.resolve().then(() => handler(message)), timedOut]);
+      if (body === undefined || body === null) {
+        throw new VapiError(`${message.type} handler returned no answer`, 'NO_RESPONSE', { type: message.type });
+      }
+      return this._formatResponse(message.type, body);
+    } catch (error) {
+      this.logger.warn('Request handler failed, using fallback', { type: message.type, error });
+
+      const fallbackBody = typeof fallback === 'function' ? await fallback(message, error) : fallback;
+      if (fallbackBody === undefined || fallbackBody === null) {
+        return { error: error.message };
+      }
+      return this._formatResponse(message.type, fallbackBody);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Shape a handler's answer; an assistant-request may answer with just an assistant id
+   * @private
+   */
+  _formatResponse(type, body) {
+    if (type === 'assistant-request' && typeof body === 'string') {
+      return { assistantId: body };
+    }
+    return body;
+  }
+
+  /**
+   * Register a handler whose return value answers a server message
+   * VAPI waits for the answer, so the handler has a time limit. When it is
+   * exceeded, or the handler throws or returns nothing, the fallback answers
+   * instead; without one the response is { error }.
+   * @param {string} messageType - Server message type (e.g. 'assistant-request')
+   * @param {Function} handler - async (message) => response body. For assistant-request:
+   *   an assistant id, { assistantId, assistantOverrides }, { assistant } (transient config) or { squadId }
+   * @param {Object} [options] - Options
+   * @param {number} [options.timeout] - Milliseconds to wait (defaults to requestTimeout)
+   * @param {Object|string|Function} [options.fallback] - Answer to use instead, or (message, error) => answer.
+   *   assistant-request defaults to fallbackAssistantId.
+   * @returns {WebhookHandler} this
+   */
+  onRequest(messageType, handler, options = {}) {
+    if (typeof handler !== 'function') {
+      throw new VapiError('Handler must be a function', 'INVALID_HANDLER');
+    }
+
+    const defaultFallback = messageType === 'assistant-request' ? this.fallbackAssistantId : undefined;
+    this.requestHandlers.set(messageType, {
+      handler,
+      timeout: options.timeout || this.requestTimeout,
+      fallback: options.fallback ?? defaultFallback
+    });
+    return this;
+  }
+
   /**
    * Register an event handler
    * @param {string} eventType - Event type to handle (e.g., 'call.answered')
@@ -0,0 +1,288 @@
+import EventEmitter from 'events';
+import { VapiError, ERROR_CODES } from '../utils/errorHandler.js';
+
+/**
+ * SDK functions that can be routed to a workspace by name
+ */
+const ROUTED_METHODS = [
+  'createAssistant',
+  'createAssistantFromConfig',
+  'listAssistants',
+  'getAssistant',
+  'updateAssistant',
+  'deleteAssistant',
+  'listAssistantVersions',
+  'getAssistantVersion',
+  'rollbackAssistant',
+  'planManifests',
+  'applyManifests',
+  'lintAssistant',
+  'lintAssistants',
+  'findAssistants',
+  'findAssistant',
+  'bulkUpdateAssistants',
+  'bulkPatchAssistants',
+  'bulkRetagAssistants',
+  'bulkDeleteAssistants',
+  'exportAssistants',
+  'importAssistants',
+  'planPromotion',
+  'promoteAssistant',
+  'listPromotions',
+  'watchAssistant',
+  'unwatchAssistant',
+  'checkDrift',
+  'registerTool',
+  'attachTools',
+  'onAssistantRequest',
+  'startCall',
+  'startPhoneCall',
+  'endCall',
+  'startCampaign',
+  'getCampaign',
+  'listCampaigns',
+  'pauseCampaign',
+  'resumeCampaign',
+  'cancelCampaign',
+  'scheduleCall',
+  'rescheduleCall',
+  'cancelScheduledCall',
+  'listScheduledCalls',
+  'addToDoNotCall',
+  'removeFromDoNotCall',
+  'importDoNotCall',
+  'exportDoNotCall',
+  'recordConsent',
+  'revokeConsent',
+  'checkNumber',
+  'getCallUsage',
+  'getCallDetails',
+  'listPhoneNumbers',
+  'iterateAssistants',
+  'iterateCalls',
+  'iteratePhoneNumbers',
+  'purchasePhoneNumber'
+];
+
+/**
+ * Workspace Manager
+ * Holds one isolated SDK instance per VAPI organization and routes calls,
+ * caches, monitoring and webhooks to the right one
+ */
+class WorkspaceManager extends EventEmitter {
+  /**
+   * Create a new WorkspaceManager
+   * @param {Object} options - Configuration options
+   * @param {Function} options.createSdk - Factory used to build each workspace SDK (createVapiSdk)
+   * @param {Object<string, Object>} [options.workspaces] - Initial workspaces keyed by name
+   */
+  constructor(options = {}) {
+    super();
+
+    if (typeof options.createSdk !== 'function') {
+      throw new VapiError('createSdk must be a function', ERROR_CODES.VALIDATION_ERROR);
+    }
+
+    this.createSdk = options.createSdk;
+    this.workspaces = new Map();
+
+    // Expose routed SDK functions: manager.createAssistant('acme', name, ...)
+    for (const method of ROUTED_METHODS) {
+      this[method] = (workspace, ...args) => this.getWorkspace(workspace)[method](...args);
+    }
+
+    for (const [name, config] of Object.entries(options.workspaces || {})) {
+      this.addWorkspace(name, config);
+    }
+  }
+
+  /**
+   * Register a workspace
+   * @param {string} name - Unique workspace name
+   * @param {Object} config - SDK configuration (apiKey, webhook.path, webhook.secret, ...)
+   * @returns {Object} The workspace SDK instance
+   */
+  addWorkspace(name, config = {}) {
+    if (!name) {
+      throw new VapiError('Workspace name is required', ERROR_CODES.VALIDATION_ERROR);
+    }
+
+    if (this.workspaces.has(name)) {
+      throw new VapiError(
+        `Workspace "${name}" already exists`,
+        ERROR_CODES.WORKSPACE_CONFLICT,
+        { workspace: name }
+      );
+    }
+
+    const webhookPath = config.webhook?.path;
+    if (webhookPath && this._findByPath(webhookPath)) {
+      throw new VapiError(
+        `Webhook path "${webhookPath}" is already used by another workspace`,
+        ERROR_CODES.WORKSPACE_CONFLICT,
+        { workspace: name, path: webhookPath }
+      );
+    }
+
+    // Each workspace keeps its own schedule, do-not-call list, history and audit files
+    const sdk = this.createSdk({ ...config, workspace: name });
+    this.workspaces.set(name, { name, config, sdk });
+    this.emit('workspace:added', { workspace: name });
+
+    return sdk;
+  }
+
+  /**
+   * Remove a workspace and shut down its background work
+   * @param {string} name - Workspace name
+   * @returns {Promise<boolean>} True if the workspace existed
+   */
+  async removeWorkspace(name) {
+    const entry = this.workspaces.get(name);
+    if (!entry) {
+      return false;
+    }
+
+    await entry.sdk.shutdown();
+    this.workspaces.delete(name);
+    this.emit('workspace:removed', { workspace: name });
+
+    return true;
+  }
+
+  /**
+   * Get the SDK instance for a workspace
+   * @param {string} name - Workspace name
+   * @returns {Object} Workspace SDK instance
+   */
+  getWorkspace(name) {
+    const entry = this.workspaces.get(name);
+    if (!entry) {
+      throw new VapiError(
+        `Unknown workspace "${name}"`,
+        ERROR_CODES.WORKSPACE_NOT_FOUND,
+        { workspace: name, available: this.listWorkspaces() }
+      );
+    }
+    return entry.sdk;
+  }
+
+  /**
+   * Check whether a workspace is registered
+   * @param {string} name - Workspace name
+   * @returns {boolean}
+   */
+  hasWorkspace(name) {
+    return this.workspaces.has(name);
+  }
+
+  /**
+   * List registered workspace names
+   * @returns {Array<string>}
+   */
+  listWorkspaces() {
+    return Array.from(this.workspaces.keys());
+  }
+
+  /**
+   * Start every workspace
+   * @returns {Promise<void>}
+   */
+  async start() {
+    await Promise.all(Array.from(this.workspaces.values()).map(({ sdk }) => sdk.start()));
+  }
+
+  /**
+   * Shut down every workspace
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    await Promise.all(Array.from(this.workspaces.values()).map(({ sdk }) => sdk.shutdown()));
+  }
+
+  /**
+   * Work out which workspace an incoming webhook belongs to
+   * Matches the request path against each workspace's webhook.path first,
+   * then tries each workspace's webhook secret against the signature.
+   * @param {Object} req - Express request object
+   * @returns {string|null} Workspace name or null if none matched
+   */
+  resolveWebhookWorkspace(req) {
+    const requestPath = req.path || req.originalUrl || req.url;
+    const byPath = requestPath ? this._findByPath(requestPath) : null;
+    if (byPath) {
+      return byPath.name;
+    }
+
+    const signature = req.headers?.['vapi-signature'];
+    const timestamp = req.headers?.['vapi-timestamp'];
+    if (!signature || !timestamp) {
+      return null;
+    }
+
+    for (const entry of this.workspaces.values()) {
+      const handler = entry.sdk.webhookHandler;
+      if (!handler.secret) {
+        continue;
+      }
+
+      try {
+        if (handler._verifySignature(signature, req.body, timestamp)) {
+          return entry.name;
+        }
+      } catch (error) {
+        // Signature length mismatch, not this workspace
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Process an incoming webhook with the matching workspace's handler
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object>} Processed event data
+   */
+  async handleWebhook(req, res) {
+    const workspace = this.resolveWebhookWorkspace(req);
+
+    if (!workspace) {
+      res.status(404).json({
+        error: 'No workspace matches this webhook',
+        code: ERROR_CODES.WORKSPACE_NOT_FOUND
+      });
+      throw new VapiError('No workspace matches this webhook', ERROR_CODES.WORKSPACE_NOT_FOUND);
+    }
+
+    req.workspace = workspace;
+    const result = await this.getWorkspace(workspace).webhookHandler.handleWebhook(req, res);
+    this.emit('webhook', { workspace, ...result });
+
+    return result;
+  }
+
+  /**
+   * Create an Express middleware that dispatches webhooks to workspaces
+   * @returns {Function} Express middleware function
+   */
+  getMiddleware() {
+    return this.handleWebhook.bind(this);
+  }
+
+  /**
+   * Find a workspace by its configured webhook path
+   * @private
+   */
+  _findByPath(requestPath) {
+    for (const entry of this.workspaces.values()) {
+      if (entry.config.webhook?.path === requestPath) {
+        return entry;
+      }
+    }
+    return null;
+  }
+}
+
+export { ROUTED_METHODS };
+export default WorkspaceManager;
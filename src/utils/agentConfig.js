@@ -0,0 +1,242 @@
+import { inferModelProvider } from './modelCatalog.js';
+import { ALLOWED_VALUES, validateAssistantConfig, formatIssue } from './assistantSchema.js';
+import { VapiError, ERROR_CODES } from './errorHandler.js';
+
+/**
+ * Assistant configuration helpers
+ * Defaults, allowed values and validation shared by create-agent.js and the SDK.
+ */
+
+/**
+ * Default configuration for VAPI assistants
+ * This includes all configurable elements for both creation and updates
+ */
+const DEFAULT_AGENT_CONFIG = {
+  // Basic Information
+  name: 'My Assistant',
+  firstMessage: 'Hello! How can I help you today?',
+  
+  // Model Configuration
+  model: {
+    // Required
+    provider: 'openai',  // openai, anthropic, google, azure, meta
+    model: 'gpt-4o',     // Model name (e.g., gpt-4o, claude-3-opus, etc.)
+    
+    // System and context messages
+    messages: [
+      {
+        role: 'system',
+        content: 'You are a helpful AI assistant.'
+      }
+    ],
+    
+    // Model parameters
+    temperature: 0.7,    // 0-2 (higher = more creative/random)
+    topP: 1.0,          // 0-1 (nucleus sampling)
+    maxTokens: 1000,     // 1-4000
+    stop: [],           // Stop sequences
+    presencePenalty: 0,  // -2 to 2
+    frequencyPenalty: 0, // -2 to 2
+    functions: [],      // Function definitions
+    functionCall: 'auto' // 'none', 'auto', or {name: 'function_name'}
+  },
+  
+  // Voice Configuration
+  voice: {
+    // Required
+    provider: 'vapi',   // vapi, 11labs, playht, deepgram, azure, google
+    voiceId: 'Elliot',  // Voice ID from the provider
+    
+    // Voice parameters
+    speed: 1.0,         // 0.5-2.0
+    stability: 0.5,     // 0-1 (voice stability)
+    similarityBoost: 0.75, // 0-1 (voice similarity)
+    
+    // Provider-specific settings
+    model: null,        // Voice model (if applicable)
+    language: 'en-US',  // Language code
+    
+    // 11Labs specific
+    optimizeStreamingLatency: 1, // 1-4 (lower = faster streaming)
+    
+    // Azure specific
+    region: null,       // Azure region
+    
+    // Google specific
+    languageCode: null, // Google language code
+    ssmlGender: null    // MALE, FEMALE, or NEUTRAL
+  },
+  
+  // Call Settings
+  endCallFunctionEnabled: true,  // Whether to enable end call function
+  callTimeout: 300,              // Call timeout in seconds
+  maxDurationSeconds: 3600,      // Maximum call duration
+  
+  // Recording Settings
+  recordingEnabled: false,       // Enable/disable call recording
+  recordingFileFormat: 'mp3',    // mp3 or wav
+  recordingTranscriptionEnabled: false, // Enable transcription
+  recordingTranscriptionProvider: 'vapi', // vapi, deepgram, etc.
+  recordingTranscriptionLanguage: 'en', // Language code
+  
+  // Webhook Settings
+  webhookUrl: '',                // Webhook URL for events
+  webhookEvents: ['call.ended'], // Events to receive
+  webhookHeaders: {},            // Custom headers
+  webhookAuth: {                // Auth for webhook
+    type: 'none',               // none, basic, bearer, api_key
+    config: {}
+  },
+  
+  // Recording Webhook Settings
+  recordingWebhookUrl: '',
+  recordingWebhookMethod: 'POST',
+  recordingWebhookAddAuthHeader: false,
+  
+  // Metadata
+  metadata: {
+    createdBy: 'vapi-sdk',
+    version: '1.0',
+    environment: 'development', // development, staging, production
+    teamId: null,              // Team/workspace ID
+    tags: []                   // Custom tags
+  },
+  
+  // Advanced Settings
+  silenceTimeoutMs: 10000,      // Milliseconds of silence before timeout
+  responseDelayMs: 0,           // Delay before responding (ms)
+  interruptSensitivity: 'high',  // low, medium, high
+  firstMessageMode: 'assistant-speaks-first', // or 'user-speaks-first'
+  
+  // Voice Activity Detection (VAD)
+  vad: {
+    enabled: true,
+    mode: 'aggressive',         // aggressive, balanced, gentle
+    silenceTimeoutMs: 1000,
+    minSpeechDurationMs: 300,
+    maxSpeechDurationMs: 30000
+  },
+  
+  // Conversation Settings
+  conversationType: 'unassisted', // unassisted or assisted
+  humanHandoff: {
+    enabled: false,
+    message: 'Let me transfer you to a human agent...',
+    transferNumber: null
+  },
+  
+  // Analytics
+  analytics: {
+    enabled: true,
+    trackUtm: true,            // Track UTM parameters
+    trackReferrer: true,       // Track HTTP referrer
+    trackDeviceInfo: true      // Track device information
+  }
+};
+
+/**
+ * Fields set by the API that are never sent back on create or update
+ */
+const READ_ONLY_ASSISTANT_FIELDS = ['id', 'orgId', 'createdAt', 'updatedAt'];
+
+/**
+ * Copy an assistant without its read-only fields
+ * @param {Object} assistant - Assistant as returned by the API
+ * @returns {Object} Writable configuration
+ */
+function stripReadOnlyFields(assistant) {
+  const config = { ...assistant };
+  READ_ONLY_ASSISTANT_FIELDS.forEach(field => delete config[field]);
+  return config;
+}
+
+/**
+ * Validate a configuration against the assistant schema
+ * Throws on errors; warnings (unknown fields, provider mismatches, ...) are
+ * returned through the optional onWarnings callback.
+ * @param {Object} config - Assistant configuration
+ * @param {Object} [options] - Options
+ * @param {Function} [options.onWarnings] - Called with the warnings, if there are any
+ * @returns {Object} The configuration
+ */
+function validateConfig(config, options = {}) {
+  const { errors, warnings } = validateAssistantConfig(config);
+
+  if (errors.length > 0) {
+    throw new VapiError(
+      `Configuration validation failed:\n- ${errors.map(formatIssue).join('\n- ')}`,
+      ERROR_CODES.VALIDATION_ERROR,
+      { errors, warnings }
+    );
+  }
+
+  if (warnings.length > 0 && options.onWarnings) {
+    options.onWarnings(warnings);
+  }
+
+  return config;
+}
+
+/**
+ * Merge default config with custom overrides and validate
+ * @param {Object} [overrides] - Config overrides
+ * @param {Object} [options] - Options passed to validateConfig
+ * @param {boolean} [options.validate=true] - Set to false to only merge (e.g. to lint a live assistant)
+ * @returns {Object} The merged configuration
+ */
+function getAgentConfig(overrides = {}, options = {}) {
+  // Deep clone the default config
+  const config = JSON.parse(JSON.stringify(DEFAULT_AGENT_CONFIG));
+
+  // Choosing a model without a provider picks the model's provider, not the default one
+  if (overrides.model?.model && !overrides.model.provider) {
+    config.model.provider = inferModelProvider(overrides.model.model) || config.model.provider;
+  }
+  
+  // Apply overrides
+  const mergedConfig = deepMerge(config, overrides);
+  
+  // Validate the merged configuration
+  if (options.validate === false) {
+    return mergedConfig;
+  }
+  return validateConfig(mergedConfig, options);
+}
+
+/**
+ * Deep merge objects
+ */
+function deepMerge(target, source) {
+  const output = { ...target };
+  
+  if (isObject(target) && isObject(source)) {
+    Object.keys(source).forEach(key => {
+      if (isObject(source[key])) {
+        if (!(key in target)) {
+          output[key] = source[key];
+        } else {
+          output[key] = deepMerge(target[key], source[key]);
+        }
+      } else {
+        output[key] = source[key];
+      }
+    });
+  }
+  
+  return output;
+}
+
+function isObject(item) {
+  return item && typeof item === 'object' && !Array.isArray(item);
+}
+
+export {
+  ALLOWED_VALUES,
+  DEFAULT_AGENT_CONFIG,
+  validateConfig,
+  getAgentConfig,
+  deepMerge,
+  isObject,
+  READ_ONLY_ASSISTANT_FIELDS,
+  stripReadOnlyFields
+};
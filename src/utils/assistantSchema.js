@@ -0,0 +1,492 @@
+import { MODEL_CATALOG, MODEL_PROVIDERS, checkModelConfig } from './modelCatalog.js';
+
+/**
+ * Allowed values for VAPI configuration
+ */
+const ALLOWED_VALUES = {
+  model: {
+    // Derived from the shared model catalog
+    providers: MODEL_PROVIDERS,
+    models: Object.keys(MODEL_CATALOG),
+    temperature: { min: 0, max: 2 },
+    maxTokens: { min: 100, max: 4000 }
+  },
+  voice: {
+    providers: ['vapi', '11labs', 'playht', 'deepgram', 'azure', 'google'],
+    vapiVoices: ['Elliot', 'Kylie', 'Rohan', 'Lily', 'Savannah', 'Hana', 'Neha', 'Cole', 'Harry', 'Paige', 'Spencer'],
+    elevenLabsVoices: ['21m00Tcm4TlvDq8ikWAM', 'EXAVITQu4vr4xnSDxMaL', 'MF3mGyEYCl7XYWbV9V6O'],
+    elevenLabsModels: ['eleven_turbo_v2', 'eleven_turbo_v2_5', 'eleven_flash_v2_5', 'eleven_multilingual_v2', 'eleven_monolingual_v1'],
+    playhtModels: ['PlayHT2.0', 'PlayHT2.0-turbo', 'Play3.0-mini'],
+    deepgramVoices: ['asteria', 'luna', 'stella', 'athena', 'hera', 'orion', 'arcas', 'perseus', 'angus', 'orpheus', 'helios', 'zeus'],
+    ssmlGenders: ['MALE', 'FEMALE', 'NEUTRAL'],
+    speed: { min: 0.5, max: 2.0 },
+    stability: { min: 0, max: 1 },
+    similarityBoost: { min: 0, max: 1 }
+  },
+  webhookMethods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE']
+};
+
+// Spec builders keep the schema below readable
+const string = (extra = {}) => ({ type: 'string', ...extra });
+const oneOf = (values, extra = {}) => ({ type: 'string', values, ...extra });
+const number = (min, max, extra = {}) => ({ type: 'number', min, max, ...extra });
+const integer = (min, max, extra = {}) => ({ type: 'integer', min, max, ...extra });
+const boolean = () => ({ type: 'boolean' });
+const array = (items, extra = {}) => ({ type: 'array', items, ...extra });
+const object = (properties, extra = {}) => ({ type: 'object', properties, ...extra });
+const url = (extra = {}) => ({ type: 'string', format: 'url', ...extra });
+
+/**
+ * Voice fields that only one provider uses
+ */
+const PROVIDER_ONLY_VOICE_FIELDS = {
+  region: 'azure',
+  languageCode: 'google',
+  ssmlGender: 'google'
+};
+
+/**
+ * Credentials each webhook auth type needs in webhookAuth.config
+ */
+const WEBHOOK_AUTH_FIELDS = {
+  basic: ['username', 'password'],
+  bearer: ['token'],
+  api_key: ['key']
+};
+
+/**
+ * Declarative schema for the whole assistant configuration
+ *
+ * Specs: type (string, number, integer, boolean, object, array, any), nullable,
+ * required, values, pattern (+ patternMessage), format (url, e164), min/max,
+ * maxLength, maxItems, items, properties, additionalProperties (true or a spec
+ * for every extra key), variants ({ key, cases }) to add properties per
+ * discriminator value, level ('warning' downgrades every issue), and
+ * validate(value) for cross-field rules returning [{ path, message, level }].
+ */
+const ASSISTANT_SCHEMA = object({
+  // Read-only fields returned by the API
+  id: string(),
+  orgId: string(),
+  createdAt: string(),
+  updatedAt: string(),
+
+  // Basic Information
+  name: string({ maxLength: 40 }),
+  firstMessage: string(),
+  language: string(),
+  enableTranscription: boolean(),
+
+  // Model Configuration
+  model: object({
+    provider: oneOf(ALLOWED_VALUES.model.providers),
+    model: oneOf(ALLOWED_VALUES.model.models),
+    messages: array(object({
+      role: oneOf(['system', 'user', 'assistant', 'tool', 'function'], { required: true }),
+      content: string({ nullable: true })
+    }, { additionalProperties: true })),
+    temperature: number(ALLOWED_VALUES.model.temperature.min, ALLOWED_VALUES.model.temperature.max),
+    topP: number(0, 1),
+    maxTokens: integer(ALLOWED_VALUES.model.maxTokens.min, ALLOWED_VALUES.model.maxTokens.max),
+    stop: array(string(), { maxItems: 4 }),
+    presencePenalty: number(-2, 2),
+    frequencyPenalty: number(-2, 2),
+    functions: array(object({
+      name: string({
+        required: true,
+        pattern: /^[A-Za-z0-9_-]{1,64}$/,
+        patternMessage: 'must be 1-64 letters, digits, underscores or dashes'
+      }),
+      description: string(),
+      parameters: object({}, { additionalProperties: true })
+    }, { additionalProperties: true })),
+    functionCall: {
+      type: 'any',
+      validate: (value) => {
+        if (value === 'none' || value === 'auto') return [];
+        if (value && typeof value === 'object' && typeof value.name === 'string') return [];
+        return [{ path: '', message: "must be 'none', 'auto' or { name }" }];
+      }
+    }
+  }, {
+    validate: (model) => {
+      const issues = checkModelConfig(model).map(({ field, message }) => ({ path: field, message }));
+      if (Array.isArray(model.messages) && !model.messages.some(m => m?.role === 'system')) {
+        issues.push({ path: 'messages', message: 'has no system message', level: 'warning' });
+      }
+      return issues;
+    }
+  }),
+
+  // Voice Configuration
+  voice: object({
+    provider: oneOf(ALLOWED_VALUES.voice.providers),
+    voiceId: string(),
+    speed: number(ALLOWED_VALUES.voice.speed.min, ALLOWED_VALUES.voice.speed.max),
+    stability: number(ALLOWED_VALUES.voice.stability.min, ALLOWED_VALUES.voice.stability.max),
+    similarityBoost: number(ALLOWED_VALUES.voice.similarityBoost.min, ALLOWED_VALUES.voice.similarityBoost.max),
+    model: string({ nullable: true }),
+    language: string({
+      pattern: /^[a-z]{2,3}(-[A-Z]{2})?$/,
+      patternMessage: 'should be a language code like en or en-US',
+      level: 'warning'
+    }),
+    optimizeStreamingLatency: integer(0, 4),
+    region: string({ nullable: true }),
+    languageCode: string({ nullable: true }),
+    ssmlGender: oneOf(ALLOWED_VALUES.voice.ssmlGenders, { nullable: true })
+  }, {
+    variants: {
+      key: 'provider',
+      cases: {
+        vapi: {
+          voiceId: oneOf(ALLOWED_VALUES.voice.vapiVoices, { required: true })
+        },
+        '11labs': {
+          voiceId: string({
+            required: true,
+            pattern: /^[A-Za-z0-9]{20}$/,
+            patternMessage: 'must be a 20-character ElevenLabs voice id'
+          }),
+          model: oneOf(ALLOWED_VALUES.voice.elevenLabsModels, { nullable: true })
+        },
+        playht: {
+          voiceId: string({ required: true }),
+          model: oneOf(ALLOWED_VALUES.voice.playhtModels, { nullable: true })
+        },
+        deepgram: {
+          voiceId: oneOf(ALLOWED_VALUES.voice.deepgramVoices, { required: true })
+        },
+        azure: {
+          voiceId: string({
+            required: true,
+            pattern: /^[a-z]{2,3}-[A-Z]{2}-[A-Za-z]+Neural$/,
+            patternMessage: 'should be an Azure neural voice name like en-US-JennyNeural',
+            level: 'warning'
+          })
+        },
+        google: {
+          voiceId: string({
+            required: true,
+            pattern: /^[a-z]{2,3}-[A-Z]{2}-/,
+            patternMessage: 'should be a Google voice name like en-US-Neural2-F',
+            level: 'warning'
+          })
+        }
+      }
+    },
+    validate: (voice) => {
+      const issues = [];
+      for (const [field, provider] of Object.entries(PROVIDER_ONLY_VOICE_FIELDS)) {
+        if (voice[field] !== null && voice[field] !== undefined && voice.provider && voice.provider !== provider) {
+          issues.push({ path: field, message: `is only used by ${provider} voices`, level: 'warning' });
+        }
+      }
+      if (voice.provider === 'azure' && !voice.region) {
+        issues.push({ path: 'region', message: 'should be set for azure voices', level: 'warning' });
+      }
+      return issues;
+    }
+  }),
+
+  // Call Settings
+  endCallFunctionEnabled: boolean(),
+  callTimeout: integer(1),
+  maxDurationSeconds: integer(10, 43200),
+
+  // Recording Settings
+  recordingEnabled: boolean(),
+  recordingFileFormat: oneOf(['mp3', 'wav']),
+  recordingTranscriptionEnabled: boolean(),
+  recordingTranscriptionProvider: oneOf(['vapi', 'deepgram', 'assembly-ai', 'gladia', 'talkscriber']),
+  recordingTranscriptionLanguage: string(),
+
+  // Webhook Settings
+  webhookUrl: url({ allowEmpty: true }),
+  webhookEvents: array(string()),
+  webhookHeaders: object({}, { additionalProperties: string() }),
+  webhookAuth: object({
+    type: oneOf(['none', 'basic', 'bearer', 'api_key']),
+    config: object({}, { additionalProperties: true })
+  }, {
+    validate: (auth) => {
+      const config = auth.config || {};
+      if (auth.type === 'none') {
+        return Object.keys(config).length > 0
+          ? [{ path: 'config', message: "is ignored when type is 'none'", level: 'warning' }]
+          : [];
+      }
+      return (WEBHOOK_AUTH_FIELDS[auth.type] || [])
+        .filter(field => !config[field])
+        .map(field => ({ path: `config.${field}`, message: `is required for ${auth.type} auth` }));
+    }
+  }),
+  webhook: object({}, { additionalProperties: true }),
+
+  // Recording Webhook Settings
+  recordingWebhookUrl: url({ allowEmpty: true }),
+  recordingWebhookMethod: oneOf(ALLOWED_VALUES.webhookMethods),
+  recordingWebhookAddAuthHeader: boolean(),
+
+  // Metadata (free-form beyond the fields the SDK uses)
+  metadata: object({
+    createdBy: string(),
+    version: string(),
+    environment: oneOf(['development', 'staging', 'production']),
+    teamId: string({ nullable: true }),
+    tags: array(string())
+  }, { additionalProperties: true }),
+
+  // Advanced Settings
+  silenceTimeoutMs: integer(0),
+  responseDelayMs: integer(0, 10000),
+  interruptSensitivity: oneOf(['low', 'medium', 'high']),
+  firstMessageMode: oneOf([
+    'assistant-speaks-first',
+    'assistant-waits-for-user',
+    'assistant-speaks-first-with-model-generated-message',
+    'user-speaks-first'
+  ]),
+
+  // Voice Activity Detection (VAD)
+  vad: object({
+    enabled: boolean(),
+    mode: oneOf(['aggressive', 'balanced', 'gentle']),
+    silenceTimeoutMs: integer(0),
+    minSpeechDurationMs: integer(0),
+    maxSpeechDurationMs: integer(0)
+  }, {
+    validate: (vad) => (
+      vad.minSpeechDurationMs > vad.maxSpeechDurationMs
+        ? [{ path: 'minSpeechDurationMs', message: 'must not exceed maxSpeechDurationMs' }]
+        : []
+    )
+  }),
+
+  // Conversation Settings
+  conversationType: oneOf(['unassisted', 'assisted']),
+  humanHandoff: object({
+    enabled: boolean(),
+    message: string(),
+    transferNumber: string({ format: 'e164', nullable: true })
+  }),
+
+  // Analytics
+  analytics: object({
+    enabled: boolean(),
+    trackUtm: boolean(),
+    trackReferrer: boolean(),
+    trackDeviceInfo: boolean()
+  })
+});
+
+/**
+ * Edit distance between two strings
+ * @private
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Find the candidate closest to a mistyped value
+ * @param {string} input - Value that did not match
+ * @param {Array<string>} candidates - Valid values
+ * @returns {string|null} Best candidate, or null if none is close
+ */
+function suggest(input, candidates) {
+  if (typeof input !== 'string' || input.length === 0) {
+    return null;
+  }
+
+  const needle = input.toLowerCase();
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    const distance = levenshtein(needle, String(candidate).toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return bestDistance <= Math.max(2, Math.floor(needle.length / 3)) ? best : null;
+}
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  any: () => true
+};
+
+const joinPath = (base, key) => {
+  if (key === '') return base;
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+};
+
+/**
+ * Describe an out-of-range number
+ * @private
+ */
+function rangeMessage(min, max) {
+  if (min !== undefined && max !== undefined) return `must be between ${min} and ${max}`;
+  if (min !== undefined) return `must be at least ${min}`;
+  return `must be at most ${max}`;
+}
+
+/**
+ * Check a string against its format
+ * @private
+ */
+function checkFormat(value, spec) {
+  if (spec.format === 'url') {
+    if (value === '' && spec.allowEmpty) return null;
+    try {
+      const { protocol } = new URL(value);
+      return ['http:', 'https:'].includes(protocol) ? null : 'must be an http(s) URL';
+    } catch {
+      return 'must be a valid URL';
+    }
+  }
+  if (spec.format === 'e164' && !/^\+[1-9]\d{6,14}$/.test(value)) {
+    return 'must be an E.164 phone number like +14155550100';
+  }
+  return null;
+}
+
+/**
+ * Validate one value against its spec, collecting issues into the report
+ * @private
+ */
+function validateValue(value, spec, path, report) {
+  const add = (issuePath, message, extra = {}) => {
+    const level = extra.level || spec.level || 'error';
+    const issue = { path: issuePath, message };
+    if (extra.suggestion) issue.suggestion = extra.suggestion;
+    if (extra.value !== undefined) issue.value = extra.value;
+    (level === 'warning' ? report.warnings : report.errors).push(issue);
+  };
+
+  if (value === undefined) return;
+  if (value === null) {
+    if (!spec.nullable && spec.type !== 'any') {
+      add(path, `must be a ${spec.type}, got null`);
+    }
+    return;
+  }
+
+  if (!TYPE_CHECKS[spec.type](value)) {
+    add(path, `must be a ${spec.type}`, { value: typeof value === 'object' ? undefined : value });
+    return;
+  }
+
+  if (spec.type === 'string') {
+    if (spec.values && !spec.values.includes(value)) {
+      add(path, `must be one of: ${spec.values.join(', ')}`, { value, suggestion: suggest(value, spec.values) });
+    } else if (spec.pattern && !spec.pattern.test(value)) {
+      add(path, spec.patternMessage || `must match ${spec.pattern}`, { value });
+    } else if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+      add(path, `must be at most ${spec.maxLength} characters`);
+    } else if (spec.format) {
+      const problem = checkFormat(value, spec);
+      if (problem) add(path, problem, { value });
+    }
+  }
+
+  if ((spec.type === 'number' || spec.type === 'integer') &&
+      ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max))) {
+    add(path, rangeMessage(spec.min, spec.max), { value });
+  }
+
+  if (spec.type === 'array') {
+    if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+      add(path, `must have at most ${spec.maxItems} items`);
+    }
+    if (spec.items) {
+      value.forEach((item, index) => validateValue(item, spec.items, joinPath(path, index), report));
+    }
+  }
+
+  if (spec.type === 'object') {
+    const variant = spec.variants?.cases[value[spec.variants.key]];
+    const properties = { ...spec.properties, ...variant };
+
+    for (const [key, propertySpec] of Object.entries(properties)) {
+      if (value[key] === undefined) {
+        if (propertySpec.required) add(joinPath(path, key), 'is required');
+      } else {
+        validateValue(value[key], propertySpec, joinPath(path, key), report);
+      }
+    }
+
+    for (const key of Object.keys(value)) {
+      if (key in properties || spec.additionalProperties === true) continue;
+
+      if (spec.additionalProperties) {
+        validateValue(value[key], spec.additionalProperties, joinPath(path, key), report);
+      } else {
+        add(joinPath(path, key), 'is not a known field', {
+          level: 'warning',
+          suggestion: suggest(key, Object.keys(properties))
+        });
+      }
+    }
+  }
+
+  if (spec.validate) {
+    for (const issue of spec.validate(value)) {
+      add(joinPath(path, issue.path), issue.message, issue);
+    }
+  }
+}
+
+/**
+ * Validate an assistant configuration against the schema
+ * Only fields that are present are checked, so partial configs (updates) work.
+ * @param {Object} config - Assistant configuration
+ * @param {Object} [schema=ASSISTANT_SCHEMA] - Schema to validate against
+ * @returns {{valid: boolean, errors: Array<Object>, warnings: Array<Object>}} Issues as { path, message, suggestion?, value? }
+ */
+function validateAssistantConfig(config, schema = ASSISTANT_SCHEMA) {
+  const report = { errors: [], warnings: [] };
+  validateValue(config, schema, '', report);
+  return { valid: report.errors.length === 0, ...report };
+}
+
+/**
+ * Render an issue as a single line
+ * @param {Object} issue - Issue from validateAssistantConfig
+ * @returns {string}
+ */
+function formatIssue({ path, message, suggestion }) {
+  const hint = suggestion ? ` (did you mean "${suggestion}"?)` : '';
+  return `${path || '(root)'}: ${message}${hint}`;
+}
+
+export {
+  ALLOWED_VALUES,
+  ASSISTANT_SCHEMA,
+  validateAssistantConfig,
+  formatIssue,
+  suggest
+};
@@ -0,0 +1,25 @@
+/**
+ * Map over items with at most `concurrency` calls in flight
+ * Results keep the order of the input, whatever order the calls finish in.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum calls in flight
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+export { mapWithConcurrency };
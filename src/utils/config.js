@@ -0,0 +1,387 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import { VapiError, ERROR_CODES } from './errorHandler.js';
+import { getSupportedRegions } from './phone.js';
+
+/**
+ * Declared schema for every setting the SDK reads from the environment
+ *
+ * Each entry maps an environment variable to a key path in the resolved config.
+ * Supported types: string, integer, number, boolean, url, json, list (comma-separated).
+ * Entries marked `secret` are never echoed back in error reports.
+ */
+const CONFIG_SCHEMA = {
+  VAPI_API_KEY: { key: 'apiKey', type: 'string', required: true, secret: true },
+  VAPI_BASE_URL: { key: 'baseUrl', type: 'url', default: 'https://api.vapi.ai' },
+  VAPI_TIMEOUT: { key: 'timeout', type: 'integer', default: 30000, min: 1 },
+  VAPI_VERSION: { key: 'version', type: 'string', default: '2024-01-01' },
+  NODE_ENV: { key: 'nodeEnv', type: 'string', default: 'development' },
+
+  // Call Monitoring
+  VAPI_MONITOR_INTERVAL: { key: 'monitor.monitoringInterval', type: 'integer', default: 5000, min: 100 },
+  VAPI_MAX_CONCURRENT_CALLS: { key: 'monitor.maxConcurrentCalls', type: 'integer', default: 10, min: 1 },
+  VAPI_MONITOR_MAX_POLL_FAILURES: { key: 'monitor.maxPollFailures', type: 'integer', default: 3, min: 1 },
+  VAPI_EVENT_BUFFER_SIZE: { key: 'monitor.eventBufferSize', type: 'integer', default: 100, min: 1 },
+
+  // Recording Settings
+  VAPI_RECORDING_PATH: { key: 'recording.storagePath', type: 'string', default: path.join(process.cwd(), 'recordings') },
+  VAPI_RETENTION_DAYS: { key: 'recording.retentionDays', type: 'integer', default: 30, min: 1 },
+  VAPI_ENCRYPTION_KEY: { key: 'recording.encryptionKey', type: 'string', secret: true },
+  VAPI_STORAGE_PROVIDER: {
+    key: 'recording.storageProvider',
+    type: 'string',
+    default: 'local',
+    values: ['local', 's3', 'gcs', 'azure']
+  },
+  VAPI_STORAGE_CONFIG: { key: 'recording.storageConfig', type: 'json', default: {}, secret: true },
+
+  // Webhook Configuration
+  VAPI_WEBHOOK_SECRET: { key: 'webhook.secret', type: 'string', secret: true },
+  VAPI_WEBHOOK_PATH: { key: 'webhook.path', type: 'string', default: '/webhook', pattern: /^\// },
+  VAPI_WEBHOOK_MAX_BODY_SIZE: {
+    key: 'webhook.maxBodySize',
+    type: 'string',
+    default: '1mb',
+    pattern: /^\d+(b|kb|mb|gb)?$/i
+  },
+  VAPI_WEBHOOK_REQUEST_TIMEOUT: { key: 'webhook.requestTimeout', type: 'integer', default: 5000, min: 1 },
+  VAPI_FALLBACK_ASSISTANT_ID: { key: 'webhook.fallbackAssistantId', type: 'string' },
+
+  // Cache
+  VAPI_CACHE_STORE: { key: 'cache.store', type: 'string', default: 'memory', values: ['memory', 'file'] },
+  VAPI_CACHE_PATH: { key: 'cache.directory', type: 'string', default: path.join(process.cwd(), '.vapi-cache') },
+
+  // Assistant Version History
+  VAPI_ASSISTANT_VERSIONS_STORE: { key: 'versions.store', type: 'string', default: 'file', values: ['file', 'memory'] },
+  VAPI_ASSISTANT_VERSIONS_PATH: {
+    key: 'versions.directory',
+    type: 'string',
+    default: path.join(process.cwd(), '.vapi-versions')
+  },
+  VAPI_ASSISTANT_VERSIONS_MAX: { key: 'versions.maxVersions', type: 'integer', default: 50, min: 1 },
+
+  // Audit log
+  VAPI_AUDIT_STORE: { key: 'audit.store', type: 'string', default: 'file', values: ['file', 'memory'] },
+  VAPI_AUDIT_PATH: { key: 'audit.directory', type: 'string', default: path.join(process.cwd(), '.vapi-audit') },
+  VAPI_AUDIT_ACTOR: { key: 'audit.actor', type: 'string' },
+
+  // Environment promotion
+  VAPI_PROMOTION_VARIABLES: { key: 'promotion.variablesFile', type: 'string' },
+
+  // Drift detection
+  VAPI_DRIFT_STORE: { key: 'drift.store', type: 'string', default: 'file', values: ['file', 'memory'] },
+  VAPI_DRIFT_PATH: { key: 'drift.directory', type: 'string', default: path.join(process.cwd(), '.vapi-drift') },
+  VAPI_DRIFT_INTERVAL: { key: 'drift.interval', type: 'integer', default: 0, min: 0 },
+  VAPI_DRIFT_AUTO_REVERT: { key: 'drift.autoRevert', type: 'boolean', default: false },
+
+  // Outbound campaigns
+  VAPI_CAMPAIGN_CONCURRENCY: { key: 'campaigns.concurrency', type: 'integer', default: 1, min: 1 },
+  VAPI_CAMPAIGN_CALLS_PER_MINUTE: { key: 'campaigns.callsPerMinute', type: 'integer', default: 10, min: 1 },
+  VAPI_CAMPAIGN_TIMEZONE: { key: 'campaigns.timezone', type: 'string', default: 'UTC' },
+  VAPI_CAMPAIGN_POLL_INTERVAL: { key: 'campaigns.outcomePollInterval', type: 'integer', default: 5000, min: 100 },
+  VAPI_CAMPAIGN_CALL_TIMEOUT: { key: 'campaigns.outcomeTimeout', type: 'integer', default: 60 * 60 * 1000, min: 1000 },
+
+  // Scheduled calls
+  VAPI_SCHEDULER_STORE: { key: 'scheduler.store', type: 'string', default: 'file', values: ['file', 'memory'] },
+  VAPI_SCHEDULER_PATH: { key: 'scheduler.directory', type: 'string', default: path.join(process.cwd(), '.vapi-schedule') },
+  VAPI_SCHEDULER_TIMEZONE: { key: 'scheduler.timezone', type: 'string', default: 'UTC' },
+  VAPI_SCHEDULER_MAX_LATENESS: { key: 'scheduler.maxLateness', type: 'integer', default: 60 * 60 * 1000, min: 0 },
+  VAPI_SCHEDULER_RETENTION: { key: 'scheduler.retention', type: 'integer', default: 7 * 24 * 60 * 60 * 1000, min: 0 },
+
+  // Do-not-call list and consent
+  VAPI_SUPPRESSION_STORE: { key: 'suppression.store', type: 'string', default: 'file', values: ['file', 'memory'] },
+  VAPI_SUPPRESSION_PATH: { key: 'suppression.directory', type: 'string', default: path.join(process.cwd(), '.vapi-suppression') },
+  VAPI_REQUIRE_CONSENT: { key: 'suppression.requireConsent', type: 'boolean', default: false },
+  VAPI_CONSENT_TTL: { key: 'suppression.consentTtl', type: 'integer', default: 0, min: 0 },
+  VAPI_OPT_OUT_PHRASES: { key: 'suppression.optOutPhrases', type: 'list' },
+
+  // Call admission (0 turns a limit off; VAPI_MAX_CONCURRENT_CALLS is the overall limit)
+  VAPI_MAX_CALLS_PER_ASSISTANT: { key: 'admission.maxCallsPerAssistant', type: 'integer', default: 0, min: 0 },
+  VAPI_MAX_CALLS_PER_NUMBER: { key: 'admission.maxCallsPerNumber', type: 'integer', default: 0, min: 0 },
+  VAPI_CALL_LIMIT_MODE: { key: 'admission.whenFull', type: 'string', default: 'queue', values: ['queue', 'reject'] },
+  VAPI_CALL_QUEUE_SIZE: { key: 'admission.maxQueueSize', type: 'integer', default: 100, min: 0 },
+  VAPI_CALL_QUEUE_TIMEOUT: { key: 'admission.queueTimeout', type: 'integer', default: 5 * 60 * 1000, min: 0 },
+
+  // Phone numbers
+  VAPI_DEFAULT_REGION: { key: 'phone.defaultRegion', type: 'string', default: 'US', values: getSupportedRegions() },
+
+  // Paginated listings
+  VAPI_PAGE_SIZE: { key: 'pagination.pageSize', type: 'integer', default: 100, min: 1, max: 1000 },
+  VAPI_LIST_RATE_LIMIT: { key: 'pagination.requestsPerSecond', type: 'integer', default: 5, min: 1 },
+
+  // Logging
+  VAPI_LOG_LEVEL: {
+    key: 'logging.level',
+    type: 'string',
+    default: 'info',
+    values: ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly']
+  },
+  VAPI_LOG_FORMAT: { key: 'logging.format', type: 'string', default: 'json', values: ['json', 'pretty'] },
+  VAPI_LOG_REDACT: {
+    key: 'logging.redact',
+    type: 'list',
+    default: ['apiKeys', 'phoneNumbers', 'transcripts', 'systemPrompts'],
+    values: ['apiKeys', 'phoneNumbers', 'transcripts', 'systemPrompts', 'none']
+  }
+};
+
+/**
+ * Coerce a raw value to the declared type
+ * @private
+ * @returns {{ value: any } | { error: string }}
+ */
+function coerce(raw, rule) {
+  switch (rule.type) {
+    case 'integer':
+    case 'number': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (String(raw).trim() === '' || Number.isNaN(value)) {
+        return { error: 'expected a number' };
+      }
+      if (rule.type === 'integer' && !Number.isInteger(value)) {
+        return { error: 'expected an integer' };
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        return { error: `must be at least ${rule.min}` };
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        return { error: `must be at most ${rule.max}` };
+      }
+      return { value };
+    }
+
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw };
+      const normalized = String(raw).trim().toLowerCase();
+      if (['true', '1', 'yes', 'on'].includes(normalized)) return { value: true };
+      if (['false', '0', 'no', 'off'].includes(normalized)) return { value: false };
+      return { error: 'expected a boolean (true/false)' };
+    }
+
+    case 'json': {
+      if (typeof raw === 'object') return { value: raw };
+      try {
+        return { value: JSON.parse(raw) };
+      } catch (error) {
+        // Parser messages can quote the input, so keep them out of reports for secrets
+        return { error: rule.secret ? 'expected valid JSON' : `expected valid JSON (${error.message})` };
+      }
+    }
+
+    case 'list': {
+      const items = Array.isArray(raw)
+        ? raw
+        : String(raw).split(',').map(item => item.trim()).filter(Boolean);
+      const invalid = rule.values ? items.filter(item => !rule.values.includes(item)) : [];
+      if (invalid.length > 0) {
+        return { error: `unknown entries ${invalid.join(', ')} (allowed: ${rule.values.join(', ')})` };
+      }
+      return { value: items };
+    }
+
+    case 'url': {
+      try {
+        new URL(String(raw));
+        return { value: String(raw) };
+      } catch (error) {
+        return { error: 'expected an absolute URL' };
+      }
+    }
+
+    default: {
+      const value = String(raw);
+      if (rule.values && !rule.values.includes(value)) {
+        return { error: `must be one of: ${rule.values.join(', ')}` };
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        return { error: `does not match ${rule.pattern}` };
+      }
+      return { value };
+    }
+  }
+}
+
+/**
+ * Parse the contents of a .env file
+ * @param {string} content - File contents
+ * @returns {Object<string, string>} Parsed variables
+ */
+function parseEnvFile(content) {
+  const variables = {};
+
+  for (const line of content.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) {
+      continue;
+    }
+
+    const match = trimmed.match(/^(?:export\s+)?([\w.-]+)\s*=\s*(.*)$/);
+    if (!match) {
+      continue;
+    }
+
+    let value = match[2].trim();
+    if (/^(['"]).*\1$/.test(value)) {
+      value = value.slice(1, -1);
+    } else {
+      value = value.replace(/\s+#.*$/, '');
+    }
+    variables[match[1]] = value;
+  }
+
+  return variables;
+}
+
+/**
+ * Read a config file into a flat map of schema variables
+ * JSON files may use the nested config shape or the variable names;
+ * any other extension is parsed as a .env file.
+ * @private
+ */
+function readConfigFile(filePath) {
+  const content = readFileSync(filePath, 'utf8');
+
+  if (path.extname(filePath).toLowerCase() !== '.json') {
+    return parseEnvFile(content);
+  }
+
+  const json = JSON.parse(content);
+  const variables = {};
+  for (const [variable, rule] of Object.entries(CONFIG_SCHEMA)) {
+    const value = getPath(json, rule.key) ?? json[variable];
+    if (value !== undefined) {
+      variables[variable] = value;
+    }
+  }
+  return variables;
+}
+
+function getPath(object, keyPath) {
+  return keyPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function setPath(object, keyPath, value) {
+  const keys = keyPath.split('.');
+  let target = object;
+  keys.slice(0, -1).forEach(key => {
+    target[key] = target[key] || {};
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+}
+
+function isPlainObject(item) {
+  return item !== null && typeof item === 'object' && Object.getPrototypeOf(item) === Object.prototype;
+}
+
+function mergeInto(target, source) {
+  Object.keys(source).forEach(key => {
+    if (isPlainObject(source[key])) {
+      target[key] = mergeInto(isPlainObject(target[key]) ? target[key] : {}, source[key]);
+    } else {
+      target[key] = source[key];
+    }
+  });
+  return target;
+}
+
+/**
+ * Load, coerce and validate the SDK configuration
+ *
+ * Layers, lowest to highest priority: schema defaults, config files (in the
+ * order given), environment variables, then explicit overrides. Every problem
+ * is collected and reported in a single VapiError rather than failing on the
+ * first bad value.
+ * @param {Object} [options] - Loader options
+ * @param {Object} [options.env=process.env] - Environment variables
+ * @param {Array<string|{path: string, optional: boolean}>} [options.files] - JSON or .env files to layer
+ * @param {Object} [options.overrides] - Values in the nested config shape; unknown keys pass through
+ * @param {boolean} [options.allowMissing=false] - Do not report missing required values
+ * @returns {Object} Resolved configuration
+ * @throws {VapiError} INVALID_CONFIG with `details.errors` listing every problem
+ */
+function loadConfig(options = {}) {
+  const {
+    env = process.env,
+    files = [],
+    overrides = {},
+    allowMissing = false
+  } = options;
+
+  const errors = [];
+  const layers = [];
+
+  for (const file of files) {
+    const { path: filePath, optional = false } = typeof file === 'string' ? { path: file } : file;
+    try {
+      layers.push({ source: `file:${filePath}`, values: readConfigFile(filePath) });
+    } catch (error) {
+      if (error.code === 'ENOENT' && optional) {
+        continue;
+      }
+      errors.push({ source: `file:${filePath}`, message: `Could not read config file: ${error.message}` });
+    }
+  }
+
+  layers.push({ source: 'env', values: env });
+
+  const overrideValues = {};
+  for (const [variable, rule] of Object.entries(CONFIG_SCHEMA)) {
+    const value = getPath(overrides, rule.key);
+    if (value !== undefined) {
+      overrideValues[variable] = value;
+    }
+  }
+  layers.push({ source: 'override', values: overrideValues });
+
+  const resolved = {};
+  for (const [variable, rule] of Object.entries(CONFIG_SCHEMA)) {
+    // Highest-priority layer that sets a non-empty value wins
+    const layer = [...layers].reverse().find(({ values }) =>
+      values[variable] !== undefined && values[variable] !== ''
+    );
+
+    if (!layer) {
+      if (rule.required && !allowMissing) {
+        errors.push({ variable, key: rule.key, source: 'missing', message: 'is required' });
+      }
+      if (rule.default !== undefined) {
+        // Copy so callers can't mutate the shared schema defaults
+        setPath(resolved, rule.key, JSON.parse(JSON.stringify(rule.default)));
+      }
+      continue;
+    }
+
+    const raw = layer.values[variable];
+    const result = coerce(raw, rule);
+    if (result.error) {
+      errors.push({
+        variable,
+        key: rule.key,
+        source: layer.source,
+        message: result.error,
+        ...(!rule.secret && { value: raw })
+      });
+      continue;
+    }
+
+    setPath(resolved, rule.key, result.value);
+  }
+
+  if (errors.length > 0) {
+    const lines = errors.map(({ variable, source, message, value }) => {
+      const subject = variable ? `${variable} (${source})` : source;
+      return `${subject}: ${message}${value !== undefined ? ` [got ${JSON.stringify(value)}]` : ''}`;
+    });
+    throw new VapiError(
+      `Configuration validation failed:\n- ${lines.join('\n- ')}`,
+      ERROR_CODES.INVALID_CONFIG,
+      { errors }
+    );
+  }
+
+  // Keep any non-schema overrides (e.g. a pre-built client) alongside the schema values
+  return mergeInto(mergeInto({}, overrides), resolved);
+}
+
+export { CONFIG_SCHEMA, loadConfig, parseEnvFile };
@@ -0,0 +1,89 @@
+/**
+ * CSV helpers (RFC 4180: quoted fields, doubled quotes, CRLF or LF line endings)
+ */
+
+/**
+ * Split CSV text into rows of fields
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows; blank lines are skipped
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+}
+
+/**
+ * Parse CSV text with a header row into objects
+ * @param {string} text - CSV text
+ * @returns {Array<Object<string, string>>} One object per data row, keyed by header
+ */
+function parseCsv(text) {
+  const [header = [], ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  const keys = header.map(key => key.trim());
+
+  return rows.map(fields => Object.fromEntries(keys.map((key, index) => [key, fields[index] ?? ''])));
+}
+
+/**
+ * Quote a field when it needs it
+ * @private
+ */
+function formatField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write objects as CSV text with a header row
+ * @param {Array<Object>} records - Records
+ * @param {Array<string>} [columns] - Columns in order (defaults to every key, in first-seen order)
+ * @returns {string} CSV text ending with a newline
+ */
+function toCsv(records, columns) {
+  const keys = columns || [...new Set(records.flatMap(record => Object.keys(record)))];
+  const lines = [keys, ...records.map(record => keys.map(key => record[key]))];
+  return `${lines.map(fields => fields.map(formatField).join(',')).join('\n')}\n`;
+}
+
+export { parseCsvRows, parseCsv, toCsv };
@@ -0,0 +1,92 @@
+import { isObject } from './agentConfig.js';
+
+/**
+ * Config diffing helpers
+ * Paths use dot notation (e.g. model.temperature); arrays are compared whole.
+ */
+
+/**
+ * Whether a value counts as "not set"
+ * @param {any} value - Value
+ * @returns {boolean}
+ */
+function isEmptyValue(value) {
+  if (value === null || value === undefined || value === '') return true;
+  if (Array.isArray(value)) return value.length === 0;
+  return isObject(value) && Object.keys(value).length === 0;
+}
+
+/**
+ * Deep equality that ignores key order and treats unset values alike
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean}
+ */
+function isEquivalent(a, b) {
+  if (isEmptyValue(a) && isEmptyValue(b)) return true;
+
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => isEquivalent(item, b[i]));
+  }
+
+  if (isObject(a) && isObject(b)) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every(key => isEquivalent(a[key], b[key]));
+  }
+
+  return a === b;
+}
+
+/**
+ * Compare a desired config against a live assistant, field by field
+ * Only fields present in the desired config are compared; extra server-side
+ * fields on the live assistant are ignored.
+ * @param {Object} desired - Desired assistant config
+ * @param {Object} live - Live assistant
+ * @param {string} [basePath] - Path prefix for nested fields
+ * @returns {Array<{path: string, from: any, to: any}>} Differences
+ */
+function diffConfig(desired, live, basePath = '') {
+  const changes = [];
+
+  for (const [key, value] of Object.entries(desired)) {
+    const fieldPath = basePath ? `${basePath}.${key}` : key;
+    const current = live?.[key];
+
+    if (isObject(value) && isObject(current)) {
+      changes.push(...diffConfig(value, current, fieldPath));
+    } else if (!isEquivalent(value, current)) {
+      changes.push({ path: fieldPath, from: current, to: value });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Compare two complete configs, reporting fields added, changed or removed
+ * @param {Object} before - Earlier config
+ * @param {Object} after - Later config
+ * @param {string} [basePath] - Path prefix for nested fields
+ * @returns {Array<{path: string, from: any, to: any}>} Differences
+ */
+function diffSnapshots(before, after, basePath = '') {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    const fieldPath = basePath ? `${basePath}.${key}` : key;
+    const from = before?.[key];
+    const to = after?.[key];
+
+    if (isObject(from) && isObject(to)) {
+      changes.push(...diffSnapshots(from, to, fieldPath));
+    } else if (!isEquivalent(from, to)) {
+      changes.push({ path: fieldPath, from, to });
+    }
+  }
+
+  return changes;
+}
+
+export { isEmptyValue, isEquivalent, diffConfig, diffSnapshots };
@@ -23,6 +23,26 @@ const ERROR_CODES = {
   UNAUTHORIZED: 'UNAUTHORIZED',
   INTERNAL_SERVER_ERROR: 'INTERNAL_SERVER_ERROR',
   TIMEOUT: 'TIMEOUT',
+  API_ERROR: 'API_ERROR',
+  CALL_ERROR: 'CALL_ERROR',
+  PHONE_NUMBER_ERROR: 'PHONE_NUMBER_ERROR',
+  ASSISTANT_CREATION_FAILED: 'ASSISTANT_CREATION_FAILED',
+  CACHE_ERROR: 'CACHE_ERROR',
+  INVALID_CONFIG: 'INVALID_CONFIG',
+  WORKSPACE_NOT_FOUND: 'WORKSPACE_NOT_FOUND',
+  WORKSPACE_CONFLICT: 'WORKSPACE_CONFLICT',
+  INVALID_MANIFEST: 'INVALID_MANIFEST',
+  VERSION_NOT_FOUND: 'VERSION_NOT_FOUND',
+  TEMPLATE_NOT_FOUND: 'TEMPLATE_NOT_FOUND',
+  INVALID_TEMPLATE: 'INVALID_TEMPLATE',
+  INVALID_LINT_RULE: 'INVALID_LINT_RULE',
+  INVALID_BUNDLE: 'INVALID_BUNDLE',
+  INVALID_TOOL: 'INVALID_TOOL',
+  TOOL_NOT_FOUND: 'TOOL_NOT_FOUND',
+  NUMBER_SUPPRESSED: 'NUMBER_SUPPRESSED',
+  INVALID_PHONE_NUMBER: 'INVALID_PHONE_NUMBER',
+  CALL_LIMIT_REACHED: 'CALL_LIMIT_REACHED',
+  OUTSIDE_CALLING_WINDOW: 'OUTSIDE_CALLING_WINDOW',
 };
 
 /**
@@ -31,6 +51,11 @@ const ERROR_CODES = {
  * @returns {VapiError} - Formatted VapiError
  */
 const handleApiError = (error) => {
+  // Errors raised by the SDK itself are already formatted
+  if (error instanceof VapiError) {
+    return error;
+  }
+
   if (error.response) {
     // The request was made and the server responded with a status code
     // that falls out of the range of 2xx
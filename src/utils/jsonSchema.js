@@ -0,0 +1,107 @@
+import { isObject } from './agentConfig.js';
+
+/**
+ * Minimal JSON Schema validation for tool parameters
+ * Supports the subset function-calling models produce: type, properties,
+ * required, additionalProperties, items, enum, minimum/maximum,
+ * minLength/maxLength and pattern.
+ */
+
+/**
+ * JSON type name of a value
+ * @private
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Whether a value has one of the types a schema allows
+ * @private
+ */
+function matchesType(value, type) {
+  const types = Array.isArray(type) ? type : [type];
+  const actual = typeOf(value);
+  return types.some(t => t === actual || (t === 'number' && actual === 'integer'));
+}
+
+/**
+ * Join a property onto a path
+ * @private
+ */
+function join(basePath, key) {
+  return basePath ? `${basePath}.${key}` : key;
+}
+
+/**
+ * Validate a value against a JSON schema
+ * @param {Object} schema - JSON schema
+ * @param {any} value - Value to check
+ * @param {string} [basePath=''] - Path of the value, for messages
+ * @returns {Array<{path: string, message: string}>} Problems; empty when the value is valid
+ */
+function validateJsonSchema(schema, value, basePath = '') {
+  const issues = [];
+  const issue = (message, issuePath = basePath) => issues.push({ path: issuePath || '(root)', message });
+
+  if (!isObject(schema)) {
+    return issues;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    issue(`must be of type ${[].concat(schema.type).join(' or ')}`);
+    return issues;
+  }
+
+  if (schema.enum && !schema.enum.some(allowed => allowed === value)) {
+    issue(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) issue(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) issue(`must be at most ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      issue(`must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      issue(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      issue(`must match ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      issues.push(...validateJsonSchema(schema.items, item, `${basePath}[${index}]`));
+    });
+  }
+
+  if (isObject(value)) {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) issue('is required', join(basePath, key));
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        issues.push(...validateJsonSchema(properties[key], item, join(basePath, key)));
+      } else if (schema.additionalProperties === false) {
+        issue('is not an allowed property', join(basePath, key));
+      } else if (isObject(schema.additionalProperties)) {
+        issues.push(...validateJsonSchema(schema.additionalProperties, item, join(basePath, key)));
+      }
+    }
+  }
+
+  return issues;
+}
+
+export { validateJsonSchema };
@@ -0,0 +1,194 @@
+import winston from 'winston';
+
+const { combine, timestamp, errors, json, printf, colorize } = winston.format;
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Redaction categories and the field names they cover
+ */
+const REDACTION_RULES = {
+  apiKeys: /^(api[-_]?key|token|secret|password|authorization|encryption[-_]?key|x-api-key|vapi-signature)$/i,
+  phoneNumbers: /^(number|phone|phoneNumber|customerNumber|transferNumber)$/i,
+  transcripts: /^(transcript|transcription|transcriptText|artifact|messages|messagesOpenAIFormatted|conversation)$/i,
+  systemPrompts: /^(systemPrompt|system)$/i
+};
+
+const DEFAULT_REDACT = Object.keys(REDACTION_RULES);
+
+// model.messages is the assistant's prompt, not a call transcript; only its system turns are redacted
+const isPromptMessages = (key, parentKey) => parentKey === 'model' && key === 'messages';
+
+// E.164-looking numbers anywhere in free text
+const PHONE_PATTERN = /\+\d{7,15}\b/g;
+
+// Bearer tokens anywhere in free text
+const BEARER_PATTERN = /Bearer\s+[\w.~+/-]+=*/gi;
+
+/**
+ * Mask all but the last four digits of a phone number
+ * @param {string} value - Phone number
+ * @returns {string}
+ */
+const maskPhoneNumber = (value) => String(value).replace(/\d(?=\d{4})/g, '*');
+
+/**
+ * Build a function that redacts sensitive values from log metadata
+ * @param {Object} [options] - Redaction options
+ * @param {Array<string>} [options.categories] - Enabled categories (apiKeys, phoneNumbers, transcripts, systemPrompts)
+ * @param {Array<string>} [options.keys] - Extra field names to redact completely
+ * @returns {Function} redact(value) returning a redacted copy
+ */
+function createRedactor({ categories = DEFAULT_REDACT, keys = [] } = {}) {
+  const enabled = new Set(categories);
+  const extraKeys = new Set(keys.map(key => key.toLowerCase()));
+
+  const redactString = (value) => {
+    let result = value;
+    if (enabled.has('phoneNumbers')) {
+      result = result.replace(PHONE_PATTERN, maskPhoneNumber);
+    }
+    if (enabled.has('apiKeys')) {
+      result = result.replace(BEARER_PATTERN, `Bearer ${REDACTED}`);
+    }
+    return result;
+  };
+
+  const redactField = (key, value, seen, parentKey) => {
+    if (extraKeys.has(key.toLowerCase())) return REDACTED;
+    if (value === null || value === undefined) return value;
+
+    if (enabled.has('apiKeys') && REDACTION_RULES.apiKeys.test(key)) return REDACTED;
+    if (enabled.has('transcripts') && REDACTION_RULES.transcripts.test(key) &&
+        !isPromptMessages(key, parentKey)) {
+      return REDACTED;
+    }
+    if (enabled.has('systemPrompts') && REDACTION_RULES.systemPrompts.test(key)) return REDACTED;
+    if (enabled.has('phoneNumbers') && REDACTION_RULES.phoneNumbers.test(key) &&
+        (typeof value === 'string' || typeof value === 'number')) {
+      return maskPhoneNumber(value);
+    }
+
+    return redact(value, seen, key);
+  };
+
+  const redact = (value, seen = new WeakSet(), parentKey = null) => {
+    if (typeof value === 'string') return redactString(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (seen.has(value)) return '[Circular]';
+    seen.add(value);
+
+    if (value instanceof Error) {
+      return {
+        name: value.name,
+        message: redactString(value.message),
+        ...(value.code && { code: value.code }),
+        ...(value.stack && { stack: redactString(value.stack) })
+      };
+    }
+
+    if (value instanceof Date) return value;
+
+    if (Array.isArray(value)) {
+      return value.map(item => {
+        // Chat-style message arrays carry the system prompt as { role: 'system', content }
+        if (enabled.has('systemPrompts') && item && item.role === 'system' && 'content' in item) {
+          return { ...item, content: REDACTED };
+        }
+        return redact(item, seen);
+      });
+    }
+
+    const output = {};
+    for (const [key, item] of Object.entries(value)) {
+      output[key] = redactField(key, item, seen, parentKey);
+    }
+    return output;
+  };
+
+  return redact;
+}
+
+/**
+ * Winston format that redacts the message and every metadata field
+ */
+const redactFormat = winston.format((info, options = {}) => {
+  const redact = options.redact || createRedactor(options);
+
+  for (const key of Object.keys(info)) {
+    if (key === 'level') continue;
+    info[key] = key === 'message' && typeof info.message === 'string'
+      ? redact(info.message)
+      : redact({ [key]: info[key] })[key];
+  }
+
+  return info;
+});
+
+const prettyFormat = printf(({ level, message, timestamp: time, subsystem, ...meta }) => {
+  const scope = subsystem ? ` [${subsystem}]` : '';
+  const extra = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+  return `${time} ${level}${scope}: ${message}${extra}`;
+});
+
+/**
+ * Logger configuration options
+ * @typedef {Object} LoggerOptions
+ * @property {string} [level='info'] - Minimum level (error, warn, info, http, verbose, debug, silly)
+ * @property {string} [format='json'] - Output format ('json' or 'pretty')
+ * @property {Array<string>} [redact] - Enabled redaction categories (defaults to all)
+ * @property {Array<string>} [redactKeys] - Extra field names to redact completely
+ * @property {boolean} [silent] - Disable output (defaults to true when NODE_ENV=test)
+ * @property {Array} [transports] - Custom winston transports
+ */
+
+/**
+ * Create a structured, redacting logger
+ * Use logger.child({ subsystem }) to scope output to a subsystem.
+ * @param {LoggerOptions} [options] - Logger options
+ * @returns {winston.Logger}
+ */
+function createLogger(options = {}) {
+  const {
+    level = 'info',
+    format = 'json',
+    redact = DEFAULT_REDACT,
+    redactKeys = [],
+    silent = process.env.NODE_ENV === 'test',
+    transports
+  } = options;
+
+  return winston.createLogger({
+    level,
+    silent,
+    format: combine(
+      errors({ stack: true }),
+      redactFormat({ categories: redact, keys: redactKeys }),
+      timestamp(),
+      format === 'pretty' ? combine(colorize(), prettyFormat) : json()
+    ),
+    transports: transports || [new winston.transports.Console()]
+  });
+}
+
+let defaultLogger = null;
+
+/**
+ * Get the shared fallback logger used when no logger is injected
+ * @returns {winston.Logger}
+ */
+function getDefaultLogger() {
+  if (!defaultLogger) {
+    defaultLogger = createLogger();
+  }
+  return defaultLogger;
+}
+
+export {
+  createLogger,
+  createRedactor,
+  getDefaultLogger,
+  maskPhoneNumber,
+  redactFormat,
+  REDACTED
+};
@@ -0,0 +1,122 @@
+/**
+ * Model catalog
+ * Every model the SDK knows about, the providers that serve it (the first one
+ * is used when no provider is given), what it can do and its token limits.
+ */
+const MODEL_CATALOG = {
+  'gpt-4o': {
+    providers: ['openai', 'azure'],
+    capabilities: ['functions', 'vision', 'streaming'],
+    contextWindow: 128000,
+    maxOutputTokens: 4096
+  },
+  'gpt-4-turbo': {
+    providers: ['openai', 'azure'],
+    capabilities: ['functions', 'vision', 'streaming'],
+    contextWindow: 128000,
+    maxOutputTokens: 4096
+  },
+  'gpt-4': {
+    providers: ['openai', 'azure'],
+    capabilities: ['functions', 'streaming'],
+    contextWindow: 8192,
+    maxOutputTokens: 4096
+  },
+  'gpt-3.5-turbo': {
+    providers: ['openai', 'azure'],
+    capabilities: ['functions', 'streaming'],
+    contextWindow: 16385,
+    maxOutputTokens: 4096
+  },
+  'claude-3-opus': {
+    providers: ['anthropic'],
+    capabilities: ['functions', 'vision', 'streaming'],
+    contextWindow: 200000,
+    maxOutputTokens: 4096
+  },
+  'claude-3-sonnet': {
+    providers: ['anthropic'],
+    capabilities: ['functions', 'vision', 'streaming'],
+    contextWindow: 200000,
+    maxOutputTokens: 4096
+  },
+  'claude-3-haiku': {
+    providers: ['anthropic'],
+    capabilities: ['functions', 'vision', 'streaming'],
+    contextWindow: 200000,
+    maxOutputTokens: 4096
+  },
+  'gemini-1.5-pro': {
+    providers: ['google'],
+    capabilities: ['functions', 'vision', 'streaming'],
+    contextWindow: 1000000,
+    maxOutputTokens: 8192
+  },
+  'gemini-1.5-flash': {
+    providers: ['google'],
+    capabilities: ['functions', 'vision', 'streaming'],
+    contextWindow: 1000000,
+    maxOutputTokens: 8192
+  },
+  'llama-3-70b': {
+    providers: ['meta'],
+    capabilities: ['streaming'],
+    contextWindow: 8192,
+    maxOutputTokens: 2048
+  }
+};
+
+/**
+ * Every provider that serves at least one catalogued model
+ */
+const MODEL_PROVIDERS = [...new Set(Object.values(MODEL_CATALOG).flatMap(entry => entry.providers))];
+
+/**
+ * Look up a model
+ * @param {string} model - Model name
+ * @returns {Object|null} Catalog entry ({ model, providers, capabilities, contextWindow, maxOutputTokens })
+ */
+function getModelInfo(model) {
+  const entry = MODEL_CATALOG[model];
+  return entry ? { model, ...entry } : null;
+}
+
+/**
+ * Default provider for a model
+ * @param {string} model - Model name
+ * @returns {string|null} Provider, or null for unknown models
+ */
+function inferModelProvider(model) {
+  return MODEL_CATALOG[model]?.providers[0] || null;
+}
+
+/**
+ * Check a model configuration against the catalog
+ * Unknown models are not reported here; callers decide whether to allow them.
+ * @param {Object} modelConfig - Model configuration ({ provider, model, maxTokens, functions })
+ * @returns {Array<{field: string, message: string}>} Problems found, keyed by the model field at fault
+ */
+function checkModelConfig({ provider, model, maxTokens, functions } = {}) {
+  const info = getModelInfo(model);
+  if (!info) {
+    return [];
+  }
+
+  const problems = [];
+
+  if (provider && !info.providers.includes(provider)) {
+    problems.push({ field: 'provider', message: `Model ${model} is served by ${info.providers.join(' or ')}, not ${provider}` });
+  }
+
+  if (maxTokens !== undefined && maxTokens > info.maxOutputTokens) {
+    problems.push({ field: 'maxTokens', message: `Max tokens for ${model} cannot exceed ${info.maxOutputTokens}` });
+  }
+
+  if (Array.isArray(functions) && functions.length > 0 && !info.capabilities.includes('functions')) {
+    problems.push({ field: 'functions', message: `Model ${model} does not support function calling` });
+  }
+
+  return problems;
+}
+
+export { MODEL_CATALOG, MODEL_PROVIDERS, getModelInfo, inferModelProvider, checkModelConfig };
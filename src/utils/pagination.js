@@ -0,0 +1,92 @@
+/**
+ * Pagination helpers
+ * VAPI list endpoints return either a plain array (paged with `limit` and
+ * `createdAtLt`, newest first) or a `{ data, hasMore, nextCursor }` envelope.
+ * These helpers hide the difference.
+ */
+
+/**
+ * Extract the items from a list response
+ * @param {Array|Object} response - List response
+ * @returns {Array} Items
+ */
+function getListItems(response) {
+  if (Array.isArray(response)) return response;
+  return response?.data || [];
+}
+
+/**
+ * Work out where the next page starts
+ * @param {Array|Object} response - List response
+ * @param {number} limit - Page size that was requested
+ * @returns {Object|null} Params for the next page, or null on the last page
+ */
+function getNextPageParams(response, limit) {
+  if (Array.isArray(response)) {
+    // A full page may be followed by more; continue before the oldest item seen
+    const last = response[response.length - 1];
+    return response.length >= limit && last?.createdAt ? { createdAtLt: last.createdAt } : null;
+  }
+
+  const cursor = response?.nextCursor ?? response?.cursor ?? null;
+  const hasMore = response?.hasMore ?? Boolean(cursor);
+  return hasMore && cursor ? { cursor } : null;
+}
+
+/**
+ * Walk every page of a list endpoint
+ * Breaking out of the loop stops fetching, so later pages are never requested.
+ * @param {Function} fetchPage - (params) => Promise<list response>
+ * @param {Object} [options] - Options
+ * @param {Object} [options.params] - Query params sent with every page (server-side filters)
+ * @param {number} [options.pageSize=100] - Items requested per page
+ * @param {number} [options.maxItems=Infinity] - Stop after yielding this many items
+ * @param {Function} [options.filter] - (item) => boolean|Promise<boolean>; client-side filter
+ * @param {Object} [options.rateLimiter] - RateLimiter acquired before every page request
+ * @param {AbortSignal} [options.signal] - Stops before the next page once aborted
+ * @returns {AsyncGenerator<Object>} Items, in the order the API returns them
+ */
+async function* paginate(fetchPage, options = {}) {
+  const { params = {}, pageSize = 100, maxItems = Infinity, filter, rateLimiter, signal } = options;
+  const seen = new Set();
+  let pageParams = { ...params, limit: pageSize };
+  let yielded = 0;
+
+  while (yielded < maxItems && !signal?.aborted) {
+    if (rateLimiter) {
+      await rateLimiter.acquire();
+    }
+
+    const response = await fetchPage(pageParams);
+    const items = getListItems(response);
+
+    for (const item of items) {
+      if (filter && !(await filter(item))) continue;
+      yield item;
+      if (++yielded >= maxItems) return;
+    }
+
+    const next = getNextPageParams(response, pageSize);
+    const key = JSON.stringify(next);
+
+    // Stop on the last page, and if the API hands back a cursor we already followed
+    if (!next || items.length === 0 || seen.has(key)) return;
+    seen.add(key);
+    pageParams = { ...params, limit: pageSize, ...next };
+  }
+}
+
+/**
+ * Collect an async iterable into an array
+ * @param {AsyncIterable} iterable - Iterable to drain
+ * @returns {Promise<Array>} Items
+ */
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+}
+
+export { getListItems, getNextPageParams, paginate, collect };
@@ -0,0 +1,340 @@
+import { VapiError, ERROR_CODES } from './errorHandler.js';
+
+/**
+ * Phone number parsing, normalization and classification
+ *
+ * Covers the countries callers reach most often with their national number
+ * lengths, trunk prefixes and the prefixes that mark mobile, toll-free and
+ * premium-rate numbers. Numbers in international format from other countries
+ * are accepted on E.164 length rules alone.
+ */
+
+const E164_MAX_DIGITS = 15;
+const E164_MIN_DIGITS = 8;
+
+// region, calling code, national number lengths, trunk prefix, world region, number types
+const COUNTRIES = {
+  US: { callingCode: '1', lengths: [10], trunkPrefix: '1', region: 'North America' },
+  CA: { callingCode: '1', lengths: [10], trunkPrefix: '1', region: 'North America' },
+  PR: { callingCode: '1', lengths: [10], trunkPrefix: '1', region: 'Caribbean' },
+  VI: { callingCode: '1', lengths: [10], trunkPrefix: '1', region: 'Caribbean' },
+  JM: { callingCode: '1', lengths: [10], trunkPrefix: '1', region: 'Caribbean' },
+  BS: { callingCode: '1', lengths: [10], trunkPrefix: '1', region: 'Caribbean' },
+  BB: { callingCode: '1', lengths: [10], trunkPrefix: '1', region: 'Caribbean' },
+  DO: { callingCode: '1', lengths: [10], trunkPrefix: '1', region: 'Caribbean' },
+  TT: { callingCode: '1', lengths: [10], trunkPrefix: '1', region: 'Caribbean' },
+  AG: { callingCode: '1', lengths: [10], trunkPrefix: '1', region: 'Caribbean' },
+  KY: { callingCode: '1', lengths: [10], trunkPrefix: '1', region: 'Caribbean' },
+  BM: { callingCode: '1', lengths: [10], trunkPrefix: '1', region: 'North America' },
+  GU: { callingCode: '1', lengths: [10], trunkPrefix: '1', region: 'Oceania' },
+  MX: { callingCode: '52', lengths: [10], region: 'North America' },
+  BR: { callingCode: '55', lengths: [10, 11], trunkPrefix: '0', region: 'South America', mobile: /^\d{2}9/ },
+  AR: { callingCode: '54', lengths: [10, 11], trunkPrefix: '0', region: 'South America' },
+  GB: {
+    callingCode: '44',
+    lengths: [9, 10],
+    trunkPrefix: '0',
+    region: 'Europe',
+    mobile: /^7[1-57-9]/,
+    tollFree: /^80[08]/,
+    premiumRate: /^9[018]/
+  },
+  IE: { callingCode: '353', lengths: [7, 8, 9], trunkPrefix: '0', region: 'Europe', mobile: /^8[3-9]/, tollFree: /^1800/ },
+  FR: {
+    callingCode: '33',
+    lengths: [9],
+    trunkPrefix: '0',
+    region: 'Europe',
+    mobile: /^[67]/,
+    tollFree: /^80/,
+    premiumRate: /^8[1-9]/
+  },
+  DE: {
+    callingCode: '49',
+    lengths: [6, 7, 8, 9, 10, 11, 12, 13],
+    trunkPrefix: '0',
+    region: 'Europe',
+    mobile: /^1[5-7]/,
+    tollFree: /^800/,
+    premiumRate: /^900/
+  },
+  ES: { callingCode: '34', lengths: [9], region: 'Europe', mobile: /^[67]/, tollFree: /^900/, premiumRate: /^80[36]/ },
+  IT: { callingCode: '39', lengths: [6, 7, 8, 9, 10, 11], region: 'Europe', mobile: /^3/, tollFree: /^80[03]/, leadingZero: true },
+  PT: { callingCode: '351', lengths: [9], region: 'Europe', mobile: /^9/, tollFree: /^800/ },
+  NL: { callingCode: '31', lengths: [9], trunkPrefix: '0', region: 'Europe', mobile: /^6/, tollFree: /^800/, premiumRate: /^90/ },
+  BE: { callingCode: '32', lengths: [8, 9], trunkPrefix: '0', region: 'Europe', mobile: /^4[5-9]/, tollFree: /^800/ },
+  CH: { callingCode: '41', lengths: [9], trunkPrefix: '0', region: 'Europe', mobile: /^7[5-9]/, tollFree: /^800/ },
+  AT: { callingCode: '43', lengths: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13], trunkPrefix: '0', region: 'Europe', mobile: /^6[5-9]/ },
+  SE: { callingCode: '46', lengths: [7, 8, 9, 10], trunkPrefix: '0', region: 'Europe', mobile: /^7[02369]/ },
+  NO: { callingCode: '47', lengths: [8], region: 'Europe', mobile: /^[49]/ },
+  DK: { callingCode: '45', lengths: [8], region: 'Europe' },
+  FI: { callingCode: '358', lengths: [5, 6, 7, 8, 9, 10, 11, 12], trunkPrefix: '0', region: 'Europe', mobile: /^(?:4|50)/ },
+  PL: { callingCode: '48', lengths: [9], region: 'Europe' },
+  RU: { callingCode: '7', lengths: [10], trunkPrefix: '8', region: 'Europe', mobile: /^9/ },
+  KZ: { callingCode: '7', lengths: [10], trunkPrefix: '8', region: 'Asia' },
+  IL: { callingCode: '972', lengths: [8, 9], trunkPrefix: '0', region: 'Middle East', mobile: /^5/ },
+  AE: { callingCode: '971', lengths: [8, 9], trunkPrefix: '0', region: 'Middle East', mobile: /^5/ },
+  ZA: { callingCode: '27', lengths: [9], trunkPrefix: '0', region: 'Africa', mobile: /^[67]/ },
+  NG: { callingCode: '234', lengths: [8, 9, 10], trunkPrefix: '0', region: 'Africa' },
+  IN: { callingCode: '91', lengths: [10], trunkPrefix: '0', region: 'Asia', mobile: /^[6-9]/ },
+  CN: { callingCode: '86', lengths: [10, 11], trunkPrefix: '0', region: 'Asia', mobile: /^1/ },
+  JP: { callingCode: '81', lengths: [9, 10], trunkPrefix: '0', region: 'Asia', mobile: /^[789]0/ },
+  KR: { callingCode: '82', lengths: [8, 9, 10], trunkPrefix: '0', region: 'Asia', mobile: /^1/ },
+  HK: { callingCode: '852', lengths: [8], region: 'Asia' },
+  SG: { callingCode: '65', lengths: [8], region: 'Asia', mobile: /^[89]/ },
+  PH: { callingCode: '63', lengths: [10], trunkPrefix: '0', region: 'Asia', mobile: /^9/ },
+  AU: {
+    callingCode: '61',
+    lengths: [9],
+    trunkPrefix: '0',
+    region: 'Oceania',
+    mobile: /^4/,
+    tollFree: /^180/,
+    premiumRate: /^190/
+  },
+  NZ: { callingCode: '64', lengths: [8, 9, 10], trunkPrefix: '0', region: 'Oceania', mobile: /^2/ }
+};
+
+// North American Numbering Plan area codes outside the US
+const NANP_AREA_CODES = {
+  CA: [
+    204, 226, 236, 249, 250, 263, 289, 306, 343, 354, 365, 367, 368, 382, 387, 403, 416, 418, 428, 431,
+    437, 438, 450, 468, 474, 506, 514, 519, 548, 579, 581, 584, 587, 604, 613, 639, 647, 672, 683, 705,
+    709, 742, 753, 778, 780, 782, 807, 819, 825, 867, 873, 879, 902, 905
+  ],
+  PR: [787, 939],
+  VI: [340],
+  JM: [658, 876],
+  BS: [242],
+  BB: [246],
+  DO: [809, 829, 849],
+  TT: [868],
+  AG: [268],
+  KY: [345],
+  BM: [441],
+  GU: [671]
+};
+
+const NANP_TOLL_FREE = /^8(00|33|44|55|66|77|88)/;
+const NANP_PREMIUM_RATE = /^900/;
+
+const areaCodeRegions = new Map(Object.entries(NANP_AREA_CODES)
+  .flatMap(([region, codes]) => codes.map(code => [String(code), region])));
+
+// Countries by calling code, in the order they should be tried
+const callingCodes = Object.entries(COUNTRIES).reduce((map, [region, country]) => {
+  map.set(country.callingCode, [...(map.get(country.callingCode) || []), region]);
+  return map;
+}, new Map());
+
+/**
+ * Parsed phone number
+ * @typedef {Object} PhoneNumberInfo
+ * @property {string} number - E.164 format, e.g. +14155550100
+ * @property {string|null} country - ISO 3166-1 alpha-2 region, or null for countries without rules here
+ * @property {string|null} callingCode - Country calling code without "+"
+ * @property {string|null} nationalNumber - Number without calling code or trunk prefix
+ * @property {string|null} region - World region, e.g. 'North America' or 'Europe'
+ * @property {string} type - mobile, fixed-line, fixed-line-or-mobile, toll-free, premium-rate or unknown
+ * @property {string} [extension] - Extension digits, when the input had one
+ */
+
+/**
+ * Throw an invalid phone number error
+ * @private
+ */
+function invalid(input, reason) {
+  throw new VapiError(`Invalid phone number "${input ?? ''}": ${reason}`, ERROR_CODES.INVALID_PHONE_NUMBER, { input, reason });
+}
+
+/**
+ * Pick the country a national number belongs to among those sharing a calling code
+ * @private
+ */
+function resolveCountry(callingCode, nationalNumber, preferred) {
+  const candidates = callingCodes.get(callingCode);
+
+  if (callingCode === '1') {
+    return areaCodeRegions.get(nationalNumber.slice(0, 3)) || 'US';
+  }
+  if (callingCode === '7') {
+    return /^[67]/.test(nationalNumber) ? 'KZ' : 'RU';
+  }
+  return candidates.includes(preferred) ? preferred : candidates[0];
+}
+
+/**
+ * Check national number rules for a country
+ * @private
+ */
+function checkNationalNumber(input, country, nationalNumber) {
+  const rules = COUNTRIES[country];
+
+  if (!rules.lengths.includes(nationalNumber.length)) {
+    invalid(input, `${country} numbers have ${rules.lengths.join(', ')} digits after the country code, got ${nationalNumber.length}`);
+  }
+  if (nationalNumber.startsWith('0') && !rules.leadingZero) {
+    invalid(input, `${country} numbers do not start with 0 after the country code`);
+  }
+  if (rules.callingCode === '1' && !/^[2-9]\d{2}[2-9]/.test(nationalNumber)) {
+    invalid(input, 'North American area codes and exchanges cannot start with 0 or 1');
+  }
+}
+
+/**
+ * Kind of number, from its prefix
+ * @private
+ */
+function classifyType(country, nationalNumber) {
+  const rules = COUNTRIES[country];
+
+  if (rules.callingCode === '1') {
+    if (NANP_TOLL_FREE.test(nationalNumber)) return 'toll-free';
+    if (NANP_PREMIUM_RATE.test(nationalNumber)) return 'premium-rate';
+    return 'fixed-line-or-mobile';
+  }
+  if (rules.tollFree?.test(nationalNumber)) return 'toll-free';
+  if (rules.premiumRate?.test(nationalNumber)) return 'premium-rate';
+  if (rules.mobile) {
+    return rules.mobile.test(nationalNumber) ? 'mobile' : 'fixed-line';
+  }
+  return 'unknown';
+}
+
+/**
+ * Parse a phone number written in a common format
+ * Accepts E.164 and international formats ("+44 (0)20 7946 0000", "0044...",
+ * "011 44..." from North America), national formats for the default region
+ * ("(415) 555-0100", "020 7946 0000"), "tel:" URIs and trailing extensions.
+ * @param {string} input - Phone number
+ * @param {Object} [options] - Options
+ * @param {string} [options.defaultRegion='US'] - Region for numbers without a country code
+ * @returns {PhoneNumberInfo} Parsed number
+ */
+function parsePhoneNumber(input, options = {}) {
+  const defaultRegion = String(options.defaultRegion || 'US').toUpperCase();
+  if (!COUNTRIES[defaultRegion]) {
+    throw new VapiError(`Unsupported default phone region: ${defaultRegion}`, ERROR_CODES.INVALID_CONFIG, { defaultRegion });
+  }
+
+  let text = String(input ?? '').trim().replace(/^tel:/i, '');
+  let extension;
+  const extensionMatch = /\s*(?:;ext=|(?:ext\.?|extension|x|#)\s*)(\d{1,7})$/i.exec(text);
+  if (extensionMatch) {
+    extension = extensionMatch[1];
+    text = text.slice(0, extensionMatch.index);
+  }
+
+  if (!text) {
+    invalid(input, 'no digits');
+  }
+  if (!/^\+?[\d\s().\-/]+$/.test(text)) {
+    invalid(input, 'only digits, spaces and ( ) . - / are allowed');
+  }
+
+  // "+44 (0)20..." repeats the trunk prefix inside international format
+  const international = text.startsWith('+');
+  let digits = (international ? text.replace(/\(0\)/, '') : text).replace(/\D/g, '');
+  let callingCode = null;
+  let nationalNumber;
+  let country = null;
+
+  if (!international && digits.startsWith('00')) {
+    digits = digits.slice(2);
+  } else if (!international && COUNTRIES[defaultRegion].callingCode === '1' && digits.startsWith('011')) {
+    digits = digits.slice(3);
+  } else if (!international) {
+    // National format for the default region
+    const rules = COUNTRIES[defaultRegion];
+    callingCode = rules.callingCode;
+    nationalNumber = digits;
+    const withoutTrunk = rules.trunkPrefix && digits.startsWith(rules.trunkPrefix)
+      ? digits.slice(rules.trunkPrefix.length)
+      : null;
+    // A trunk prefix of 0 never starts a national number; others only count when the length says so
+    if (withoutTrunk && rules.lengths.includes(withoutTrunk.length) &&
+        (rules.trunkPrefix === '0' || !rules.lengths.includes(digits.length))) {
+      nationalNumber = withoutTrunk;
+    }
+    country = resolveCountry(callingCode, nationalNumber, defaultRegion);
+  }
+
+  if (!callingCode) {
+    callingCode = [1, 2, 3].map(size => digits.slice(0, size)).find(code => callingCodes.has(code)) || null;
+    if (callingCode) {
+      nationalNumber = digits.slice(callingCode.length);
+      country = resolveCountry(callingCode, nationalNumber, defaultRegion);
+    }
+  }
+
+  if (!country) {
+    // A country without rules here: only E.164 length can be checked
+    if (!/^[1-9]/.test(digits) || digits.length < E164_MIN_DIGITS || digits.length > E164_MAX_DIGITS) {
+      invalid(input, `international numbers have ${E164_MIN_DIGITS} to ${E164_MAX_DIGITS} digits and a country code`);
+    }
+    return {
+      number: `+${digits}`,
+      country: null,
+      callingCode: null,
+      nationalNumber: null,
+      region: null,
+      type: 'unknown',
+      ...(extension && { extension })
+    };
+  }
+
+  checkNationalNumber(input, country, nationalNumber);
+  if (callingCode.length + nationalNumber.length > E164_MAX_DIGITS) {
+    invalid(input, `more than ${E164_MAX_DIGITS} digits`);
+  }
+
+  return {
+    number: `+${callingCode}${nationalNumber}`,
+    country,
+    callingCode,
+    nationalNumber,
+    region: COUNTRIES[country].region,
+    type: classifyType(country, nationalNumber),
+    ...(extension && { extension })
+  };
+}
+
+/**
+ * Normalize a phone number to E.164
+ * @param {string} input - Phone number in any format parsePhoneNumber accepts
+ * @param {Object} [options] - Options (defaultRegion)
+ * @returns {string} E.164 number, e.g. +14155550100
+ */
+function normalizePhoneNumber(input, options = {}) {
+  return parsePhoneNumber(input, options).number;
+}
+
+/**
+ * Whether a phone number parses and passes its country's rules
+ * @param {string} input - Phone number
+ * @param {Object} [options] - Options (defaultRegion)
+ * @returns {boolean}
+ */
+function isValidPhoneNumber(input, options = {}) {
+  try {
+    parsePhoneNumber(input, options);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Regions with national number rules
+ * @returns {Array<string>} ISO 3166-1 alpha-2 codes
+ */
+function getSupportedRegions() {
+  return Object.keys(COUNTRIES);
+}
+
+export {
+  parsePhoneNumber,
+  normalizePhoneNumber,
+  isValidPhoneNumber,
+  getSupportedRegions
+};
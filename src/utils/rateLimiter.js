@@ -0,0 +1,47 @@
+/**
+ * Client-side rate limiter
+ * Allows at most `maxRequests` acquisitions in any sliding window of
+ * `intervalMs`; callers beyond that wait their turn in order.
+ */
+class RateLimiter {
+  /**
+   * Create a new RateLimiter
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.maxRequests=5] - Acquisitions allowed per window
+   * @param {number} [options.intervalMs=1000] - Window length in milliseconds
+   */
+  constructor(options = {}) {
+    const { maxRequests = 5, intervalMs = 1000 } = options;
+
+    this.maxRequests = maxRequests;
+    this.intervalMs = intervalMs;
+    this.timestamps = [];
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Wait until a request may be made
+   * @returns {Promise<void>}
+   */
+  acquire() {
+    // Chain acquisitions so waiting callers are served first come, first served
+    const turn = this.queue.then(async () => {
+      for (;;) {
+        const now = Date.now();
+        this.timestamps = this.timestamps.filter(time => now - time < this.intervalMs);
+
+        if (this.timestamps.length < this.maxRequests) {
+          this.timestamps.push(now);
+          return;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, this.timestamps[0] + this.intervalMs - now));
+      }
+    });
+
+    this.queue = turn;
+    return turn;
+  }
+}
+
+export { RateLimiter };
@@ -1,3 +1,5 @@
+import { getDefaultLogger } from './logger.js';
+
 /**
  * Retry utility for API calls with exponential backoff
  * @param {Function} fn - Async function to retry
@@ -5,12 +7,14 @@
  * @param {number} [options.maxRetries=3] - Maximum number of retry attempts
  * @param {number} [options.initialDelay=1000] - Initial delay in milliseconds
  * @param {Function} [options.shouldRetry] - Function to determine if a retry should be attempted
+ * @param {Object} [options.logger] - Logger used to report retry attempts
  * @returns {Promise<any>} - Result of the function call
  */
 const retry = async (fn, { 
   maxRetries = 3, 
   initialDelay = 1000,
-  shouldRetry = (error) => true
+  shouldRetry = (error) => true,
+  logger = getDefaultLogger().child({ subsystem: 'retry' })
 } = {}) => {
   let retries = 0;
   let lastError;
@@ -28,6 +32,12 @@ const retry = async (fn, {
       // Exponential backoff with jitter
       const delay = initialDelay * Math.pow(2, retries);
       const jitter = Math.random() * 0.2 * delay; // Add up to 20% jitter
+      logger.warn('Retrying after failed attempt', {
+        attempt: retries + 1,
+        maxRetries,
+        delayMs: Math.round(delay + jitter),
+        error
+      });
       await new Promise(resolve => setTimeout(resolve, delay + jitter));
       
       retries++;
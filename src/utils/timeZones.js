@@ -0,0 +1,169 @@
+import { VapiError, ERROR_CODES } from './errorHandler.js';
+
+/**
+ * Time zone helpers built on Intl, so no time zone database is bundled
+ */
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MINUTES_PER_DAY = 24 * 60;
+
+// Intl formatters are expensive to build; keep one per time zone
+const formatters = new Map();
+
+/**
+ * Formatter for a time zone, throwing a VapiError for unknown zones
+ * @private
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    try {
+      formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        weekday: 'short',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      }));
+    } catch {
+      throw new VapiError(`Unknown time zone: ${timeZone}`, ERROR_CODES.VALIDATION_ERROR, { timeZone });
+    }
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Whether a string is an IANA time zone Intl understands
+ * @param {string} timeZone - Time zone, e.g. America/New_York
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock time in a time zone
+ * @param {Date|number} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {{year: number, month: number, day: number, weekday: number, minutes: number}} Local date;
+ *   weekday 0 is Sunday and minutes counts from local midnight (with seconds as a fraction)
+ */
+function getLocalTime(date, timeZone) {
+  const parts = Object.fromEntries(getFormatter(timeZone)
+    .formatToParts(new Date(date))
+    .map(({ type, value }) => [type, value]));
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute) + Number(parts.second) / 60
+  };
+}
+
+/**
+ * Instant at which a wall-clock time occurs in a time zone
+ * Local times skipped or repeated by a daylight saving change resolve to an
+ * adjacent instant.
+ * @param {{year: number, month: number, day: number, minutes: number}} local - Local date and minutes after midnight
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Epoch milliseconds
+ */
+function zonedTimeToUtc(local, timeZone) {
+  const wallClock = Date.UTC(local.year, local.month - 1, local.day) + Math.round(local.minutes * 60 * 1000);
+  const offsetAt = (instant) => {
+    const { year, month, day, minutes } = getLocalTime(instant, timeZone);
+    const offset = Date.UTC(year, month - 1, day) + minutes * 60 * 1000 - instant;
+    return Math.round(offset / 60000) * 60000;
+  };
+
+  // The offset at the first guess can differ from the offset at the answer near a change
+  const guess = wallClock - offsetAt(wallClock);
+  return wallClock - offsetAt(guess);
+}
+
+/**
+ * Parse "HH:MM" into minutes after midnight
+ * @param {string} time - Time of day
+ * @returns {number} Minutes
+ */
+function parseTimeOfDay(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time));
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+    throw new VapiError(`Invalid time of day "${time}" (expected HH:MM)`, ERROR_CODES.VALIDATION_ERROR, { time });
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Local hours during which calls may be placed
+ * @typedef {Object} CallingWindow
+ * @property {string} start - Opening time, "HH:MM"
+ * @property {string} end - Closing time, "HH:MM" (exclusive)
+ * @property {Array<number>} [days] - Allowed weekdays, 0 = Sunday (defaults to every day)
+ */
+
+/**
+ * Check a calling window and convert it to minutes
+ * @param {CallingWindow} window - Window
+ * @returns {{start: number, end: number, days: Array<number>|null}} Parsed window
+ */
+function parseCallingWindow(window) {
+  const start = parseTimeOfDay(window.start);
+  const end = parseTimeOfDay(window.end);
+
+  if (end <= start) {
+    throw new VapiError('Calling window must end after it starts', ERROR_CODES.VALIDATION_ERROR, { window });
+  }
+  const isWeekday = day => Number.isInteger(day) && day >= 0 && day <= 6;
+  if (window.days && (!Array.isArray(window.days) || window.days.length === 0 || !window.days.every(isWeekday))) {
+    throw new VapiError('Calling window days must be weekday numbers from 0 (Sunday) to 6', ERROR_CODES.VALIDATION_ERROR, { window });
+  }
+  return { start, end, days: window.days || null };
+}
+
+/**
+ * Milliseconds until a calling window next opens in a time zone
+ * Daylight saving changes can make the answer an hour off, so callers should
+ * check again when the wait is over.
+ * @param {Date|number} date - Current instant
+ * @param {CallingWindow} window - Window
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} 0 when the window is open now
+ */
+function msUntilCallingWindow(date, window, timeZone) {
+  const { start, end, days } = parseCallingWindow(window);
+  const { weekday, minutes } = getLocalTime(date, timeZone);
+  const allowed = day => !days || days.includes(day);
+
+  if (allowed(weekday) && minutes >= start && minutes < end) {
+    return 0;
+  }
+
+  for (let offset = 0; offset <= 7; offset++) {
+    const opensIn = offset * MINUTES_PER_DAY + start - minutes;
+    if (opensIn > 0 && allowed((weekday + offset) % 7)) {
+      return Math.ceil(opensIn * 60 * 1000);
+    }
+  }
+
+  throw new VapiError('Calling window never opens', ERROR_CODES.VALIDATION_ERROR, { window });
+}
+
+export {
+  isValidTimeZone,
+  getLocalTime,
+  zonedTimeToUtc,
+  parseTimeOfDay,
+  parseCallingWindow,
+  msUntilCallingWindow
+};
@@ -0,0 +1,52 @@
+import { loadConfig, planManifests, applyManifests } from './vapi-agent.js';
+import { formatPlan } from './src/features/assistantManifests.js';
+
+const USAGE = 'Usage: node sync-assistants.js <plan|apply> <manifest file or directory...> [--prune]';
+
+/**
+ * Plan or apply assistant manifests from the command line
+ * @param {Array<string>} args - Command line arguments
+ */
+async function main(args) {
+  const prune = args.includes('--prune');
+  const [command, ...paths] = args.filter(arg => !arg.startsWith('--'));
+
+  if (!['plan', 'apply'].includes(command) || paths.length === 0) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    // Report every invalid or missing setting up front
+    loadConfig();
+
+    const plan = await planManifests(paths, { prune });
+    console.log(formatPlan(plan));
+
+    if (command === 'plan') {
+      return;
+    }
+
+    const { results, summary } = await applyManifests(paths, { plan });
+    for (const result of results) {
+      if (result.status === 'applied') {
+        console.log(`✅ ${result.action} ${result.manifestId} (${result.assistantId})`);
+      } else if (result.status === 'failed') {
+        console.error(`❌ ${result.action} ${result.manifestId}: ${result.error.message}`);
+      }
+    }
+
+    console.log(`\nApplied ${summary.applied} change(s), ${summary.failed} failed.`);
+    if (summary.failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Sync failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the function if this file is executed directly
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  main(process.argv.slice(2));
+}
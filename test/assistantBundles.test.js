@@ -0,0 +1,111 @@
+import { expect } from 'chai';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { createVapiSdk } from '../vapi-agent.js';
+import { createBundle, validateBundle, planBundleImport } from '../src/features/assistantBundles.js';
+import { ERROR_CODES } from '../src/utils/errorHandler.js';
+import { createStubClient } from './utils/stubVapiClient.js';
+
+const SOURCE_ASSISTANTS = [
+  {
+    id: 'src_front',
+    orgId: 'org_source',
+    createdAt: '2024-01-01T00:00:00.000Z',
+    updatedAt: '2024-01-02T00:00:00.000Z',
+    name: 'Front Desk',
+    // Hands calls over to the billing assistant
+    model: { functions: [{ name: 'transfer', destination: { assistantId: 'src_billing' } }] },
+    metadata: { tags: ['reception'] }
+  },
+  { id: 'src_billing', orgId: 'org_source', name: 'Billing', firstMessage: 'Billing here' }
+];
+
+describe('Assistant Bundles', () => {
+  it('should strip workspace-specific fields', () => {
+    const bundle = createBundle(SOURCE_ASSISTANTS, { source: 'acme' });
+
+    expect(bundle).to.include({ format: 'vapi-assistant-bundle', version: 1, source: 'acme' });
+    expect(bundle.assistants[1]).to.deep.equal({
+      key: 'src_billing',
+      config: { name: 'Billing', firstMessage: 'Billing here' }
+    });
+  });
+
+  it('should reject unsupported bundles', () => {
+    expect(() => validateBundle({ format: 'other' })).to.throw().with.property('code', ERROR_CODES.INVALID_BUNDLE);
+    expect(() => validateBundle({ format: 'vapi-assistant-bundle', version: 2, assistants: [] }))
+      .to.throw(/newer than the supported version/);
+    expect(() => validateBundle({
+      format: 'vapi-assistant-bundle',
+      version: 1,
+      assistants: [{ key: 'a', config: {} }, { key: 'a', config: {} }]
+    })).to.throw(/repeats key "a"/);
+  });
+
+  it('should resolve name conflicts with the chosen strategy', () => {
+    const bundle = createBundle([{ id: 'a', name: 'Billing' }]);
+    const existing = [{ id: 'x', name: 'Billing' }, { id: 'y', name: 'Billing (2)' }];
+
+    expect(planBundleImport(bundle, existing)[0]).to.include({ action: 'skip', assistantId: 'x' });
+    expect(planBundleImport(bundle, existing, { onConflict: 'overwrite' })[0]).to.include({ action: 'update', assistantId: 'x' });
+    expect(planBundleImport(bundle, existing, { onConflict: 'rename' })[0]).to.include({ action: 'create', name: 'Billing (3)' });
+    expect(() => planBundleImport(bundle, existing, { onConflict: 'merge' })).to.throw(/Unknown conflict strategy/);
+  });
+
+  describe('SDK', () => {
+    let tmpDir;
+    let source;
+    let targetClient;
+    let target;
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vapi-bundles-'));
+      source = createVapiSdk({ client: createStubClient({ assistants: SOURCE_ASSISTANTS }), versions: { store: 'memory' } });
+      targetClient = createStubClient({ assistants: [{ id: 'tgt_billing', name: 'Billing', firstMessage: 'Old' }], idPrefix: 'tgt' });
+      target = createVapiSdk({ client: targetClient, versions: { store: 'memory' } });
+    });
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should move assistants between workspaces through a bundle file', async () => {
+      const file = path.join(tmpDir, 'backup', 'assistants.json');
+      await source.exportAssistants({ tags: ['reception'] }, { file });
+
+      const { results, summary } = await target.importAssistants(file);
+
+      expect(summary).to.deep.equal({ imported: 1, skipped: 0, failed: 0 });
+      expect(results[0]).to.include({ key: 'src_front', action: 'create', assistantId: 'tgt_1' });
+      expect(targetClient.assistants.create.firstCall.args[0]).to.not.have.any.keys('id', 'orgId', 'createdAt');
+    });
+
+    it('should remap references between bundled assistants', async () => {
+      const bundle = await source.exportAssistants(['src_front', 'src_billing']);
+
+      const { idMap } = await target.importAssistants(bundle, { onConflict: 'rename' });
+
+      expect(idMap).to.deep.equal({ src_front: 'tgt_1', src_billing: 'tgt_2' });
+      const front = await targetClient.assistants.get('tgt_1');
+      expect(front.model.functions[0].destination.assistantId).to.equal('tgt_2');
+      expect((await targetClient.assistants.get('tgt_2')).name).to.equal('Billing (2)');
+    });
+
+    it('should point references at skipped or overwritten assistants', async () => {
+      const bundle = await source.exportAssistants();
+
+      const { results } = await target.importAssistants(bundle, { onConflict: 'overwrite' });
+
+      expect(results.map(r => [r.action, r.assistantId])).to.deep.equal([['create', 'tgt_1'], ['update', 'tgt_billing']]);
+      expect(targetClient.assistants.create.firstCall.args[0].model.functions[0].destination.assistantId)
+        .to.equal('tgt_billing');
+      expect((await targetClient.assistants.get('tgt_billing')).firstMessage).to.equal('Billing here');
+    });
+
+    it('should refuse to export unknown assistants', async () => {
+      await expect(source.exportAssistants(['src_missing'])).to.be.rejected
+        .and.eventually.have.property('code', ERROR_CODES.NOT_FOUND);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { createVapiSdk } from '../vapi-agent.js';
+import { AssistantLinter, formatLintReport } from '../src/features/assistantLinter.js';
+import { DEFAULT_AGENT_CONFIG } from '../src/utils/agentConfig.js';
+import { ERROR_CODES } from '../src/utils/errorHandler.js';
+
+const rules = result => result.findings.map(finding => finding.rule);
+
+describe('Assistant Linter', () => {
+  let linter;
+
+  beforeEach(() => {
+    linter = new AssistantLinter();
+  });
+
+  it('should pass the default configuration once it has a webhook URL', () => {
+    expect(linter.lint({ ...DEFAULT_AGENT_CONFIG, webhookUrl: 'https://example.com/webhook' }).findings).to.be.empty;
+  });
+
+  it('should warn about webhook events inherited from the defaults without a URL', () => {
+    expect(linter.lint({}).findings).to.deep.equal([{
+      rule: 'webhook-events-without-url',
+      severity: 'warning',
+      path: 'webhookUrl',
+      message: '1 webhook event(s) are subscribed but webhookUrl is empty'
+    }]);
+    expect(linter.lint(DEFAULT_AGENT_CONFIG).counts).to.include({ error: 1 });
+    expect(linter.lint({ webhookEvents: [] }).findings).to.be.empty;
+  });
+
+  it('should flag settings that make no sense together', () => {
+    const result = linter.lint({
+      humanHandoff: { enabled: true },
+      recordingTranscriptionEnabled: true,
+      webhookEvents: ['call.ended'],
+      silenceTimeoutMs: 120000,
+      maxDurationSeconds: 60
+    });
+
+    expect(rules(result)).to.have.members([
+      'handoff-without-transfer-number',
+      'transcription-without-recording',
+      'webhook-events-without-url',
+      'silence-timeout-exceeds-duration',
+      'call-timeout-exceeds-duration'
+    ]);
+    expect(result.counts).to.deep.equal({ error: 3, warning: 1, info: 1 });
+    expect(result.findings[0].severity).to.equal('error');
+  });
+
+  it('should report schema problems with their own severity', () => {
+    const result = linter.lint({ model: { temperature: 9 }, voise: {} });
+
+    expect(result.findings.filter(f => f.rule === 'schema').map(f => [f.severity, f.path])).to.deep.equal([
+      ['error', 'model.temperature'],
+      ['warning', 'voise']
+    ]);
+  });
+
+  it('should skip rules suppressed in the assistant metadata', () => {
+    const result = linter.lint({
+      humanHandoff: { enabled: true },
+      webhookUrl: 'https://example.com/webhook',
+      metadata: { lintSuppress: ['handoff-without-transfer-number'] }
+    });
+
+    expect(result.findings).to.be.empty;
+    expect(result.suppressed).to.deep.equal(['handoff-without-transfer-number']);
+  });
+
+  it('should run custom rules and honour severity overrides', () => {
+    linter = new AssistantLinter({
+      rules: [{
+        name: 'needs-team',
+        severity: 'error',
+        check: config => (config.metadata.teamId ? null : 'Every assistant needs a teamId')
+      }],
+      severities: { 'transcription-without-recording': 'off', 'needs-team': 'info' }
+    });
+
+    const result = linter.lint({ recordingTranscriptionEnabled: true, webhookUrl: 'https://example.com/webhook' });
+
+    expect(result.findings).to.deep.equal([
+      { rule: 'needs-team', severity: 'info', path: '', message: 'Every assistant needs a teamId' }
+    ]);
+    expect(linter.listRules().find(r => r.name === 'needs-team').severity).to.equal('info');
+  });
+
+  it('should report a failing rule instead of throwing', () => {
+    linter.addRule({ name: 'broken', check: () => { throw new Error('boom'); } });
+
+    expect(linter.lint({}).findings).to.deep.include({
+      rule: 'broken',
+      severity: 'error',
+      path: '',
+      message: 'Rule failed: boom'
+    });
+  });
+
+  it('should reject invalid rules', () => {
+    expect(() => linter.addRule({ name: 'schema', check: () => null }))
+      .to.throw().with.property('code', ERROR_CODES.INVALID_LINT_RULE);
+    expect(() => linter.addRule({ name: 'x', severity: 'fatal', check: () => null })).to.throw(/Invalid severity/);
+    expect(() => linter.setSeverity('nope', 'off')).to.throw(/Unknown lint rule/);
+  });
+
+  describe('SDK', () => {
+    it('should lint every live assistant', async () => {
+      const client = {
+        assistants: {
+          list: sinon.stub().resolves([
+            { id: 'asst_ok', name: 'Fine' },
+            { id: 'asst_bad', name: 'Broken', webhookEvents: ['call.ended'], createdAt: '2024-01-01' }
+          ])
+        }
+      };
+      const sdk = createVapiSdk({ client, lint: { severities: { 'call-timeout-exceeds-duration': 'off' } } });
+
+      const report = await sdk.lintAssistants();
+
+      expect(report.summary).to.include({ assistants: 2, failing: 1, error: 1 });
+      expect(report.results[1]).to.include({ assistantId: 'asst_bad', name: 'Broken' });
+      expect(formatLintReport(report)).to.include('webhookUrl: 1 webhook event(s) are subscribed but webhookUrl is empty');
+    });
+  });
+});
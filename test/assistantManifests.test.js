@@ -0,0 +1,166 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { createVapiSdk } from '../vapi-agent.js';
+import {
+  loadManifests,
+  buildManifestConfig,
+  diffConfig,
+  planManifestSync,
+  formatPlan
+} from '../src/features/assistantManifests.js';
+import { ERROR_CODES } from '../src/utils/errorHandler.js';
+import { createStubClient } from './utils/stubVapiClient.js';
+
+describe('Assistant Manifests', () => {
+  describe('loadManifests', () => {
+    let tmpDir;
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vapi-manifests-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should read JSON and multi-document YAML files from a directory', async () => {
+      await fs.writeFile(path.join(tmpDir, 'a.json'), JSON.stringify([{ id: 'support' }]));
+      await fs.mkdir(path.join(tmpDir, 'sales'));
+      await fs.writeFile(
+        path.join(tmpDir, 'sales', 'b.yaml'),
+        'id: sales\nname: Sales\n---\nassistants:\n  - id: billing\n'
+      );
+      await fs.writeFile(path.join(tmpDir, 'notes.txt'), 'ignored');
+
+      const manifests = await loadManifests(tmpDir);
+
+      expect(manifests.map(m => m.id)).to.deep.equal(['support', 'sales', 'billing']);
+    });
+
+    it('should report unparseable files', async () => {
+      const file = path.join(tmpDir, 'broken.yaml');
+      await fs.writeFile(file, 'id: [unclosed');
+
+      await expect(loadManifests(file)).to.be.rejected
+        .and.eventually.have.property('code', ERROR_CODES.INVALID_MANIFEST);
+    });
+  });
+
+  describe('buildManifestConfig', () => {
+    it('should merge the manifest over the default config and tag it', () => {
+      const config = buildManifestConfig({
+        id: 'support',
+        name: 'Support',
+        systemPrompt: 'Be helpful.',
+        model: { temperature: 0.2 }
+      });
+
+      expect(config.metadata.manifestId).to.equal('support');
+      expect(config.model.messages).to.deep.equal([{ role: 'system', content: 'Be helpful.' }]);
+      expect(config.model.temperature).to.equal(0.2);
+      expect(config.model.model).to.equal('gpt-4o');
+      expect(config).to.not.have.property('systemPrompt');
+    });
+  });
+
+  describe('diffConfig', () => {
+    it('should report changed nested fields and ignore unset values and extra live fields', () => {
+      const changes = diffConfig(
+        { model: { temperature: 0.2, stop: [] }, voice: { region: null }, name: 'A' },
+        { model: { temperature: 0.7 }, voice: {}, name: 'A', id: 'asst_1', orgId: 'org' }
+      );
+
+      expect(changes).to.deep.equal([{ path: 'model.temperature', from: 0.7, to: 0.2 }]);
+    });
+  });
+
+  describe('planManifestSync', () => {
+    const live = (manifestId, overrides = {}) => ({
+      ...buildManifestConfig({ id: manifestId, name: manifestId }),
+      id: `asst_${manifestId}`,
+      ...overrides
+    });
+
+    it('should plan creates, updates, unchanged and orphaned assistants', () => {
+      const plan = planManifestSync(
+        [
+          { id: 'new', name: 'new' },
+          { id: 'same', name: 'same' },
+          { id: 'changed', name: 'changed', recordingEnabled: true }
+        ],
+        [live('same'), live('changed'), live('gone'), { id: 'asst_manual', name: 'Manual' }]
+      );
+
+      const actions = Object.fromEntries(plan.actions.map(a => [a.manifestId, a]));
+      expect(actions.new.action).to.equal('create');
+      expect(actions.same.action).to.equal('unchanged');
+      expect(actions.changed.action).to.equal('update');
+      expect(actions.changed.updates).to.deep.equal({ recordingEnabled: true });
+      expect(actions.gone.action).to.equal('orphaned');
+      expect(plan.actions).to.have.lengthOf(4);
+      expect(plan.summary).to.include({ create: 1, update: 1, unchanged: 1, orphaned: 1, delete: 0 });
+      expect(formatPlan(plan)).to.include('recordingEnabled: false -> true');
+    });
+
+    it('should only delete managed assistants when pruning', () => {
+      const plan = planManifestSync([], [live('gone'), { id: 'asst_manual', name: 'Manual' }], { prune: true });
+
+      expect(plan.actions).to.have.lengthOf(1);
+      expect(plan.actions[0]).to.include({ action: 'delete', assistantId: 'asst_gone' });
+    });
+
+    it('should report every invalid manifest at once', () => {
+      try {
+        planManifestSync([{ name: 'No id' }, { id: 'dup' }, { id: 'dup' }, { id: 'bad', model: { temperature: 5 } }], []);
+        expect.fail('Expected planManifestSync to throw');
+      } catch (error) {
+        expect(error.code).to.equal(ERROR_CODES.INVALID_MANIFEST);
+        expect(error.details.errors).to.have.lengthOf(3);
+        expect(error.message).to.include('model.temperature: must be between 0 and 2');
+      }
+    });
+
+    it('should refuse to plan when two assistants share a manifest id', () => {
+      expect(() => planManifestSync([{ id: 'a' }], [live('a'), live('a', { id: 'asst_copy' })]))
+        .to.throw(/share manifest id/);
+    });
+  });
+
+  describe('SDK plan/apply', () => {
+    it('should converge live assistants on the manifests', async () => {
+      const client = createStubClient({ assistants: [
+        { ...buildManifestConfig({ id: 'changed', name: 'changed' }), id: 'asst_changed' },
+        { ...buildManifestConfig({ id: 'gone', name: 'gone' }), id: 'asst_gone' }
+      ] });
+      const sdk = createVapiSdk({ client, versions: { store: 'memory' } });
+      const created = sinon.spy();
+      sdk.events.on('assistant:created', created);
+
+      const { summary, results } = await sdk.applyManifests(
+        [{ id: 'new', name: 'New' }, { id: 'changed', name: 'changed', firstMessage: 'Hi there' }],
+        { prune: true }
+      );
+
+      expect(summary).to.deep.equal({ applied: 3, failed: 0, skipped: 0 });
+      expect(client.assistants.create.firstCall.args[0].metadata.manifestId).to.equal('new');
+      expect(client.assistants.update.calledOnceWith('asst_changed', { firstMessage: 'Hi there' })).to.be.true;
+      expect(client.assistants.delete.calledOnceWith('asst_gone')).to.be.true;
+      expect(created.calledOnce).to.be.true;
+      expect(results.map(r => r.status)).to.deep.equal(['applied', 'applied', 'applied']);
+    });
+
+    it('should keep going and report failed changes', async () => {
+      const client = createStubClient();
+      client.assistants.create.onFirstCall().rejects(new Error('quota exceeded'));
+      const sdk = createVapiSdk({ client, versions: { store: 'memory' } });
+
+      const { summary, results } = await sdk.applyManifests([{ id: 'a' }, { id: 'b' }]);
+
+      expect(summary).to.include({ applied: 1, failed: 1 });
+      expect(results[0].error.message).to.equal('quota exceeded');
+    });
+  });
+});
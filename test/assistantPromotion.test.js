@@ -0,0 +1,147 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { createVapiSdk } from '../vapi-agent.js';
+import {
+  nextEnvironment,
+  substituteEnvironmentValues,
+  planPromotion,
+  loadEnvironmentVariables
+} from '../src/features/assistantPromotion.js';
+import { AuditLog } from '../src/features/auditLog.js';
+import { ERROR_CODES } from '../src/utils/errorHandler.js';
+import { createStubClient } from './utils/stubVapiClient.js';
+
+const VARIABLES = {
+  development: { webhookUrl: 'https://dev.example.com/hook', transferNumber: '+15550000001' },
+  staging: { webhookUrl: 'https://staging.example.com/hook', transferNumber: '+15550000002' },
+  production: { webhookUrl: 'https://example.com/hook' }
+};
+
+const DEV_ASSISTANT = {
+  id: 'asst_dev',
+  createdAt: '2024-01-01T00:00:00.000Z',
+  name: 'Support',
+  firstMessage: 'Hi there',
+  webhookUrl: 'https://dev.example.com/hook',
+  transferNumber: '+15550000001',
+  metadata: { environment: 'development', manifestId: 'support' }
+};
+
+describe('Assistant Promotion', () => {
+  it('should follow the environment order', () => {
+    expect(nextEnvironment('development')).to.equal('staging');
+    expect(nextEnvironment('staging')).to.equal('production');
+    expect(nextEnvironment('production')).to.be.null;
+  });
+
+  it('should substitute environment values wherever they appear', () => {
+    const { config, substitutions } = substituteEnvironmentValues(
+      { webhookUrl: 'https://dev.example.com/hook', model: { functions: [{ server: { url: 'https://dev.example.com/hook' } }] } },
+      VARIABLES,
+      'development',
+      'staging'
+    );
+
+    expect(config.model.functions[0].server.url).to.equal('https://staging.example.com/hook');
+    expect(substitutions.map(s => s.path)).to.deep.equal(['webhookUrl', 'model.functions[0].server.url']);
+  });
+
+  it('should refuse to carry over values the target environment does not define', () => {
+    expect(() => substituteEnvironmentValues({ transferNumber: '+15550000002' }, VARIABLES, 'staging', 'production'))
+      .to.throw(/No production value for variables used by the assistant: transferNumber/);
+  });
+
+  it('should plan a create, then diff against the existing target', () => {
+    const first = planPromotion(DEV_ASSISTANT, [DEV_ASSISTANT], { variables: VARIABLES });
+
+    expect(first).to.include({ action: 'create', from: 'development', to: 'staging', promotionKey: 'support' });
+    expect(first.config.metadata).to.deep.equal({ environment: 'staging', promotionKey: 'support', promotedFrom: 'asst_dev' });
+    expect(first.config).to.not.have.any.keys('id', 'createdAt');
+
+    const staging = { ...first.config, id: 'asst_stg', firstMessage: 'Hello' };
+    const second = planPromotion(DEV_ASSISTANT, [DEV_ASSISTANT, staging], { variables: VARIABLES });
+
+    expect(second).to.include({ action: 'update', targetId: 'asst_stg' });
+    expect(second.changes).to.deep.equal([{ path: 'firstMessage', from: 'Hello', to: 'Hi there' }]);
+  });
+
+  it('should reject promotions that do not move forward', () => {
+    const production = { ...DEV_ASSISTANT, metadata: { environment: 'production' } };
+
+    expect(() => planPromotion(production, [])).to.throw(/Cannot promote assistant asst_dev from production/);
+    expect(() => planPromotion(DEV_ASSISTANT, [], { to: 'development' })).to.throw().with.property('code', ERROR_CODES.VALIDATION_ERROR);
+  });
+
+  it('should keep every concurrent audit entry', async () => {
+    const audit = new AuditLog({ store: 'memory', actor: 'ci' });
+
+    await Promise.all([audit.append('a'), audit.append('b'), audit.append('a', {}, { actor: 'sam' })]);
+
+    expect((await audit.list()).map(e => e.type)).to.deep.equal(['a', 'b', 'a']);
+    expect((await audit.list({ actor: 'sam' }))).to.have.lengthOf(1);
+  });
+
+  describe('SDK', () => {
+    let tmpDir;
+    let client;
+    let sdk;
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vapi-promotion-'));
+      client = createStubClient({ assistants: [DEV_ASSISTANT] });
+      sdk = createVapiSdk({ client, versions: { store: 'memory' }, audit: { store: 'memory' } });
+    });
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should promote with values from a variables file and record who did it', async () => {
+      const file = path.join(tmpDir, 'environments.yaml');
+      await fs.writeFile(file, [
+        'development:',
+        '  webhookUrl: https://dev.example.com/hook',
+        "  transferNumber: '+15550000001'",
+        'staging:',
+        '  webhookUrl: https://staging.example.com/hook',
+        "  transferNumber: '+15550000002'"
+      ].join('\n'));
+      const promoted = sinon.spy();
+      sdk.events.on('assistant:promoted', promoted);
+
+      const { assistant, audit } = await sdk.promoteAssistant('asst_dev', { variables: file, actor: 'alex' });
+
+      expect(assistant).to.include({ id: 'new_1', webhookUrl: 'https://staging.example.com/hook', transferNumber: '+15550000002' });
+      expect(audit).to.include({ type: 'assistant.promoted', actor: 'alex' });
+      expect(audit.details).to.include({ sourceId: 'asst_dev', targetId: 'new_1', from: 'development', to: 'staging' });
+      expect(audit.details.changedPaths).to.include('webhookUrl');
+      expect(JSON.stringify(audit.details)).to.not.include('example.com');
+      expect(promoted.calledOnce).to.be.true;
+      expect(await sdk.listPromotions({ assistantId: 'new_1' })).to.have.lengthOf(1);
+    });
+
+    it('should update the existing target and skip unchanged promotions', async () => {
+      await sdk.promoteAssistant('asst_dev', { variables: VARIABLES });
+      const { plan } = await sdk.promoteAssistant('asst_dev', { variables: VARIABLES });
+
+      expect(plan).to.include({ action: 'unchanged', targetId: 'new_1' });
+      expect(client.assistants.create.calledOnce).to.be.true;
+      expect(await sdk.listPromotions()).to.have.lengthOf(1);
+    });
+
+    it('should not change anything on a dry run', async () => {
+      const { plan } = await sdk.promoteAssistant('asst_dev', { variables: VARIABLES, dryRun: true });
+
+      expect(plan.action).to.equal('create');
+      expect(client.assistants.create.called).to.be.false;
+    });
+
+    it('should report unreadable variables files', async () => {
+      await expect(loadEnvironmentVariables(path.join(tmpDir, 'missing.json'))).to.be.rejected
+        .and.eventually.have.property('code', ERROR_CODES.INVALID_CONFIG);
+    });
+  });
+});
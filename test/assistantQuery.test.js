@@ -0,0 +1,104 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { createVapiSdk } from '../vapi-agent.js';
+import { queryAssistants, compileAssistantQuery } from '../src/features/assistantQuery.js';
+import { ERROR_CODES } from '../src/utils/errorHandler.js';
+
+const ASSISTANTS = [
+  {
+    id: 'asst_1',
+    name: 'Sales EU',
+    createdAt: '2024-03-01T00:00:00.000Z',
+    model: { provider: 'openai', model: 'gpt-4o' },
+    voice: { provider: 'vapi' },
+    metadata: { environment: 'production', teamId: 'team_a', tags: ['sales', 'eu'], owner: 'kim' }
+  },
+  {
+    id: 'asst_2',
+    name: 'Sales US',
+    createdAt: '2024-05-01T00:00:00.000Z',
+    model: { provider: 'anthropic', model: 'claude-3-haiku' },
+    voice: { provider: '11labs' },
+    metadata: { environment: 'staging', teamId: 'team_a', tags: ['sales', 'us'] }
+  },
+  {
+    id: 'asst_3',
+    name: 'Support',
+    createdAt: '2024-07-01T00:00:00.000Z',
+    model: { provider: 'openai', model: 'gpt-4o-mini' },
+    voice: { provider: 'vapi' },
+    metadata: { environment: 'production', teamId: 'team_b', tags: ['support'] }
+  }
+];
+
+const ids = assistants => assistants.map(a => a.id);
+
+describe('Assistant Query', () => {
+  it('should match names exactly, by glob or by RegExp', () => {
+    expect(ids(queryAssistants(ASSISTANTS, { name: 'Support' }))).to.deep.equal(['asst_3']);
+    expect(ids(queryAssistants(ASSISTANTS, { name: 'sales *' }))).to.deep.equal(['asst_1', 'asst_2']);
+    expect(ids(queryAssistants(ASSISTANTS, { name: /US$/ }))).to.deep.equal(['asst_2']);
+    expect(queryAssistants(ASSISTANTS, { name: 'Sales' })).to.be.empty;
+  });
+
+  it('should combine metadata criteria', () => {
+    expect(ids(queryAssistants(ASSISTANTS, { environment: 'production', teamId: 'team_a' })))
+      .to.deep.equal(['asst_1']);
+    expect(ids(queryAssistants(ASSISTANTS, { tags: ['sales', 'eu'] }))).to.deep.equal(['asst_1']);
+    expect(ids(queryAssistants(ASSISTANTS, { anyTags: ['eu', 'support'] }))).to.deep.equal(['asst_1', 'asst_3']);
+    expect(ids(queryAssistants(ASSISTANTS, { metadata: { owner: 'kim' } }))).to.deep.equal(['asst_1']);
+  });
+
+  it('should filter by model, providers and creation date', () => {
+    expect(ids(queryAssistants(ASSISTANTS, { modelProvider: 'openai', voiceProvider: ['vapi', '11labs'] })))
+      .to.deep.equal(['asst_1', 'asst_3']);
+    expect(ids(queryAssistants(ASSISTANTS, { model: 'claude-3-haiku' }))).to.deep.equal(['asst_2']);
+    expect(ids(queryAssistants(ASSISTANTS, {
+      createdAfter: '2024-04-01',
+      createdBefore: new Date('2024-07-01T00:00:00.000Z')
+    }))).to.deep.equal(['asst_2']);
+  });
+
+  it('should reject unknown criteria and invalid dates', () => {
+    expect(() => compileAssistantQuery({ enviroment: 'production' }))
+      .to.throw(/did you mean "environment"/).with.property('code', ERROR_CODES.VALIDATION_ERROR);
+    expect(() => compileAssistantQuery({ createdAfter: 'yesterday' })).to.throw(/Invalid date/);
+  });
+
+  describe('SDK', () => {
+    let client;
+    let sdk;
+
+    beforeEach(() => {
+      client = {
+        assistants: {
+          list: sinon.stub().resolves(ASSISTANTS),
+          get: sinon.stub().callsFake(async (id) => ASSISTANTS.find(a => a.id === id)),
+          update: sinon.stub().callsFake(async (id, updates) => ({ ...ASSISTANTS.find(a => a.id === id), ...updates }))
+        }
+      };
+      sdk = createVapiSdk({ client, versions: { store: 'memory' } });
+    });
+
+    it('should answer repeated queries from the cache', async () => {
+      expect(ids(await sdk.findAssistants({ environment: 'production' }))).to.deep.equal(['asst_1', 'asst_3']);
+      expect((await sdk.findAssistant({ name: 'Sales*', voiceProvider: '11labs' })).id).to.equal('asst_2');
+      expect(await sdk.findAssistant({ teamId: 'team_z' })).to.be.null;
+
+      expect(client.assistants.list.callCount).to.equal(1);
+    });
+
+    it('should refetch after an assistant changes', async () => {
+      await sdk.findAssistants();
+      await sdk.updateAssistant('asst_1', { name: 'Sales Europe' });
+      await sdk.findAssistants();
+
+      expect(client.assistants.list.callCount).to.equal(2);
+    });
+
+    it('should not fetch for an invalid query', async () => {
+      await expect(sdk.findAssistants({ tag: 'sales' })).to.be.rejectedWith(/did you mean "tags"/);
+      expect(client.assistants.list.called).to.be.false;
+    });
+  });
+});
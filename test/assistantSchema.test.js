@@ -0,0 +1,118 @@
+import { expect } from 'chai';
+import { DEFAULT_AGENT_CONFIG, getAgentConfig, validateConfig } from '../src/utils/agentConfig.js';
+import { validateAssistantConfig, formatIssue, suggest } from '../src/utils/assistantSchema.js';
+import { ERROR_CODES } from '../src/utils/errorHandler.js';
+
+const paths = issues => issues.map(issue => issue.path);
+
+describe('Assistant Schema', () => {
+  it('should accept the default configuration without warnings', () => {
+    expect(validateAssistantConfig(DEFAULT_AGENT_CONFIG)).to.deep.equal({ valid: true, errors: [], warnings: [] });
+  });
+
+  it('should report errors with JSON paths', () => {
+    const { valid, errors } = validateAssistantConfig({
+      model: { topP: 1.5, presencePenalty: -3, maxTokens: 500.5, messages: [{ content: 'Hi' }] },
+      vad: { minSpeechDurationMs: 500, maxSpeechDurationMs: 100 },
+      humanHandoff: { enabled: true, transferNumber: '555-0100' }
+    });
+
+    expect(valid).to.be.false;
+    expect(paths(errors)).to.have.members([
+      'model.topP',
+      'model.presencePenalty',
+      'model.maxTokens',
+      'model.messages[0].role',
+      'vad.minSpeechDurationMs',
+      'humanHandoff.transferNumber'
+    ]);
+  });
+
+  it('should suggest the closest value for typos', () => {
+    const { errors, warnings } = validateAssistantConfig({
+      voice: { provider: 'elevenlabs', voiceId: 'x' },
+      recordingFileFormat: 'mp4',
+      firstMesage: 'Hello'
+    });
+
+    expect(errors.find(e => e.path === 'recordingFileFormat').suggestion).to.equal('mp3');
+    expect(warnings).to.deep.include({
+      path: 'firstMesage',
+      message: 'is not a known field',
+      suggestion: 'firstMessage'
+    });
+    expect(formatIssue(warnings[0])).to.equal('firstMesage: is not a known field (did you mean "firstMessage"?)');
+    expect(suggest('zzz', ['vapi', 'azure'])).to.be.null;
+  });
+
+  describe('voice providers', () => {
+    const voiceIssues = voice => validateAssistantConfig({ voice });
+
+    it('should validate voices for each provider', () => {
+      expect(voiceIssues({ provider: 'vapi', voiceId: 'Eliot' }).errors[0]).to.include({
+        path: 'voice.voiceId',
+        suggestion: 'Elliot'
+      });
+      expect(paths(voiceIssues({ provider: '11labs', voiceId: 'rachel', model: 'turbo' }).errors))
+        .to.deep.equal(['voice.voiceId', 'voice.model']);
+      expect(paths(voiceIssues({ provider: 'playht' }).errors)).to.deep.equal(['voice.voiceId']);
+      expect(voiceIssues({ provider: 'deepgram', voiceId: 'asteria' }).valid).to.be.true;
+      expect(voiceIssues({ provider: 'deepgram', voiceId: 'astera' }).errors[0].suggestion).to.equal('asteria');
+      expect(paths(voiceIssues({ provider: 'google', voiceId: 'en-US-Neural2-F', ssmlGender: 'OTHER' }).errors))
+        .to.deep.equal(['voice.ssmlGender']);
+    });
+
+    it('should warn about provider-specific fields and loose voice names', () => {
+      const azure = voiceIssues({ provider: 'azure', voiceId: 'Jenny' });
+      expect(azure.valid).to.be.true;
+      expect(paths(azure.warnings)).to.have.members(['voice.voiceId', 'voice.region']);
+
+      const vapi = voiceIssues({ provider: 'vapi', voiceId: 'Elliot', region: 'eastus', languageCode: 'en-US' });
+      expect(paths(vapi.warnings)).to.have.members(['voice.region', 'voice.languageCode']);
+    });
+  });
+
+  describe('webhook auth', () => {
+    it('should require the credentials for the auth type', () => {
+      const { errors } = validateAssistantConfig({ webhookAuth: { type: 'basic', config: { username: 'u' } } });
+
+      expect(errors).to.deep.equal([{ path: 'webhookAuth.config.password', message: 'is required for basic auth' }]);
+    });
+
+    it('should warn about credentials that are ignored', () => {
+      const { valid, warnings } = validateAssistantConfig({ webhookAuth: { type: 'none', config: { token: 't' } } });
+
+      expect(valid).to.be.true;
+      expect(paths(warnings)).to.deep.equal(['webhookAuth.config']);
+    });
+
+    it('should check webhook URLs', () => {
+      expect(paths(validateAssistantConfig({ webhookUrl: 'ftp://example.com' }).errors)).to.deep.equal(['webhookUrl']);
+      expect(validateAssistantConfig({ webhookUrl: '' }).valid).to.be.true;
+    });
+  });
+
+  describe('validateConfig', () => {
+    it('should throw a VapiError carrying the structured issues', () => {
+      try {
+        validateConfig({ model: { temperature: 3 }, voice: { provider: 'vapi', voiceId: 'Elliot', region: 'x' } });
+        expect.fail('Expected validateConfig to throw');
+      } catch (error) {
+        expect(error.code).to.equal(ERROR_CODES.VALIDATION_ERROR);
+        expect(error.message).to.include('model.temperature: must be between 0 and 2');
+        expect(paths(error.details.errors)).to.deep.equal(['model.temperature']);
+        expect(paths(error.details.warnings)).to.deep.equal(['voice.region']);
+      }
+    });
+
+    it('should hand warnings to the caller without throwing', () => {
+      let reported = [];
+      const config = getAgentConfig({ metadata: { owner: 'sales' }, humanHandof: {} }, {
+        onWarnings: warnings => { reported = warnings; }
+      });
+
+      expect(config.metadata.owner).to.equal('sales');
+      expect(paths(reported)).to.deep.equal(['humanHandof']);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { vapi } from '../vapi-agent.js';
+import { fromTemplate } from '../create-agent.js';
+import { TemplateRegistry } from '../src/features/assistantTemplates.js';
+import { ERROR_CODES } from '../src/utils/errorHandler.js';
+
+describe('Assistant Templates', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new TemplateRegistry({ builtIns: false });
+    registry.register({
+      name: 'greeter',
+      variables: {
+        companyName: { type: 'string', required: true },
+        maxMinutes: { type: 'integer', default: 5 },
+        tone: { type: 'string', default: 'warm', values: ['warm', 'formal'] }
+      },
+      config: {
+        name: '{{companyName}} Greeter',
+        systemPrompt: 'Greet callers of {{ companyName }} in a {{tone}} way.',
+        maxDurationSeconds: '{{maxMinutes}}'
+      }
+    });
+  });
+
+  it('should fill placeholders and apply defaults', () => {
+    const config = registry.render('greeter', { companyName: 'Acme' });
+
+    expect(config).to.deep.equal({
+      name: 'Acme Greeter',
+      systemPrompt: 'Greet callers of Acme in a warm way.',
+      maxDurationSeconds: 5 // a lone placeholder keeps the variable's type
+    });
+  });
+
+  it('should report every invalid or missing variable at once', () => {
+    try {
+      registry.render('greeter', { maxMinutes: 'ten', tone: 'loud', compnyName: 'Typo' });
+      expect.fail('Expected render to throw');
+    } catch (error) {
+      expect(error.code).to.equal(ERROR_CODES.INVALID_TEMPLATE);
+      expect(error.details.errors.map(e => e.variable)).to.have.members([
+        'companyName',
+        'maxMinutes',
+        'tone',
+        'compnyName'
+      ]);
+    }
+  });
+
+  it('should reject optional placeholders left without a value', () => {
+    registry.register({
+      name: 'signoff',
+      variables: { signature: { type: 'string' } },
+      config: { firstMessage: 'Hello from {{signature}}' }
+    });
+
+    expect(() => registry.render('signoff')).to.throw(/\{\{signature\}\} has no value/);
+  });
+
+  it('should reject templates that use undeclared placeholders', () => {
+    expect(() => registry.register({ name: 'broken', config: { name: '{{missing}}' } }))
+      .to.throw().with.property('code', ERROR_CODES.INVALID_TEMPLATE);
+    expect(() => registry.register({ name: 'greeter', config: {} }))
+      .to.throw(/already registered/);
+  });
+
+  it('should report unknown templates', () => {
+    expect(() => registry.render('nope')).to.throw().with.property('code', ERROR_CODES.TEMPLATE_NOT_FOUND);
+  });
+
+  it('should ship renderable built-in templates', () => {
+    const builtIns = new TemplateRegistry();
+
+    expect(builtIns.list().map(t => t.name)).to.include('appointment-reminder');
+    expect(builtIns.render('appointment-reminder', {
+      companyName: 'Acme Dental',
+      rescheduleNumber: '+15550100'
+    }).systemPrompt).to.include('Acme Dental');
+  });
+
+  describe('fromTemplate', () => {
+    beforeEach(() => {
+      sinon.stub(console, 'log');
+      sinon.stub(vapi.assistants, 'create').callsFake(async (config) => ({ id: 'asst_1', ...config }));
+    });
+
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('should create an agent from a built-in template', async () => {
+      const assistant = await fromTemplate(
+        'appointment-reminder',
+        { companyName: 'Acme Dental', rescheduleNumber: '+15550100' },
+        { recordingEnabled: true }
+      );
+
+      expect(assistant.name).to.equal('Acme Dental Appointment Reminder');
+      expect(assistant.model.messages[0].content).to.include('+15550100');
+      expect(assistant.model.temperature).to.equal(0.3);
+      expect(assistant.recordingEnabled).to.be.true;
+    });
+
+    it('should not create anything when variables are missing', async () => {
+      await expect(fromTemplate('appointment-reminder', {})).to.be.rejectedWith(/companyName is required/);
+      expect(vapi.assistants.create.called).to.be.false;
+    });
+  });
+});
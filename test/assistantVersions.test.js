@@ -0,0 +1,127 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { createVapiSdk } from '../vapi-agent.js';
+import AssistantVersionStore from '../src/features/assistantVersions.js';
+import { ERROR_CODES } from '../src/utils/errorHandler.js';
+import { createStubClient } from './utils/stubVapiClient.js';
+
+describe('Assistant Version History', () => {
+  describe('AssistantVersionStore', () => {
+    let tmpDir;
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vapi-versions-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should persist numbered snapshots without read-only fields', async () => {
+      const store = new AssistantVersionStore({ directory: tmpDir });
+      await store.record('asst_1', { id: 'asst_1', orgId: 'org', name: 'One', createdAt: 'x' });
+      await store.record('asst_1', { id: 'asst_1', name: 'Two' });
+
+      const reopened = new AssistantVersionStore({ directory: tmpDir });
+      const versions = await reopened.list('asst_1');
+
+      expect(versions.map(v => v.version)).to.deep.equal([1, 2]);
+      expect(versions[0].config).to.deep.equal({ name: 'One' });
+      expect(versions[0].createdAt).to.be.a('string');
+    });
+
+    it('should keep only the newest versions', async () => {
+      const store = new AssistantVersionStore({ store: 'memory', maxVersions: 2 });
+      for (const name of ['a', 'b', 'c']) {
+        await store.record('asst_1', { name });
+      }
+
+      expect((await store.list('asst_1')).map(v => v.version)).to.deep.equal([2, 3]);
+    });
+
+    it('should number concurrent snapshots distinctly', async () => {
+      const store = new AssistantVersionStore({ store: 'memory' });
+
+      const versions = await Promise.all([
+        store.record('asst_1', { name: 'a' }),
+        store.record('asst_1', { name: 'b' })
+      ]);
+
+      expect(versions.map(v => v.version)).to.deep.equal([1, 2]);
+    });
+
+    it('should reject unknown versions', async () => {
+      const store = new AssistantVersionStore({ store: 'memory' });
+
+      await expect(store.get('asst_1', 3)).to.be.rejected
+        .and.eventually.have.property('code', ERROR_CODES.VERSION_NOT_FOUND);
+    });
+  });
+
+  describe('SDK', () => {
+    let client;
+    let sdk;
+
+    beforeEach(() => {
+      client = createStubClient({ assistants: [{ id: 'asst_1', name: 'Support', firstMessage: 'Hi', model: { temperature: 0.7 } }] });
+      sdk = createVapiSdk({ client, versions: { store: 'memory' } });
+    });
+
+    it('should snapshot the previous configuration on every update', async () => {
+      await sdk.updateAssistant('asst_1', { firstMessage: 'Hello' });
+      await sdk.updateAssistant('asst_1', { model: { temperature: 0.2 } });
+
+      const versions = await sdk.listAssistantVersions('asst_1');
+
+      expect(versions).to.have.lengthOf(2);
+      expect(versions[0].changes).to.deep.equal([{ path: 'firstMessage', from: 'Hi', to: 'Hello' }]);
+      expect(versions[1].changes).to.deep.equal([{ path: 'model.temperature', from: 0.7, to: 0.2 }]);
+      expect((await sdk.getAssistantVersion('asst_1', 1)).config.firstMessage).to.equal('Hi');
+    });
+
+    it('should restore a version and record the rollback', async () => {
+      const rolledBack = sinon.spy();
+      sdk.events.on('assistant:rolled_back', rolledBack);
+      await sdk.updateAssistant('asst_1', { firstMessage: 'Hello', webhookUrl: 'https://example.com' });
+
+      const restored = await sdk.rollbackAssistant('asst_1', 1);
+
+      expect(restored.firstMessage).to.equal('Hi');
+      expect(client.assistants.update.lastCall.args[1]).to.include({ webhookUrl: null });
+      expect(rolledBack.calledOnce).to.be.true;
+
+      const versions = await sdk.listAssistantVersions('asst_1');
+      expect(versions.map(v => v.reason)).to.deep.equal(['update', 'rollback']);
+    });
+
+    it('should only send the fields that differ and leave API-managed fields alone', async () => {
+      await sdk.updateAssistant('asst_1', { firstMessage: 'Hello', webhookUrl: 'https://example.com', isServerUrlSecretSet: true });
+
+      await sdk.rollbackAssistant('asst_1', 1);
+
+      expect(client.assistants.update.lastCall.args[1]).to.deep.equal({ firstMessage: 'Hi', webhookUrl: null });
+    });
+
+    it('should not record a version when the update fails', async () => {
+      await sdk.updateAssistant('asst_1', { firstMessage: 'Hello' });
+      client.assistants.update.rejects(new Error('Invalid model'));
+
+      await expect(sdk.updateAssistant('asst_1', { model: { model: 'nope' } })).to.be.rejected;
+      await expect(sdk.rollbackAssistant('asst_1', 1)).to.be.rejected;
+
+      const versions = await sdk.listAssistantVersions('asst_1');
+      expect(versions.map(v => v.reason)).to.deep.equal(['update']);
+      expect(versions[0].changes).to.deep.equal([{ path: 'firstMessage', from: 'Hi', to: 'Hello' }]);
+    });
+
+    it('should not update when the snapshot cannot be taken', async () => {
+      client.assistants.get.rejects(new Error('unavailable'));
+
+      await expect(sdk.updateAssistant('asst_1', { name: 'x' })).to.be.rejected;
+      expect(client.assistants.update.called).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,116 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { createVapiSdk } from '../vapi-agent.js';
+import { buildFieldPatch, buildRetag, isRetryable } from '../src/features/bulkOperations.js';
+import { mapWithConcurrency } from '../src/utils/concurrency.js';
+import { VapiError, ERROR_CODES } from '../src/utils/errorHandler.js';
+import { createStubClient } from './utils/stubVapiClient.js';
+
+const ASSISTANTS = [
+  { id: 'asst_1', name: 'Sales', voice: { provider: 'vapi', voiceId: 'Elliot' }, metadata: { environment: 'production', tags: ['sales'] } },
+  { id: 'asst_2', name: 'Support', voice: { provider: 'vapi', voiceId: 'Kylie' }, metadata: { environment: 'production', tags: [] } },
+  { id: 'asst_3', name: 'Sandbox', voice: { provider: 'vapi', voiceId: 'Elliot' }, metadata: { environment: 'development' } }
+];
+
+const BULK_OPTIONS = { retryDelay: 1 };
+
+describe('Bulk Operations', () => {
+  describe('helpers', () => {
+    it('should patch nested fields without dropping their siblings', () => {
+      expect(buildFieldPatch(ASSISTANTS[0], 'voice.voiceId', 'Cole'))
+        .to.deep.equal({ voice: { provider: 'vapi', voiceId: 'Cole' } });
+      expect(buildFieldPatch(ASSISTANTS[2], 'model.temperature', 0.2)).to.deep.equal({ model: { temperature: 0.2 } });
+      expect(buildFieldPatch(ASSISTANTS[0], 'name', name => `${name} v2`)).to.deep.equal({ name: 'Sales v2' });
+    });
+
+    it('should add and remove tags once', () => {
+      expect(buildRetag(ASSISTANTS[0], { add: ['eu', 'sales'], remove: ['old'] }).metadata)
+        .to.deep.equal({ environment: 'production', tags: ['sales', 'eu'] });
+    });
+
+    it('should only retry transient failures', () => {
+      expect(isRetryable(new Error('socket hang up'))).to.be.true;
+      expect(isRetryable({ response: { status: 503 } })).to.be.true;
+      expect(isRetryable({ response: { status: 429 } })).to.be.true;
+      expect(isRetryable({ response: { status: 400 } })).to.be.false;
+      expect(isRetryable(new VapiError('bad', ERROR_CODES.VALIDATION_ERROR))).to.be.false;
+    });
+
+    it('should bound concurrency and keep result order', async () => {
+      let inFlight = 0;
+      let peak = 0;
+
+      const results = await mapWithConcurrency([30, 10, 20, 5], 2, async (ms, index) => {
+        peak = Math.max(peak, ++inFlight);
+        await new Promise(resolve => setTimeout(resolve, ms));
+        inFlight--;
+        return index;
+      });
+
+      expect(results).to.deep.equal([0, 1, 2, 3]);
+      expect(peak).to.equal(2);
+    });
+  });
+
+  describe('SDK', () => {
+    let client;
+    let sdk;
+
+    beforeEach(() => {
+      client = createStubClient({ assistants: ASSISTANTS });
+      sdk = createVapiSdk({ client, versions: { store: 'memory' } });
+    });
+
+    it('should report planned changes on a dry run without updating', async () => {
+      const report = await sdk.bulkPatchAssistants({ environment: 'production' }, 'voice.voiceId', 'Elliot', {
+        ...BULK_OPTIONS,
+        dryRun: true
+      });
+
+      expect(report.summary).to.include({ total: 2, planned: 1, unchanged: 1 });
+      expect(report.results.find(r => r.assistantId === 'asst_2').changes)
+        .to.deep.equal([{ path: 'voice.voiceId', from: 'Kylie', to: 'Elliot' }]);
+      expect(client.assistants.update.called).to.be.false;
+    });
+
+    it('should update selected assistants and record each change', async () => {
+      const report = await sdk.bulkUpdateAssistants(['asst_1', 'asst_3'], assistant => ({
+        firstMessage: `Hi from ${assistant.name}`
+      }), BULK_OPTIONS);
+
+      expect(report.summary).to.include({ succeeded: 2, failed: 0 });
+      expect(client.assistants.update.firstCall.args).to.deep.equal(['asst_1', { firstMessage: 'Hi from Sales' }]);
+      expect(await sdk.listAssistantVersions('asst_3')).to.have.lengthOf(1);
+    });
+
+    it('should retry transient failures and report the ones that keep failing', async () => {
+      client.assistants.update.withArgs('asst_1').onFirstCall().rejects(new Error('timeout'));
+      client.assistants.update.withArgs('asst_2').rejects({ response: { status: 400 }, message: 'Bad voice' });
+
+      const report = await sdk.bulkRetagAssistants({ environment: 'production' }, { add: ['q3'] }, BULK_OPTIONS);
+
+      const byId = Object.fromEntries(report.results.map(r => [r.assistantId, r]));
+      expect(byId.asst_1).to.include({ status: 'succeeded', attempts: 2 });
+      expect(await sdk.listAssistantVersions('asst_1')).to.have.lengthOf(1);
+      expect(byId.asst_2).to.include({ status: 'failed', attempts: 1 });
+      expect(report.failedIds).to.deep.equal(['asst_2']);
+    });
+
+    it('should report unknown ids and delete the rest', async () => {
+      const completed = sinon.spy();
+      sdk.events.on('assistants:bulk_completed', completed);
+
+      const report = await sdk.bulkDeleteAssistants(['asst_3', 'asst_missing'], BULK_OPTIONS);
+
+      expect(report.summary).to.include({ total: 2, succeeded: 1, failed: 1 });
+      expect(report.results[1].error.code).to.equal(ERROR_CODES.NOT_FOUND);
+      expect(client.assistants.delete.calledOnceWith('asst_3')).to.be.true;
+      expect(completed.calledOnce).to.be.true;
+    });
+
+    it('should reject invalid selectors', async () => {
+      await expect(sdk.bulkDeleteAssistants('asst_1')).to.be.rejectedWith(/bulk selector/);
+      expect(client.assistants.delete.called).to.be.false;
+    });
+  });
+});
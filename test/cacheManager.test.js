@@ -0,0 +1,234 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { CacheManager } from '../src/features/cacheManager.js';
+import { MemoryStore, FileStore } from '../src/features/cacheStores.js';
+import { createVapiSdk } from '../vapi-agent.js';
+import { ERROR_CODES } from '../src/utils/errorHandler.js';
+
+describe('Cache', () => {
+  describe('MemoryStore', () => {
+    it('should evict the least recently used entry past maxSize', async () => {
+      const onEvict = sinon.spy();
+      const store = new MemoryStore({ maxSize: 2, onEvict });
+
+      await store.set('a', 1);
+      await store.set('b', 2);
+      await store.get('a');
+      await store.set('c', 3);
+
+      expect(await store.keys()).to.deep.equal(['a', 'c']);
+      expect(onEvict.calledOnceWith('b', 2)).to.be.true;
+    });
+  });
+
+  describe('FileStore', () => {
+    let tmpDir;
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vapi-cache-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should persist entries across instances', async () => {
+      const filePath = path.join(tmpDir, 'assistants.json');
+      await new FileStore({ filePath }).set('asst_1', { value: { id: 'asst_1' } });
+
+      const reloaded = new FileStore({ filePath });
+
+      expect(await reloaded.get('asst_1')).to.deep.equal({ value: { id: 'asst_1' } });
+    });
+
+    it('should retry a failed load on the next access', async () => {
+      const filePath = path.join(tmpDir, 'assistants.json');
+      await fs.writeFile(filePath, '[["asst_1", {"value": ');
+      const store = new FileStore({ filePath });
+
+      const error = await store.get('asst_1').catch(err => err);
+      await fs.writeFile(filePath, JSON.stringify([['asst_1', { value: { id: 'asst_1' } }]]));
+
+      expect(error.code).to.equal(ERROR_CODES.CACHE_ERROR);
+      expect(await store.get('asst_1')).to.deep.equal({ value: { id: 'asst_1' } });
+    });
+  });
+
+  describe('CacheManager', () => {
+    let clock;
+    let cache;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+      cache = new CacheManager({ namespaces: { assistants: { ttl: 1000, maxSize: 2 } } });
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('should expire entries after the namespace TTL', async () => {
+      await cache.set('assistants', 'asst_1', { id: 'asst_1' });
+      expect(await cache.get('assistants', 'asst_1')).to.deep.equal({ id: 'asst_1' });
+
+      clock.tick(1001);
+
+      expect(await cache.get('assistants', 'asst_1')).to.be.undefined;
+      expect(await cache.prune()).to.equal(1);
+    });
+
+    it('should enforce the namespace size cap', async () => {
+      await cache.set('assistants', 'a', 1);
+      await cache.set('assistants', 'b', 2);
+      await cache.set('assistants', 'c', 3);
+
+      const stats = await cache.getStats('assistants');
+      expect(stats.size).to.equal(2);
+      expect(stats.evictions).to.equal(1);
+    });
+
+    it('should track hits and misses', async () => {
+      const fetchFn = sinon.stub().resolves(['x']);
+
+      await cache.getOrFetch('assistantLists', 'all', fetchFn);
+      await cache.getOrFetch('assistantLists', 'all', fetchFn);
+
+      const stats = await cache.getStats('assistantLists');
+      expect(fetchFn.calledOnce).to.be.true;
+      expect(stats).to.include({ hits: 1, misses: 1, hitRate: 0.5 });
+    });
+
+    it('should serve the stale value when a refresh fails', async () => {
+      await cache.set('assistants', 'asst_1', 'old');
+      clock.tick(1001);
+
+      const value = await cache.getOrFetch('assistants', 'asst_1', () => Promise.reject(new Error('down')));
+
+      expect(value).to.equal('old');
+    });
+
+    it('should serve stale values while revalidating in the background', async () => {
+      const swrCache = new CacheManager({ namespaces: { assistantLists: { ttl: 1000, staleWhileRevalidate: true } } });
+      await swrCache.set('assistantLists', 'all', ['old']);
+      clock.tick(1001);
+      const fetchFn = sinon.stub().resolves(['new']);
+
+      expect(await swrCache.getOrFetch('assistantLists', 'all', fetchFn)).to.deep.equal(['old']);
+      await clock.tickAsync(0);
+
+      expect(fetchFn.calledOnce).to.be.true;
+      expect(await swrCache.get('assistantLists', 'all')).to.deep.equal(['new']);
+      expect((await swrCache.getStats('assistantLists')).staleHits).to.equal(1);
+    });
+
+    it('should emit refresh:failed when a background refresh fails', async () => {
+      const swrCache = new CacheManager({ namespaces: { assistantLists: { ttl: 1000, staleWhileRevalidate: 5000 } } });
+      const listener = sinon.spy();
+      swrCache.on('refresh:failed', listener);
+      await swrCache.set('assistantLists', 'all', ['old']);
+      clock.tick(1001);
+
+      const value = await swrCache.getOrFetch('assistantLists', 'all', () => Promise.reject(new Error('down')));
+      await clock.tickAsync(0);
+
+      expect(value).to.deep.equal(['old']);
+      expect(listener.calledOnce).to.be.true;
+      expect(listener.firstCall.args[0]).to.include({ namespace: 'assistantLists', key: 'all' });
+    });
+
+    it('should stop serving stale values outside the window', async () => {
+      const swrCache = new CacheManager({ namespaces: { assistantLists: { ttl: 1000, staleWhileRevalidate: 500 } } });
+      await swrCache.set('assistantLists', 'all', ['old']);
+      clock.tick(2000);
+
+      const value = await swrCache.getOrFetch('assistantLists', 'all', sinon.stub().resolves(['new']));
+
+      expect(value).to.deep.equal(['new']);
+    });
+
+    it('should reject unknown namespaces', async () => {
+      await expect(cache.get('widgets', 'x')).to.be.rejected
+        .and.eventually.have.property('code', ERROR_CODES.CACHE_ERROR);
+    });
+  });
+
+  describe('CacheManager request coalescing', () => {
+    let coalescingCache;
+
+    beforeEach(() => {
+      coalescingCache = new CacheManager();
+    });
+
+    it('should share one fetch between concurrent callers', async () => {
+      let resolveFetch;
+      const fetchFn = sinon.stub().returns(new Promise(resolve => { resolveFetch = resolve; }));
+
+      const pending = Promise.all([
+        coalescingCache.getOrFetch('assistantLists', 'all', fetchFn),
+        coalescingCache.getOrFetch('assistantLists', 'all', fetchFn),
+        coalescingCache.getOrFetch('assistantLists', 'all', fetchFn)
+      ]);
+      await Promise.resolve();
+      resolveFetch(['x']);
+
+      expect(await pending).to.deep.equal([['x'], ['x'], ['x']]);
+      expect(fetchFn.calledOnce).to.be.true;
+      expect((await coalescingCache.getStats('assistantLists')).coalesced).to.equal(2);
+    });
+
+    it('should not store results fetched before an invalidation', async () => {
+      let resolveFetch;
+      const fetched = new Promise(resolve => { resolveFetch = resolve; });
+      const pending = coalescingCache.getOrFetch('assistantLists', 'all', () => fetched);
+      await Promise.resolve();
+
+      await coalescingCache.invalidate('assistantLists');
+      resolveFetch(['outdated']);
+      await pending;
+
+      expect(await coalescingCache.get('assistantLists', 'all')).to.be.undefined;
+    });
+  });
+
+  describe('SDK invalidation', () => {
+    let client;
+    let sdk;
+
+    beforeEach(() => {
+      client = {
+        assistants: {
+          list: sinon.stub().resolves([{ id: 'asst_1', name: 'One' }]),
+          get: sinon.stub().resolves({ id: 'asst_1', name: 'One' }),
+          update: sinon.stub().resolves({ id: 'asst_1', name: 'Renamed' }),
+          delete: sinon.stub().resolves({ id: 'asst_1' })
+        }
+      };
+      sdk = createVapiSdk({ client, versions: { store: 'memory' } });
+    });
+
+    it('should refresh the entity and drop cached lists on update', async () => {
+      await sdk.listAssistants();
+      await sdk.updateAssistant('asst_1', { name: 'Renamed' });
+      const fetches = client.assistants.get.callCount; // the update snapshots the previous version
+
+      expect(await sdk.getAssistant('asst_1')).to.include({ name: 'Renamed' });
+      expect(client.assistants.get.callCount).to.equal(fetches);
+
+      await sdk.listAssistants();
+      expect(client.assistants.list.calledTwice).to.be.true;
+    });
+
+    it('should remove the entity on delete', async () => {
+      await sdk.listAssistants();
+      await sdk.deleteAssistant('asst_1');
+
+      expect(await sdk.cache.get('assistants', 'asst_1')).to.be.undefined;
+      expect(await sdk.cache.get('assistantLists', JSON.stringify({
+        limit: 50, sortBy: 'createdAt', sortOrder: 'desc'
+      }))).to.be.undefined;
+    });
+  });
+});
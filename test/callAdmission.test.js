@@ -0,0 +1,228 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import crypto from 'crypto';
+import { createVapiSdk } from '../vapi-agent.js';
+import { CallAdmissionController } from '../src/features/callAdmission.js';
+import { CallMonitor } from '../src/features/callMonitoring.js';
+import { ERROR_CODES } from '../src/utils/errorHandler.js';
+import { mockRequest, mockResponse } from './helpers.js';
+
+const SECRET = 'admission-secret';
+
+/**
+ * Creates a signed webhook request
+ */
+const signedRequest = (body) => {
+  const timestamp = Date.now().toString();
+  const signature = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${JSON.stringify(body)}`).digest('hex');
+  return mockRequest(body, {}, {}, { 'vapi-timestamp': timestamp, 'vapi-signature': signature });
+};
+
+describe('Call Admission', () => {
+  let clock;
+  let client;
+  let callMonitor;
+  let nextId;
+
+  const create = () => async () => ({ id: `call_${++nextId}` });
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({ toFake: ['Date', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval'] });
+    nextId = 0;
+    client = { calls: { get: sinon.stub().callsFake(async (id) => ({ id, status: 'in-progress' })) } };
+    callMonitor = new CallMonitor(client, { monitoringInterval: 1000 });
+  });
+
+  afterEach(() => {
+    callMonitor.stopMonitoring();
+    clock.restore();
+  });
+
+  it('should queue calls over the limit and admit them in order as calls end', async () => {
+    const admission = new CallAdmissionController({ callMonitor, maxConcurrentCalls: 2 });
+    const queued = sinon.spy();
+    admission.on('call:queued', queued);
+
+    const first = await admission.admit({ assistantId: 'asst_1' }, create());
+    await admission.admit({ assistantId: 'asst_1' }, create());
+    const order = [];
+    const third = admission.admit({ assistantId: 'asst_1' }, create()).then(call => order.push(call.id));
+    const fourth = admission.admit({ assistantId: 'asst_2' }, create()).then(call => order.push(call.id));
+    await clock.tickAsync(0);
+
+    expect(queued.args.map(([entry]) => [entry.limit, entry.position])).to.deep.equal([
+      ['maxConcurrentCalls', 1],
+      ['maxConcurrentCalls', 2]
+    ]);
+    expect(admission.getUsage()).to.include({ inFlight: 2, queued: 2 });
+
+    admission.callEnded(first.id);
+    await third;
+    expect(order).to.deep.equal(['call_3']);
+    expect(callMonitor.getCall('call_3').metadata).to.include({ assistantId: 'asst_1' });
+
+    admission.callEnded('call_2');
+    await fourth;
+    expect(admission.getUsage()).to.deep.include({ inFlight: 2, queued: 0, byAssistant: { asst_1: 1, asst_2: 1 } });
+  });
+
+  it('should hold back only the assistant or number that is at its limit', async () => {
+    const admission = new CallAdmissionController({ callMonitor, maxCallsPerAssistant: 1, maxCallsPerNumber: 2 });
+
+    await admission.admit({ assistantId: 'asst_1', phoneNumberId: 'pn_1' }, create());
+    let waiting = true;
+    const sameAssistant = admission.admit({ assistantId: 'asst_1', phoneNumberId: 'pn_2' }, create())
+      .then(() => { waiting = false; });
+    await admission.admit({ assistantId: 'asst_2', phoneNumberId: 'pn_1' }, create());
+
+    const overNumber = await admission.admit({ assistantId: 'asst_3', phoneNumberId: 'pn_1' }, create(), { whenFull: 'reject' })
+      .catch(err => err);
+    expect(overNumber.code).to.equal(ERROR_CODES.CALL_LIMIT_REACHED);
+    expect(overNumber.details).to.include({ reason: 'limit-reached', limit: 'maxCallsPerNumber' });
+    expect(waiting).to.be.true;
+
+    admission.callEnded('call_1');
+    await sameAssistant;
+    expect(admission.getUsage().byNumber).to.deep.equal({ pn_1: 1, pn_2: 1 });
+  });
+
+  it('should reject calls when the queue is full or the wait times out', async () => {
+    const admission = new CallAdmissionController({
+      callMonitor,
+      maxConcurrentCalls: 1,
+      maxQueueSize: 1,
+      queueTimeout: 1000
+    });
+    const rejected = sinon.spy();
+    admission.on('call:admission_rejected', rejected);
+
+    await admission.admit({ assistantId: 'asst_1' }, create());
+    const timedOut = admission.admit({ assistantId: 'asst_1' }, create()).catch(err => err);
+    const full = await admission.admit({ assistantId: 'asst_1' }, create()).catch(err => err);
+    await clock.tickAsync(1000);
+
+    expect(full.details.reason).to.equal('queue-full');
+    expect((await timedOut).details.reason).to.equal('queue-timeout');
+    expect(rejected.callCount).to.equal(2);
+    expect(admission.getUsage().queued).to.equal(0);
+  });
+
+  it('should free slots when polling sees a call end or creating it fails', async () => {
+    const admission = new CallAdmissionController({ callMonitor, maxConcurrentCalls: 1 });
+
+    const failed = await admission.admit({ assistantId: 'asst_1' }, async () => {
+      throw new Error('API down');
+    }).catch(err => err);
+    expect(failed.message).to.equal('API down');
+
+    await admission.admit({ assistantId: 'asst_1' }, create());
+    const next = admission.admit({ assistantId: 'asst_1' }, create());
+
+    client.calls.get.callsFake(async (id) => ({ id, status: 'ended' }));
+    await clock.tickAsync(1000);
+
+    expect((await next).id).to.equal('call_2');
+    expect(callMonitor.getCall('call_1').status).to.equal('ended');
+  });
+
+  it('should free the slot of a call that can no longer be polled', async () => {
+    const admission = new CallAdmissionController({ callMonitor, maxConcurrentCalls: 2 });
+    const lost = sinon.spy();
+    callMonitor.on('call:lost', lost);
+    callMonitor.on('error', () => {});
+
+    await admission.admit({ assistantId: 'asst_1' }, create());
+    await admission.admit({ assistantId: 'asst_1' }, create());
+    const third = admission.admit({ assistantId: 'asst_1' }, create());
+
+    // call_1 was deleted; reads of call_2 keep failing, even after retries
+    client.calls.get.callsFake(async (id) => {
+      if (id === 'call_3') return { id, status: 'in-progress' };
+      throw Object.assign(new Error('Unavailable'), { response: { status: id === 'call_1' ? 404 : 503 } });
+    });
+    await clock.tickAsync(30000);
+
+    expect(lost.args.map(([entry]) => entry.callId)).to.deep.equal(['call_1', 'call_2']);
+    expect((await third).id).to.equal('call_3');
+    expect(callMonitor.getCall('call_2')).to.be.null;
+  });
+
+  describe('SDK', () => {
+    let sdk;
+
+    beforeEach(() => {
+      client.calls.create = sinon.stub().callsFake(async () => ({ id: `call_${++nextId}` }));
+      sdk = createVapiSdk({
+        client,
+        versions: { store: 'memory' },
+        cache: { store: 'memory' },
+        audit: { store: 'memory' },
+        suppression: { store: 'memory' },
+        monitor: { maxConcurrentCalls: 1 },
+        webhook: { secret: SECRET }
+      });
+    });
+
+    afterEach(async () => {
+      await sdk.shutdown();
+    });
+
+    it('should hold calls until an end-of-call webhook frees the slot', async () => {
+      const admitted = sinon.spy();
+      sdk.events.on('call:admitted', admitted);
+
+      await sdk.startCall({ assistantId: 'asst_1', customerNumber: '+14155550100' });
+      const second = sdk.startPhoneCall('asst_1', '+14155550101', 'pn_1');
+      await clock.tickAsync(0);
+      expect(client.calls.create.calledOnce).to.be.true;
+      expect(sdk.getCallUsage()).to.include({ inFlight: 1, queued: 1 });
+
+      const res = mockResponse();
+      await sdk.webhookHandler.handleWebhook(signedRequest({
+        message: { type: 'end-of-call-report', call: { id: 'call_1' } }
+      }), res);
+
+      expect(res.status.calledWith(200)).to.be.true;
+      expect((await second).id).to.equal('call_2');
+      expect(admitted.callCount).to.equal(2);
+      expect(sdk.callMonitor.getCall('call_2').metadata).to.include({ phoneNumberId: 'pn_1', phoneNumber: '+14155550101' });
+    });
+
+    it('should not dial a queued call whose number was suppressed while it waited', async () => {
+      await sdk.startCall({ assistantId: 'asst_1', customerNumber: '+14155550100' });
+      const waiting = sdk.startPhoneCall('asst_1', '+14155550101', 'pn_1').catch(err => err);
+      await clock.tickAsync(0);
+
+      await sdk.addToDoNotCall('+14155550101');
+      sdk.callMonitor.removeCall('call_1');
+
+      expect((await waiting).code).to.equal(ERROR_CODES.NUMBER_SUPPRESSED);
+      expect(client.calls.create.calledOnce).to.be.true;
+      expect(sdk.getCallUsage()).to.include({ inFlight: 0, queued: 0 });
+    });
+
+    it('should run beforeDial once a slot is free and cancel the call when it throws', async () => {
+      const beforeDial = sinon.stub().rejects(new Error('Too late'));
+      await sdk.startCall({ assistantId: 'asst_1', customerNumber: '+14155550100' });
+      const waiting = sdk.startCall({ assistantId: 'asst_1', customerNumber: '+14155550101', beforeDial }).catch(err => err);
+      await clock.tickAsync(0);
+      expect(beforeDial.called).to.be.false;
+
+      sdk.callMonitor.removeCall('call_1');
+
+      expect((await waiting).message).to.equal('Too late');
+      expect(client.calls.create.calledOnce).to.be.true;
+    });
+
+    it('should reject waiting calls on shutdown', async () => {
+      await sdk.startCall({ assistantId: 'asst_1', customerNumber: '+14155550100' });
+      const waiting = sdk.startCall({ assistantId: 'asst_1', customerNumber: '+14155550101' }).catch(err => err);
+      await clock.tickAsync(0);
+
+      await sdk.shutdown();
+
+      expect((await waiting).details).to.include({ reason: 'shutdown' });
+      expect(client.calls.create.calledOnce).to.be.true;
+    });
+  });
+});
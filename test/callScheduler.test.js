@@ -0,0 +1,158 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { once } from 'events';
+import { createVapiSdk } from '../vapi-agent.js';
+import { CallScheduler, resolveScheduleTime } from '../src/features/callScheduler.js';
+import { ERROR_CODES } from '../src/utils/errorHandler.js';
+
+// Monday 2024-01-01 12:00 UTC
+const MONDAY_NOON = Date.UTC(2024, 0, 1, 12, 0);
+const HOUR = 60 * 60 * 1000;
+
+const call = { assistantId: 'asst_1', customerNumber: '+14155550100', metadata: { reason: 'follow-up' } };
+
+describe('Call Scheduler', () => {
+  it('should resolve local times in the given time zone', () => {
+    const iso = (at, timeZone) => new Date(resolveScheduleTime(at, timeZone, MONDAY_NOON)).toISOString();
+
+    expect(iso('2024-05-02T10:00', 'America/New_York')).to.equal('2024-05-02T14:00:00.000Z');
+    expect(iso('tomorrow 10:00', 'Asia/Tokyo')).to.equal('2024-01-02T01:00:00.000Z');
+    expect(iso('10:00', 'America/Los_Angeles')).to.equal('2024-01-01T18:00:00.000Z');
+    expect(iso('10:00', 'Europe/London')).to.equal('2024-01-02T10:00:00.000Z');
+    expect(iso('2024-01-05T09:00:00+01:00')).to.equal('2024-01-05T08:00:00.000Z');
+    expect(() => resolveScheduleTime('next week')).to.throw().with.property('code', ERROR_CODES.VALIDATION_ERROR);
+  });
+
+  describe('firing', () => {
+    let clock;
+    let startCall;
+    let scheduler;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers({ now: MONDAY_NOON, toFake: ['Date', 'setTimeout', 'clearTimeout'] });
+      startCall = sinon.stub().callsFake(async () => ({ id: 'call_1' }));
+      scheduler = new CallScheduler({ store: 'memory', startCall });
+    });
+
+    afterEach(() => {
+      scheduler.stop();
+      clock.restore();
+    });
+
+    it('should start the call when it is due', async () => {
+      const fired = sinon.spy();
+      scheduler.on('call:fired', fired);
+      await scheduler.start();
+
+      const job = await scheduler.schedule(call, { at: '14:30', timezone: 'Europe/London' });
+      expect(job).to.include({ status: 'scheduled', runAt: '2024-01-01T14:30:00.000Z' });
+
+      await clock.tickAsync(2.5 * HOUR - 1);
+      expect(startCall.called).to.be.false;
+
+      await clock.tickAsync(1);
+      expect(startCall.firstCall.args[0]).to.deep.equal({
+        ...call,
+        metadata: { reason: 'follow-up', scheduledCallId: job.id }
+      });
+      expect(fired.firstCall.args[0].job).to.include({ status: 'fired', callId: 'call_1' });
+      expect((await scheduler.get(job.id)).status).to.equal('fired');
+    });
+
+    it('should reschedule and cancel jobs that have not fired', async () => {
+      await scheduler.start();
+      const moved = await scheduler.schedule(call, { at: MONDAY_NOON + HOUR });
+      const cancelled = await scheduler.schedule(call, { at: MONDAY_NOON + HOUR });
+
+      await scheduler.reschedule(moved.id, MONDAY_NOON + 3 * HOUR);
+      await scheduler.cancel(cancelled.id);
+      await clock.tickAsync(2 * HOUR);
+      expect(startCall.called).to.be.false;
+
+      await clock.tickAsync(HOUR);
+      expect(startCall.calledOnce).to.be.true;
+      expect((await scheduler.list()).map(job => job.status)).to.deep.equal(['cancelled', 'fired']);
+
+      const error = await scheduler.cancel(moved.id).catch(err => err);
+      expect(error.message).to.equal(`Scheduled call ${moved.id} is already fired`);
+      expect((await scheduler.reschedule('missing', MONDAY_NOON).catch(err => err)).code).to.equal(ERROR_CODES.NOT_FOUND);
+    });
+
+    it('should report calls that fail to start', async () => {
+      startCall.rejects(new Error('Number blocked'));
+      const failed = sinon.spy();
+      scheduler.on('call:schedule_failed', failed);
+      await scheduler.start();
+
+      const job = await scheduler.schedule(call, { at: MONDAY_NOON + 1000 });
+      await clock.tickAsync(1000);
+
+      expect(failed.firstCall.args[0].job).to.include({ id: job.id, status: 'failed', error: 'Number blocked' });
+    });
+  });
+
+  describe('restarts', () => {
+    let tmpDir;
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vapi-schedule-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should fire jobs that fell due while stopped and never fire a job twice', async () => {
+      const before = new CallScheduler({ directory: tmpDir, startCall: sinon.stub() });
+      const missed = await before.schedule(call, { at: Date.now() - 1000 });
+      const stale = await before.schedule(call, { at: Date.now() - 2 * HOUR });
+      const later = await before.schedule(call, { at: Date.now() + HOUR });
+      await before.store.set('stuck', { ...missed, id: 'stuck', status: 'firing' });
+
+      const startCall = sinon.stub().resolves({ id: 'call_1' });
+      const after = new CallScheduler({ directory: tmpDir, startCall });
+      const fired = once(after, 'call:fired');
+      await after.start();
+      await fired;
+      after.stop();
+
+      expect(startCall.calledOnce).to.be.true;
+      expect((await after.get(missed.id)).status).to.equal('fired');
+      expect(await after.get(stale.id)).to.include({ status: 'failed' });
+      expect((await after.get(stale.id)).error).to.match(/missed its time/);
+      expect((await after.get('stuck')).status).to.equal('failed');
+      expect((await after.get(later.id)).status).to.equal('scheduled');
+    });
+  });
+
+  it('should schedule through the SDK and report on its events', async () => {
+    const client = { calls: { create: sinon.stub().resolves({ id: 'call_1' }) } };
+    const sdk = createVapiSdk({
+      client,
+      versions: { store: 'memory' },
+      cache: { store: 'memory' },
+      suppression: { store: 'memory' },
+      scheduler: { store: 'memory' }
+    });
+    const scheduled = sinon.spy();
+    const fired = sinon.spy();
+    sdk.events.on('call:scheduled', scheduled);
+    sdk.events.on('call:fired', fired);
+
+    const job = await sdk.scheduleCall({ ...call, at: Date.now() - 10, timezone: 'America/New_York' });
+    expect(job.call).to.deep.equal(call);
+    expect(job.timezone).to.equal('America/New_York');
+
+    await sdk.scheduler.start();
+    expect(fired.called).to.be.false;
+    await once(sdk.events, 'call:fired');
+    sdk.scheduler.stop();
+
+    expect(scheduled.calledOnce).to.be.true;
+    expect(fired.firstCall.args[0].call.id).to.equal('call_1');
+    expect(client.calls.create.firstCall.args[0].customer).to.deep.equal({ number: call.customerNumber });
+  });
+});
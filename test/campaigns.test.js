@@ -0,0 +1,267 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { createVapiSdk } from '../vapi-agent.js';
+import { Campaign, loadContacts, classifyCallOutcome } from '../src/features/campaigns.js';
+import { msUntilCallingWindow } from '../src/utils/timeZones.js';
+import { ERROR_CODES } from '../src/utils/errorHandler.js';
+
+// Monday 2024-01-01 12:00 UTC
+const MONDAY_NOON = Date.UTC(2024, 0, 1, 12, 0);
+
+const contact = (number, extra = {}) => ({ id: number, number, variables: {}, ...extra });
+
+/**
+ * Creates call stubs; every call stays in progress until settle(callId, endedReason) is called
+ */
+const createDialer = () => {
+  const pending = new Map();
+  let count = 0;
+
+  return {
+    startCall: sinon.stub().callsFake(async ({ beforeDial }) => {
+      await beforeDial?.();
+      return { id: `call_${++count}` };
+    }),
+    waitForOutcome: sinon.stub().callsFake(call => new Promise(resolve => pending.set(call.id, resolve))),
+    settle: (callId, endedReason = 'customer-ended-call') => pending.get(callId)({ id: callId, status: 'ended', endedReason })
+  };
+};
+
+describe('Campaigns', () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({
+      now: MONDAY_NOON,
+      toFake: ['Date', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval']
+    });
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  describe('loadContacts', () => {
+    let tmpDir;
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vapi-campaigns-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should read CSV files and keep extra columns as variables', async () => {
+      const file = path.join(tmpDir, 'contacts.csv');
+      await fs.writeFile(file, 'phone,timezone,name,note\n+1 (415) 555-0100,America/Los_Angeles,Sam,"Tue, 10:00"\n');
+
+      const [loaded] = await loadContacts(file);
+
+      expect(loaded).to.deep.equal({
+        id: '+14155550100',
+        number: '+14155550100',
+        timezone: 'America/Los_Angeles',
+        variables: { name: 'Sam', note: 'Tue, 10:00' }
+      });
+    });
+
+    it('should report every invalid contact', async () => {
+      const error = await loadContacts([
+        { number: '555-0100' },
+        { number: '+14155550100', timezone: 'Mars/Olympus' },
+        { number: '+14155550100' }
+      ]).catch(err => err);
+
+      expect(error.code).to.equal(ERROR_CODES.VALIDATION_ERROR);
+      expect(error.details.errors).to.have.length(3);
+      expect(error.message).to.include('unknown time zone "Mars/Olympus"');
+    });
+  });
+
+  it('should classify ended calls', () => {
+    expect(classifyCallOutcome({ endedReason: 'customer-did-not-answer' })).to.equal('no-answer');
+    expect(classifyCallOutcome({ endedReason: 'customer-busy' })).to.equal('busy');
+    expect(classifyCallOutcome({ endedReason: 'voicemail' })).to.equal('voicemail');
+    expect(classifyCallOutcome({ endedReason: 'pipeline-error-openai-llm-failed' })).to.equal('failed');
+    expect(classifyCallOutcome({ endedReason: 'assistant-ended-call' })).to.equal('completed');
+  });
+
+  it('should wait for the local calling window to open', () => {
+    const window = { start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5] };
+
+    expect(msUntilCallingWindow(MONDAY_NOON, window, 'Europe/London')).to.equal(0);
+    expect(msUntilCallingWindow(MONDAY_NOON, window, 'America/Los_Angeles')).to.equal(5 * 60 * 60 * 1000);
+    expect(msUntilCallingWindow(MONDAY_NOON, window, 'Asia/Tokyo')).to.equal(12 * 60 * 60 * 1000);
+  });
+
+  it('should respect concurrency, pacing and calling windows', async () => {
+    const dialer = createDialer();
+    const campaign = new Campaign({
+      ...dialer,
+      assistantId: 'asst_1',
+      concurrency: 2,
+      callsPerMinute: 2,
+      callingWindow: { start: '09:00', end: '17:00' },
+      contacts: [
+        contact('+442079460001', { timezone: 'Europe/London', variables: { name: 'Alex' } }),
+        contact('+442079460002', { timezone: 'Europe/London' }),
+        contact('+442079460003', { timezone: 'Europe/London' }),
+        contact('+14155550100', { timezone: 'America/Los_Angeles' })
+      ]
+    }).start();
+
+    await clock.tickAsync(0);
+    expect(dialer.startCall.callCount).to.equal(2);
+    expect(dialer.startCall.firstCall.args[0]).to.deep.include({ assistantId: 'asst_1', customerNumber: '+442079460001' });
+    expect(dialer.startCall.firstCall.args[0].assistantOverrides.variableValues).to.deep.equal({ name: 'Alex' });
+    expect(dialer.startCall.firstCall.args[0].metadata).to.deep.equal({ campaignId: campaign.id, contactId: '+442079460001', attempt: 1 });
+
+    // A free slot is not enough: only two calls may start per minute
+    dialer.settle('call_1');
+    await clock.tickAsync(1000);
+    expect(dialer.startCall.callCount).to.equal(2);
+
+    await clock.tickAsync(60 * 1000);
+    expect(dialer.startCall.callCount).to.equal(3);
+    expect(dialer.startCall.thirdCall.args[0].customerNumber).to.equal('+442079460003');
+
+    // Los Angeles opens at 17:00 UTC
+    dialer.settle('call_2');
+    dialer.settle('call_3');
+    await clock.tickAsync(4 * 60 * 60 * 1000);
+    expect(dialer.startCall.callCount).to.equal(3);
+
+    await clock.tickAsync(60 * 60 * 1000);
+    expect(dialer.startCall.callCount).to.equal(4);
+    dialer.settle('call_4');
+
+    const progress = await campaign.finished;
+    expect(progress).to.include({ status: 'completed', total: 4, completed: 4, attempts: 4 });
+  });
+
+  it('should hold a contact whose calling window closed while it waited to dial', async () => {
+    const dialer = createDialer();
+    const campaign = new Campaign({
+      ...dialer,
+      assistantId: 'asst_1',
+      concurrency: 2,
+      callsPerMinute: 1,
+      callingWindow: { start: '09:00', end: '12:01' },
+      contacts: [contact('+14155550100'), contact('+14155550101')]
+    }).start();
+
+    // The second call gets its rate limiter turn at 12:01, when the window has just closed
+    await clock.tickAsync(60 * 1000);
+    expect(dialer.startCall.callCount).to.equal(1);
+    expect(campaign.getProgress()).to.include({ active: 1, pending: 1, attempts: 1 });
+
+    dialer.settle('call_1');
+    await clock.tickAsync(21 * 60 * 60 * 1000 - 60 * 1000 - 1);
+    expect(dialer.startCall.callCount).to.equal(1);
+
+    // Tuesday 09:00 UTC
+    await clock.tickAsync(1);
+    expect(dialer.startCall.callCount).to.equal(2);
+    expect(dialer.startCall.secondCall.args[0].metadata.attempt).to.equal(1);
+    dialer.settle('call_2');
+
+    expect(await campaign.finished).to.include({ status: 'completed', completed: 2, attempts: 2 });
+  });
+
+  it('should retry no-answer and busy outcomes on the schedule', async () => {
+    const dialer = createDialer();
+    const retries = sinon.spy();
+    const campaign = new Campaign({
+      ...dialer,
+      assistantId: 'asst_1',
+      contacts: [contact('+14155550100'), contact('+14155550101')],
+      concurrency: 2,
+      retry: { schedule: [10 * 60 * 1000] }
+    });
+    campaign.on('campaign:retry_scheduled', retries);
+    campaign.start();
+
+    await clock.tickAsync(0);
+    dialer.settle('call_1', 'customer-did-not-answer');
+    dialer.settle('call_2', 'customer-busy');
+    await clock.tickAsync(0);
+    expect(retries.callCount).to.equal(2);
+
+    await clock.tickAsync(10 * 60 * 1000);
+    expect(dialer.startCall.callCount).to.equal(4);
+    expect(dialer.startCall.getCall(2).args[0].metadata.attempt).to.equal(2);
+
+    dialer.settle('call_3');
+    dialer.settle('call_4', 'customer-busy');
+    const progress = await campaign.finished;
+
+    expect(progress).to.include({ completed: 1, failed: 1, attempts: 4 });
+    expect(progress.outcomes).to.deep.equal({ 'no-answer': 1, busy: 2, completed: 1 });
+  });
+
+  it('should pause, resume and cancel without hanging up active calls', async () => {
+    const dialer = createDialer();
+    const campaign = new Campaign({
+      ...dialer,
+      assistantId: 'asst_1',
+      contacts: [contact('+14155550100'), contact('+14155550101'), contact('+14155550102')]
+    }).start();
+
+    await clock.tickAsync(0);
+    expect(campaign.pause()).to.be.true;
+    dialer.settle('call_1');
+    await clock.tickAsync(60 * 1000);
+    expect(dialer.startCall.callCount).to.equal(1);
+
+    expect(campaign.resume()).to.be.true;
+    await clock.tickAsync(0);
+    expect(dialer.startCall.callCount).to.equal(2);
+
+    expect(campaign.cancel()).to.be.true;
+    dialer.settle('call_2');
+    const progress = await campaign.finished;
+
+    expect(dialer.startCall.callCount).to.equal(2);
+    expect(progress).to.include({ status: 'cancelled', completed: 2, cancelled: 1 });
+  });
+
+  it('should run through the SDK and report progress on its events', async () => {
+    const client = {
+      calls: {
+        create: sinon.stub().callsFake(async ({ customer }) => ({ id: `call_${customer.number}`, status: 'queued' })),
+        get: sinon.stub()
+          .onFirstCall().resolves({ id: 'call_+14155550100', status: 'in-progress' })
+          .resolves({ id: 'call_+14155550100', status: 'ended', endedReason: 'customer-ended-call' })
+      }
+    };
+    const sdk = createVapiSdk({
+      client,
+      versions: { store: 'memory' },
+      cache: { store: 'memory' },
+      suppression: { store: 'memory' },
+      scheduler: { store: 'memory' }
+    });
+    const completed = sinon.spy();
+    sdk.events.on('campaign:completed', completed);
+
+    const campaign = await sdk.startCampaign({
+      id: 'reminders',
+      assistantId: 'asst_1',
+      contacts: [{ number: '+14155550100', name: 'Sam' }]
+    });
+    // Two call monitor polls: in progress, then ended
+    await clock.tickAsync(10000);
+    await campaign.finished;
+    await sdk.shutdown();
+
+    expect(client.calls.create.firstCall.args[0].assistantOverrides).to.deep.equal({ variableValues: { name: 'Sam' } });
+    expect(client.calls.get.callCount).to.equal(2);
+    expect(completed.firstCall.args[0]).to.include({ campaignId: 'reminders', completed: 1 });
+    expect(sdk.listCampaigns()).to.have.length(1);
+    expect(() => sdk.getCampaign('missing')).to.throw().with.property('code', ERROR_CODES.NOT_FOUND);
+  });
+});
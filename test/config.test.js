@@ -0,0 +1,109 @@
+import { expect } from 'chai';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { loadConfig, parseEnvFile } from '../src/utils/config.js';
+import { ERROR_CODES } from '../src/utils/errorHandler.js';
+
+describe('Configuration Loader', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vapi-config-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should apply schema defaults', () => {
+    const config = loadConfig({ env: { VAPI_API_KEY: 'key' } });
+
+    expect(config.apiKey).to.equal('key');
+    expect(config.monitor.monitoringInterval).to.equal(5000);
+    expect(config.monitor.maxConcurrentCalls).to.equal(10);
+    expect(config.webhook.path).to.equal('/webhook');
+    expect(config.recording.storageConfig).to.deep.equal({});
+  });
+
+  it('should coerce environment values to their declared types', () => {
+    const config = loadConfig({
+      env: {
+        VAPI_API_KEY: 'key',
+        VAPI_TIMEOUT: '1500',
+        VAPI_STORAGE_CONFIG: '{"bucket":"calls"}'
+      }
+    });
+
+    expect(config.timeout).to.equal(1500);
+    expect(config.recording.storageConfig).to.deep.equal({ bucket: 'calls' });
+  });
+
+  it('should report every invalid or missing value at once', () => {
+    try {
+      loadConfig({
+        env: {
+          VAPI_TIMEOUT: 'soon',
+          VAPI_STORAGE_CONFIG: '{not json',
+          VAPI_STORAGE_PROVIDER: 'dropbox'
+        }
+      });
+      expect.fail('Expected loadConfig to throw');
+    } catch (error) {
+      expect(error.code).to.equal(ERROR_CODES.INVALID_CONFIG);
+      const variables = error.details.errors.map(e => e.variable);
+      expect(variables).to.have.members([
+        'VAPI_API_KEY',
+        'VAPI_TIMEOUT',
+        'VAPI_STORAGE_CONFIG',
+        'VAPI_STORAGE_PROVIDER'
+      ]);
+      expect(error.message).to.include('VAPI_TIMEOUT (env): expected a number');
+    }
+  });
+
+  it('should not echo secret values in error reports', () => {
+    try {
+      loadConfig({ env: { VAPI_API_KEY: 'key', VAPI_STORAGE_CONFIG: '{"secretKey":' } });
+      expect.fail('Expected loadConfig to throw');
+    } catch (error) {
+      expect(error.message).to.not.include('secretKey');
+    }
+  });
+
+  it('should layer files under env vars and overrides', async () => {
+    const jsonPath = path.join(tmpDir, 'vapi.json');
+    const envPath = path.join(tmpDir, '.env');
+    await fs.writeFile(jsonPath, JSON.stringify({ apiKey: 'from-json', monitor: { monitoringInterval: 2000 } }));
+    await fs.writeFile(envPath, 'VAPI_TIMEOUT=2500\nVAPI_MONITOR_INTERVAL=3000 # faster\n');
+
+    const config = loadConfig({
+      env: { VAPI_TIMEOUT: '4000' },
+      files: [jsonPath, envPath],
+      overrides: { monitor: { eventBufferSize: 50, custom: true } }
+    });
+
+    expect(config.apiKey).to.equal('from-json');
+    expect(config.monitor.monitoringInterval).to.equal(3000);
+    expect(config.timeout).to.equal(4000);
+    expect(config.monitor.eventBufferSize).to.equal(50);
+    expect(config.monitor.custom).to.be.true;
+  });
+
+  it('should report missing config files unless optional', () => {
+    const missing = path.join(tmpDir, 'missing.json');
+
+    expect(() => loadConfig({ env: { VAPI_API_KEY: 'key' }, files: [missing] }))
+      .to.throw(/Could not read config file/);
+    expect(() => loadConfig({ env: { VAPI_API_KEY: 'key' }, files: [{ path: missing, optional: true }] }))
+      .to.not.throw();
+  });
+
+  describe('parseEnvFile', () => {
+    it('should parse quoted values, exports and comments', () => {
+      const vars = parseEnvFile('# comment\nexport A=1\nB="two # words"\nC=3 # trailing\n');
+
+      expect(vars).to.deep.equal({ A: '1', B: 'two # words', C: '3' });
+    });
+  });
+});
@@ -0,0 +1,113 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { createVapiSdk } from '../vapi-agent.js';
+import DriftDetector from '../src/features/driftDetector.js';
+import { createStubClient } from './utils/stubVapiClient.js';
+
+const ASSISTANTS = [
+  {
+    id: 'asst_1',
+    createdAt: '2024-01-01T00:00:00.000Z',
+    name: 'Support',
+    firstMessage: 'Hi',
+    model: { provider: 'openai', model: 'gpt-4o', temperature: 0.3 }
+  },
+  { id: 'asst_2', name: 'Sales', firstMessage: 'Hello' }
+];
+
+describe('Drift Detection', () => {
+  let client;
+  let sdk;
+
+  beforeEach(() => {
+    client = createStubClient({ assistants: ASSISTANTS });
+    sdk = createVapiSdk({ client, versions: { store: 'memory' }, drift: { store: 'memory' } });
+  });
+
+  afterEach(async () => {
+    await sdk.shutdown();
+  });
+
+  it('should report dashboard edits against the last snapshot', async () => {
+    const drifted = sinon.spy();
+    sdk.events.on('assistant:drifted', drifted);
+    await sdk.watchAssistant('asst_1');
+
+    client.editInDashboard('asst_1', { model: { ...ASSISTANTS[0].model, temperature: 0.9 } });
+    const { checked, drifted: reports } = await sdk.checkDrift();
+
+    expect(checked).to.equal(1);
+    expect(reports[0].changes).to.deep.equal([{ path: 'model.temperature', from: 0.9, to: 0.3 }]);
+    expect(drifted.calledOnce).to.be.true;
+    expect(drifted.firstCall.args[0]).to.include({ assistantId: 'asst_1', source: 'snapshot', reverted: false });
+    expect(client.assistants.update.called).to.be.false;
+  });
+
+  it('should not count updates made through the SDK as drift', async () => {
+    await sdk.watchAssistant('asst_1');
+
+    await sdk.updateAssistant('asst_1', { firstMessage: 'Welcome' });
+
+    expect((await sdk.checkDrift()).drifted).to.be.empty;
+  });
+
+  it('should compare against a desired configuration and revert drifted fields', async () => {
+    const reverted = sinon.spy();
+    sdk.events.on('assistant:drift_reverted', reverted);
+    await sdk.watchAssistant('asst_1', { desired: { firstMessage: 'Hi', model: { temperature: 0.3 } } });
+
+    client.editInDashboard('asst_1', { firstMessage: 'Yo', model: { ...ASSISTANTS[0].model, temperature: 1 } });
+    const { drifted } = await sdk.checkDrift({ autoRevert: true });
+
+    expect(drifted[0]).to.include({ source: 'desired', reverted: true });
+    expect(client.assistants.update.firstCall.args).to.deep.equal(['asst_1', {
+      firstMessage: 'Hi',
+      model: { provider: 'openai', model: 'gpt-4o', temperature: 0.3 }
+    }]);
+    expect(reverted.calledOnce).to.be.true;
+    // The dashboard edit is kept in the version history
+    expect((await sdk.getAssistantVersion('asst_1', 1)).config.firstMessage).to.equal('Yo');
+    expect((await sdk.checkDrift()).drifted).to.be.empty;
+  });
+
+  it('should run a reverting check requested while a reporting check is running', async () => {
+    await sdk.watchAssistant('asst_1');
+    client.editInDashboard('asst_1', { firstMessage: 'Yo' });
+
+    const [periodic, shared, reverting] = await Promise.all([
+      sdk.driftDetector.check(),
+      sdk.driftDetector.check(),
+      sdk.checkDrift({ autoRevert: true })
+    ]);
+
+    expect(periodic).to.equal(shared);
+    expect(periodic.drifted[0].reverted).to.be.false;
+    expect(reverting.drifted[0].reverted).to.be.true;
+    expect(client.assistants.list.callCount).to.equal(2);
+    expect(client.assistants.update.calledOnce).to.be.true;
+  });
+
+  it('should report watched assistants that were deleted', async () => {
+    await sdk.watchAssistant('asst_2');
+    client.assistants.list.resolves([ASSISTANTS[0]]);
+
+    expect(await sdk.checkDrift()).to.deep.equal({ checked: 0, drifted: [], missing: ['asst_2'] });
+  });
+
+  it('should check periodically once started', async () => {
+    const clock = sinon.useFakeTimers();
+    try {
+      const detector = new DriftDetector({ store: 'memory', interval: 1000, fetchAssistants: async () => [] });
+      const check = sinon.stub(detector, 'check').resolves();
+
+      detector.start();
+      await clock.tickAsync(2500);
+      detector.stop();
+      await clock.tickAsync(2000);
+
+      expect(check.callCount).to.equal(2);
+    } finally {
+      clock.restore();
+    }
+  });
+});
@@ -0,0 +1,121 @@
+import { expect } from 'chai';
+import winston from 'winston';
+import { Writable } from 'stream';
+import { createLogger, createRedactor, REDACTED } from '../src/utils/logger.js';
+
+/**
+ * Creates a logger that captures parsed JSON lines
+ */
+const createCapturingLogger = (options = {}) => {
+  const lines = [];
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      lines.push(JSON.parse(chunk.toString()));
+      callback();
+    }
+  });
+  const logger = createLogger({
+    silent: false,
+    transports: [new winston.transports.Stream({ stream })],
+    ...options
+  });
+  return { logger, lines };
+};
+
+describe('Logger', () => {
+  describe('createRedactor', () => {
+    const redact = createRedactor();
+
+    it('should mask phone numbers by field name and in free text', () => {
+      const result = redact({
+        customer: { number: '+14155550123' },
+        note: 'Calling +14155550123 now'
+      });
+
+      expect(result.customer.number).to.equal('+*******0123');
+      expect(result.note).to.equal('Calling +*******0123 now');
+    });
+
+    it('should redact API keys, transcripts and system prompts', () => {
+      const result = redact({
+        apiKey: 'sk_live_123',
+        headers: { Authorization: 'Bearer abc.def' },
+        transcript: 'Hello, my card number is...',
+        model: { messages: [{ role: 'system', content: 'Secret prompt' }, { role: 'user', content: 'hi' }] }
+      });
+
+      expect(result.apiKey).to.equal(REDACTED);
+      expect(result.headers.Authorization).to.equal(REDACTED);
+      expect(result.transcript).to.equal(REDACTED);
+      expect(result.model.messages[0].content).to.equal(REDACTED);
+      expect(result.model.messages[1].content).to.equal('hi');
+    });
+
+    it('should redact the conversation in an end-of-call report', () => {
+      const result = redact({
+        message: {
+          type: 'end-of-call-report',
+          call: { id: 'call_1' },
+          messages: [{ role: 'user', message: 'My card number is 4111 1111 1111 1111' }],
+          messagesOpenAIFormatted: [{ role: 'user', content: 'My card number is 4111 1111 1111 1111' }],
+          conversation: [{ role: 'assistant', content: 'Thanks, one moment' }],
+          artifact: { messages: [], transcript: 'AI: Hello' }
+        }
+      });
+
+      expect(result.message).to.deep.equal({
+        type: 'end-of-call-report',
+        call: { id: 'call_1' },
+        messages: REDACTED,
+        messagesOpenAIFormatted: REDACTED,
+        conversation: REDACTED,
+        artifact: REDACTED
+      });
+    });
+
+    it('should only apply enabled categories and extra keys', () => {
+      const partial = createRedactor({ categories: ['apiKeys'], keys: ['email'] });
+      const result = partial({ transcript: 'kept', token: 't', email: 'a@b.c' });
+
+      expect(result).to.deep.equal({ transcript: 'kept', token: REDACTED, email: REDACTED });
+    });
+
+    it('should not mutate the input', () => {
+      const input = { apiKey: 'sk_live_123' };
+      redact(input);
+      expect(input.apiKey).to.equal('sk_live_123');
+    });
+  });
+
+  describe('createLogger', () => {
+    it('should write redacted JSON with the child subsystem', () => {
+      const { logger, lines } = createCapturingLogger();
+
+      logger.child({ subsystem: 'webhook' }).info('Webhook event received', {
+        data: { customer: { number: '+14155550123' }, transcript: 'private' }
+      });
+
+      expect(lines).to.have.lengthOf(1);
+      expect(lines[0]).to.include({ level: 'info', subsystem: 'webhook', message: 'Webhook event received' });
+      expect(lines[0].data.customer.number).to.equal('+*******0123');
+      expect(lines[0].data.transcript).to.equal(REDACTED);
+    });
+
+    it('should respect the configured level', () => {
+      const { logger, lines } = createCapturingLogger({ level: 'warn' });
+
+      logger.info('ignored');
+      logger.warn('kept');
+
+      expect(lines.map(line => line.message)).to.deep.equal(['kept']);
+    });
+
+    it('should serialize nested errors', () => {
+      const { logger, lines } = createCapturingLogger();
+
+      logger.error('Failed', { error: Object.assign(new Error('boom'), { code: 'E_BOOM' }) });
+
+      expect(lines[0].error).to.include({ message: 'boom', code: 'E_BOOM' });
+    });
+  });
+});
@@ -0,0 +1,76 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { createVapiSdk } from '../vapi-agent.js';
+import { getAgentConfig, validateConfig } from '../src/utils/agentConfig.js';
+import { getModelInfo, inferModelProvider, checkModelConfig } from '../src/utils/modelCatalog.js';
+import { ERROR_CODES } from '../src/utils/errorHandler.js';
+
+describe('Model Catalog', () => {
+  it('should describe models and infer their provider', () => {
+    expect(getModelInfo('claude-3-opus')).to.include({ model: 'claude-3-opus', contextWindow: 200000 });
+    expect(inferModelProvider('claude-3-haiku')).to.equal('anthropic');
+    expect(inferModelProvider('gpt-4o')).to.equal('openai');
+    expect(inferModelProvider('unknown-model')).to.be.null;
+  });
+
+  it('should flag mismatched providers, token limits and capabilities', () => {
+    expect(checkModelConfig({ provider: 'azure', model: 'gpt-4o' })).to.be.empty;
+    expect(checkModelConfig({
+      provider: 'openai',
+      model: 'llama-3-70b',
+      maxTokens: 3000,
+      functions: [{ name: 'lookup' }]
+    }).map(p => p.field)).to.deep.equal(['provider', 'maxTokens', 'functions']);
+  });
+
+  describe('agent config', () => {
+    it('should pick the provider of the chosen model', () => {
+      const config = getAgentConfig({ model: { model: 'claude-3-sonnet' } });
+
+      expect(config.model.provider).to.equal('anthropic');
+    });
+
+    it('should reject a mismatched provider/model pair', () => {
+      expect(() => validateConfig({ model: { provider: 'openai', model: 'claude-3-opus' } }))
+        .to.throw(/claude-3-opus is served by anthropic, not openai/);
+    });
+  });
+
+  describe('createAssistant', () => {
+    let client;
+    let sdk;
+
+    beforeEach(() => {
+      client = {
+        assistants: {
+          create: sinon.stub().callsFake(async (params) => ({ id: 'asst_1', ...params })),
+          list: sinon.stub().resolves([])
+        }
+      };
+      sdk = createVapiSdk({ client });
+    });
+
+    it('should send the provider of the requested model', async () => {
+      await sdk.createAssistant('Claude', 'Hi', 'Prompt', { model: 'claude-3-opus' });
+
+      expect(client.assistants.create.firstCall.args[0].model).to.include({
+        provider: 'anthropic',
+        model: 'claude-3-opus'
+      });
+    });
+
+    it('should reject a provider that does not serve the model', async () => {
+      await expect(sdk.createAssistant('Bad', 'Hi', 'Prompt', {
+        model: 'gpt-4o',
+        modelConfig: { provider: 'anthropic' }
+      })).to.be.rejected.and.eventually.have.property('code', ERROR_CODES.VALIDATION_ERROR);
+      expect(client.assistants.create.called).to.be.false;
+    });
+
+    it('should keep the openai default for models outside the catalog', async () => {
+      await sdk.createAssistant('Custom', 'Hi', 'Prompt', { model: 'my-fine-tune' });
+
+      expect(client.assistants.create.firstCall.args[0].model.provider).to.equal('openai');
+    });
+  });
+});
@@ -0,0 +1,144 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { createVapiSdk } from '../vapi-agent.js';
+import { paginate, collect, getNextPageParams } from '../src/utils/pagination.js';
+import { RateLimiter } from '../src/utils/rateLimiter.js';
+import { ERROR_CODES } from '../src/utils/errorHandler.js';
+
+/**
+ * Builds `count` assistants, newest first
+ */
+const makeAssistants = (count) => Array.from({ length: count }, (_, i) => ({
+  id: `asst_${i}`,
+  name: `Assistant ${i}`,
+  createdAt: new Date(Date.UTC(2024, 0, 1) - i * 60000).toISOString()
+}));
+
+/**
+ * Serves items the way the VAPI API does: plain arrays paged by createdAtLt
+ */
+const arrayEndpoint = (items) => sinon.stub().callsFake(async ({ limit, createdAtLt }) => (
+  items.filter(item => !createdAtLt || item.createdAt < createdAtLt).slice(0, limit)
+));
+
+describe('Pagination', () => {
+  describe('paginate', () => {
+    it('should walk plain array pages using createdAtLt', async () => {
+      const fetchPage = arrayEndpoint(makeAssistants(5));
+
+      const items = await collect(paginate(fetchPage, { pageSize: 2, params: { search: 'x' } }));
+
+      expect(items.map(a => a.id)).to.deep.equal(['asst_0', 'asst_1', 'asst_2', 'asst_3', 'asst_4']);
+      expect(fetchPage.callCount).to.equal(3);
+      expect(fetchPage.secondCall.args[0]).to.deep.equal({ search: 'x', limit: 2, createdAtLt: items[1].createdAt });
+    });
+
+    it('should follow cursors in paginated envelopes', async () => {
+      const fetchPage = sinon.stub();
+      fetchPage.onFirstCall().resolves({ data: [{ id: 'a' }], hasMore: true, nextCursor: 'c1' });
+      fetchPage.onSecondCall().resolves({ data: [{ id: 'b' }], hasMore: false, nextCursor: 'c2' });
+
+      const items = await collect(paginate(fetchPage));
+
+      expect(items.map(i => i.id)).to.deep.equal(['a', 'b']);
+      expect(fetchPage.secondCall.args[0]).to.include({ cursor: 'c1' });
+    });
+
+    it('should stop when the API repeats a cursor', async () => {
+      const fetchPage = sinon.stub().resolves({ data: [{ id: 'a' }], cursor: 'same' });
+
+      const items = await collect(paginate(fetchPage));
+
+      expect(items).to.have.lengthOf(2);
+      expect(fetchPage.callCount).to.equal(2);
+    });
+
+    it('should not fetch further pages after early termination', async () => {
+      const fetchPage = arrayEndpoint(makeAssistants(10));
+
+      for await (const assistant of paginate(fetchPage, { pageSize: 3 })) {
+        if (assistant.id === 'asst_1') break;
+      }
+
+      expect(fetchPage.callCount).to.equal(1);
+    });
+
+    it('should apply client-side filters and maxItems', async () => {
+      const fetchPage = arrayEndpoint(makeAssistants(10));
+
+      const items = await collect(paginate(fetchPage, {
+        pageSize: 3,
+        filter: a => Number(a.id.split('_')[1]) % 2 === 1,
+        maxItems: 3
+      }));
+
+      expect(items.map(a => a.id)).to.deep.equal(['asst_1', 'asst_3', 'asst_5']);
+      expect(fetchPage.callCount).to.equal(2);
+    });
+
+    it('should treat envelopes without hasMore or cursor as the last page', () => {
+      expect(getNextPageParams({ data: [{ id: 'a' }] }, 1)).to.be.null;
+      expect(getNextPageParams([{ id: 'a' }], 2)).to.be.null;
+    });
+  });
+
+  describe('RateLimiter', () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('should hold requests beyond the limit until the window moves on', async () => {
+      const limiter = new RateLimiter({ maxRequests: 2, intervalMs: 1000 });
+      const acquired = [];
+
+      for (let i = 0; i < 3; i++) {
+        limiter.acquire().then(() => acquired.push(i));
+      }
+
+      await clock.tickAsync(0);
+      expect(acquired).to.deep.equal([0, 1]);
+
+      await clock.tickAsync(1000);
+      expect(acquired).to.deep.equal([0, 1, 2]);
+    });
+  });
+
+  describe('SDK iterators', () => {
+    let client;
+    let sdk;
+
+    beforeEach(() => {
+      client = {
+        assistants: { list: arrayEndpoint(makeAssistants(5)), get: sinon.stub() },
+        calls: { list: sinon.stub().rejects(new Error('unavailable')) },
+        phoneNumbers: { list: sinon.stub().resolves({ data: [{ id: 'pn_1', number: '+15550100' }] }) }
+      };
+      sdk = createVapiSdk({ client, pagination: { pageSize: 2, requestsPerSecond: 100 } });
+    });
+
+    it('should iterate every assistant and cache each one', async () => {
+      const assistants = await collect(sdk.iterateAssistants());
+
+      expect(assistants).to.have.lengthOf(5);
+      await sdk.getAssistant('asst_4');
+      expect(client.assistants.get.called).to.be.false;
+    });
+
+    it('should send unknown options as server-side filters', async () => {
+      await collect(sdk.iteratePhoneNumbers({ assistantId: 'asst_1' }));
+
+      expect(client.phoneNumbers.list.firstCall.args[0]).to.deep.equal({ assistantId: 'asst_1', limit: 2 });
+    });
+
+    it('should surface list failures as VapiErrors', async () => {
+      await expect(collect(sdk.iterateCalls({ assistantId: 'asst_1' }))).to.be.rejected
+        .and.eventually.have.property('code', ERROR_CODES.API_ERROR);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { createVapiSdk } from '../vapi-agent.js';
+import {
+  parsePhoneNumber,
+  normalizePhoneNumber,
+  isValidPhoneNumber
+} from '../src/utils/phone.js';
+import { SuppressionList } from '../src/features/suppressionList.js';
+import { ERROR_CODES } from '../src/utils/errorHandler.js';
+
+describe('Phone Numbers', () => {
+  it('should normalize common formats to E.164', () => {
+    const cases = [
+      ['+1 (415) 555-0100', {}, '+14155550100'],
+      ['415.555.0100', {}, '+14155550100'],
+      ['1-415-555-0100', {}, '+14155550100'],
+      ['tel:+1-415-555-0100', {}, '+14155550100'],
+      ['011 44 20 7946 0018', {}, '+442079460018'],
+      ['0044 20 7946 0018', {}, '+442079460018'],
+      ['+44 (0)20 7946 0018', {}, '+442079460018'],
+      ['020 7946 0018', { defaultRegion: 'GB' }, '+442079460018'],
+      ['030 1234567', { defaultRegion: 'de' }, '+49301234567'],
+      ['06 12 34 56 78', { defaultRegion: 'FR' }, '+33612345678']
+    ];
+
+    for (const [input, options, expected] of cases) {
+      expect(normalizePhoneNumber(input, options), input).to.equal(expected);
+    }
+  });
+
+  it('should classify country, region and number type', () => {
+    expect(parsePhoneNumber('+44 7700 900123 ext. 12')).to.deep.equal({
+      number: '+447700900123',
+      country: 'GB',
+      callingCode: '44',
+      nationalNumber: '7700900123',
+      region: 'Europe',
+      type: 'mobile',
+      extension: '12'
+    });
+    expect(parsePhoneNumber('+1 416 555 0100')).to.include({ country: 'CA', region: 'North America' });
+    expect(parsePhoneNumber('(800) 555-0100').type).to.equal('toll-free');
+    expect(parsePhoneNumber('+7 701 123 4567').country).to.equal('KZ');
+    expect(parsePhoneNumber('+993 12 345678')).to.include({ country: null, number: '+99312345678' });
+  });
+
+  it('should reject malformed numbers with the reason', () => {
+    const error = (() => {
+      try {
+        return parsePhoneNumber('555-0100');
+      } catch (err) {
+        return err;
+      }
+    })();
+
+    expect(error.code).to.equal(ERROR_CODES.INVALID_PHONE_NUMBER);
+    expect(error.details.input).to.equal('555-0100');
+    expect(isValidPhoneNumber('+1 415 555 010')).to.be.false;
+    expect(isValidPhoneNumber('call me maybe')).to.be.false;
+    expect(isValidPhoneNumber('')).to.be.false;
+    expect(isValidPhoneNumber('+4420794600181234')).to.be.false;
+    expect(() => parsePhoneNumber('4155550100', { defaultRegion: 'ZZ' }))
+      .to.throw().with.property('code', ERROR_CODES.INVALID_CONFIG);
+  });
+
+  it('should match suppressed numbers written in any format', async () => {
+    const list = new SuppressionList({ store: 'memory', defaultRegion: 'GB' });
+    await list.addToDoNotCall('07700 900123');
+
+    expect(await list.check('+44 7700 900123')).to.include({ number: '+447700900123', allowed: false });
+  });
+
+  describe('SDK', () => {
+    let client;
+    let sdk;
+
+    beforeEach(() => {
+      client = {
+        calls: { create: sinon.stub().resolves({ id: 'call_1' }) },
+        phoneNumbers: { create: sinon.stub().resolves({ id: 'pn_1' }) }
+      };
+      sdk = createVapiSdk({
+        client,
+        versions: { store: 'memory' },
+        cache: { store: 'memory' },
+        audit: { store: 'memory' },
+        suppression: { store: 'memory' }
+      });
+    });
+
+    it('should send normalized numbers to the API', async () => {
+      await sdk.startCall({ assistantId: 'asst_1', customerNumber: '(415) 555-0100' });
+      await sdk.startPhoneCall('asst_1', '415.555.0101', 'pn_1', { customer: { name: 'Ada' } });
+      await sdk.purchasePhoneNumber('+44 20 7946 0018');
+
+      expect(client.calls.create.firstCall.args[0].customer).to.deep.equal({ number: '+14155550100' });
+      expect(client.calls.create.secondCall.args[0].customer).to.deep.equal({ name: 'Ada', number: '+14155550101' });
+      expect(client.phoneNumbers.create.firstCall.args[0]).to.include({ phoneNumber: '+442079460018', countryCode: 'GB' });
+    });
+
+    it('should pass through a country code that has no numbering rules here', async () => {
+      await sdk.purchasePhoneNumber('+420 601 123 456', { countryCode: 'CZ' });
+
+      expect(client.phoneNumbers.create.firstCall.args[0]).to.include({ phoneNumber: '+420601123456', countryCode: 'CZ' });
+    });
+
+    it('should reject invalid numbers before calling the API', async () => {
+      const viaStartCall = await sdk.startCall({ assistantId: 'asst_1', customerNumber: '555-0100' }).catch(err => err);
+      const viaPurchase = await sdk.purchasePhoneNumber('12345').catch(err => err);
+
+      expect(viaStartCall.code).to.equal(ERROR_CODES.INVALID_PHONE_NUMBER);
+      expect(viaPurchase.code).to.equal(ERROR_CODES.INVALID_PHONE_NUMBER);
+      expect(client.calls.create.called).to.be.false;
+      expect(client.phoneNumbers.create.called).to.be.false;
+    });
+  });
+});
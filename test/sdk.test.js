@@ -0,0 +1,91 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { createVapiSdk } from '../vapi-agent.js';
+import { ERROR_CODES } from '../src/utils/errorHandler.js';
+import { createStubClient } from './utils/stubVapiClient.js';
+
+describe('createVapiSdk', () => {
+  let storagePath;
+
+  beforeEach(() => {
+    storagePath = path.join(os.tmpdir(), `vapi-sdk-test-${Date.now()}`);
+  });
+
+  afterEach(async () => {
+    await fs.rm(storagePath, { recursive: true, force: true });
+  });
+
+  it('should not start timers or touch the filesystem on creation', async () => {
+    const clock = sinon.useFakeTimers();
+    const sdk = createVapiSdk({ client: createStubClient(), recording: { storagePath } });
+
+    expect(clock.countTimers()).to.equal(0);
+    expect(sdk.callMonitor.monitoringEnabled).to.be.false;
+    await expect(fs.access(storagePath)).to.be.rejected;
+
+    clock.restore();
+  });
+
+  it('should import with an invalid environment and report it on first use', async () => {
+    const env = sinon.stub(process, 'env').value({ ...process.env, VAPI_TIMEOUT: 'abc', VAPI_STORAGE_CONFIG: '{bad' });
+    try {
+      const agent = await import('../vapi-agent.js?invalid-env');
+      const error = await (async () => agent.listAssistants())().catch(err => err);
+
+      expect(error.code).to.equal(ERROR_CODES.INVALID_CONFIG);
+      expect(error.details.errors.map(({ variable }) => variable))
+        .to.include.members(['VAPI_TIMEOUT', 'VAPI_STORAGE_CONFIG']);
+    } finally {
+      env.restore();
+    }
+  });
+
+  it('should return isolated instances', async () => {
+    const first = createVapiSdk({ client: createStubClient() });
+    const second = createVapiSdk({ client: createStubClient() });
+    const listener = sinon.spy();
+    second.events.on('assistant:created', listener);
+
+    await first.createAssistant('Isolated', 'Hi', 'Prompt');
+
+    expect(first.vapi.assistants.create.calledOnce).to.be.true;
+    expect(second.vapi.assistants.create.called).to.be.false;
+    expect(first.cache).to.not.equal(second.cache);
+    expect(listener.called).to.be.false;
+  });
+
+  it('should start and shut down background work explicitly', async () => {
+    const sdk = createVapiSdk({ client: createStubClient(), recording: { storagePath }, scheduler: { store: 'memory' } });
+    const started = sinon.spy();
+    sdk.events.on('sdk:started', started);
+
+    await sdk.start();
+
+    expect(started.calledOnce).to.be.true;
+    expect(sdk.callMonitor.monitoringEnabled).to.be.true;
+    expect((await fs.stat(storagePath)).isDirectory()).to.be.true;
+
+    await sdk.shutdown();
+
+    expect(sdk.callMonitor.monitoringEnabled).to.be.false;
+    expect(sdk.callMonitor.monitoringIntervalId).to.be.null;
+  });
+
+  it('should share one start between concurrent calls', async () => {
+    const sdk = createVapiSdk({ client: createStubClient(), recording: { storagePath }, scheduler: { store: 'memory' } });
+    const started = sinon.spy();
+    sdk.events.on('sdk:started', started);
+    const initialize = sinon.spy(sdk.recordingManager, 'initialize');
+
+    await Promise.all([sdk.start(), sdk.start()]);
+    await sdk.start();
+
+    expect(initialize.calledOnce).to.be.true;
+    expect(started.calledOnce).to.be.true;
+
+    await sdk.shutdown();
+  });
+});
@@ -0,0 +1,185 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import { createVapiSdk } from '../vapi-agent.js';
+import { SuppressionList, findOptOut } from '../src/features/suppressionList.js';
+import { AuditLog } from '../src/features/auditLog.js';
+import { ERROR_CODES } from '../src/utils/errorHandler.js';
+import { mockRequest, mockResponse } from './helpers.js';
+
+const SECRET = 'suppression-secret';
+
+/**
+ * Creates a signed webhook request
+ */
+const signedRequest = (body) => {
+  const timestamp = Date.now().toString();
+  const signature = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${JSON.stringify(body)}`).digest('hex');
+  return mockRequest(body, {}, {}, { 'vapi-timestamp': timestamp, 'vapi-signature': signature });
+};
+
+describe('Suppression List', () => {
+  let auditLog;
+  let list;
+
+  beforeEach(() => {
+    auditLog = new AuditLog({ store: 'memory', actor: 'tester' });
+    list = new SuppressionList({ store: 'memory', auditLog });
+  });
+
+  it('should block numbers on the do-not-call list and audit the attempt', async () => {
+    await list.addToDoNotCall('+1 (415) 555-0100', { reason: 'complaint' });
+    const suppressed = sinon.spy();
+    list.on('suppressed', suppressed);
+
+    const error = await list.assertDialable('+14155550100', { source: 'startCall' }).catch(err => err);
+
+    expect(error.code).to.equal(ERROR_CODES.NUMBER_SUPPRESSED);
+    expect(error.details).to.deep.equal({ number: '+14155550100', reason: 'do-not-call' });
+    expect(suppressed.calledOnce).to.be.true;
+    expect((await auditLog.list()).map(entry => entry.type)).to.deep.equal(['dnc.added', 'call.suppressed']);
+
+    expect(await list.removeFromDoNotCall('+14155550100')).to.be.true;
+    expect(await list.assertDialable('+14155550100')).to.equal('+14155550100');
+  });
+
+  it('should enforce consent and its expiry', async () => {
+    const clock = sinon.useFakeTimers({ now: Date.UTC(2024, 0, 1), toFake: ['Date'] });
+    try {
+      const strict = new SuppressionList({ store: 'memory', requireConsent: true, consentTtl: 24 * 60 * 60 * 1000 });
+
+      expect(await strict.check('+14155550100')).to.include({ allowed: false, reason: 'no-consent' });
+      await strict.recordConsent('+14155550100', { source: 'signup-form' });
+      expect((await strict.check('+14155550100')).allowed).to.be.true;
+
+      clock.tick(24 * 60 * 60 * 1000);
+      expect((await strict.check('+14155550100')).reason).to.equal('consent-expired');
+
+      // Withdrawn consent blocks even when consent is not required
+      await list.revokeConsent('+14155550101');
+      expect((await list.check('+14155550101')).reason).to.equal('consent-revoked');
+    } finally {
+      clock.restore();
+    }
+  });
+
+  describe('import and export', () => {
+    let tmpDir;
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vapi-dnc-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should round-trip the list through CSV', async () => {
+      const source = path.join(tmpDir, 'dnc.csv');
+      await fs.writeFile(source, 'phone,reason\n+14155550100,litigator\n+14155550101,\nnot-a-number,\n');
+      await list.addToDoNotCall('+14155550100');
+
+      const result = await list.importDoNotCall(source);
+      const exported = await list.exportDoNotCall(path.join(tmpDir, 'out.csv'));
+      const written = await fs.readFile(path.join(tmpDir, 'out.csv'), 'utf8');
+
+      expect(result).to.include({ added: 1, existing: 1 });
+      expect(result.invalid[0].entry).to.deep.equal({ phone: 'not-a-number', reason: '' });
+      expect(exported.map(entry => [entry.number, entry.reason, entry.source])).to.deep.equal([
+        ['+14155550100', 'manual', 'api'],
+        ['+14155550101', 'imported', 'dnc.csv']
+      ]);
+      expect(written.split('\n')[0]).to.equal('number,reason,source,addedAt');
+    });
+  });
+
+  it('should capture opt-outs from what the customer said', async () => {
+    const call = { id: 'call_1', customer: { number: '+14155550100' } };
+
+    expect(findOptOut({ role: 'user', transcriptType: 'partial', transcript: 'Stop calling me' })).to.be.null;
+    expect(findOptOut({ artifact: { messages: [{ role: 'bot', message: 'Say stop calling to opt out' }] } })).to.be.null;
+    expect(findOptOut({ role: 'user', transcriptType: 'final', transcript: 'Please don’t call again' })).to.equal("don't call");
+
+    const record = await list.captureOptOut('end-of-call-report', {
+      call,
+      artifact: { messages: [{ role: 'user', message: 'Take me off your list, thanks.' }] }
+    });
+
+    expect(record.doNotCall).to.include({ reason: 'opt-out', source: 'webhook:end-of-call-report', callId: 'call_1' });
+    expect(await list.captureOptOut('transcript', { call, role: 'user', transcript: 'stop calling' })).to.be.null;
+    expect((await auditLog.list({ type: 'number.opted_out' }))).to.have.length(1);
+  });
+
+  it('should audit opt-outs from numbers that cannot be parsed', async () => {
+    const record = await list.captureOptOut('transcript', {
+      call: { id: 'call_2', customer: { number: 'anonymous' } },
+      role: 'user',
+      transcriptType: 'final',
+      transcript: 'Stop calling me'
+    });
+
+    const [entry] = await auditLog.list({ type: 'number.opt_out_unrecorded' });
+    expect(record).to.be.null;
+    expect(entry.details).to.include({ number: 'anonymous', source: 'webhook:transcript', callId: 'call_2', phrase: 'stop calling' });
+    expect(await auditLog.list({ type: 'number.opted_out' })).to.be.empty;
+  });
+
+  describe('SDK', () => {
+    let client;
+    let sdk;
+
+    beforeEach(() => {
+      client = { calls: { create: sinon.stub().resolves({ id: 'call_1' }) } };
+      sdk = createVapiSdk({
+        client,
+        versions: { store: 'memory' },
+        cache: { store: 'memory' },
+        audit: { store: 'memory' },
+        suppression: { store: 'memory' },
+        webhook: { secret: SECRET }
+      });
+    });
+
+    it('should check every outbound call before dialing', async () => {
+      const suppressed = sinon.spy();
+      sdk.events.on('call:suppressed', suppressed);
+      await sdk.addToDoNotCall('+14155550100');
+
+      const viaStartCall = await sdk.startCall({ assistantId: 'asst_1', customerNumber: '+14155550100' }).catch(err => err);
+      const viaPhoneCall = await sdk.startPhoneCall('asst_1', '+14155550100', 'pn_1').catch(err => err);
+
+      expect(viaStartCall.code).to.equal(ERROR_CODES.NUMBER_SUPPRESSED);
+      expect(viaPhoneCall.code).to.equal(ERROR_CODES.NUMBER_SUPPRESSED);
+      expect(client.calls.create.called).to.be.false;
+      expect(suppressed.args.map(([attempt]) => attempt.source)).to.deep.equal(['startCall', 'startPhoneCall']);
+      expect(await sdk.auditLog.list({ type: 'call.suppressed' })).to.have.length(2);
+    });
+
+    it('should add callers who opt out during a call', async () => {
+      const optedOut = sinon.spy();
+      sdk.events.on('number:opted_out', optedOut);
+      const res = mockResponse();
+
+      await sdk.webhookHandler.handleWebhook(signedRequest({
+        message: {
+          type: 'transcript',
+          role: 'user',
+          transcriptType: 'final',
+          transcript: 'Please stop calling this number.',
+          call: { id: 'call_9', customer: { number: '+14155550199' } }
+        }
+      }), res);
+
+      expect(res.status.calledWith(200)).to.be.true;
+      expect(optedOut.firstCall.args[0]).to.include({ number: '+14155550199', reason: 'opt-out' });
+      expect(await sdk.checkNumber('+14155550199')).to.deep.equal({
+        number: '+14155550199',
+        allowed: false,
+        reason: 'do-not-call'
+      });
+    });
+  });
+});
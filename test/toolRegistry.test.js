@@ -0,0 +1,149 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import crypto from 'crypto';
+import { createVapiSdk } from '../vapi-agent.js';
+import { ToolRegistry } from '../src/features/toolRegistry.js';
+import WebhookHandler from '../src/features/webhookHandler.js';
+import { validateJsonSchema } from '../src/utils/jsonSchema.js';
+import { ERROR_CODES } from '../src/utils/errorHandler.js';
+import { mockRequest, mockResponse } from './helpers.js';
+
+const SECRET = 'tool-secret';
+
+/**
+ * Creates a signed webhook request
+ */
+const signedRequest = (body) => {
+  const timestamp = Date.now().toString();
+  const signature = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${JSON.stringify(body)}`).digest('hex');
+  return mockRequest(body, {}, {}, { 'vapi-timestamp': timestamp, 'vapi-signature': signature });
+};
+
+const createBookingTool = () => ({
+  name: 'book_appointment',
+  description: 'Book an appointment slot',
+  parameters: {
+    type: 'object',
+    properties: {
+      date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+      partySize: { type: 'integer', minimum: 1 }
+    },
+    required: ['date']
+  },
+  handler: sinon.stub().callsFake(async ({ date }) => ({ confirmed: true, date }))
+});
+
+describe('Tool Registry', () => {
+  it('should validate arguments against a JSON schema', () => {
+    const schema = createBookingTool().parameters;
+
+    expect(validateJsonSchema(schema, { date: '2024-05-01', partySize: 2 })).to.be.empty;
+    expect(validateJsonSchema(schema, { partySize: 0 })).to.deep.equal([
+      { path: 'date', message: 'is required' },
+      { path: 'partySize', message: 'must be at least 1' }
+    ]);
+    expect(validateJsonSchema(schema, { date: 'May 1st' })[0].message).to.match(/must match/);
+  });
+
+  it('should reject incomplete or duplicate tools', () => {
+    const registry = new ToolRegistry({ tools: [createBookingTool()] });
+
+    expect(() => registry.register(createBookingTool())).to.throw(/already registered/);
+    expect(() => registry.register({ name: 'bad name', description: 'x', handler: () => {} }))
+      .to.throw().with.property('code', ERROR_CODES.INVALID_TOOL);
+    expect(() => registry.register({ name: 'lookup', description: 'Look up', parameters: { type: 'string' }, handler: () => {} }))
+      .to.throw(/JSON schema of type "object"/);
+  });
+
+  it('should attach tools next to existing functions', () => {
+    const registry = new ToolRegistry({ tools: [createBookingTool()] });
+
+    const config = registry.attach({ model: { provider: 'openai', functions: [{ name: 'legacy' }] } });
+
+    expect(config.model.provider).to.equal('openai');
+    expect(config.model.functions.map(fn => fn.name)).to.deep.equal(['legacy', 'book_appointment']);
+    expect(config.model.functions[1]).to.not.have.property('handler');
+    expect(() => registry.attach({}, ['missing'])).to.throw().with.property('code', ERROR_CODES.TOOL_NOT_FOUND);
+  });
+
+  describe('webhook dispatch', () => {
+    let tool;
+    let handler;
+
+    beforeEach(() => {
+      tool = createBookingTool();
+      handler = new WebhookHandler({ secret: SECRET, tools: new ToolRegistry({ tools: [tool] }) });
+    });
+
+    it('should answer tool-calls messages with each result', async () => {
+      const call = { id: 'call_1' };
+      const req = signedRequest({
+        message: {
+          type: 'tool-calls',
+          call,
+          toolCallList: [
+            { id: 'tc_1', type: 'function', function: { name: 'book_appointment', arguments: '{"date":"2024-05-01"}' } },
+            { id: 'tc_2', type: 'function', function: { name: 'book_appointment', arguments: { partySize: 2 } } },
+            { id: 'tc_3', type: 'function', function: { name: 'cancel_appointment', arguments: {} } }
+          ]
+        }
+      });
+      const res = mockResponse();
+
+      await handler.handleWebhook(req, res);
+
+      expect(res.status.calledWith(200)).to.be.true;
+      const { results } = res.json.firstCall.args[0];
+      expect(results[0]).to.deep.equal({
+        toolCallId: 'tc_1',
+        name: 'book_appointment',
+        result: '{"confirmed":true,"date":"2024-05-01"}'
+      });
+      expect(results[1].error).to.equal('Invalid arguments for tool book_appointment: date is required');
+      expect(results[2].error).to.equal('Unknown tool: cancel_appointment');
+      expect(tool.handler.calledOnce).to.be.true;
+      expect(tool.handler.firstCall.args[1]).to.include({ call, toolCallId: 'tc_1' });
+    });
+
+    it('should answer legacy function-call messages', async () => {
+      const req = signedRequest({
+        message: { type: 'function-call', functionCall: { name: 'book_appointment', parameters: { date: '2024-05-02' } } }
+      });
+      const res = mockResponse();
+
+      await handler.handleWebhook(req, res);
+
+      expect(res.json.firstCall.args[0]).to.deep.equal({ result: '{"confirmed":true,"date":"2024-05-02"}' });
+    });
+  });
+
+  describe('SDK', () => {
+    it('should attach registered tools when creating assistants', async () => {
+      const client = {
+        assistants: { create: sinon.stub().callsFake(async (config) => ({ id: 'asst_1', ...config })) }
+      };
+      const sdk = createVapiSdk({ client, tools: [createBookingTool()], versions: { store: 'memory' } });
+
+      await sdk.createAssistant('Booker', 'Hi', 'Book things');
+      await sdk.createAssistant('Plain', 'Hi', 'Just talk', { tools: false });
+
+      expect(client.assistants.create.firstCall.args[0].model.functions.map(fn => fn.name)).to.deep.equal(['book_appointment']);
+      expect(client.assistants.create.secondCall.args[0].model).to.not.have.property('functions');
+    });
+
+    it('should attach registered tools to assistants created from a full config', async () => {
+      const client = {
+        assistants: { create: sinon.stub().callsFake(async (config) => ({ id: 'asst_1', ...config })) }
+      };
+      const sdk = createVapiSdk({ client, tools: [createBookingTool()], versions: { store: 'memory' } });
+      const created = sinon.spy();
+      sdk.events.on('assistant:created', created);
+
+      await sdk.createAssistantFromConfig({ name: 'Booker', model: { functions: [{ name: 'lookup' }] } });
+
+      expect(client.assistants.create.firstCall.args[0].model.functions.map(fn => fn.name)).to.deep.equal(['lookup', 'book_appointment']);
+      expect(created.calledOnce).to.be.true;
+      expect(await sdk.cache.get('assistants', 'asst_1')).to.include({ name: 'Booker' });
+    });
+  });
+});
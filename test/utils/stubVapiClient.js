@@ -0,0 +1,42 @@
+import sinon from 'sinon';
+
+/**
+ * Creates a stub VAPI client backed by an in-memory assistant store
+ * Every method is a sinon stub, so tests can assert on calls or override behavior.
+ * @param {Object} [options] - Stub options
+ * @param {Array<Object>} [options.assistants] - Assistants that already exist
+ * @param {string} [options.idPrefix='new'] - Prefix for created assistant IDs (new_1, new_2, ...)
+ * @param {Array<Object>} [options.phoneNumbers] - Phone numbers returned by phoneNumbers.list
+ */
+const createStubClient = ({ assistants: initial = [], idPrefix = 'new', phoneNumbers = [] } = {}) => {
+  const assistants = new Map(initial.map(a => [a.id, { ...a }]));
+  let nextId = 1;
+
+  return {
+    // Simulates an edit made in the VAPI dashboard
+    editInDashboard: (id, updates) => assistants.set(id, { ...assistants.get(id), ...updates }),
+    assistants: {
+      list: sinon.stub().callsFake(async () => [...assistants.values()]),
+      get: sinon.stub().callsFake(async (id) => ({ ...assistants.get(id) })),
+      create: sinon.stub().callsFake(async (config) => {
+        const assistant = { ...config, id: `${idPrefix}_${nextId++}`, orgId: 'org_stub' };
+        assistants.set(assistant.id, assistant);
+        return { ...assistant };
+      }),
+      update: sinon.stub().callsFake(async (id, updates) => {
+        assistants.set(id, { ...assistants.get(id), ...updates, updatedAt: new Date().toISOString() });
+        return { ...assistants.get(id) };
+      }),
+      delete: sinon.stub().callsFake(async (id) => { assistants.delete(id); })
+    },
+    calls: {
+      create: sinon.stub().resolves({ id: 'call_1', status: 'queued' }),
+      get: sinon.stub().resolves({ id: 'call_1', status: 'queued' })
+    },
+    phoneNumbers: {
+      list: sinon.stub().resolves({ data: phoneNumbers })
+    }
+  };
+};
+
+export { createStubClient };
@@ -0,0 +1,101 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import crypto from 'crypto';
+import { createVapiSdk } from '../vapi-agent.js';
+import WebhookHandler from '../src/features/webhookHandler.js';
+import { mockRequest, mockResponse } from './helpers.js';
+
+const SECRET = 'request-secret';
+
+/**
+ * Creates a signed webhook request
+ */
+const signedRequest = (body) => {
+  const timestamp = Date.now().toString();
+  const signature = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${JSON.stringify(body)}`).digest('hex');
+  return mockRequest(body, {}, {}, { 'vapi-timestamp': timestamp, 'vapi-signature': signature });
+};
+
+const assistantRequest = (number = '+15551230000') => signedRequest({
+  message: { type: 'assistant-request', call: { id: 'call_1', customer: { number } } }
+});
+
+describe('WebhookHandler request mode', () => {
+  let handler;
+
+  beforeEach(() => {
+    handler = new WebhookHandler({ secret: SECRET, requestTimeout: 20, fallbackAssistantId: 'asst_fallback' });
+  });
+
+  it('should answer with the handler result', async () => {
+    handler.onRequest('assistant-request', async ({ call }) => (
+      call.customer.number.startsWith('+1555') ? 'asst_vip' : 'asst_default'
+    ));
+    const res = mockResponse();
+
+    await handler.handleWebhook(assistantRequest(), res);
+
+    expect(res.status.calledWith(200)).to.be.true;
+    expect(res.json.firstCall.args[0]).to.deep.equal({ assistantId: 'asst_vip' });
+  });
+
+  it('should pass transient configs and overrides through unchanged', async () => {
+    const body = { assistantId: 'asst_1', assistantOverrides: { variableValues: { name: 'Sam' } } };
+    handler.onRequest('assistant-request', async () => body);
+    const res = mockResponse();
+
+    await handler.handleWebhook(assistantRequest(), res);
+
+    expect(res.json.firstCall.args[0]).to.deep.equal(body);
+  });
+
+  it('should use the fallback assistant when the handler is too slow or fails', async () => {
+    handler.onRequest('assistant-request', () => new Promise(resolve => setTimeout(() => resolve('asst_late'), 100)));
+    const slow = mockResponse();
+    await handler.handleWebhook(assistantRequest(), slow);
+
+    handler.onRequest('assistant-request', async () => { throw new Error('CRM down'); });
+    const failing = mockResponse();
+    await handler.handleWebhook(assistantRequest(), failing);
+
+    expect(slow.json.firstCall.args[0]).to.deep.equal({ assistantId: 'asst_fallback' });
+    expect(failing.json.firstCall.args[0]).to.deep.equal({ assistantId: 'asst_fallback' });
+  });
+
+  it('should answer with an error when there is no fallback', async () => {
+    handler.onRequest('transfer-destination-request', async () => null);
+    const res = mockResponse();
+
+    await handler.handleWebhook(signedRequest({ message: { type: 'transfer-destination-request' } }), res);
+
+    expect(res.json.firstCall.args[0]).to.deep.equal({ error: 'transfer-destination-request handler returned no answer' });
+  });
+
+  it('should let a fallback function build the answer', async () => {
+    const fallback = sinon.stub().returns({ assistant: { name: 'Temp', firstMessage: 'Hi' } });
+    handler.onRequest('assistant-request', async () => { throw new Error('nope'); }, { fallback });
+    const res = mockResponse();
+
+    await handler.handleWebhook(assistantRequest(), res);
+
+    expect(fallback.firstCall.args[1].message).to.equal('nope');
+    expect(res.json.firstCall.args[0]).to.deep.equal({ assistant: { name: 'Temp', firstMessage: 'Hi' } });
+  });
+
+  it('should be configurable through the SDK', async () => {
+    const sdk = createVapiSdk({
+      client: {},
+      versions: { store: 'memory' },
+      webhook: { secret: SECRET, fallbackAssistantId: 'asst_fallback' }
+    });
+    const received = sinon.spy();
+    sdk.events.on('assistant-request', received);
+    sdk.onAssistantRequest(async () => undefined);
+    const res = mockResponse();
+
+    await sdk.webhookHandler.handleWebhook(assistantRequest(), res);
+
+    expect(res.json.firstCall.args[0]).to.deep.equal({ assistantId: 'asst_fallback' });
+    expect(received.calledOnce).to.be.true;
+  });
+});
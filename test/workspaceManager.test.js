@@ -0,0 +1,134 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import crypto from 'crypto';
+import { once } from 'events';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { createWorkspaceManager } from '../vapi-agent.js';
+import { ERROR_CODES } from '../src/utils/errorHandler.js';
+import { mockRequest, mockResponse } from './helpers.js';
+import { createStubClient } from './utils/stubVapiClient.js';
+
+const sign = (secret, body, timestamp) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${JSON.stringify(body)}`)
+  .digest('hex');
+
+describe('WorkspaceManager', () => {
+  let manager;
+  let acmeClient;
+  let globexClient;
+
+  beforeEach(() => {
+    acmeClient = createStubClient({ phoneNumbers: [{ id: 'ph_1' }] });
+    globexClient = createStubClient({ phoneNumbers: [{ id: 'ph_1' }] });
+    manager = createWorkspaceManager({
+      acme: { client: acmeClient, webhook: { path: '/webhooks/acme', secret: 'acme-secret' } },
+      globex: { client: globexClient, webhook: { path: '/webhooks/globex', secret: 'globex-secret' } }
+    });
+  });
+
+  it('should route calls to the named workspace', async () => {
+    await manager.createAssistant('acme', 'Support', 'Hi', 'Prompt');
+
+    expect(acmeClient.assistants.create.calledOnce).to.be.true;
+    expect(globexClient.assistants.create.called).to.be.false;
+  });
+
+  it('should keep caches separated per workspace', async () => {
+    await manager.listPhoneNumbers('acme');
+
+    expect(await manager.getWorkspace('acme').cache.get('phoneNumbers', 'ph_1')).to.exist;
+    expect(await manager.getWorkspace('globex').cache.get('phoneNumbers', 'ph_1')).to.be.undefined;
+  });
+
+  it('should reject unknown and duplicate workspaces', () => {
+    expect(() => manager.getWorkspace('initech'))
+      .to.throw().with.property('code', ERROR_CODES.WORKSPACE_NOT_FOUND);
+    expect(() => manager.addWorkspace('acme', {}))
+      .to.throw().with.property('code', ERROR_CODES.WORKSPACE_CONFLICT);
+  });
+
+  describe('local data', () => {
+    let tmpDir;
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vapi-workspaces-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should keep each workspace\'s schedule and do-not-call list in its own files', async () => {
+      const env = {
+        NODE_ENV: 'test',
+        VAPI_SCHEDULER_PATH: path.join(tmpDir, 'schedule'),
+        VAPI_SUPPRESSION_PATH: path.join(tmpDir, 'suppression'),
+        VAPI_AUDIT_PATH: path.join(tmpDir, 'audit'),
+        VAPI_RECORDING_PATH: path.join(tmpDir, 'recordings')
+      };
+      const build = () => {
+        const clients = { acme: createStubClient(), globex: createStubClient() };
+        const workspaces = createWorkspaceManager({
+          acme: { client: clients.acme, env },
+          globex: { client: clients.globex, env }
+        });
+        return { clients, workspaces };
+      };
+
+      const before = build();
+      await before.workspaces.scheduleCall('acme', { assistantId: 'asst_1', customerNumber: '+14155550100', at: Date.now() - 10 });
+      await before.workspaces.addToDoNotCall('globex', '+14155550101');
+
+      const after = build();
+      const fired = once(after.workspaces.getWorkspace('acme').events, 'call:fired');
+      await after.workspaces.start();
+      await fired;
+      await after.workspaces.shutdown();
+
+      expect(after.clients.acme.calls.create.calledOnce).to.be.true;
+      expect(after.clients.globex.calls.create.called).to.be.false;
+      expect(await after.workspaces.listScheduledCalls('globex')).to.deep.equal([]);
+      expect((await after.workspaces.checkNumber('acme', '+14155550101')).allowed).to.be.true;
+      expect((await after.workspaces.checkNumber('globex', '+14155550101')).allowed).to.be.false;
+      expect(await fs.readdir(path.join(tmpDir, 'schedule'))).to.deep.equal(['acme']);
+      expect(await fs.readdir(path.join(tmpDir, 'suppression'))).to.deep.equal(['globex']);
+    });
+  });
+
+  it('should attribute webhooks by path', async () => {
+    const req = mockRequest({ type: 'call.ended', data: {} });
+    req.path = '/webhooks/globex';
+    const timestamp = Date.now().toString();
+    req.headers['vapi-timestamp'] = timestamp;
+    req.headers['vapi-signature'] = sign('globex-secret', req.body, timestamp);
+    const listener = sinon.spy();
+    manager.getWorkspace('globex').events.on('call.ended', listener);
+
+    await manager.handleWebhook(req, mockResponse());
+
+    expect(req.workspace).to.equal('globex');
+    expect(listener.calledOnce).to.be.true;
+  });
+
+  it('should attribute webhooks by secret when no path matches', () => {
+    const req = mockRequest({ type: 'call.ended', data: {} });
+    req.path = '/webhook';
+    const timestamp = Date.now().toString();
+    req.headers['vapi-timestamp'] = timestamp;
+    req.headers['vapi-signature'] = sign('acme-secret', req.body, timestamp);
+
+    expect(manager.resolveWebhookWorkspace(req)).to.equal('acme');
+  });
+
+  it('should respond 404 when no workspace matches', async () => {
+    const req = mockRequest({ type: 'call.ended', data: {} });
+    req.path = '/unknown';
+    const res = mockResponse();
+
+    await expect(manager.handleWebhook(req, res)).to.be.rejected;
+    expect(res.status.calledWith(404)).to.be.true;
+  });
+});
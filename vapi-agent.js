@@ -5,16 +5,50 @@ import path from 'path';
 import { EventEmitter } from 'events';
 import { retry } from './src/utils/retry.js';
 import { VapiError, ERROR_CODES, asyncHandler } from './src/utils/errorHandler.js';
+import { loadConfig } from './src/utils/config.js';
+import { createLogger, getDefaultLogger } from './src/utils/logger.js';
 import { CallMonitor } from './src/features/callMonitoring.js';
+import { CallAdmissionController, ADMISSION_EVENTS } from './src/features/callAdmission.js';
 import CallRecordingManager from './src/features/callRecordingManager.js';
 import WebhookHandler from './src/features/webhookHandler.js';
+import WorkspaceManager from './src/features/workspaceManager.js';
+import { CacheManager } from './src/features/cacheManager.js';
+import { resolveManifests, planManifestSync } from './src/features/assistantManifests.js';
+import AssistantVersionStore from './src/features/assistantVersions.js';
+import { AssistantLinter } from './src/features/assistantLinter.js';
+import { compileAssistantQuery } from './src/features/assistantQuery.js';
+import {
+  resolveSelector,
+  buildFieldPatch,
+  buildRetag,
+  runBulkOperation
+} from './src/features/bulkOperations.js';
+import {
+  createBundle,
+  validateBundle,
+  writeBundle,
+  readBundle,
+  remapIds,
+  referencesAny,
+  planBundleImport
+} from './src/features/assistantBundles.js';
+import { planPromotion as planAssistantPromotion, loadEnvironmentVariables } from './src/features/assistantPromotion.js';
+import { AuditLog } from './src/features/auditLog.js';
+import DriftDetector from './src/features/driftDetector.js';
+import { ToolRegistry } from './src/features/toolRegistry.js';
+import { CAMPAIGN_EVENTS, Campaign, loadContacts } from './src/features/campaigns.js';
+import { SCHEDULER_EVENTS, CallScheduler } from './src/features/callScheduler.js';
+import { SuppressionList } from './src/features/suppressionList.js';
+import { stripReadOnlyFields } from './src/utils/agentConfig.js';
+import { diffSnapshots } from './src/utils/diff.js';
+import { ASSISTANT_SCHEMA } from './src/utils/assistantSchema.js';
+import { getListItems, paginate, collect } from './src/utils/pagination.js';
+import { RateLimiter } from './src/utils/rateLimiter.js';
+import { parsePhoneNumber, normalizePhoneNumber, isValidPhoneNumber } from './src/utils/phone.js';
+import { MODEL_CATALOG, getModelInfo, inferModelProvider, checkModelConfig } from './src/utils/modelCatalog.js';
 
-// Event emitter for SDK events
-export const vapiEvents = new EventEmitter();
-
-// Get current directory in ES module
+// Get current file in ES module
 const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
 
 /**
  * VAPI Client Configuration
@@ -27,329 +61,1966 @@ const __dirname = path.dirname(__filename);
  * @property {string} [version] - API version to use
  */
 
-// Initialize the Vapi client with enhanced configuration
-const vapi = new VapiClient({
-  token: process.env.VAPI_API_KEY || 'YOUR_API_KEY_HERE',
-  baseUrl: process.env.VAPI_BASE_URL || 'https://api.vapi.ai',
-  timeout: parseInt(process.env.VAPI_TIMEOUT || '30000'),
-  enableLogging: process.env.NODE_ENV === 'development',
-  version: process.env.VAPI_VERSION || '2024-01-01',
-  axiosConfig: {
-    headers: {
-      'User-Agent': `VAPI-Node-SDK/1.0.0 ${process.env.npm_package_version || ''}`,
-      'X-VAPI-Source': 'node-sdk'
+/**
+ * SDK instance configuration
+ * @typedef {Object} VapiSdkConfig
+ * @property {string} [apiKey] - VAPI API key (defaults to VAPI_API_KEY)
+ * @property {string} [baseUrl] - Base URL for the VAPI API
+ * @property {number} [timeout] - Request timeout in milliseconds
+ * @property {string} [version] - API version to use
+ * @property {Object} [client] - Pre-built VAPI client (skips VapiClient construction)
+ * @property {string} [workspace] - Workspace name; local data not given an explicit directory goes in a subfolder named after it
+ * @property {Object} [monitor] - CallMonitor options
+ * @property {Object} [recording] - CallRecordingManager options
+ * @property {Object} [webhook] - WebhookHandler options
+ * @property {Object} [logging] - Logger options (level, format, redact, redactKeys)
+ * @property {Object} [logger] - Pre-built winston logger (skips logger construction)
+ * @property {Object} [cache] - Cache options (store, directory, createStore, namespaces, cleanupInterval)
+ * @property {Object} [versions] - Assistant version history options (store, directory, createStore, maxVersions)
+ * @property {Object} [lint] - Assistant linter options (rules, builtIns, severities)
+ * @property {Object} [pagination] - Iterator options (pageSize, requestsPerSecond)
+ * @property {Array<Object>} [tools] - Tool definitions to register (name, description, parameters, handler)
+ * @property {Object} [campaigns] - Campaign defaults (concurrency, callsPerMinute, timezone, outcomePollInterval, outcomeTimeout)
+ * @property {Object} [scheduler] - Scheduled call options (store, directory, createStore, timezone, maxLateness, retention)
+ * @property {Object} [suppression] - Do-not-call and consent options (store, directory, createStore, requireConsent, consentTtl, optOutPhrases)
+ * @property {Object} [phone] - Phone number options (defaultRegion for numbers without a country code)
+ * @property {Object} [admission] - Call admission options (maxCallsPerAssistant, maxCallsPerNumber, whenFull, maxQueueSize, queueTimeout)
+ * @property {Array<string|Object>} [configFiles] - JSON or .env files layered under the environment
+ * @property {Object} [env=process.env] - Environment variables to read
+ * @property {boolean} [allowMissing=false] - Skip required-value checks (e.g. API key)
+ */
+
+/**
+ * Assistant configuration options
+ * @typedef {Object} AssistantOptions
+ * @property {string} [model='gpt-4o'] - Model to use (its provider is looked up in the model catalog)
+ * @property {number} [temperature=0.7] - Temperature for generation (0-2)
+ * @property {string} [voiceProvider='vapi'] - Voice provider (vapi, 11labs, etc.)
+ * @property {string} [voiceId='Elliot'] - Voice ID
+ * @property {boolean} [enableTranscription=true] - Enable call transcription
+ * @property {Object} [metadata] - Custom metadata
+ * @property {Array} [functions] - Custom functions
+ * @property {Array<string>|boolean} [tools] - Registered tools to attach: names, or false for none (defaults to all)
+ * @property {string} [language='en-US'] - Language code
+ * @property {Object} [voice] - Complete voice configuration
+ * @property {Object} [modelConfig] - Complete model configuration
+ * @property {boolean} [endCallFunctionEnabled=true] - Enable end call function
+ * @property {boolean} [recordingEnabled=false] - Enable call recording
+ * @property {string} [recordingFileFormat='mp3'] - Recording format (mp3, wav)
+ * @property {Object} [webhook] - Webhook configuration
+ * @property {string} [webhook.url] - Webhook URL
+ * @property {Array<string>} [webhook.events] - Events to receive
+ * @property {Object} [webhook.headers] - Custom headers
+ * @property {Object} [webhook.auth] - Authentication configuration
+ */
+
+/**
+ * Phone number configuration options
+ * @typedef {Object} PhoneNumberOptions
+ * @property {string} [countryCode] - ISO 3166-1 alpha-2 country code (defaults to the number's country)
+ * @property {Array<string>} [capabilities] - Required capabilities (e.g., ['voice', 'sms'])
+ * @property {Object} [webhook] - Webhook configuration for this number
+ */
+
+/**
+ * Call configuration options
+ * @typedef {Object} CallOptions
+ * @property {string} [assistantId] - Assistant ID for the call
+ * @property {string} [customerNumber] - Customer phone number; national formats use the default region
+ * @property {string} [phoneNumberId] - Your Vapi phone number ID
+ * @property {Object} [metadata] - Custom metadata for the call
+ * @property {Object} [assistantOverrides] - Override assistant settings for this call
+ * @property {Object} [recording] - Recording settings
+ * @property {boolean} [recording.enabled] - Enable/disable call recording
+ * @property {string} [recording.format] - Recording format (mp3, wav)
+ * @property {Function} [beforeDial] - async () => void, run once a call slot is free and before dialing; throw to cancel the call
+ */
+
+// Call statuses after which a call is over
+const ENDED_CALL_STATUSES = ['ended', 'completed', 'failed'];
+
+// Settings sections whose file stores live under a `directory`
+const LOCAL_DATA_SUBSYSTEMS = ['cache', 'versions', 'audit', 'drift', 'scheduler', 'suppression'];
+
+/**
+ * Create an isolated SDK instance
+ *
+ * Construction has no side effects: no timers, directories, network calls or
+ * console output. Call start() to begin call monitoring and cache cleanup, and
+ * shutdown() to release everything again.
+ * @param {VapiSdkConfig} [config] - SDK configuration
+ * @returns {Object} SDK instance
+ */
+function createVapiSdk(config = {}) {
+  // Resolve every setting through the validated loader (defaults < files < env < config)
+  const settings = loadConfig({
+    env: config.env,
+    files: config.configFiles,
+    overrides: config,
+    allowMissing: config.allowMissing || Boolean(config.client)
+  });
+
+  // File stores are read once and rewritten whole, so instances must not share one
+  if (config.workspace) {
+    for (const subsystem of LOCAL_DATA_SUBSYSTEMS) {
+      if (!config[subsystem]?.directory) {
+        settings[subsystem] = {
+          ...settings[subsystem],
+          directory: path.join(settings[subsystem].directory, encodeURIComponent(config.workspace))
+        };
+      }
+    }
+  }
+
+  // Event emitter for SDK events
+  const events = new EventEmitter();
+
+  // Root logger with one child per subsystem
+  const rootLogger = settings.logger || createLogger({
+    ...settings.logging,
+    silent: settings.logging.silent ?? settings.nodeEnv === 'test'
+  });
+  const logger = rootLogger.child({ subsystem: 'sdk' });
+  const webhookLogger = rootLogger.child({ subsystem: 'webhook' });
+
+  // Initialize the Vapi client with enhanced configuration
+  const vapi = settings.client || new VapiClient({
+    token: settings.apiKey || 'YOUR_API_KEY_HERE',
+    baseUrl: settings.baseUrl,
+    timeout: settings.timeout,
+    enableLogging: settings.nodeEnv === 'development',
+    version: settings.version,
+    axiosConfig: {
+      headers: {
+        'User-Agent': `VAPI-Node-SDK/1.0.0 ${process.env.npm_package_version || ''}`,
+        'X-VAPI-Source': 'node-sdk'
+      }
+    }
+  });
+
+  // Initialize services with enhanced configuration
+  const callMonitor = new CallMonitor(vapi, {
+    ...settings.monitor,
+    logger: rootLogger.child({ subsystem: 'callMonitor' })
+  });
+
+  // Holds outbound calls back while maxConcurrentCalls are in flight
+  const admission = new CallAdmissionController({
+    ...settings.admission,
+    maxConcurrentCalls: settings.monitor.maxConcurrentCalls,
+    callMonitor,
+    logger: rootLogger.child({ subsystem: 'admission' })
+  });
+
+  const recordingManager = new CallRecordingManager(vapi, {
+    ...settings.recording,
+    storageConfig: {
+      // Common storage configuration
+      acl: 'private',
+      // Provider-specific configs come from VAPI_STORAGE_CONFIG
+      ...settings.recording.storageConfig
+    },
+    logger: rootLogger.child({ subsystem: 'recordingManager' })
+  });
+
+  const tools = new ToolRegistry({
+    tools: settings.tools,
+    logger: rootLogger.child({ subsystem: 'tools' })
+  });
+
+  const webhookHandler = new WebhookHandler({
+    ...settings.webhook,
+    tools,
+    logger: webhookLogger,
+    onEvent: async (eventType, eventData) => {
+      // Emit event for internal use
+      events.emit(eventType, eventData);
+
+      // Log the event; the payload only at debug level, redacted
+      webhookLogger.info('Webhook event received', { eventType });
+      webhookLogger.debug('Webhook event payload', { eventType, data: eventData });
+
+      // Ended calls free their slot without waiting for the next poll
+      admission.handleWebhookEvent(eventType, eventData);
+
+      // Callers who ask not to be called again go straight onto the do-not-call list
+      await suppression.captureOptOut(eventType, eventData);
+    },
+    // Webhook verification
+    verifySignature: true,
+    // Rate limiting
+    rateLimit: {
+      windowMs: 15 * 60 * 1000, // 15 minutes
+      max: 100 // Limit each IP to 100 requests per windowMs
+    }
+  });
+
+  const cache = new CacheManager({
+    ...settings.cache,
+    logger: rootLogger.child({ subsystem: 'cache' })
+  });
+  let cacheCleanupIntervalId = null;
+  let starting = null;
+
+  const versions = new AssistantVersionStore({
+    ...settings.versions,
+    logger: rootLogger.child({ subsystem: 'versions' })
+  });
+
+  const auditLog = new AuditLog({
+    ...settings.audit,
+    logger: rootLogger.child({ subsystem: 'audit' })
+  });
+
+  // Consulted before every outbound call
+  const suppression = new SuppressionList({
+    ...settings.suppression,
+    defaultRegion: settings.phone.defaultRegion,
+    auditLog,
+    logger: rootLogger.child({ subsystem: 'suppression' })
+  });
+
+  const driftDetector = new DriftDetector({
+    ...settings.drift,
+    fetchAssistants: () => getAllAssistants(false),
+    revert: (assistantId, updates) => updateAssistant(assistantId, updates),
+    logger: rootLogger.child({ subsystem: 'drift' })
+  });
+
+  const scheduler = new CallScheduler({
+    ...settings.scheduler,
+    defaultRegion: settings.phone.defaultRegion,
+    startCall: (callOptions) => startCall(callOptions),
+    logger: rootLogger.child({ subsystem: 'scheduler' })
+  });
+
+  // Campaigns started by this instance, by id
+  const campaigns = new Map();
+  const campaignLogger = rootLogger.child({ subsystem: 'campaigns' });
+
+  // Shared by every iterator so walking several listings at once stays under the limit
+  const listRateLimiter = new RateLimiter({ maxRequests: settings.pagination.requestsPerSecond, intervalMs: 1000 });
+
+  const linter = new AssistantLinter({
+    ...settings.lint,
+    logger: rootLogger.child({ subsystem: 'linter' })
+  });
+
+  // Surface background refresh failures to SDK consumers
+  cache.on('refresh:failed', ({ namespace, key, error }) => {
+    events.emit('cache:refresh_failed', { namespace, key, error });
+  });
+
+  driftDetector.on('drifted', (report) => events.emit('assistant:drifted', report));
+  driftDetector.on('reverted', (report) => events.emit('assistant:drift_reverted', report));
+  SCHEDULER_EVENTS.forEach(name => scheduler.on(name, payload => events.emit(name, payload)));
+  suppression.on('opted_out', (entry) => events.emit('number:opted_out', entry));
+  suppression.on('suppressed', (attempt) => events.emit('call:suppressed', attempt));
+  ADMISSION_EVENTS.forEach(name => admission.on(name, payload => events.emit(name, payload)));
+
+  // Set up event listeners
+  callMonitor.on('call:added', (call) => {
+    callMonitor.logger.info('New call started', { callId: call.id });
+  });
+
+  callMonitor.on('call:status_changed', ({ callId, from, to }) => {
+    callMonitor.logger.info('Call status changed', { callId, from, to });
+  });
+
+  callMonitor.on('call:transcription', ({ callId, data }) => {
+    callMonitor.logger.debug('Call transcription received', { callId, transcription: data.text });
+  });
+
+  callMonitor.on('error', (error) => {
+    callMonitor.logger.error('Call monitor error', { error });
+  });
+
+  /**
+   * Create a new Vapi assistant with comprehensive configuration
+   * @param {string} name - Name of the assistant
+   * @param {string} firstMessage - First message the assistant will say
+   * @param {string} systemPrompt - System prompt for the assistant
+   * @param {AssistantOptions} [options] - Additional options
+   * @returns {Promise<Object>} The created assistant
+   */
+  async function createAssistant(name, firstMessage, systemPrompt, options = {}) {
+    const defaultOptions = {
+      model: 'gpt-4o',
+      temperature: 0.7,
+      voiceProvider: 'vapi',
+      voiceId: 'Elliot',
+      enableTranscription: true,
+      endCallFunctionEnabled: true,
+      recordingEnabled: false,
+      language: 'en-US',
+      metadata: {}
+    };
+
+    const {
+      model,
+      temperature,
+      voiceProvider,
+      voiceId,
+      enableTranscription,
+      endCallFunctionEnabled,
+      recordingEnabled,
+      language,
+      metadata,
+      functions: customFunctions,
+      tools: toolNames,
+      webhook,
+      ...restOptions
+    } = { ...defaultOptions, ...options };
+
+    // Registered tools are attached unless the caller names some, or passes false for none
+    const functions = toolNames === false
+      ? customFunctions
+      : tools.attach({ model: { functions: customFunctions } }, toolNames).model.functions;
+
+    // Pick the provider from the model catalog unless one is given explicitly
+    const modelName = options.modelConfig?.model || model;
+    let provider = options.modelConfig?.provider || inferModelProvider(modelName);
+    if (!provider) {
+      logger.warn('Unknown model, defaulting provider to openai', { model: modelName });
+      provider = 'openai';
+    }
+
+    const modelProblems = checkModelConfig({ ...options.modelConfig, provider, model: modelName, functions });
+    if (modelProblems.length > 0) {
+      throw new VapiError(
+        `Invalid model configuration: ${modelProblems.map(problem => problem.message).join('; ')}`,
+        ERROR_CODES.VALIDATION_ERROR,
+        { model: modelName, provider, errors: modelProblems }
+      );
+    }
+
+    try {
+      const assistantData = {
+        name,
+        firstMessage,
+        language,
+        metadata: {
+          createdBy: 'vapi-sdk',
+          version: '1.0',
+          ...metadata
+        },
+        model: {
+          provider,
+          model,
+          temperature: Math.min(Math.max(temperature, 0), 2), // Clamp to 0-2
+          messages: [
+            {
+              role: 'system',
+              content: systemPrompt
+            }
+          ],
+          ...(functions && { functions }),
+          ...(options.modelConfig || {})
+        },
+        voice: {
+          provider: voiceProvider,
+          voiceId,
+          ...(options.voice || {})
+        },
+        enableTranscription,
+        endCallFunctionEnabled,
+        recordingEnabled,
+        ...(webhook && { webhook }),
+        ...restOptions
+      };
+
+      // Apply any custom model or voice config
+      if (options.modelConfig) {
+        assistantData.model = { ...assistantData.model, ...options.modelConfig };
+      }
+
+      if (options.voice) {
+        assistantData.voice = { ...assistantData.voice, ...options.voice };
+      }
+
+      // Create the assistant
+      const assistant = await vapi.assistants.create(assistantData);
+
+      // Cache the new entity; cached lists no longer include everything
+      await cache.set('assistants', assistant.id, assistant);
+      await cache.invalidate('assistantLists');
+
+      // Emit event
+      events.emit('assistant:created', assistant);
+
+      return assistant;
+    } catch (error) {
+      const errorMessage = `Failed to create assistant: ${error.message}`;
+      logger.error(errorMessage, { name, error });
+
+      throw new VapiError(
+        errorMessage,
+        ERROR_CODES.ASSISTANT_CREATION_FAILED,
+        { 
+          name,
+          originalError: error,
+          options: {
+            ...options,
+            systemPrompt: systemPrompt ? '[REDACTED]' : undefined
+          }
+        }
+      );
+    }
+  }
+
+  /**
+   * Create an assistant from a complete configuration, e.g. getAgentConfig output
+   * Registered tools are attached as in createAssistant.
+   * @param {Object} config - Assistant configuration
+   * @param {Object} [options] - Options
+   * @param {Array<string>|boolean} [options.tools] - Registered tools to attach: names, or false for none (defaults to all)
+   * @returns {Promise<Object>} The created assistant
+   */
+  async function createAssistantFromConfig(config, options = {}) {
+    return createFromConfig(options.tools === false ? config : tools.attach(config, options.tools));
+  }
+
+  /**
+   * Start a phone call using the assistant with enhanced monitoring
+   * Suppressed numbers (see addToDoNotCall) are rejected with NUMBER_SUPPRESSED.
+   * Waits for a free slot while call limits are reached (see getCallUsage).
+   * @param {string} assistantId - ID of the assistant to use
+   * @param {string} phoneNumber - Phone number to call, e.g. "+14155550100" or "(415) 555-0100" in the default region
+   * @param {string} phoneNumberId - Your Vapi phone number ID
+   * @param {Object} [metadata] - Additional metadata to associate with the call
+   * @returns {Promise<Object>} The call object
+   */
+  async function startPhoneCall(assistantId, phoneNumber, phoneNumberId, metadata = {}) {
+    const number = normalizePhoneNumber(metadata.customer?.number || phoneNumber, settings.phone);
+    await suppression.assertDialable(number, { source: 'startPhoneCall', assistantId });
+
+    // Admitted calls are added to monitoring
+    const call = await admission.admit(
+      { assistantId, phoneNumberId, metadata: { phoneNumber: number, ...metadata } },
+      async () => {
+        // The number may have been suppressed while the call waited for a slot
+        await suppression.assertDialable(number, { source: 'startPhoneCall', assistantId });
+        return vapi.calls.create({
+          phoneNumberId,
+          customer: { 
+            ...(metadata.customer || {}),
+            number
+          },
+          assistantId,
+          metadata: {
+            initiatedBy: 'api',
+            timestamp: new Date().toISOString(),
+            ...metadata
+          }
+        });
+      }
+    );
+
+    logger.info('Call started', { callId: call.id, phoneNumber: number });
+    return call;
+  }
+
+  /**
+   * List all available assistants with pagination and filtering
+   * @param {Object} [options] - Query options
+   * @param {number} [options.limit=50] - Number of items per page
+   * @param {string} [options.cursor] - Cursor for pagination
+   * @param {string} [options.search] - Search query
+   * @param {string} [options.sortBy='createdAt'] - Field to sort by
+   * @param {string} [options.sortOrder='desc'] - Sort order ('asc' or 'desc')
+   * @param {boolean} [useCache=true] - Use cached data if available
+   * @returns {Promise<Object>} Paginated list of assistants and pagination info
+   */
+  async function listAssistants(options = {}, useCache = true) {
+    const {
+      limit = 50,
+      cursor,
+      search,
+      sortBy = 'createdAt',
+      sortOrder = 'desc',
+      ...otherParams
+    } = options;
+
+    const cacheKey = JSON.stringify({ limit, cursor, search, sortBy, sortOrder, ...otherParams });
+
+    const fetchAssistants = async () => {
+      const params = {
+        limit,
+        cursor,
+        search,
+        sort: `${sortOrder === 'desc' ? '-' : ''}${sortBy}`,
+        ...otherParams
+      };
+
+      const response = await vapi.assistants.list(params);
+
+      // Store individual assistants in cache for quick lookup
+      for (const assistant of getListItems(response)) {
+        await cache.set('assistants', assistant.id, assistant);
+      }
+
+      return response;
+    };
+
+    try {
+      return await cache.getOrFetch('assistantLists', cacheKey, fetchAssistants, { forceRefresh: !useCache });
+    } catch (error) {
+      logger.error('Error listing assistants', { error });
+      throw new VapiError(
+        'Failed to list assistants',
+        ERROR_CODES.API_ERROR,
+        { originalError: error, options }
+      );
+    }
+  }
+
+  /**
+   * Get a single assistant
+   * @param {string} assistantId - ID of the assistant
+   * @param {boolean} [useCache=true] - Use cached data if available
+   * @returns {Promise<Object>} The assistant
+   */
+  async function getAssistant(assistantId, useCache = true) {
+    return cache.getOrFetch(
+      'assistants',
+      assistantId,
+      () => vapi.assistants.get(assistantId),
+      { forceRefresh: !useCache }
+    );
+  }
+
+  /**
+   * Update an assistant and keep the configuration it replaced in the version history
+   * Nothing is recorded when the update fails, so retries add a single version.
+   * @param {string} assistantId - ID of the assistant to update
+   * @param {Function} buildUpdates - Receives the current assistant and returns the fields to update
+   * @param {string} reason - Why the snapshot was taken ('update' or 'rollback')
+   * @returns {Promise<Object>} The updated assistant and the recorded version
+   */
+  async function snapshotAndUpdate(assistantId, buildUpdates, reason) {
+    // Snapshot what the API holds, not the cache, so history matches what is replaced
+    const previous = await vapi.assistants.get(assistantId);
+    const updatedAssistant = await vapi.assistants.update(assistantId, buildUpdates(previous));
+    const snapshot = await versions.record(assistantId, previous, { reason });
+
+    // Refresh the entity and drop lists that may contain the old version
+    await cache.set('assistants', assistantId, updatedAssistant);
+    await cache.invalidate('assistantLists');
+
+    // SDK updates are intended, so they move drift baselines forward instead of counting as drift
+    await driftDetector.recordSnapshot(updatedAssistant).catch(error => (
+      logger.error('Failed to record drift baseline', { assistantId, error })
+    ));
+
+    events.emit('assistant:updated', { assistant: updatedAssistant, previousVersion: snapshot.version });
+    return { assistant: updatedAssistant, snapshot };
+  }
+
+  /**
+   * Update an existing assistant
+   * The previous configuration is kept in the version history.
+   * @param {string} assistantId - ID of the assistant to update
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} The updated assistant
+   */
+  async function updateAssistant(assistantId, updates) {
+    try {
+      const { assistant } = await snapshotAndUpdate(assistantId, () => updates, 'update');
+      return assistant;
+    } catch (error) {
+      logger.error('Error updating assistant', { assistantId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * List the stored versions of an assistant, oldest first
+   * Each version lists the changes made by the update that replaced it.
+   * @param {string} assistantId - ID of the assistant
+   * @returns {Promise<Array<Object>>} Versions ({ version, createdAt, reason, changes })
+   */
+  async function listAssistantVersions(assistantId) {
+    const history = await versions.list(assistantId);
+    if (history.length === 0) {
+      return [];
+    }
+
+    const current = stripReadOnlyFields(await getAssistant(assistantId, false));
+
+    return history.map((snapshot, index) => {
+      const next = index + 1 < history.length ? history[index + 1].config : current;
+      return {
+        version: snapshot.version,
+        createdAt: snapshot.createdAt,
+        reason: snapshot.reason,
+        changes: diffSnapshots(snapshot.config, next)
+      };
+    });
+  }
+
+  /**
+   * Get the full configuration stored for one version of an assistant
+   * @param {string} assistantId - ID of the assistant
+   * @param {number} version - Version number
+   * @returns {Promise<Object>} The version ({ version, createdAt, reason, config })
+   */
+  async function getAssistantVersion(assistantId, version) {
+    return versions.get(assistantId, version);
+  }
+
+  /**
+   * Restore an assistant to a stored version
+   * Only fields that differ from the version are sent. Fields added since are
+   * cleared unless the API manages them. The configuration being replaced is
+   * kept as a new version, so a rollback can itself be rolled back.
+   * @param {string} assistantId - ID of the assistant
+   * @param {number} version - Version number to restore
+   * @returns {Promise<Object>} The restored assistant
+   */
+  async function rollbackAssistant(assistantId, version) {
+    const target = await versions.get(assistantId, version);
+
+    const { assistant } = await snapshotAndUpdate(assistantId, (current) => {
+      const restore = {};
+      for (const change of diffSnapshots(stripReadOnlyFields(current), target.config)) {
+        const [field] = change.path.split('.');
+        if (field in target.config) {
+          restore[field] = target.config[field];
+        } else if (field in ASSISTANT_SCHEMA.properties) {
+          // Added after the snapshot was taken; fields the API manages are left alone
+          restore[field] = null;
+        }
+      }
+      return restore;
+    }, 'rollback');
+
+    logger.info('Assistant rolled back', { assistantId, version: target.version });
+    events.emit('assistant:rolled_back', { assistantId, version: target.version, assistant });
+    return assistant;
+  }
+
+  /**
+   * Delete an assistant
+   * @param {string} assistantId - ID of the assistant to delete
+   * @returns {Promise<boolean>} True if deletion was successful
+   */
+  async function deleteAssistant(assistantId) {
+    try {
+      await vapi.assistants.delete(assistantId);
+      // Invalidate the entity and every list that may contain it
+      await cache.invalidate('assistants', assistantId);
+      await cache.invalidate('assistantLists');
+      return true;
+    } catch (error) {
+      logger.error('Error deleting assistant', { assistantId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Create an assistant from a complete configuration
+   * @private
+   * @param {Object} config - Assistant configuration
+   * @returns {Promise<Object>} The created assistant
+   */
+  async function createFromConfig(config) {
+    const assistant = await vapi.assistants.create(config);
+    await cache.set('assistants', assistant.id, assistant);
+    await cache.invalidate('assistantLists');
+    events.emit('assistant:created', assistant);
+    return assistant;
+  }
+
+  /**
+   * Plan the changes needed to converge live assistants on a set of manifests
+   * @param {Array<Object>|string|Array<string>} manifests - Manifest objects, or JSON/YAML files and directories
+   * @param {Object} [options] - Plan options
+   * @param {boolean} [options.prune=false] - Delete managed assistants whose manifest is gone
+   * @returns {Promise<Object>} Plan ({ actions, summary })
+   */
+  async function planManifests(manifests, options = {}) {
+    const desired = await resolveManifests(manifests);
+    const live = await collect(iterateAssistants());
+    return planManifestSync(desired, live, options);
+  }
+
+  /**
+   * Create, update or delete assistants so they match a set of manifests
+   * Every planned change is attempted; failures are reported per assistant.
+   * @param {Array<Object>|string|Array<string>} manifests - Manifest objects, or JSON/YAML files and directories
+   * @param {Object} [options] - Apply options
+   * @param {boolean} [options.prune=false] - Delete managed assistants whose manifest is gone
+   * @param {Object} [options.plan] - Previously reviewed plan to apply instead of re-planning
+   * @returns {Promise<Object>} { plan, results, summary } with one result per action
+   */
+  async function applyManifests(manifests, options = {}) {
+    const plan = options.plan || await planManifests(manifests, options);
+    const results = [];
+
+    for (const entry of plan.actions) {
+      const { action, manifestId, assistantId } = entry;
+
+      try {
+        let assistant;
+        if (action === 'create') {
+          assistant = await createFromConfig(entry.config);
+        } else if (action === 'update') {
+          assistant = await updateAssistant(assistantId, entry.updates);
+        } else if (action === 'delete') {
+          await deleteAssistant(assistantId);
+        } else {
+          results.push({ action, manifestId, assistantId, status: 'skipped' });
+          continue;
+        }
+
+        logger.info('Applied manifest change', { action, manifestId, assistantId: assistant?.id || assistantId });
+        results.push({ action, manifestId, assistantId: assistant?.id || assistantId, status: 'applied', assistant });
+      } catch (error) {
+        logger.error('Failed to apply manifest change', { action, manifestId, assistantId, error });
+        results.push({ action, manifestId, assistantId, status: 'failed', error });
+      }
+    }
+
+    const summary = { applied: 0, failed: 0, skipped: 0 };
+    for (const { status } of results) {
+      summary[status]++;
+    }
+
+    events.emit('manifests:applied', { results, summary });
+    return { plan, results, summary };
+  }
+
+  /**
+   * Lint one live assistant
+   * @param {string} assistantId - Assistant id
+   * @returns {Promise<Object>} Lint result ({ assistantId, name, findings, suppressed, counts })
+   */
+  async function lintAssistant(assistantId) {
+    const assistant = await getAssistant(assistantId, false);
+    return linter.lintAll([assistant]).results[0];
+  }
+
+  /**
+   * Lint every live assistant
+   * @returns {Promise<Object>} Report ({ results, summary }); summary.failing counts assistants with errors
+   */
+  async function lintAssistants() {
+    const report = linter.lintAll(await collect(iterateAssistants()));
+
+    logger.info('Assistants linted', report.summary);
+    events.emit('assistants:linted', report);
+    return report;
+  }
+
+  /**
+   * List available phone numbers with filtering
+   * @param {Object} [options] - Query options
+   * @param {string} [options.countryCode] - Filter by country code
+   * @param {Array<string>} [options.capabilities] - Filter by capabilities
+   * @param {boolean} [useCache=true] - Use cached data if available
+   * @returns {Promise<Object>} List of phone numbers
+   */
+  async function listPhoneNumbers(options = {}, useCache = true) {
+    const params = {
+      ...(options.countryCode && { country_code: options.countryCode }),
+      ...(options.capabilities && { capabilities: options.capabilities.join(',') })
+    };
+
+    const fetchNumbers = async () => {
+      const response = await vapi.phoneNumbers.list(params);
+
+      // Cache individual numbers
+      for (const number of getListItems(response)) {
+        await cache.set('phoneNumbers', number.id, number);
+      }
+
+      return response;
+    };
+
+    try {
+      return await cache.getOrFetch('phoneNumberLists', JSON.stringify(params), fetchNumbers, { forceRefresh: !useCache });
+    } catch (error) {
+      throw new VapiError(
+        'Failed to list phone numbers',
+        ERROR_CODES.API_ERROR,
+        { originalError: error }
+      );
+    }
+  }
+
+  /**
+   * Walk every page of a list endpoint through the shared rate limiter
+   * @private
+   * @param {string} resource - Client resource ('assistants', 'calls', 'phoneNumbers')
+   * @param {string|null} cacheNamespace - Entity cache namespace to fill, if any
+   * @param {Object} options - Iterator options; unknown keys are sent as query params
+   * @returns {AsyncGenerator<Object>}
+   */
+  function iterate(resource, cacheNamespace, options = {}) {
+    const {
+      pageSize = settings.pagination.pageSize,
+      maxItems,
+      filter,
+      signal,
+      ...params
+    } = options;
+
+    const fetchPage = async (pageParams) => {
+      let response;
+      try {
+        response = await vapi[resource].list(pageParams);
+      } catch (error) {
+        logger.error('Error listing page', { resource, error });
+        throw new VapiError(
+          `Failed to list ${resource}`,
+          ERROR_CODES.API_ERROR,
+          { originalError: error, params: pageParams }
+        );
+      }
+
+      if (cacheNamespace) {
+        for (const item of getListItems(response)) {
+          await cache.set(cacheNamespace, item.id, item);
+        }
+      }
+      return response;
+    };
+
+    return paginate(fetchPage, { params, pageSize, maxItems, filter, signal, rateLimiter: listRateLimiter });
+  }
+
+  /**
+   * Iterate over every assistant, fetching pages as needed
+   * @param {Object} [options] - Iterator options; other keys (e.g. createdAtGt) are sent as filters
+   * @param {number} [options.pageSize] - Items per page (defaults to VAPI_PAGE_SIZE)
+   * @param {number} [options.maxItems] - Stop after this many assistants
+   * @param {Function} [options.filter] - (assistant) => boolean; client-side filter
+   * @param {AbortSignal} [options.signal] - Stop fetching once aborted
+   * @returns {AsyncGenerator<Object>} Assistants
+   */
+  function iterateAssistants(options = {}) {
+    return iterate('assistants', 'assistants', options);
+  }
+
+  /**
+   * Iterate over every call, fetching pages as needed
+   * @param {Object} [options] - Iterator options; other keys (e.g. assistantId, phoneNumberId) are sent as filters
+   * @param {number} [options.pageSize] - Items per page (defaults to VAPI_PAGE_SIZE)
+   * @param {number} [options.maxItems] - Stop after this many calls
+   * @param {Function} [options.filter] - (call) => boolean; client-side filter
+   * @param {AbortSignal} [options.signal] - Stop fetching once aborted
+   * @returns {AsyncGenerator<Object>} Calls
+   */
+  function iterateCalls(options = {}) {
+    // Listed calls lack the events getCallDetails caches, so they are not cached here
+    return iterate('calls', null, options);
+  }
+
+  /**
+   * Iterate over every phone number, fetching pages as needed
+   * @param {Object} [options] - Iterator options; other keys are sent as filters
+   * @param {number} [options.pageSize] - Items per page (defaults to VAPI_PAGE_SIZE)
+   * @param {number} [options.maxItems] - Stop after this many numbers
+   * @param {Function} [options.filter] - (phoneNumber) => boolean; client-side filter
+   * @param {AbortSignal} [options.signal] - Stop fetching once aborted
+   * @returns {AsyncGenerator<Object>} Phone numbers
+   */
+  function iteratePhoneNumbers(options = {}) {
+    return iterate('phoneNumbers', 'phoneNumbers', options);
+  }
+
+  /**
+   * Every assistant, across all pages, cached as one list
+   * Cached lists are dropped whenever an assistant is created, updated or deleted.
+   * @private
+   * @param {boolean} useCache - Use the cached list if available
+   * @returns {Promise<Array<Object>>} Assistants
+   */
+  function getAllAssistants(useCache) {
+    return cache.getOrFetch(
+      'assistantLists',
+      'all',
+      () => collect(iterateAssistants()),
+      { forceRefresh: !useCache }
+    );
+  }
+
+  /**
+   * Find assistants matching a query
+   * @param {Object} [query] - Query (name, tags, anyTags, environment, teamId, model, modelProvider,
+   *   voiceProvider, createdAfter, createdBefore, metadata)
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.useCache=true] - Query the cached assistant list if available
+   * @returns {Promise<Array<Object>>} Matching assistants
+   */
+  async function findAssistants(query = {}, options = {}) {
+    // Compile first so an invalid query fails without a fetch
+    const matches = compileAssistantQuery(query);
+    const assistants = await getAllAssistants(options.useCache !== false);
+    return assistants.filter(matches);
+  }
+
+  /**
+   * Find the first assistant matching a query
+   * @param {Object} [query] - Query (see findAssistants)
+   * @param {Object} [options] - Options (see findAssistants)
+   * @returns {Promise<Object|null>} The assistant, or null if none matches
+   */
+  async function findAssistant(query = {}, options = {}) {
+    const [assistant] = await findAssistants(query, options);
+    return assistant || null;
+  }
+
+  /**
+   * Select assistants from fresh data and run a bulk operation over them
+   * @private
+   * @param {Object|Array<string>|Function} selector - Query, assistant ids or predicate
+   * @param {Object} operation - { action, plan, apply } (see runBulkOperation)
+   * @param {Object} options - Bulk options
+   * @returns {Promise<Object>} Bulk report
+   */
+  async function runBulk(selector, operation, options) {
+    const { selected, missing } = resolveSelector(await getAllAssistants(false), selector);
+    const report = await runBulkOperation(selected, operation, {
+      ...options,
+      missing,
+      logger: rootLogger.child({ subsystem: 'bulk' })
+    });
+
+    logger.info('Bulk operation finished', { action: operation.action, dryRun: report.dryRun, ...report.summary });
+    events.emit('assistants:bulk_completed', report);
+    return report;
+  }
+
+  /**
+   * Update every selected assistant
+   * @param {Object|Array<string>|Function} selector - Query (see findAssistants), assistant ids or predicate
+   * @param {Object|Function} updates - Fields to update, or (assistant) => fields
+   * @param {Object} [options] - Bulk options (concurrency, retries, retryDelay, dryRun)
+   * @returns {Promise<Object>} Report ({ action, dryRun, results, summary, failedIds })
+   */
+  async function bulkUpdateAssistants(selector, updates, options = {}) {
+    return runBulk(selector, {
+      action: 'update',
+      plan: assistant => (typeof updates === 'function' ? updates(assistant) : updates),
+      apply: (assistant, changes) => updateAssistant(assistant.id, changes)
+    }, options);
+  }
+
+  /**
+   * Set one field on every selected assistant, keeping the rest of its parent object
+   * @param {Object|Array<string>|Function} selector - Query (see findAssistants), assistant ids or predicate
+   * @param {string} path - Dot path of the field, e.g. voice.voiceId
+   * @param {any|Function} value - New value, or (currentValue, assistant) => new value
+   * @param {Object} [options] - Bulk options (concurrency, retries, retryDelay, dryRun)
+   * @returns {Promise<Object>} Report ({ action, dryRun, results, summary, failedIds })
+   */
+  async function bulkPatchAssistants(selector, path, value, options = {}) {
+    return runBulk(selector, {
+      action: 'update',
+      plan: assistant => buildFieldPatch(assistant, path, value),
+      apply: (assistant, changes) => updateAssistant(assistant.id, changes)
+    }, options);
+  }
+
+  /**
+   * Add and remove metadata tags on every selected assistant
+   * @param {Object|Array<string>|Function} selector - Query (see findAssistants), assistant ids or predicate
+   * @param {Object} tags - Tag changes ({ add, remove })
+   * @param {Object} [options] - Bulk options (concurrency, retries, retryDelay, dryRun)
+   * @returns {Promise<Object>} Report ({ action, dryRun, results, summary, failedIds })
+   */
+  async function bulkRetagAssistants(selector, tags, options = {}) {
+    return runBulk(selector, {
+      action: 'update',
+      plan: assistant => buildRetag(assistant, tags),
+      apply: (assistant, changes) => updateAssistant(assistant.id, changes)
+    }, options);
+  }
+
+  /**
+   * Delete every selected assistant
+   * @param {Object|Array<string>|Function} selector - Query (see findAssistants), assistant ids or predicate
+   * @param {Object} [options] - Bulk options (concurrency, retries, retryDelay, dryRun)
+   * @returns {Promise<Object>} Report ({ action, dryRun, results, summary, failedIds })
+   */
+  async function bulkDeleteAssistants(selector, options = {}) {
+    return runBulk(selector, {
+      action: 'delete',
+      apply: assistant => deleteAssistant(assistant.id)
+    }, options);
+  }
+
+  /**
+   * Export assistants as a portable bundle
+   * Ids, timestamps and other workspace-specific fields are left out.
+   * @param {Object|Array<string>|Function} [selector={}] - Query (see findAssistants), assistant ids or predicate
+   * @param {Object} [options] - Options
+   * @param {string} [options.file] - Also write the bundle to this JSON file
+   * @param {string} [options.source] - Label stored in the bundle (e.g. the workspace name)
+   * @returns {Promise<Object>} The bundle
+   */
+  async function exportAssistants(selector = {}, options = {}) {
+    const { selected, missing } = resolveSelector(await getAllAssistants(false), selector);
+    if (missing.length > 0) {
+      throw new VapiError(`Assistants not found: ${missing.join(', ')}`, ERROR_CODES.NOT_FOUND, { missing });
+    }
+
+    const bundle = createBundle(selected, options);
+    if (options.file) {
+      await writeBundle(options.file, bundle);
+    }
+
+    logger.info('Assistants exported', { count: selected.length, file: options.file });
+    return bundle;
+  }
+
+  /**
+   * Import a bundle, creating or updating assistants in this workspace
+   * References between bundled assistants (e.g. transfer destinations) are
+   * rewritten to the ids they get here.
+   * @param {Object|string} source - Bundle, or path to a bundle file
+   * @param {Object} [options] - Options
+   * @param {string} [options.onConflict='skip'] - When an assistant with the same name exists:
+   *   skip it, overwrite it, or rename the imported one
+   * @returns {Promise<Object>} { results, idMap, summary }; idMap maps bundle keys to ids in this workspace
+   */
+  async function importAssistants(source, options = {}) {
+    const bundle = typeof source === 'string' ? await readBundle(source) : validateBundle(source);
+    const plan = planBundleImport(bundle, await getAllAssistants(false), options);
+    const keys = new Set(plan.map(entry => entry.key));
+    const idMap = new Map();
+    const results = [];
+    const unresolved = [];
+
+    // Skipped and overwritten assistants keep their ids, so references to them resolve right away
+    plan.filter(entry => entry.assistantId).forEach(entry => idMap.set(entry.key, entry.assistantId));
+
+    for (const entry of plan) {
+      const { key, action, name } = entry;
+
+      if (action === 'skip') {
+        results.push({ key, action, name, assistantId: entry.assistantId, status: 'skipped' });
+        continue;
+      }
+
+      try {
+        const config = remapIds(entry.config, idMap);
+        const assistant = action === 'create'
+          ? await createFromConfig(config)
+          : await updateAssistant(entry.assistantId, config);
+
+        idMap.set(key, assistant.id);
+        results.push({ key, action, name, assistantId: assistant.id, status: 'imported' });
+
+        // Refers to bundled assistants that do not exist here yet; fixed up below
+        if (referencesAny(config, keys)) {
+          unresolved.push({ entry, result: results[results.length - 1] });
+        }
+      } catch (error) {
+        logger.error('Failed to import assistant', { key, action, error });
+        results.push({ key, action, name, assistantId: entry.assistantId, status: 'failed', error });
+      }
+    }
+
+    for (const { entry, result } of unresolved) {
+      try {
+        await updateAssistant(result.assistantId, remapIds(entry.config, idMap));
+      } catch (error) {
+        logger.error('Failed to remap assistant references', { key: entry.key, error });
+        Object.assign(result, { status: 'failed', error });
+      }
+    }
+
+    const summary = { imported: 0, skipped: 0, failed: 0 };
+    results.forEach(({ status }) => summary[status]++);
+
+    events.emit('assistants:imported', { results, summary });
+    return { results, idMap: Object.fromEntries(idMap), summary };
+  }
+
+  /**
+   * Resolve promotion variables from an object, a file, or the configured file
+   * @private
+   */
+  async function resolvePromotionVariables(variables = settings.promotion?.variablesFile) {
+    if (!variables) return {};
+    return typeof variables === 'string' ? loadEnvironmentVariables(variables) : variables;
+  }
+
+  /**
+   * Show what promoting an assistant to the next environment would change
+   * @param {string} assistantId - Assistant to promote
+   * @param {Object} [options] - Options
+   * @param {string} [options.to] - Target environment (defaults to the one after metadata.environment)
+   * @param {Object|string} [options.variables] - Per-environment values, or a JSON/YAML file with them
+   *   (defaults to VAPI_PROMOTION_VARIABLES)
+   * @returns {Promise<Object>} Plan ({ action, from, to, sourceId, targetId, config, changes, substitutions })
+   */
+  async function planPromotion(assistantId, options = {}) {
+    const variables = await resolvePromotionVariables(options.variables);
+    const assistants = await getAllAssistants(false);
+    const source = assistants.find(assistant => assistant.id === assistantId);
+
+    if (!source) {
+      throw new VapiError(`Assistant not found: ${assistantId}`, ERROR_CODES.NOT_FOUND, { assistantId });
+    }
+    return planAssistantPromotion(source, assistants, { ...options, variables });
+  }
+
+  /**
+   * Copy an assistant into the next environment
+   * Creates the target assistant the first time and updates it afterwards.
+   * Environment-specific values are substituted and every promotion is
+   * recorded in the audit log.
+   * @param {string} assistantId - Assistant to promote
+   * @param {Object} [options] - Options (see planPromotion)
+   * @param {string} [options.actor] - Who is promoting (defaults to VAPI_AUDIT_ACTOR, then the OS user)
+   * @param {boolean} [options.dryRun=false] - Only return the plan
+   * @returns {Promise<Object>} { plan, assistant, audit }
+   */
+  async function promoteAssistant(assistantId, options = {}) {
+    const plan = await planPromotion(assistantId, options);
+    if (options.dryRun || plan.action === 'unchanged') {
+      return { plan };
+    }
+
+    const assistant = plan.action === 'create'
+      ? await createFromConfig(plan.config)
+      : await updateAssistant(plan.targetId, plan.config);
+
+    const audit = await auditLog.append('assistant.promoted', {
+      sourceId: plan.sourceId,
+      targetId: assistant.id,
+      promotionKey: plan.promotionKey,
+      from: plan.from,
+      to: plan.to,
+      action: plan.action,
+      // Paths only: the values can hold webhook URLs, transfer numbers and credentials
+      changedPaths: plan.changes.map(change => change.path)
+    }, { actor: options.actor });
+
+    logger.info('Assistant promoted', { sourceId: plan.sourceId, targetId: assistant.id, from: plan.from, to: plan.to });
+    events.emit('assistant:promoted', { plan, assistant, audit });
+    return { plan, assistant, audit };
+  }
+
+  /**
+   * List recorded promotions, oldest first
+   * @param {Object} [filter] - Filter
+   * @param {string} [filter.assistantId] - Only promotions from or to this assistant
+   * @param {string} [filter.actor] - Only promotions by this actor
+   * @param {Date|string} [filter.since] - Only promotions at or after this time
+   * @returns {Promise<Array<Object>>} Audit entries
+   */
+  async function listPromotions(filter = {}) {
+    const { assistantId, ...rest } = filter;
+    return auditLog.list({
+      ...rest,
+      type: 'assistant.promoted',
+      match: assistantId && (entry => [entry.details.sourceId, entry.details.targetId].includes(assistantId))
+    });
+  }
+
+  /**
+   * Register a tool that assistants can call
+   * The handler runs when a tool-calls webhook arrives; its arguments are
+   * validated against the parameters schema first.
+   * @param {Object} tool - Tool definition
+   * @param {string} tool.name - Function name the model calls
+   * @param {string} tool.description - What the tool does
+   * @param {Object} [tool.parameters] - JSON schema of the arguments
+   * @param {Function} tool.handler - async (args, { call, toolCallId, message }) => result
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.replace=false] - Replace a tool with the same name
+   * @returns {ToolRegistry} The registry
+   */
+  function registerTool(tool, options = {}) {
+    return tools.register(tool, options);
+  }
+
+  /**
+   * Attach registered tools to an existing assistant
+   * @param {string} assistantId - Assistant id
+   * @param {Array<string>} [names] - Tools to attach (defaults to every registered tool)
+   * @returns {Promise<Object>} The updated assistant
+   */
+  async function attachTools(assistantId, names) {
+    const assistant = await getAssistant(assistantId, false);
+    const { model } = tools.attach({ model: assistant.model || {} }, names);
+    return updateAssistant(assistantId, { model });
+  }
+
+  /**
+   * Choose the assistant for inbound calls
+   * The handler answers VAPI's assistant-request webhook. If it throws, returns
+   * nothing or misses the timeout, the fallback assistant is used.
+   * @param {Function} handler - async (message) => assistant id, { assistantId, assistantOverrides },
+   *   { assistant } with a transient config, or { squadId }
+   * @param {Object} [options] - Options
+   * @param {number} [options.timeout] - Milliseconds to wait (defaults to VAPI_WEBHOOK_REQUEST_TIMEOUT)
+   * @param {Object|string|Function} [options.fallback] - Answer to use instead (defaults to VAPI_FALLBACK_ASSISTANT_ID)
+   * @returns {WebhookHandler} The webhook handler
+   */
+  function onAssistantRequest(handler, options = {}) {
+    return webhookHandler.onRequest('assistant-request', handler, options);
+  }
+
+  /**
+   * Start watching an assistant for changes made outside the SDK
+   * @param {string} assistantId - Assistant to watch
+   * @param {Object} [options] - Options
+   * @param {Object} [options.desired] - Configuration the assistant must keep. Without it the
+   *   current configuration is the baseline, and updates made through the SDK move it forward.
+   * @returns {Promise<Object>} The stored baseline ({ source, config, recordedAt })
+   */
+  async function watchAssistant(assistantId, options = {}) {
+    const assistant = await getAssistant(assistantId, false);
+    return driftDetector.watch(assistant, options.desired);
+  }
+
+  /**
+   * Stop watching an assistant for drift
+   * @param {string} assistantId - Assistant id
+   * @returns {Promise<boolean>} True if the assistant was watched
+   */
+  async function unwatchAssistant(assistantId) {
+    return driftDetector.unwatch(assistantId);
+  }
+
+  /**
+   * Compare every watched assistant against its baseline
+   * Emits assistant:drifted for each drifted assistant, and
+   * assistant:drift_reverted for each one restored.
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.autoRevert] - Restore drifted fields (defaults to VAPI_DRIFT_AUTO_REVERT)
+   * @returns {Promise<Object>} { checked, drifted, missing }
+   */
+  async function checkDrift(options = {}) {
+    const result = await driftDetector.check(options);
+    events.emit('assistants:drift_checked', result);
+    return result;
+  }
+
+  /**
+   * Purchase a new phone number
+   * @param {string} phoneNumber - Phone number to purchase; national formats use the default region
+   * @param {PhoneNumberOptions} [options] - Additional options
+   * @returns {Promise<Object>} The purchased phone number
+   */
+  async function purchasePhoneNumber(phoneNumber, options = {}) {
+    // countryCode is passed through as is; only national formats need the default region
+    const parsed = parsePhoneNumber(phoneNumber, settings.phone);
+
+    try {
+      const number = await vapi.phoneNumbers.create({
+        phoneNumber: parsed.number,
+        countryCode: options.countryCode || parsed.country || 'US',
+        capabilities: options.capabilities || ['voice'],
+        webhook: options.webhook
+      });
+
+      await cache.set('phoneNumbers', number.id, number);
+      await cache.invalidate('phoneNumberLists');
+      events.emit('phoneNumber:purchased', number);
+      return number;
+    } catch (error) {
+      throw new VapiError(
+        `Failed to purchase number: ${error.message}`,
+        ERROR_CODES.PHONE_NUMBER_ERROR,
+        { phoneNumber, error }
+      );
+    }
+  }
+
+  /**
+   * Get details of a specific call with enhanced metadata
+   * @param {string} callId - ID of the call to get details for
+   * @param {Object} [options] - Additional options
+   * @param {boolean} [options.includeTranscript=true] - Include call transcript if available
+   * @param {boolean} [options.includeRecording=true] - Include recording URL if available
+   * @returns {Promise<Object>} Enhanced call details
+   */
+  async function getCallDetails(callId, options = {}) {
+    const {
+      includeTranscript = true,
+      includeRecording = true,
+      ...otherOptions
+    } = options;
+
+    try {
+      // Get basic call info
+      const call = await vapi.calls.get(callId, otherOptions);
+
+      // Get additional data in parallel
+      const [transcript, recording] = await Promise.all([
+        includeTranscript ? getCallTranscript(callId).catch(() => null) : null,
+        includeRecording ? getCallRecording(callId).catch(() => null) : null
+      ]);
+
+      // Get call events if available
+      let events = [];
+      try {
+        events = await vapi.calls.listEvents(callId);
+      } catch (e) {
+        logger.warn('Could not fetch call events', { callId, error: e });
+      }
+
+      // Build enhanced call object
+      const enhancedCall = {
+        ...call,
+        metadata: {
+          ...call.metadata,
+          duration: call.endedAt ? 
+            (new Date(call.endedAt) - new Date(call.startedAt)) / 1000 : null,
+          status: call.endedAt ? 'completed' : 'in-progress'
+        },
+        ...(transcript && { transcript }),
+        ...(recording && { recording }),
+        events,
+        _retrievedAt: new Date().toISOString()
+      };
+
+      // Update cache
+      await cache.set('calls', callId, enhancedCall);
+
+      return enhancedCall;
+    } catch (error) {
+      throw new VapiError(
+        `Failed to get call details: ${error.message}`,
+        ERROR_CODES.CALL_ERROR,
+        { callId, originalError: error }
+      );
+    }
+  }
+
+  /**
+   * Get call transcript
+   * @param {string} callId - ID of the call
+   * @returns {Promise<Array>} Call transcript
+   */
+  async function getCallTranscript(callId) {
+    try {
+      return await vapi.calls.getTranscript(callId);
+    } catch (error) {
+      logger.error('Error getting call transcript', { callId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Get call recording URL
+   * @param {string} callId - ID of the call
+   * @returns {Promise<string>} Recording URL
+   */
+  async function getCallRecording(callId) {
+    try {
+      const recording = await vapi.calls.getRecording(callId);
+      return recording?.url || null;
+    } catch (error) {
+      logger.error('Error getting call recording', { callId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Start a new call
+   * Suppressed numbers (see addToDoNotCall) are rejected with NUMBER_SUPPRESSED.
+   * Waits for a free slot while call limits are reached (see getCallUsage).
+   * @param {CallOptions} options - Call configuration
+   * @returns {Promise<Object>} Call details
+   */
+  async function startCall(options) {
+    const {
+      assistantId,
+      customerNumber,
+      phoneNumberId,
+      metadata = {},
+      assistantOverrides = {},
+      recording = {},
+      customer = {},
+      beforeDial,
+      ...otherOptions
+    } = options;
+
+    const dialed = customer.number || customerNumber;
+    const number = dialed ? normalizePhoneNumber(dialed, settings.phone) : undefined;
+    if (number) {
+      await suppression.assertDialable(number, { source: 'startCall', assistantId });
+    }
+
+    const call = await admission.admit({ assistantId, phoneNumberId, metadata: { phoneNumber: number } }, async () => {
+      // The number may have been suppressed while the call waited for a slot
+      if (number) {
+        await suppression.assertDialable(number, { source: 'startCall', assistantId });
+      }
+      if (beforeDial) {
+        await beforeDial();
+      }
+      try {
+        return await vapi.calls.create({
+          assistantId,
+          customer: { ...customer, number },
+          phoneNumberId,
+          metadata,
+          assistantOverrides,
+          recording: {
+            enabled: true,
+            format: 'mp3',
+            ...recording
+          },
+          ...otherOptions
+        });
+      } catch (error) {
+        throw new VapiError(
+          `Failed to start call: ${error.message}`,
+          ERROR_CODES.CALL_ERROR,
+          { options, originalError: error }
+        );
+      }
+    });
+
+    // Update cache
+    await cache.set('calls', call.id, call);
+
+    // Emit event
+    events.emit('call:started', call);
+
+    return call;
+  }
+
+  /**
+   * Calls in flight and waiting for a slot, with the configured limits
+   * Counts calls started by this SDK instance that have not ended yet.
+   * @returns {{inFlight: number, queued: number, byAssistant: Object, byNumber: Object, limits: Object}}
+   */
+  function getCallUsage() {
+    return admission.getUsage();
+  }
+
+  /**
+   * End an ongoing call
+   * @param {string} callId - ID of the call to end
+   * @returns {Promise<Object>} The ended call details
+   */
+  async function endCall(callId) {
+    try {
+      const call = await vapi.calls.end(callId);
+      admission.callEnded(callId);
+      // Update cache
+      await cache.set('calls', callId, call);
+      return call;
+    } catch (error) {
+      logger.error('Error ending call', { callId, error });
+    }
+  }
+
+  /**
+   * Put a number on the do-not-call list
+   * @param {string} number - Phone number
+   * @param {Object} [options] - Options (reason, source, actor)
+   * @returns {Promise<Object>} The number's suppression record
+   */
+  async function addToDoNotCall(number, options = {}) {
+    return suppression.addToDoNotCall(number, options);
+  }
+
+  /**
+   * Take a number off the do-not-call list
+   * @param {string} number - Phone number
+   * @param {Object} [options] - Options (actor)
+   * @returns {Promise<boolean>} True if the number was on the list
+   */
+  async function removeFromDoNotCall(number, options = {}) {
+    return suppression.removeFromDoNotCall(number, options);
+  }
+
+  /**
+   * Add numbers to the do-not-call list from an array or a .csv/.json file
+   * @param {Array<string|Object>|string} source - Numbers or file path
+   * @param {Object} [options] - Options (reason, source, actor)
+   * @returns {Promise<Object>} { added, existing, invalid }
+   */
+  async function importDoNotCall(source, options = {}) {
+    return suppression.importDoNotCall(source, options);
+  }
+
+  /**
+   * List the do-not-call entries, optionally writing them to a .csv or .json file
+   * @param {string} [file] - File to write
+   * @returns {Promise<Array<Object>>} Entries
+   */
+  async function exportDoNotCall(file) {
+    return suppression.exportDoNotCall(file);
+  }
+
+  /**
+   * Record that a number's owner agreed to be called
+   * @param {string} number - Phone number
+   * @param {Object} [options] - Options (expiresAt, source, actor)
+   * @returns {Promise<Object>} The number's suppression record
+   */
+  async function recordConsent(number, options = {}) {
+    return suppression.recordConsent(number, options);
+  }
+
+  /**
+   * Record that a number's owner withdrew consent
+   * @param {string} number - Phone number
+   * @param {Object} [options] - Options (source, actor)
+   * @returns {Promise<Object>} The number's suppression record
+   */
+  async function revokeConsent(number, options = {}) {
+    return suppression.revokeConsent(number, options);
+  }
+
+  /**
+   * Whether a number may be called now
+   * @param {string} number - Phone number
+   * @returns {Promise<Object>} { number, allowed, reason }
+   */
+  async function checkNumber(number) {
+    return suppression.check(number);
+  }
+
+  /**
+   * Schedule a call for later
+   * Jobs are stored durably and fire through startCall once the SDK is started,
+   * including jobs that fell due while the process was down.
+   * @param {CallOptions & {at: Date|number|string, timezone?: string, id?: string}} options - Call options plus
+   *   when to call: a Date, an ISO timestamp, or a local time such as "tomorrow 10:00" or "2024-05-02T10:00" read in `timezone`
+   * @returns {Promise<Object>} The scheduled job
+   */
+  async function scheduleCall(options = {}) {
+    const { at, timezone, id, ...callOptions } = options;
+    return scheduler.schedule(callOptions, { at, timezone, id });
+  }
+
+  /**
+   * Move a scheduled call to another time
+   * @param {string} jobId - Scheduled call ID
+   * @param {Date|number|string} at - New time
+   * @param {Object} [options] - Options
+   * @param {string} [options.timezone] - Time zone for local times (defaults to the job's)
+   * @returns {Promise<Object>} The updated job
+   */
+  async function rescheduleCall(jobId, at, options = {}) {
+    return scheduler.reschedule(jobId, at, options);
+  }
+
+  /**
+   * Cancel a scheduled call that has not fired yet
+   * @param {string} jobId - Scheduled call ID
+   * @returns {Promise<Object>} The cancelled job
+   */
+  async function cancelScheduledCall(jobId) {
+    return scheduler.cancel(jobId);
+  }
+
+  /**
+   * List scheduled calls, soonest first
+   * @param {Object} [filter] - Filter
+   * @param {string} [filter.status] - scheduled, fired, failed or cancelled
+   * @returns {Promise<Array<Object>>} Jobs
+   */
+  async function listScheduledCalls(filter = {}) {
+    return scheduler.list(filter);
+  }
+
+  /**
+   * Wait for a call to end
+   * Calls the call monitor is tracking are followed through its polling and
+   * webhooks instead of a second poll; others are polled here.
+   * @private
+   */
+  async function waitForCallEnd(callId) {
+    const { outcomePollInterval, outcomeTimeout } = settings.campaigns;
+    const deadline = Date.now() + outcomeTimeout;
+
+    const monitored = callMonitor.getCall(callId);
+    if (monitored && !ENDED_CALL_STATUSES.includes(monitored.status)) {
+      return waitForMonitoredCallEnd(callId, outcomeTimeout);
+    }
+
+    for (;;) {
+      const call = await vapi.calls.get(callId);
+      if (ENDED_CALL_STATUSES.includes(call.status)) {
+        return call;
+      }
+      if (Date.now() >= deadline) {
+        throw new VapiError(`Call ${callId} did not end within ${outcomeTimeout}ms`, ERROR_CODES.TIMEOUT, { callId });
+      }
+      await new Promise(resolve => setTimeout(resolve, outcomePollInterval));
+    }
+  }
+
+  /**
+   * Resolve with the ended call once the call monitor sees it end or drops it
+   * @private
+   */
+  function waitForMonitoredCallEnd(callId, outcomeTimeout) {
+    return new Promise((resolve, reject) => {
+      const finish = (outcome) => {
+        clearTimeout(timer);
+        callMonitor.off('call:status_changed', onStatusChanged);
+        callMonitor.off('call:removed', onRemoved);
+        outcome.then(resolve, reject);
+      };
+      const onStatusChanged = ({ callId: changedId, to, call }) => {
+        if (changedId === callId && ENDED_CALL_STATUSES.includes(to)) {
+          finish(Promise.resolve(call));
+        }
+      };
+      // Ended by a webhook or endCall: fetch once for the final status and endedReason
+      const onRemoved = (callData) => {
+        if (callData.id === callId) {
+          finish(vapi.calls.get(callId));
+        }
+      };
+      const timer = setTimeout(() => finish(Promise.reject(
+        new VapiError(`Call ${callId} did not end within ${outcomeTimeout}ms`, ERROR_CODES.TIMEOUT, { callId })
+      )), outcomeTimeout);
+
+      callMonitor.on('call:status_changed', onStatusChanged);
+      callMonitor.on('call:removed', onRemoved);
+    });
+  }
+
+  /**
+   * Start an outbound calling campaign
+   * Contacts are dialed through startCall; their variables reach the assistant
+   * as variableValues. Progress is reported on the SDK events as campaign:* events.
+   * @param {Object} options - Campaign options (see Campaign); unset pacing options come from settings.campaigns
+   * @param {Array<Object>|string} options.contacts - Contacts, or path to a .csv or .json contact list
+   * @returns {Promise<Campaign>} The running campaign; await campaign.finished for the final progress
+   */
+  async function startCampaign(options = {}) {
+    const contacts = await loadContacts(options.contacts, {
+      defaultRegion: options.defaultRegion || settings.phone.defaultRegion
+    });
+    const campaign = new Campaign({
+      concurrency: settings.campaigns.concurrency,
+      callsPerMinute: settings.campaigns.callsPerMinute,
+      timezone: settings.campaigns.timezone,
+      ...options,
+      contacts,
+      startCall: (callOptions) => startCall(callOptions),
+      waitForOutcome: (call) => waitForCallEnd(call.id),
+      logger: campaignLogger
+    });
+
+    if (campaigns.has(campaign.id)) {
+      throw new VapiError(`Campaign ${campaign.id} already exists`, ERROR_CODES.VALIDATION_ERROR, { campaignId: campaign.id });
     }
+
+    CAMPAIGN_EVENTS.forEach(name => campaign.on(name, payload => events.emit(name, payload)));
+    campaigns.set(campaign.id, campaign);
+    return campaign.start();
   }
-});
 
-// Initialize services with enhanced configuration
-const callMonitor = new CallMonitor(vapi, {
-  monitoringInterval: parseInt(process.env.VAPI_MONITOR_INTERVAL || '3000'),
-  maxConcurrentCalls: parseInt(process.env.VAPI_MAX_CONCURRENT_CALLS || '100'),
-  eventBufferSize: parseInt(process.env.VAPI_EVENT_BUFFER_SIZE || '1000')
-});
+  /**
+   * Get a campaign started by this instance
+   * @param {string} campaignId - Campaign ID
+   * @returns {Campaign} Campaign
+   */
+  function getCampaign(campaignId) {
+    const campaign = campaigns.get(campaignId);
+    if (!campaign) {
+      throw new VapiError(`Campaign not found: ${campaignId}`, ERROR_CODES.NOT_FOUND, { campaignId });
+    }
+    return campaign;
+  }
 
-const recordingManager = new CallRecordingManager(vapi, {
-  storagePath: process.env.VAPI_RECORDING_PATH || path.join(__dirname, 'recordings'),
-  retentionDays: parseInt(process.env.VAPI_RETENTION_DAYS || '30'),
-  encryptionKey: process.env.VAPI_ENCRYPTION_KEY,
-  storageProvider: process.env.VAPI_STORAGE_PROVIDER || 'local', // 'local', 's3', 'gcs', 'azure'
-  storageConfig: {
-    // Common storage configuration
-    acl: 'private',
-    // Provider-specific configs can be added here
-    ...(process.env.VAPI_STORAGE_CONFIG ? JSON.parse(process.env.VAPI_STORAGE_CONFIG) : {})
+  /**
+   * Progress of every campaign started by this instance
+   * @returns {Array<Object>} Progress, one entry per campaign
+   */
+  function listCampaigns() {
+    return [...campaigns.values()].map(campaign => campaign.getProgress());
   }
-});
 
-const webhookHandler = new WebhookHandler({
-  secret: process.env.VAPI_WEBHOOK_SECRET,
-  path: process.env.VAPI_WEBHOOK_PATH || '/vapi/webhook',
-  maxBodySize: process.env.VAPI_WEBHOOK_MAX_BODY_SIZE || '10mb',
-  onEvent: (eventType, eventData) => {
-    // Emit event for internal use
-    vapiEvents.emit(eventType, eventData);
-    
-    // Log the event
-    if (process.env.NODE_ENV !== 'test') {
-      console.log(`[Webhook] ${eventType}`, JSON.stringify(eventData, null, 2));
-    }
-  },
-  // Webhook verification
-  verifySignature: true,
-  // Rate limiting
-  rateLimit: {
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100 // Limit each IP to 100 requests per windowMs
+  /**
+   * Stop a campaign from starting new calls
+   * @param {string} campaignId - Campaign ID
+   * @returns {boolean} Whether the campaign was running
+   */
+  function pauseCampaign(campaignId) {
+    return getCampaign(campaignId).pause();
   }
-});
 
-/**
- * Cache configuration and management
- */
-const cache = {
-  assistants: {
-    data: null,
-    ttl: 5 * 60 * 1000, // 5 minutes
-    lastUpdated: 0
-  },
-  phoneNumbers: {
-    data: null,
-    ttl: 30 * 60 * 1000, // 30 minutes
-    lastUpdated: 0
-  },
-  calls: {
-    // In-memory store for active calls
-    data: {},
-    ttl: 24 * 60 * 60 * 1000, // 24 hours
-    cleanupInterval: setInterval(() => {
-      const now = Date.now();
-      Object.keys(cache.calls.data).forEach(callId => {
-        if (now - (cache.calls.data[callId]?.timestamp || 0) > cache.calls.ttl) {
-          delete cache.calls.data[callId];
-        }
+  /**
+   * Continue a paused campaign
+   * @param {string} campaignId - Campaign ID
+   * @returns {boolean} Whether the campaign was paused
+   */
+  function resumeCampaign(campaignId) {
+    return getCampaign(campaignId).resume();
+  }
+
+  /**
+   * Cancel a campaign; calls in progress are left to finish
+   * @param {string} campaignId - Campaign ID
+   * @returns {boolean} Whether the campaign was still going
+   */
+  function cancelCampaign(campaignId) {
+    return getCampaign(campaignId).cancel();
+  }
+
+  /**
+   * Start background work: recording storage, call monitoring and cache pruning
+   * Concurrent calls share one start; a failed start can be retried.
+   * @returns {Promise<void>}
+   */
+  function start() {
+    if (!starting) {
+      starting = (async () => {
+        await recordingManager.initialize();
+        callMonitor.startMonitoring();
+        driftDetector.start();
+        await scheduler.start();
+        cacheCleanupIntervalId = setInterval(
+          () => cache.prune().catch(error => logger.error('Cache cleanup failed', { error })),
+          settings.cache?.cleanupInterval || 60 * 60 * 1000 // Cleanup hourly
+        );
+        events.emit('sdk:started');
+      })().catch((error) => {
+        starting = null;
+        throw error;
       });
-    }, 60 * 60 * 1000) // Cleanup hourly
-  },
-  recordings: {
-    data: {},
-    ttl: 7 * 24 * 60 * 60 * 1000, // 7 days
-    maxSize: 1000 // Max number of recordings to keep in memory
-  },
-  
-  // Cache utility methods
-  async get(key, fetchFn, options = {}) {
-    const cacheItem = this[key];
-    if (!cacheItem) throw new Error(`Invalid cache key: ${key}`);
-    
-    const now = Date.now();
-    const forceRefresh = options.forceRefresh || false;
-    
-    if (forceRefresh || !cacheItem.data || now - cacheItem.lastUpdated > cacheItem.ttl) {
-      try {
-        cacheItem.data = await fetchFn();
-        cacheItem.lastUpdated = now;
-      } catch (error) {
-        console.error(`Failed to update cache for ${key}:`, error);
-        if (!cacheItem.data) throw error; // Only throw if we don't have cached data
-      }
     }
-    
-    return cacheItem.data;
-  },
-  
-  // Invalidate specific cache
-  invalidate(key) {
-    if (this[key] && this[key].data) {
-      this[key].data = null;
-      this[key].lastUpdated = 0;
-      return true;
+    return starting;
+  }
+
+  /**
+   * Stop all background work started by start() or by monitored calls
+   * @returns {Promise<void>}
+   */
+  async function shutdown() {
+    callMonitor.stopMonitoring();
+    driftDetector.stop();
+    scheduler.stop();
+    campaigns.forEach(campaign => campaign.pause());
+    admission.cancelQueued('shutdown');
+
+    if (cacheCleanupIntervalId) {
+      clearInterval(cacheCleanupIntervalId);
+      cacheCleanupIntervalId = null;
     }
-    return false;
-  },
-  
-  // Clear all caches
-  clear() {
-    Object.keys(this).forEach(key => {
-      if (this[key] && typeof this[key] === 'object' && 'data' in this[key]) {
-        this[key].data = null;
-        this[key].lastUpdated = 0;
-      }
-    });
+    starting = null;
+
+    events.emit('sdk:shutdown');
   }
-};
 
-// Start monitoring for active calls
-callMonitor.startMonitoring();
+  // Wrap functions with asyncHandler
+  return {
+    // VAPI client
+    vapi,
 
-// Set up event listeners
-callMonitor.on('call:added', (call) => {
-  console.log(`[CallMonitor] New call started: ${call.id}`);
-});
+    // Core functions (wrapped with asyncHandler)
+    createAssistant: asyncHandler(createAssistant),
+    createAssistantFromConfig: asyncHandler(createAssistantFromConfig),
+    startPhoneCall: asyncHandler(startPhoneCall),
+    listAssistants: asyncHandler(listAssistants),
+    getAssistant: asyncHandler(getAssistant),
+    updateAssistant: asyncHandler(updateAssistant),
+    deleteAssistant: asyncHandler(deleteAssistant),
+    listAssistantVersions: asyncHandler(listAssistantVersions),
+    getAssistantVersion: asyncHandler(getAssistantVersion),
+    rollbackAssistant: asyncHandler(rollbackAssistant),
+    planManifests: asyncHandler(planManifests),
+    applyManifests: asyncHandler(applyManifests),
+    lintAssistant: asyncHandler(lintAssistant),
+    lintAssistants: asyncHandler(lintAssistants),
+    findAssistants: asyncHandler(findAssistants),
+    findAssistant: asyncHandler(findAssistant),
+    bulkUpdateAssistants: asyncHandler(bulkUpdateAssistants),
+    bulkPatchAssistants: asyncHandler(bulkPatchAssistants),
+    bulkRetagAssistants: asyncHandler(bulkRetagAssistants),
+    bulkDeleteAssistants: asyncHandler(bulkDeleteAssistants),
+    exportAssistants: asyncHandler(exportAssistants),
+    importAssistants: asyncHandler(importAssistants),
+    planPromotion: asyncHandler(planPromotion),
+    promoteAssistant: asyncHandler(promoteAssistant),
+    listPromotions: asyncHandler(listPromotions),
+    registerTool,
+    attachTools: asyncHandler(attachTools),
+    onAssistantRequest,
+    watchAssistant: asyncHandler(watchAssistant),
+    unwatchAssistant: asyncHandler(unwatchAssistant),
+    checkDrift: asyncHandler(checkDrift),
+    listPhoneNumbers: asyncHandler(listPhoneNumbers),
 
-callMonitor.on('call:status_changed', ({ callId, from, to }) => {
-  console.log(`[CallMonitor] Call ${callId} status changed: ${from} -> ${to}`);
-});
+    // Async generators (errors are VapiErrors already)
+    iterateAssistants,
+    iterateCalls,
+    iteratePhoneNumbers,
 
-callMonitor.on('call:transcription', ({ callId, data }) => {
-  console.log(`[CallMonitor] Transcription (${callId}): ${data.text}`);
-});
+    purchasePhoneNumber: asyncHandler(purchasePhoneNumber),
+    getCallDetails: asyncHandler(getCallDetails),
+    startCall: asyncHandler(startCall),
+    endCall: asyncHandler(endCall),
+    startCampaign: asyncHandler(startCampaign),
+    getCampaign,
+    listCampaigns,
+    pauseCampaign,
+    resumeCampaign,
+    cancelCampaign,
+    scheduleCall: asyncHandler(scheduleCall),
+    rescheduleCall: asyncHandler(rescheduleCall),
+    cancelScheduledCall: asyncHandler(cancelScheduledCall),
+    listScheduledCalls: asyncHandler(listScheduledCalls),
+    addToDoNotCall: asyncHandler(addToDoNotCall),
+    removeFromDoNotCall: asyncHandler(removeFromDoNotCall),
+    importDoNotCall: asyncHandler(importDoNotCall),
+    exportDoNotCall: asyncHandler(exportDoNotCall),
+    recordConsent: asyncHandler(recordConsent),
+    revokeConsent: asyncHandler(revokeConsent),
+    checkNumber: asyncHandler(checkNumber),
+    getCallUsage,
 
-callMonitor.on('error', (error) => {
-  console.error('[CallMonitor] Error:', error);
-});
+    // Services
+    events,
+    logger: rootLogger,
+    cache,
+    versions,
+    linter,
+    auditLog,
+    driftDetector,
+    tools,
+    scheduler,
+    suppression,
+    admission,
+    callMonitor,
+    recordingManager,
+    webhookHandler,
+
+    // Lifecycle
+    start,
+    shutdown
+  };
+}
 
 /**
- * Assistant configuration options
- * @typedef {Object} AssistantOptions
- * @property {string} [model='gpt-4o'] - Model to use
- * @property {number} [temperature=0.7] - Temperature for generation (0-2)
- * @property {string} [voiceProvider='vapi'] - Voice provider (vapi, 11labs, etc.)
- * @property {string} [voiceId='Elliot'] - Voice ID
- * @property {boolean} [enableTranscription=true] - Enable call transcription
- * @property {Object} [metadata] - Custom metadata
- * @property {Array} [functions] - Custom functions
- * @property {string} [language='en-US'] - Language code
- * @property {Object} [voice] - Complete voice configuration
- * @property {Object} [modelConfig] - Complete model configuration
- * @property {boolean} [endCallFunctionEnabled=true] - Enable end call function
- * @property {boolean} [recordingEnabled=false] - Enable call recording
- * @property {string} [recordingFileFormat='mp3'] - Recording format (mp3, wav)
- * @property {Object} [webhook] - Webhook configuration
- * @property {string} [webhook.url] - Webhook URL
- * @property {Array<string>} [webhook.events] - Events to receive
- * @property {Object} [webhook.headers] - Custom headers
- * @property {Object} [webhook.auth] - Authentication configuration
+ * Create a registry of isolated SDK instances, one per VAPI workspace
+ * @param {Object<string, VapiSdkConfig>} [workspaces] - Initial workspaces keyed by name
+ * @returns {WorkspaceManager} Workspace manager
  */
+function createWorkspaceManager(workspaces = {}) {
+  return new WorkspaceManager({ createSdk: createVapiSdk, workspaces });
+}
+
+// Default instance backing the module-level exports. It is created on first use and
+// never started here, so importing never throws; a bad environment is reported by the
+// first call instead. Missing values are tolerated; main() validates strictly.
+let defaultSdk = null;
 
 /**
- * Create a new Vapi assistant with comprehensive configuration
- * @param {string} name - Name of the assistant
- * @param {string} firstMessage - First message the assistant will say
- * @param {string} systemPrompt - System prompt for the assistant
- * @param {AssistantOptions} [options] - Additional options
- * @returns {Promise<Object>} The created assistant
+ * Get the default instance, creating it on first use
+ * @returns {Object} SDK instance
+ * @private
  */
-async function createAssistant(name, firstMessage, systemPrompt, options = {}) {
-  const defaultOptions = {
-    model: 'gpt-4o',
-    temperature: 0.7,
-    voiceProvider: 'vapi',
-    voiceId: 'Elliot',
-    enableTranscription: true,
-    endCallFunctionEnabled: true,
-    recordingEnabled: false,
-    language: 'en-US',
-    metadata: {}
-  };
-  
-  const {
-    model,
-    temperature,
-    voiceProvider,
-    voiceId,
-    enableTranscription,
-    endCallFunctionEnabled,
-    recordingEnabled,
-    language,
-    metadata,
-    functions,
-    webhook,
-    ...restOptions
-  } = { ...defaultOptions, ...options };
-  
-  try {
-    const assistantData = {
-      name,
-      firstMessage,
-      language,
-      metadata: {
-        createdBy: 'vapi-sdk',
-        version: '1.0',
-        ...metadata
-      },
-      model: {
-        provider: 'openai',
-        model,
-        temperature: Math.min(Math.max(temperature, 0), 2), // Clamp to 0-2
-        messages: [
-          {
-            role: 'system',
-            content: systemPrompt
-          }
-        ],
-        ...(functions && { functions }),
-        ...(options.modelConfig || {})
-      },
-      voice: {
-        provider: voiceProvider,
-        voiceId,
-        ...(options.voice || {})
-      },
-      enableTranscription,
-      endCallFunctionEnabled,
-      recordingEnabled,
-      ...(webhook && { webhook }),
-      ...restOptions
-    };
-    
-    // Apply any custom model or voice config
-    if (options.modelConfig) {
-      assistantData.model = { ...assistantData.model, ...options.modelConfig };
-    }
-    
-    if (options.voice) {
-      assistantData.voice = { ...assistantData.voice, ...options.voice };
-    }
-    
-    // Create the assistant
-    const assistant = await vapi.assistants.create(assistantData);
-    
-    // Invalidate cache
-    cache.invalidate('assistants');
-    
-    // Emit event
-    vapiEvents.emit('assistant:created', assistant);
-    
-    return assistant;
-  } catch (error) {
-    const errorMessage = `Failed to create assistant: ${error.message}`;
-    console.error(errorMessage, { name, error });
-    
-    throw new VapiError(
-      ERROR_CODES.ASSISTANT_CREATION_FAILED,
-      errorMessage,
-      { 
-        name,
-        originalError: error,
-        options: {
-          ...options,
-          systemPrompt: systemPrompt ? '[REDACTED]' : undefined
-        }
-      }
-    );
+function getDefaultSdk() {
+  if (!defaultSdk) {
+    defaultSdk = createVapiSdk({ allowMissing: true });
   }
+  return defaultSdk;
 }
 
 /**
- * Start a phone call using the assistant with enhanced monitoring
- * @param {string} assistantId - ID of the assistant to use
- * @param {string} phoneNumber - Phone number to call (in E.164 format, e.g., "+1234567890")
- * @param {string} phoneNumberId - Your Vapi phone number ID
- * @param {Object} [metadata] - Additional metadata to associate with the call
- * @returns {Promise<Object>} The call object
+ * Stand-in for a service of the default instance that forwards every operation to it
+ * @param {string} name - Service name on the SDK instance
+ * @returns {Proxy}
+ * @private
  */
-async function startPhoneCall(assistantId, phoneNumber, phoneNumberId, metadata = {}) {
-  const call = await vapi.calls.create({
-    phoneNumberId,
-    customer: { 
-      number: phoneNumber,
-      ...(metadata.customer || {})
-    },
-    assistantId,
-    metadata: {
-      initiatedBy: 'api',
-      timestamp: new Date().toISOString(),
-      ...metadata
-    }
-  });
-  
-  // Add call to monitoring
-  await callMonitor.addCall(call.id, {
-    assistantId,
-    phoneNumber,
-    ...metadata
-  });
-  
-  console.log(`[Call] Started: ${call.id} to ${phoneNumber}`);
-  return call;
+function defaultService(name) {
+  const handler = {};
+  for (const trap of Object.getOwnPropertyNames(Reflect)) {
+    handler[trap] = (target, ...args) => Reflect[trap](getDefaultSdk()[name], ...args);
+  }
+  return new Proxy({}, handler);
 }
 
+// Module-level functions call through to the default instance
+const defaultFunctions = new Proxy({}, {
+  get: (target, name) => (...args) => getDefaultSdk()[name](...args)
+});
+
+const vapi = defaultService('vapi');
+const callMonitor = defaultService('callMonitor');
+const recordingManager = defaultService('recordingManager');
+const webhookHandler = defaultService('webhookHandler');
+
+const {
+  createAssistant,
+  createAssistantFromConfig,
+  startPhoneCall,
+  listAssistants,
+  getAssistant,
+  updateAssistant,
+  deleteAssistant,
+  listAssistantVersions,
+  getAssistantVersion,
+  rollbackAssistant,
+  planManifests,
+  applyManifests,
+  lintAssistant,
+  lintAssistants,
+  findAssistants,
+  findAssistant,
+  bulkUpdateAssistants,
+  bulkPatchAssistants,
+  bulkRetagAssistants,
+  bulkDeleteAssistants,
+  exportAssistants,
+  importAssistants,
+  planPromotion,
+  promoteAssistant,
+  listPromotions,
+  watchAssistant,
+  unwatchAssistant,
+  checkDrift,
+  registerTool,
+  attachTools,
+  onAssistantRequest,
+  listPhoneNumbers,
+  iterateAssistants,
+  iterateCalls,
+  iteratePhoneNumbers,
+  purchasePhoneNumber,
+  getCallDetails,
+  startCall,
+  endCall,
+  startCampaign,
+  getCampaign,
+  listCampaigns,
+  pauseCampaign,
+  resumeCampaign,
+  cancelCampaign,
+  scheduleCall,
+  rescheduleCall,
+  cancelScheduledCall,
+  listScheduledCalls,
+  addToDoNotCall,
+  removeFromDoNotCall,
+  importDoNotCall,
+  exportDoNotCall,
+  recordConsent,
+  revokeConsent,
+  checkNumber,
+  getCallUsage
+} = defaultFunctions;
+
+// Event emitter for SDK events
+export const vapiEvents = defaultService('events');
+
 /**
  * Example usage of the VAPI SDK with all features
  */
 async function main() {
   try {
+    // Report every invalid or missing setting up front
+    loadConfig();
+
     console.log('=== VAPI SDK Demo ===\n');
 
     // 1. List or create an assistant
@@ -428,387 +2099,86 @@ async function main() {
   }
 }
 
-// Run the example
-if (process.env.NODE_ENV !== 'test') {
-  main();
-}
-
-/**
- * List all available assistants with pagination and filtering
- * @param {Object} [options] - Query options
- * @param {number} [options.limit=50] - Number of items per page
- * @param {string} [options.cursor] - Cursor for pagination
- * @param {string} [options.search] - Search query
- * @param {string} [options.sortBy='createdAt'] - Field to sort by
- * @param {string} [options.sortOrder='desc'] - Sort order ('asc' or 'desc')
- * @param {boolean} [useCache=true] - Use cached data if available
- * @returns {Promise<Object>} Paginated list of assistants and pagination info
- */
-async function listAssistants(options = {}, useCache = true) {
-  const {
-    limit = 50,
-    cursor,
-    search,
-    sortBy = 'createdAt',
-    sortOrder = 'desc',
-    ...otherParams
-  } = options;
-
-  const cacheKey = `assistants:${JSON.stringify({ limit, cursor, search, sortBy, sortOrder })}`;
-  
-  const fetchAssistants = async () => {
-    const params = {
-      limit,
-      cursor,
-      search,
-      sort: `${sortOrder === 'desc' ? '-' : ''}${sortBy}`,
-      ...otherParams
-    };
-    
-    const response = await vapi.assistants.list(params);
-    
-    // Store individual assistants in cache for quick lookup
-    if (response.data) {
-      response.data.forEach(assistant => {
-        cache.assistants.data = cache.assistants.data || {};
-        cache.assistants.data[assistant.id] = assistant;
-      });
-    }
-    
-    return response;
-  };
-  
-  try {
-    if (useCache && cache.assistants?.data && !cursor && !search) {
-      // Return cached data if available and no pagination/search
-      const now = Date.now();
-      if (now - cache.assistants.lastUpdated < cache.assistants.ttl) {
-        return {
-          data: Object.values(cache.assistants.data || {}),
-          hasMore: false,
-          cursor: null
-        };
-      }
-    }
-    
-    return await fetchAssistants();
-  } catch (error) {
-    console.error('Error listing assistants:', error);
-    throw new VapiError(
-      ERROR_CODES.API_ERROR,
-      'Failed to list assistants',
-      { originalError: error, options }
-    );
-  }
-}
-
-/**
- * Update an existing assistant
- * @param {string} assistantId - ID of the assistant to update
- * @param {Object} updates - Fields to update
- * @returns {Promise<Object>} The updated assistant
- */
-async function updateAssistant(assistantId, updates) {
-  try {
-    const updatedAssistant = await vapi.assistants.update(assistantId, updates);
-    // Invalidate cache
-    cache.assistants = null;
-    return updatedAssistant;
-  } catch (error) {
-    console.error(`Error updating assistant ${assistantId}:`, error);
-    throw error;
-  }
-}
-
-/**
- * Delete an assistant
- * @param {string} assistantId - ID of the assistant to delete
- * @returns {Promise<boolean>} True if deletion was successful
- */
-async function deleteAssistant(assistantId) {
-  try {
-    await vapi.assistants.delete(assistantId);
-    // Invalidate cache
-    cache.assistants = null;
-    return true;
-  } catch (error) {
-    console.error(`Error deleting assistant ${assistantId}:`, error);
-    throw error;
-  }
-}
-
-/**
- * Phone number configuration options
- * @typedef {Object} PhoneNumberOptions
- * @property {string} [countryCode='US'] - ISO 3166-1 alpha-2 country code
- * @property {Array<string>} [capabilities] - Required capabilities (e.g., ['voice', 'sms'])
- * @property {Object} [webhook] - Webhook configuration for this number
- */
-
-/**
- * List available phone numbers with filtering
- * @param {Object} [options] - Query options
- * @param {string} [options.countryCode] - Filter by country code
- * @param {Array<string>} [options.capabilities] - Filter by capabilities
- * @param {boolean} [useCache=true] - Use cached data if available
- * @returns {Promise<Object>} List of phone numbers
- */
-async function listPhoneNumbers(options = {}, useCache = true) {
-  const fetchNumbers = async () => {
-    const params = {
-      ...(options.countryCode && { country_code: options.countryCode }),
-      ...(options.capabilities && { capabilities: options.capabilities.join(',') })
-    };
-    
-    const response = await vapi.phoneNumbers.list(params);
-    
-    // Cache individual numbers
-    if (response.data) {
-      cache.phoneNumbers.data = cache.phoneNumbers.data || {};
-      response.data.forEach(number => {
-        cache.phoneNumbers.data[number.id] = number;
-      });
-    }
-    
-    return response;
-  };
-  
-  try {
-    return await cache.get('phoneNumbers', fetchNumbers, { forceRefresh: !useCache });
-  } catch (error) {
-    throw new VapiError(
-      ERROR_CODES.API_ERROR,
-      'Failed to list phone numbers',
-      { originalError: error }
-    );
-  }
-}
-
-/**
- * Purchase a new phone number
- * @param {string} phoneNumber - Phone number to purchase (E.164 format)
- * @param {PhoneNumberOptions} [options] - Additional options
- * @returns {Promise<Object>} The purchased phone number
- */
-async function purchasePhoneNumber(phoneNumber, options = {}) {
-  try {
-    const number = await vapi.phoneNumbers.create({
-      phoneNumber,
-      countryCode: options.countryCode || 'US',
-      capabilities: options.capabilities || ['voice'],
-      webhook: options.webhook
-    });
-    
-    cache.invalidate('phoneNumbers');
-    vapiEvents.emit('phoneNumber:purchased', number);
-    return number;
-  } catch (error) {
-    throw new VapiError(
-      ERROR_CODES.PHONE_NUMBER_ERROR,
-      `Failed to purchase number: ${error.message}`,
-      { phoneNumber, error }
-    );
-  }
-}
-
-/**
- * Call configuration options
- * @typedef {Object} CallOptions
- * @property {string} [assistantId] - Assistant ID for the call
- * @property {string} [customerNumber] - Customer phone number (E.164 format)
- * @property {string} [phoneNumberId] - Your Vapi phone number ID
- * @property {Object} [metadata] - Custom metadata for the call
- * @property {Object} [assistantOverrides] - Override assistant settings for this call
- * @property {Object} [recording] - Recording settings
- * @property {boolean} [recording.enabled] - Enable/disable call recording
- * @property {string} [recording.format] - Recording format (mp3, wav)
- */
-
-/**
- * Get details of a specific call with enhanced metadata
- * @param {string} callId - ID of the call to get details for
- * @param {Object} [options] - Additional options
- * @param {boolean} [options.includeTranscript=true] - Include call transcript if available
- * @param {boolean} [options.includeRecording=true] - Include recording URL if available
- * @returns {Promise<Object>} Enhanced call details
- */
-async function getCallDetails(callId, options = {}) {
-  const {
-    includeTranscript = true,
-    includeRecording = true,
-    ...otherOptions
-  } = options;
-  
-  try {
-    // Get basic call info
-    const call = await vapi.calls.get(callId, otherOptions);
-    
-    // Get additional data in parallel
-    const [transcript, recording] = await Promise.all([
-      includeTranscript ? getCallTranscript(callId).catch(() => null) : null,
-      includeRecording ? getCallRecording(callId).catch(() => null) : null
-    ]);
-    
-    // Get call events if available
-    let events = [];
-    try {
-      events = await vapi.calls.listEvents(callId);
-    } catch (e) {
-      console.warn(`Could not fetch events for call ${callId}:`, e);
-    }
-    
-    // Build enhanced call object
-    const enhancedCall = {
-      ...call,
-      metadata: {
-        ...call.metadata,
-        duration: call.endedAt ? 
-          (new Date(call.endedAt) - new Date(call.startedAt)) / 1000 : null,
-        status: call.endedAt ? 'completed' : 'in-progress'
-      },
-      ...(transcript && { transcript }),
-      ...(recording && { recording }),
-      events,
-      _retrievedAt: new Date().toISOString()
-    };
-    
-    // Update cache
-    cache.calls.data = cache.calls.data || {};
-    cache.calls.data[callId] = {
-      ...enhancedCall,
-      timestamp: Date.now()
-    };
-    
-    return enhancedCall;
-  } catch (error) {
-    throw new VapiError(
-      ERROR_CODES.CALL_ERROR,
-      `Failed to get call details: ${error.message}`,
-      { callId, originalError: error }
-    );
-  }
-}
-
-/**
- * Get call transcript
- * @param {string} callId - ID of the call
- * @returns {Promise<Array>} Call transcript
- */
-async function getCallTranscript(callId) {
-  try {
-    return await vapi.calls.getTranscript(callId);
-  } catch (error) {
-    console.error(`Error getting transcript for call ${callId}:`, error);
-    throw error;
-  }
-}
-
-/**
- * Get call recording URL
- * @param {string} callId - ID of the call
- * @returns {Promise<string>} Recording URL
- */
-async function getCallRecording(callId) {
-  try {
-    const recording = await vapi.calls.getRecording(callId);
-    return recording?.url || null;
-  } catch (error) {
-    console.error(`Error getting recording for call ${callId}:`, error);
-    throw error;
-  }
-}
-
-/**
- * Start a new call
- * @param {CallOptions} options - Call configuration
- * @returns {Promise<Object>} Call details
- */
-async function startCall(options) {
-  const {
-    assistantId,
-    customerNumber,
-    phoneNumberId,
-    metadata = {},
-    assistantOverrides = {},
-    recording = {},
-    ...otherOptions
-  } = options;
-  
-  try {
-    const call = await vapi.calls.create({
-      assistantId,
-      customer: { number: customerNumber },
-      phoneNumberId,
-      metadata,
-      assistantOverrides,
-      recording: {
-        enabled: true,
-        format: 'mp3',
-        ...recording
-      },
-      ...otherOptions
-    });
-    
-    // Update cache
-    cache.calls.data = cache.calls.data || {};
-    cache.calls.data[call.id] = {
-      ...call,
-      timestamp: Date.now()
-    };
-    
-    // Emit event
-    vapiEvents.emit('call:started', call);
-    
-    return call;
-  } catch (error) {
-    throw new VapiError(
-      ERROR_CODES.CALL_ERROR,
-      `Failed to start call: ${error.message}`,
-      { options, originalError: error }
-    );
-  }
-}
-
-/**
- * End an ongoing call
- * @param {string} callId - ID of the call to end
- * @returns {Promise<Object>} The ended call details
- */
-async function endCall(callId) {
-  try {
-    const call = await vapi.calls.end(callId);
-    // Update cache
-    cache.calls[callId] = call;
-    return call;
-  } catch (error) {
-    console.error(`Error ending call ${callId}:`, error);
-  }
+// Run the example when executed directly
+if (process.argv[1] === __filename) {
+  // getDefaultSdk() throws synchronously on a bad environment, so it runs inside the chain
+  Promise.resolve()
+    .then(() => getDefaultSdk().start())
+    .then(main)
+    .catch((error) => {
+      getDefaultLogger().error('Example failed', { error });
+      process.exitCode = 1;
+    })
+    .finally(() => defaultSdk?.shutdown());
 }
 
-// Wrap functions with asyncHandler
-const wrappedCreateAssistant = asyncHandler(createAssistant);
-const wrappedStartPhoneCall = asyncHandler(startPhoneCall);
-const wrappedListAssistants = asyncHandler(listAssistants);
-const wrappedUpdateAssistant = asyncHandler(updateAssistant);
-const wrappedDeleteAssistant = asyncHandler(deleteAssistant);
-const wrappedListPhoneNumbers = asyncHandler(listPhoneNumbers);
-const wrappedGetCallDetails = asyncHandler(getCallDetails);
-const wrappedEndCall = asyncHandler(endCall);
-
 // Export all functionality
 export {
+  // SDK factories
+  createVapiSdk,
+  createWorkspaceManager,
+
   // VAPI client
   vapi,
   
   // Core functions (wrapped with asyncHandler)
-  wrappedCreateAssistant as createAssistant,
-  wrappedStartPhoneCall as startPhoneCall,
-  wrappedListAssistants as listAssistants,
-  wrappedUpdateAssistant as updateAssistant,
-  wrappedDeleteAssistant as deleteAssistant,
-  wrappedListPhoneNumbers as listPhoneNumbers,
-  wrappedGetCallDetails as getCallDetails,
-  wrappedEndCall as endCall,
+  createAssistant,
+  createAssistantFromConfig,
+  startPhoneCall,
+  listAssistants,
+  getAssistant,
+  updateAssistant,
+  deleteAssistant,
+  listAssistantVersions,
+  getAssistantVersion,
+  rollbackAssistant,
+  planManifests,
+  applyManifests,
+  lintAssistant,
+  lintAssistants,
+  findAssistants,
+  findAssistant,
+  bulkUpdateAssistants,
+  bulkPatchAssistants,
+  bulkRetagAssistants,
+  bulkDeleteAssistants,
+  exportAssistants,
+  importAssistants,
+  planPromotion,
+  promoteAssistant,
+  listPromotions,
+  watchAssistant,
+  unwatchAssistant,
+  checkDrift,
+  registerTool,
+  attachTools,
+  onAssistantRequest,
+  listPhoneNumbers,
+  iterateAssistants,
+  iterateCalls,
+  iteratePhoneNumbers,
+  purchasePhoneNumber,
+  getCallDetails,
+  startCall,
+  endCall,
+  startCampaign,
+  getCampaign,
+  listCampaigns,
+  pauseCampaign,
+  resumeCampaign,
+  cancelCampaign,
+  scheduleCall,
+  rescheduleCall,
+  cancelScheduledCall,
+  listScheduledCalls,
+  addToDoNotCall,
+  removeFromDoNotCall,
+  importDoNotCall,
+  exportDoNotCall,
+  recordConsent,
+  revokeConsent,
+  checkNumber,
+  getCallUsage,
   
   // Services
   callMonitor,
@@ -817,9 +2187,16 @@ export {
   
   // Utilities
   retry,
+  loadConfig,
+  MODEL_CATALOG,
+  getModelInfo,
+  createLogger,
   VapiError,
   ERROR_CODES,
-  asyncHandler
+  asyncHandler,
+  parsePhoneNumber,
+  normalizePhoneNumber,
+  isValidPhoneNumber
 };
 
 // Type definitions for better IDE support